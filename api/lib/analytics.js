@@ -0,0 +1,418 @@
+// lib/analytics.js — aggregates behind GET /api/stats
+//
+//   ?from=2025-01-01&to=2025-01-31   placed between (date-only values are days in `tz`)
+//   ?granularity=hour|day|week|month bucket size for ordersByPeriod (default day)
+//   ?tz=Asia/Riyadh                  IANA time zone for buckets, heatmap and dates
+//                                    (default: the company's timeZone, from the server)
+//
+// Everything is computed here so the stats page only has to draw what it gets back.
+// ratingTrends averages ratings per tea boy and per item for each period; an item counts
+// the stars the desk gave that item (lib/ratings.js), else the order's overall score.
+const { orderPhases } = require("./orderStatus");
+const { deskNumberOf } = require("./scope");
+const { localeText } = require("./menuLocale");
+
+const GRANULARITIES = ["hour", "day", "week", "month"];
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const MAX_FILLED_BUCKETS = 2000; // don't pad empty periods across huge ranges
+
+function isValidTimeZone(tz) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+const formatters = new Map();
+
+// Wall-clock parts of `time` in `tz`: { year, month, day, hour, minute, weekday }
+function zonedParts(time, tz) {
+  let fmt = formatters.get(tz);
+  if (!fmt) {
+    fmt = new Intl.DateTimeFormat("en-US", {
+      timeZone: tz,
+      hourCycle: "h23",
+      weekday: "short",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+    });
+    formatters.set(tz, fmt);
+  }
+  const parts = {};
+  for (const { type, value } of fmt.formatToParts(new Date(time))) {
+    parts[type] = value;
+  }
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+  };
+}
+
+// UTC time of local midnight starting `dateStr` ("YYYY-MM-DD") in `tz`
+function startOfZonedDay(dateStr, tz) {
+  const [y, m, d] = dateStr.split("-").map(Number);
+  const guess = Date.UTC(y, m - 1, d);
+  const offsetAt = (t) => {
+    const p = zonedParts(t, tz);
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute) - t;
+  };
+  // second pass settles days where the offset changes (DST)
+  const first = guess - offsetAt(guess);
+  return guess - offsetAt(first);
+}
+
+// Epoch ms for a from/to value; a date-only value is that day's start (or end) in `tz`
+function parseBound(value, tz, endOfDay) {
+  const s = String(value).trim();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(s)) {
+    const start = startOfZonedDay(s, tz);
+    if (!Number.isFinite(start)) return null;
+    if (!endOfDay) return start;
+    const next = new Date(`${s}T00:00:00.000Z`).getTime() + DAY_MS;
+    return startOfZonedDay(new Date(next).toISOString().slice(0, 10), tz) - 1;
+  }
+  const t = new Date(s).getTime();
+  return Number.isFinite(t) ? t : null;
+}
+
+// Parse req.query; `defaultTz` is used without ?tz= (the company's, see companyTimeZone).
+// Returns { options } or { error } (message for a 400 response)
+function parseStatsQuery(
+  query = {},
+  defaultTz = Intl.DateTimeFormat().resolvedOptions().timeZone
+) {
+  const tz = query.tz ? String(query.tz) : defaultTz;
+  if (!isValidTimeZone(tz)) return { error: `Unknown time zone "${tz}"` };
+
+  const granularity = query.granularity ? String(query.granularity) : "day";
+  if (!GRANULARITIES.includes(granularity)) {
+    return { error: `granularity must be one of ${GRANULARITIES.join(", ")}` };
+  }
+
+  const options = { tz, granularity };
+  for (const [key, endOfDay] of [
+    ["from", false],
+    ["to", true],
+  ]) {
+    if (query[key] === undefined || query[key] === "") continue;
+    const t = parseBound(query[key], tz, endOfDay);
+    if (t === null) return { error: `Invalid date for "${key}"` };
+    options[key] = t;
+  }
+  if (
+    options.from !== undefined &&
+    options.to !== undefined &&
+    options.from > options.to
+  ) {
+    return { error: '"from" must be before "to"' };
+  }
+  return { options };
+}
+
+const pad = (n) => String(n).padStart(2, "0");
+
+// ISO-8601 week label ("2025-W03") for a local calendar date
+function isoWeekLabel(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  const weekday = date.getUTCDay() || 7;
+  date.setUTCDate(date.getUTCDate() + 4 - weekday); // Thursday decides the year
+  const yearStart = Date.UTC(date.getUTCFullYear(), 0, 1);
+  const week = Math.ceil((date.getTime() - yearStart) / DAY_MS / 7 + 1 / 7);
+  return `${date.getUTCFullYear()}-W${pad(week)}`;
+}
+
+function periodKey(time, tz, granularity) {
+  const p = zonedParts(time, tz);
+  const date = `${p.year}-${pad(p.month)}-${pad(p.day)}`;
+  switch (granularity) {
+    case "hour":
+      return `${date}T${pad(p.hour)}:00`;
+    case "week":
+      return isoWeekLabel(p.year, p.month, p.day);
+    case "month":
+      return `${p.year}-${pad(p.month)}`;
+    default:
+      return date;
+  }
+}
+
+// Every period between from and to, so the chart shows quiet days as 0
+function emptyPeriods(from, to, tz, granularity) {
+  const periods = {};
+  if (from === undefined || to === undefined) return periods;
+  const step = granularity === "hour" ? HOUR_MS : HOUR_MS * 6; // 6h catches DST days
+  if ((to - from) / step > MAX_FILLED_BUCKETS * 24) return periods;
+  for (let t = from; t <= to; t += step) {
+    periods[periodKey(t, tz, granularity)] = 0;
+    if (Object.keys(periods).length > MAX_FILLED_BUCKETS) break;
+  }
+  periods[periodKey(to, tz, granularity)] = 0;
+  return periods;
+}
+
+function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  const rank = (p / 100) * (sorted.length - 1);
+  const lo = Math.floor(rank);
+  const hi = Math.ceil(rank);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (rank - lo);
+}
+
+const round1 = (n) => (n === null ? null : parseFloat(n.toFixed(1)));
+
+function average(values) {
+  const valid = values.filter((v) => v !== null);
+  return valid.length ? valid.reduce((a, b) => a + b, 0) / valid.length : 0;
+}
+
+function increment(map, key, by = 1) {
+  map[key] = (map[key] || 0) + by;
+}
+
+function addRating(map, key, period, stars) {
+  const entry = (map[key] = map[key] || { stars: [], periods: {} });
+  entry.stars.push(stars);
+  (entry.periods[period] = entry.periods[period] || []).push(stars);
+}
+
+// { key: { avg, count, periods: { period: { avg, count } } } } from addRating()'s map
+function ratingTrend(map) {
+  const trend = {};
+  for (const [key, { stars, periods }] of Object.entries(map)) {
+    trend[key] = {
+      avg: round1(average(stars)),
+      count: stars.length,
+      periods: Object.fromEntries(
+        Object.entries(periods)
+          .sort(([a], [b]) => (a < b ? -1 : 1))
+          .map(([period, values]) => [
+            period,
+            { avg: round1(average(values)), count: values.length },
+          ])
+      ),
+    };
+  }
+  return trend;
+}
+
+// whoever the order was assigned to (shift routing or a hand-over), else the desk's name
+function teaboyOf(order) {
+  const assigned = order.assignment && order.assignment.teaBoy;
+  return (
+    String(
+      assigned || order.teaboyName || order.serviceAreaName || ""
+    ).trim() || "Unknown"
+  );
+}
+
+// item id -> category name, from the company menu ({ catKey: { name, items } })
+function categoryIndex(menu) {
+  const index = {};
+  for (const [key, category] of Object.entries(menu || {})) {
+    for (const item of (category && category.items) || []) {
+      const name = localeText(category.name) || key;
+      index[item.id] = name;
+      if (item.value) index[`value:${item.value}`] = name;
+    }
+  }
+  return index;
+}
+
+// [{ id, name, quantity, options }] — itemsDetailed, or the plain item names on older
+// orders. `options` are the resolved picks from lib/itemOptions.js.
+function orderLines(order) {
+  if (Array.isArray(order.itemsDetailed) && order.itemsDetailed.length) {
+    return order.itemsDetailed.map((d) => ({
+      id: d.id,
+      name: String(d.name || d.id || "Unknown"),
+      quantity: Math.max(1, parseInt(d.quantity, 10) || 1),
+      options: Array.isArray(d.options) ? d.options : [],
+    }));
+  }
+  return (Array.isArray(order.items) ? order.items : []).map((name) => ({
+    id: null,
+    name: String(name),
+    quantity: 1,
+    options: [],
+  }));
+}
+
+/**
+ * Aggregate `orders` (already limited to the company) for the stats page.
+ * `desks` is the company's desks doc (for buildings), `menu` its menu (for categories).
+ */
+function buildStats(orders, { from, to, tz, granularity, desks, menu }) {
+  const inRange = orders.filter((o) => {
+    const t = new Date(o.timestamp).getTime();
+    if (!Number.isFinite(t)) return false;
+    return (from === undefined || t >= from) && (to === undefined || t <= to);
+  });
+
+  const phases = inRange.map(orderPhases);
+  const categories = categoryIndex(menu);
+  const deskInfo = (desks && desks.desks) || {};
+
+  const ordersByPeriod = emptyPeriods(from, to, tz, granularity);
+  const heatmap = WEEKDAYS.map(() => new Array(24).fill(0));
+  const ordersByTeaboy = {};
+  const prepTimesByTeaboy = {};
+  const items = {};
+  const ordersByCategory = {};
+  const ordersByDesk = {};
+  const ordersByBuilding = {};
+  const ratingDistribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  const ratings = [];
+  const ratingsByTeaboy = {};
+  const ratingsByItem = {};
+  const slaBreachesByTeaboy = {};
+  let slaBreaches = 0;
+
+  inRange.forEach((order, i) => {
+    const t = new Date(order.timestamp).getTime();
+    const period = periodKey(t, tz, granularity);
+    increment(ordersByPeriod, period);
+    const local = zonedParts(t, tz);
+    heatmap[local.weekday][local.hour] += 1;
+
+    const teaboy = teaboyOf(order);
+    increment(ordersByTeaboy, teaboy);
+    if (phases[i].prep !== null) {
+      (prepTimesByTeaboy[teaboy] = prepTimesByTeaboy[teaboy] || []).push(
+        phases[i].prep
+      );
+    }
+
+    for (const line of orderLines(order)) {
+      // keyed by name so older orders (names only) count towards the same item
+      const item = (items[line.name] = items[line.name] || {
+        id: null,
+        name: line.name,
+        quantity: 0,
+        orders: 0,
+        options: {},
+      });
+      item.id = item.id || line.id;
+      item.quantity += line.quantity;
+      item.orders += 1;
+      // quantity per picked choice, e.g. { "Sugar: No sugar": 3, "Milk: Oat": 2 }
+      for (const o of line.options) {
+        increment(
+          item.options,
+          `${o.groupName}: ${o.choiceName}`,
+          line.quantity
+        );
+      }
+      const category =
+        (line.id && categories[line.id]) ||
+        categories[`value:${line.name}`] ||
+        "Uncategorized";
+      increment(ordersByCategory, category, line.quantity);
+    }
+
+    const desk = deskNumberOf(order);
+    const deskKey = desk === null ? "Unknown" : String(desk);
+    increment(ordersByDesk, deskKey);
+    const building =
+      (desk !== null && deskInfo[deskKey] && deskInfo[deskKey].building) ||
+      "Unknown";
+    increment(ordersByBuilding, building);
+
+    // charged to whoever had the order when the SLA was missed (lib/sla.js)
+    for (const breach of order.slaBreaches || []) {
+      increment(slaBreachesByTeaboy, breach.teaBoy || "Unknown");
+      slaBreaches += 1;
+    }
+
+    const stars = order.rating && Number(order.rating.stars);
+    if (stars >= 1 && stars <= 5) {
+      ratingDistribution[Math.round(stars)] += 1;
+      ratings.push(stars);
+      addRating(ratingsByTeaboy, teaboy, period, stars);
+      const itemStars = {};
+      for (const r of order.rating.items || []) {
+        itemStars[String(r.id)] = Number(r.stars);
+      }
+      for (const line of orderLines(order)) {
+        const own = line.id != null ? itemStars[String(line.id)] : undefined;
+        addRating(
+          ratingsByItem,
+          line.name,
+          period,
+          own >= 1 && own <= 5 ? own : stars
+        );
+      }
+    }
+  });
+
+  const prepTimeByTeaboy = {};
+  const avgTimeByTeaboy = {};
+  for (const [teaboy, times] of Object.entries(prepTimesByTeaboy)) {
+    const sorted = [...times].sort((a, b) => a - b);
+    prepTimeByTeaboy[teaboy] = {
+      count: sorted.length,
+      avg: round1(average(sorted)),
+      p50: round1(percentile(sorted, 50)),
+      p90: round1(percentile(sorted, 90)),
+    };
+    avgTimeByTeaboy[teaboy] = prepTimeByTeaboy[teaboy].avg;
+  }
+
+  const itemPopularity = Object.values(items).sort(
+    (a, b) => b.quantity - a.quantity || a.name.localeCompare(b.name)
+  );
+
+  return {
+    range: {
+      from: from === undefined ? null : new Date(from).toISOString(),
+      to: to === undefined ? null : new Date(to).toISOString(),
+      tz,
+      granularity,
+    },
+    totalOrders: inRange.length,
+    completedOrders: inRange.filter((o) => o.status === "completed").length,
+    avgQueueTime: average(phases.map((p) => p.queue)),
+    avgPrepTime: average(phases.map((p) => p.prep)),
+    avgDeliveryTime: average(phases.map((p) => p.delivery)),
+    avgRating: average(ratings),
+    ratingCount: ratings.length,
+    ratingDistribution,
+    ratingTrends: {
+      byTeaboy: ratingTrend(ratingsByTeaboy),
+      byItem: ratingTrend(ratingsByItem),
+    },
+    ordersByPeriod: Object.fromEntries(
+      Object.entries(ordersByPeriod).sort(([a], [b]) => (a < b ? -1 : 1))
+    ),
+    heatmap: { weekdays: WEEKDAYS, counts: heatmap },
+    ordersByTeaboy,
+    avgTimeByTeaboy,
+    prepTimeByTeaboy,
+    slaBreaches,
+    slaBreachesByTeaboy,
+    itemPopularity,
+    ordersByCategory,
+    ordersByDesk,
+    ordersByBuilding,
+  };
+}
+
+module.exports = {
+  parseStatsQuery,
+  buildStats,
+  orderLines,
+  parseBound,
+  zonedParts,
+  isValidTimeZone,
+  GRANULARITIES,
+};
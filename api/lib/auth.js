@@ -0,0 +1,93 @@
+// lib/auth.js — password hashing + session guards for company-scoped routes
+const crypto = require("crypto");
+
+const SCRYPT_KEYLEN = 64;
+
+// admin: everything · teaboy: orders for their desk ranges · viewer: read-only orders/stats
+// kiosk: ordering tablet, may only create orders and ratings (the public routes)
+const ROLES = ["admin", "teaboy", "viewer", "kiosk"];
+
+// Hash a plain-text password as "scrypt$<salt>$<hash>" (hex encoded)
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = crypto
+    .scryptSync(String(password), salt, SCRYPT_KEYLEN)
+    .toString("hex");
+  return `scrypt$${salt}$${hash}`;
+}
+
+// Compare a plain-text password against a stored hash.
+// Also accepts the legacy "sha256$<hex>" format that login.html used to check in the browser,
+// so existing company passwords keep working until they are re-hashed on the next login.
+function verifyPassword(password, stored) {
+  if (typeof stored !== "string" || !stored) return false;
+  const [scheme, ...parts] = stored.split("$");
+
+  let expected;
+  let actual;
+  if (scheme === "scrypt" && parts.length === 2) {
+    expected = Buffer.from(parts[1], "hex");
+    actual = crypto.scryptSync(String(password), parts[0], expected.length);
+  } else if (scheme === "sha256" && parts.length === 1) {
+    expected = Buffer.from(parts[0], "hex");
+    actual = crypto.createHash("sha256").update(String(password)).digest();
+  } else {
+    return false;
+  }
+
+  if (expected.length !== actual.length) return false;
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function needsRehash(stored) {
+  return typeof stored !== "string" || !stored.startsWith("scrypt$");
+}
+
+// Shape stored in req.session.user and returned to the pages
+function publicUser(user, companyId) {
+  const out = {
+    username: user.username,
+    role: user.role || "admin",
+    company: companyId,
+  };
+  if (out.role === "teaboy") {
+    out.zone = user.zone || "";
+    out.deskRanges = Array.isArray(user.deskRanges) ? user.deskRanges : [];
+  }
+  return out;
+}
+
+// Middleware: reject requests without a logged-in session for the requested ?company=
+function requireAuth(req, res, next) {
+  const user = req.session && req.session.user;
+  if (!user) {
+    return res.status(401).json({ error: "Authentication required" });
+  }
+  const companyId = req.query.company || null;
+  if (!companyId || String(companyId) !== user.company) {
+    return res.status(403).json({ error: "Not authorized for this company" });
+  }
+  next();
+}
+
+// Middleware factory: requireAuth + the session role must be one of `roles`
+function requireRole(...roles) {
+  return function (req, res, next) {
+    requireAuth(req, res, () => {
+      if (!roles.includes(req.session.user.role)) {
+        return res.status(403).json({ error: "Insufficient permissions" });
+      }
+      next();
+    });
+  };
+}
+
+module.exports = {
+  ROLES,
+  hashPassword,
+  verifyPassword,
+  needsRehash,
+  publicUser,
+  requireAuth,
+  requireRole,
+};
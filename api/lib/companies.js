@@ -0,0 +1,223 @@
+// lib/companies.js — company registry (branding, order flow, features)
+//
+// Each company has a "company" document next to its desks/menu/users:
+//   { id, name, title, theme, logo, orderFlow: "dashboard" | "telegram",
+//     ordering: "public" | "kiosk", timeZone, features: { ratings, orderNotes },
+//     orderEditMinutes, ratingAlertThreshold, enabled, createdAt, updatedAt }
+// `title` is the heading on the ordering page (defaults to the name); `timeZone` is the
+// IANA zone tea-boy shifts are written in (defaults to the server's). `orderEditMinutes`
+// is how long a desk may still cancel or change a pending order (lib/customerChanges.js);
+// ratings at or below `ratingAlertThreshold` alert the admin dashboards (lib/ratings.js).
+// `ordering` says who may place orders: anyone with the desk's QR code ("public", the
+// default) or only a logged-in ordering tablet ("kiosk" or admin accounts).
+// Both flows place orders through POST /api/orders; "telegram" companies have their tea
+// boys notified by a telegram integration (lib/integrations/telegram.js) instead of
+// watching a dashboard.
+// The ordering page reads it from GET /api/companies/:id instead of keeping its own copy.
+// New companies are set up with scripts/create-company.js (or POST /api/companies).
+
+const { isValidTimeZone } = require("./analytics");
+const { DEFAULT_EDIT_MINUTES, MAX_EDIT_MINUTES } = require("./customerChanges");
+const { DEFAULT_ALERT_THRESHOLD } = require("./ratings");
+
+const COMPANY_ID_PATTERN = /^[a-z0-9][a-z0-9-]{1,39}$/;
+const ORDER_FLOWS = ["dashboard", "telegram"];
+const ORDERING = ["public", "kiosk"];
+const DEFAULT_FEATURES = { ratings: true, orderNotes: true };
+const RESERVED_IDS = ["default", "api", "uploads", "images"];
+// whole-number settings and their largest value (0 turns each off)
+const NUMBER_SETTINGS = {
+  orderEditMinutes: MAX_EDIT_MINUTES,
+  ratingAlertThreshold: 5,
+};
+
+// Starter menu for companies that haven't saved one yet
+const DEFAULT_MENU = {
+  coffee: {
+    name: "Coffee",
+    desc: "Corporate coffee selections",
+    items: [
+      { id: "espresso", name: "Espresso", value: "Espresso" },
+      { id: "americano", name: "Americano", value: "Americano" },
+      { id: "cappuccino", name: "Cappuccino", value: "Cappuccino" },
+    ],
+  },
+};
+
+function defaultDesks(numDesks = 10) {
+  const data = { numDesks, desks: {} };
+  for (let i = 1; i <= numDesks; i++)
+    data.desks[String(i)] = { building: "", floor: "", teaBoy: "" };
+  return data;
+}
+
+function isValidCompanyId(id) {
+  return (
+    typeof id === "string" &&
+    COMPANY_ID_PATTERN.test(id) &&
+    !RESERVED_IDS.includes(id)
+  );
+}
+
+/**
+ * Merge `input` over `existing` (or the defaults) and validate the result.
+ * Returns { company } or { error } (message for a 400 response).
+ */
+function validateCompany(input = {}, existing = null) {
+  const base = existing || {
+    name: "",
+    title: "",
+    theme: "",
+    logo: null,
+    orderFlow: "dashboard",
+    ordering: "public",
+    timeZone: "",
+    features: { ...DEFAULT_FEATURES },
+    orderEditMinutes: DEFAULT_EDIT_MINUTES,
+    ratingAlertThreshold: DEFAULT_ALERT_THRESHOLD,
+    enabled: true,
+  };
+  const company = { ...base };
+
+  for (const key of [
+    "name",
+    "title",
+    "theme",
+    "logo",
+    "orderFlow",
+    "ordering",
+    "timeZone",
+  ]) {
+    if (input[key] === undefined) continue;
+    if (input[key] !== null && typeof input[key] !== "string") {
+      return { error: `"${key}" must be a string` };
+    }
+    company[key] = input[key] === null ? null : input[key].trim();
+  }
+  if (input.enabled !== undefined) company.enabled = input.enabled !== false;
+  for (const [key, max] of Object.entries(NUMBER_SETTINGS)) {
+    if (input[key] === undefined) continue;
+    const value = input[key];
+    if (!Number.isInteger(value) || value < 0 || value > max) {
+      return { error: `${key} must be a whole number from 0 to ${max}` };
+    }
+    company[key] = value;
+  }
+
+  company.features = { ...DEFAULT_FEATURES, ...base.features };
+  if (input.features !== undefined) {
+    if (!input.features || typeof input.features !== "object") {
+      return { error: '"features" must be an object' };
+    }
+    for (const [name, on] of Object.entries(input.features)) {
+      if (!(name in DEFAULT_FEATURES)) {
+        return { error: `Unknown feature "${name}"` };
+      }
+      company.features[name] = on === true;
+    }
+  }
+
+  if (!company.name) return { error: "Company name is required" };
+  if (!ORDER_FLOWS.includes(company.orderFlow)) {
+    return { error: `orderFlow must be one of ${ORDER_FLOWS.join(", ")}` };
+  }
+  if (!company.ordering) company.ordering = "public";
+  if (!ORDERING.includes(company.ordering)) {
+    return { error: `ordering must be one of ${ORDERING.join(", ")}` };
+  }
+  if (company.timeZone && !isValidTimeZone(company.timeZone)) {
+    return { error: `Unknown time zone "${company.timeZone}"` };
+  }
+  if (company.logo && !/^(\/|https?:\/\/)\S+$/i.test(company.logo)) {
+    return { error: "logo must be a URL or a path starting with /" };
+  }
+  return { company };
+}
+
+// What the ordering pages get (`webhook` is the old browser-side Make.com URL, never sent)
+function publicCompany(company) {
+  const { webhook, createdAt, updatedAt, ...rest } = company;
+  return rest;
+}
+
+// Time zone for the company's shifts
+function companyTimeZone(company) {
+  return (
+    (company && company.timeZone) ||
+    Intl.DateTimeFormat().resolvedOptions().timeZone
+  );
+}
+
+async function readCompany(storage, companyId) {
+  if (!isValidCompanyId(String(companyId || ""))) return null;
+  return storage.getDoc(companyId, "company");
+}
+
+async function listRegisteredCompanies(storage) {
+  const companies = [];
+  for (const id of await storage.listCompanies()) {
+    const company = await storage.getDoc(id, "company");
+    if (company) companies.push(company);
+  }
+  return companies.sort((a, b) => a.id.localeCompare(b.id));
+}
+
+/**
+ * Register a new company and create its desks, one zone covering them and the default
+ * menu (kept if they already exist, e.g. when registering a company that predates the
+ * registry).
+ * Returns { company } or { error, status }.
+ */
+async function provisionCompany(storage, input = {}, { numDesks = 10 } = {}) {
+  const id = String(input.id || "").trim();
+  if (!isValidCompanyId(id)) {
+    return {
+      status: 400,
+      error:
+        "Company id must be 2-40 lowercase letters, digits or dashes (and not a reserved name)",
+    };
+  }
+  if (await storage.getDoc(id, "company")) {
+    return { status: 409, error: `Company "${id}" already exists` };
+  }
+  const { company, error } = validateCompany(input);
+  if (error) return { status: 400, error };
+
+  const now = new Date().toISOString();
+  const record = { id, ...company, createdAt: now, updatedAt: now };
+
+  if (!(await storage.getDoc(id, "desks"))) {
+    await storage.putDoc(id, "desks", defaultDesks(numDesks));
+  }
+  if (!(await storage.getDoc(id, "zones"))) {
+    await storage.putDoc(id, "zones", {
+      zones: [
+        {
+          id: "zone-1",
+          name: "Zone 1",
+          deskRanges: [[1, numDesks]],
+          teaBoy: "",
+        },
+      ],
+    });
+  }
+  if (!(await storage.getDoc(id, "menu"))) {
+    await storage.putDoc(id, "menu", JSON.parse(JSON.stringify(DEFAULT_MENU)));
+  }
+  await storage.putDoc(id, "company", record);
+  return { company: record };
+}
+
+module.exports = {
+  ORDER_FLOWS,
+  DEFAULT_FEATURES,
+  DEFAULT_MENU,
+  defaultDesks,
+  isValidCompanyId,
+  validateCompany,
+  publicCompany,
+  companyTimeZone,
+  readCompany,
+  listRegisteredCompanies,
+  provisionCompany,
+};
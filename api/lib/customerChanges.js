@@ -0,0 +1,76 @@
+// lib/customerChanges.js — the desk fixing its own order: cancel it, or change its items,
+// quantities and note
+//
+// Only while the order is still pending and within the company's grace window
+// (`orderEditMinutes` in the company document, default 2; 0 turns it off). The window is
+// fixed when the order is placed, as order.customerEditUntil, so neither a later settings
+// change nor the client's own timestamp moves it. Both are authorized with the
+// customerToken POST /api/orders answered with (lib/orderTracking.js):
+//   POST /api/orders/:id/cancel?company=&token=
+//   POST /api/orders/:id/amend?company=&token=   { itemsDetailed | items, orderNote }
+// An amendment keeps what it replaced in order.amendments; order.amendedAt is what the
+// dashboards show as "amended".
+
+const DEFAULT_EDIT_MINUTES = 2;
+const MAX_EDIT_MINUTES = 60;
+const MAX_AMENDMENTS = 10; // the most recent are kept
+
+function editMinutes(company) {
+  const minutes = company && company.orderEditMinutes;
+  return Number.isInteger(minutes) ? minutes : DEFAULT_EDIT_MINUTES;
+}
+
+// Until when (ISO) the desk may change an order placed now, or null when it may not
+function editDeadline(company, now = Date.now()) {
+  const minutes = editMinutes(company);
+  return minutes > 0 ? new Date(now + minutes * 60000).toISOString() : null;
+}
+
+function canCustomerChange(order, now = Date.now()) {
+  return (
+    order.status === "pending" &&
+    !!order.customerEditUntil &&
+    new Date(order.customerEditUntil).getTime() > now
+  );
+}
+
+// Why the desk can't change `order` any more (message for a 409), or null
+function changeRefusal(order, now = Date.now()) {
+  if (order.status !== "pending") {
+    return `The order is already ${order.status} and can no longer be changed`;
+  }
+  if (!canCustomerChange(order, now)) {
+    return "The time to change this order has passed";
+  }
+  return null;
+}
+
+// Note on `order` (already holding the new lines) what `previous` looked like
+function recordAmendment(order, previous, at = new Date().toISOString()) {
+  const amendments = Array.isArray(previous.amendments)
+    ? previous.amendments
+    : [];
+  order.amendments = [
+    ...amendments,
+    {
+      at,
+      by: "customer",
+      before: {
+        items: previous.items || [],
+        itemsDetailed: previous.itemsDetailed || [],
+        orderNote: previous.orderNote || "",
+      },
+    },
+  ].slice(-MAX_AMENDMENTS);
+  order.amendedAt = at;
+  return order;
+}
+
+module.exports = {
+  DEFAULT_EDIT_MINUTES,
+  MAX_EDIT_MINUTES,
+  editDeadline,
+  canCustomerChange,
+  changeRefusal,
+  recordAmendment,
+};
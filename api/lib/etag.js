@@ -0,0 +1,37 @@
+// lib/etag.js — optimistic concurrency for orders
+//
+// Each order carries a `version` that goes up on every staff update. GET/PUT responses
+// send it as an ETag; a PUT with If-Match (or a `version` field in the body) that no
+// longer matches is rejected with 409 instead of overwriting someone else's change.
+// Orders saved before versioning count as version 0.
+
+function orderVersion(order) {
+  const v = parseInt(order && order.version, 10);
+  return Number.isFinite(v) ? v : 0;
+}
+
+function orderEtag(order) {
+  return `"${orderVersion(order)}"`;
+}
+
+// The version the client based its change on, or null if it didn't say
+function expectedVersion(req) {
+  const header = req.get("If-Match");
+  if (header && header.trim() !== "*") {
+    const m = header.match(/^\s*(?:W\/)?"?(\d+)"?\s*$/);
+    return m ? parseInt(m[1], 10) : NaN; // unparseable tag never matches
+  }
+  const bodyVersion = req.body && req.body.version;
+  if (bodyVersion !== undefined && bodyVersion !== null) {
+    const v = parseInt(bodyVersion, 10);
+    return Number.isFinite(v) ? v : NaN;
+  }
+  return null;
+}
+
+function isStale(req, order) {
+  const expected = expectedVersion(req);
+  return expected !== null && expected !== orderVersion(order);
+}
+
+module.exports = { orderVersion, orderEtag, isStale };
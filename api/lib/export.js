@@ -0,0 +1,284 @@
+// lib/export.js — CSV / Excel downloads of orders and stats
+//
+// Built entirely from our own data (no Google credentials needed). A "table" is
+// { name, columns: [header...], rows: [[cell...]] }; orders are one table, stats are
+// one table per section. CSV puts sections one after another, XLSX gives each a sheet.
+const ExcelJS = require("exceljs");
+const { orderLines } = require("./analytics");
+const { describeOptions } = require("./itemOptions");
+const { deskNumberOf } = require("./scope");
+
+const FORMATS = ["csv", "xlsx"];
+const CONTENT_TYPES = {
+  csv: "text/csv; charset=utf-8",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+};
+
+const STATUS_TIMESTAMP_COLUMNS = [
+  ["Accepted At", "acceptedAt"],
+  ["Started At", "startedAt"],
+  ["Ready At", "readyAt"],
+  ["Completed At", "completedAt"],
+  ["Cancelled At", "cancelledAt"],
+  ["Rejected At", "rejectedAt"],
+];
+
+function parseFormat(value) {
+  const format = value ? String(value).toLowerCase() : "csv";
+  return FORMATS.includes(format) ? format : null;
+}
+
+function toDate(value) {
+  if (!value) return null;
+  const d = new Date(value);
+  return isNaN(d.getTime()) ? null : d;
+}
+
+// One row per item line, with desk location, tea boy, status times and rating
+function orderTable(orders, desks) {
+  const deskInfo = (desks && desks.desks) || {};
+  const columns = [
+    "Order ID",
+    "Placed At",
+    "Status",
+    "Desk",
+    "Building",
+    "Location",
+    "Tea Boy",
+    "Item",
+    "Item ID",
+    "Quantity",
+    "Options",
+    "Order Note",
+    ...STATUS_TIMESTAMP_COLUMNS.map(([header]) => header),
+    "Stars",
+    "Item Stars",
+    "Review",
+  ];
+
+  const rows = [];
+  for (const order of orders) {
+    const desk = deskNumberOf(order);
+    const info = (desk !== null && deskInfo[String(desk)]) || {};
+    const location =
+      order.location ||
+      [info.building, info.floor].filter(Boolean).join(" - ") ||
+      "";
+    const shared = {
+      before: [
+        order.id,
+        toDate(order.timestamp),
+        order.status || "",
+        desk === null ? order.desk || "" : desk,
+        info.building || "",
+        location,
+        (order.assignment && order.assignment.teaBoy) ||
+          order.teaboyName ||
+          order.serviceAreaName ||
+          "",
+      ],
+      middle: [
+        order.orderNote || "",
+        ...STATUS_TIMESTAMP_COLUMNS.map(([, field]) => toDate(order[field])),
+        order.rating ? order.rating.stars : "",
+      ],
+      review: order.rating ? order.rating.review || "" : "",
+    };
+    // stars the desk gave single items (lib/ratings.js)
+    const itemStars = {};
+    for (const r of (order.rating && order.rating.items) || []) {
+      itemStars[String(r.id)] = r.stars;
+    }
+
+    const lines = orderLines(order);
+    if (!lines.length) lines.push({ id: null, name: "", quantity: "" });
+    for (const line of lines) {
+      rows.push([
+        ...shared.before,
+        line.name,
+        line.id || "",
+        line.quantity,
+        describeOptions(line.options),
+        ...shared.middle,
+        (line.id && itemStars[String(line.id)]) || "",
+        shared.review,
+      ]);
+    }
+  }
+  return { name: "Orders", columns, rows };
+}
+
+// buildStats() result -> one table per section
+function statsTables(stats) {
+  const entries = (obj) => Object.entries(obj || {});
+  const hours = Array.from({ length: 24 }, (_, h) =>
+    String(h).padStart(2, "0")
+  );
+  const { range } = stats;
+
+  return [
+    {
+      name: "Summary",
+      columns: ["Metric", "Value"],
+      rows: [
+        ["From", range.from || ""],
+        ["To", range.to || ""],
+        ["Time Zone", range.tz],
+        ["Total Orders", stats.totalOrders],
+        ["Completed Orders", stats.completedOrders],
+        ["Avg Queue Time (min)", +stats.avgQueueTime.toFixed(1)],
+        ["Avg Preparation Time (min)", +stats.avgPrepTime.toFixed(1)],
+        ["Avg Delivery Time (min)", +stats.avgDeliveryTime.toFixed(1)],
+        ["Avg Rating", +stats.avgRating.toFixed(2)],
+        ["Ratings", stats.ratingCount],
+        ["SLA Breaches", stats.slaBreaches],
+      ],
+    },
+    {
+      name: "Orders by Period",
+      columns: [range.granularity, "Orders"],
+      rows: entries(stats.ordersByPeriod),
+    },
+    {
+      name: "Heatmap",
+      columns: ["Weekday", ...hours],
+      rows: stats.heatmap.weekdays.map((day, d) => [
+        day,
+        ...stats.heatmap.counts[d],
+      ]),
+    },
+    {
+      name: "Items",
+      columns: ["Item", "Item ID", "Quantity", "Orders", "Options"],
+      rows: stats.itemPopularity.map((i) => [
+        i.name,
+        i.id || "",
+        i.quantity,
+        i.orders,
+        entries(i.options)
+          .map(([option, quantity]) => `${option} ×${quantity}`)
+          .join(", "),
+      ]),
+    },
+    {
+      name: "Categories",
+      columns: ["Category", "Quantity"],
+      rows: entries(stats.ordersByCategory),
+    },
+    {
+      name: "Desks",
+      columns: ["Desk", "Orders"],
+      rows: entries(stats.ordersByDesk),
+    },
+    {
+      name: "Buildings",
+      columns: ["Building", "Orders"],
+      rows: entries(stats.ordersByBuilding),
+    },
+    {
+      name: "Tea Boys",
+      columns: [
+        "Tea Boy",
+        "Orders",
+        "Timed Orders",
+        "Avg Prep (min)",
+        "p50 Prep (min)",
+        "p90 Prep (min)",
+        "SLA Breaches",
+      ],
+      rows: entries({
+        ...stats.slaBreachesByTeaboy,
+        ...stats.ordersByTeaboy,
+      }).map(([name]) => {
+        const prep = stats.prepTimeByTeaboy[name] || {};
+        return [
+          name,
+          stats.ordersByTeaboy[name] || 0,
+          prep.count || 0,
+          prep.avg ?? "",
+          prep.p50 ?? "",
+          prep.p90 ?? "",
+          stats.slaBreachesByTeaboy[name] || 0,
+        ];
+      }),
+    },
+    {
+      name: "Ratings",
+      columns: ["Stars", "Ratings"],
+      rows: entries(stats.ratingDistribution),
+    },
+    {
+      name: "Rating Trends",
+      columns: ["By", "Name", "Period", "Avg Stars", "Ratings"],
+      rows: [
+        ["Tea Boy", (stats.ratingTrends || {}).byTeaboy],
+        ["Item", (stats.ratingTrends || {}).byItem],
+      ].flatMap(([by, trend]) =>
+        entries(trend).flatMap(([name, { periods }]) =>
+          entries(periods).map(([period, { avg, count }]) => [
+            by,
+            name,
+            period,
+            avg,
+            count,
+          ])
+        )
+      ),
+    },
+  ];
+}
+
+// Quote for CSV; cells starting with = + - @ are prefixed so spreadsheets don't run them
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  let s = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCsv(tables) {
+  const lines = [];
+  tables.forEach((table, i) => {
+    if (tables.length > 1) {
+      if (i > 0) lines.push("");
+      lines.push(csvCell(table.name));
+    }
+    lines.push(table.columns.map(csvCell).join(","));
+    for (const row of table.rows) lines.push(row.map(csvCell).join(","));
+  });
+  // BOM so Excel opens UTF-8 (Arabic names) correctly
+  return "\uFEFF" + lines.join("\r\n") + "\r\n";
+}
+
+async function toXlsx(tables) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = new Date();
+  for (const table of tables) {
+    const sheet = workbook.addWorksheet(table.name.slice(0, 31));
+    sheet.addRow(table.columns).font = { bold: true };
+    for (const row of table.rows) sheet.addRow(row);
+    sheet.columns.forEach((column, i) => {
+      const widest = table.rows.reduce(
+        (max, r) =>
+          Math.max(max, r[i] instanceof Date ? 19 : String(r[i] ?? "").length),
+        String(table.columns[i] || "").length
+      );
+      column.width = Math.min(Math.max(widest + 2, 8), 60);
+      if (table.rows.some((r) => r[i] instanceof Date)) {
+        column.numFmt = "yyyy-mm-dd hh:mm:ss";
+      }
+    });
+    sheet.views = [{ state: "frozen", ySplit: 1 }];
+  }
+  return workbook.xlsx.writeBuffer();
+}
+
+// Send `tables` as an attachment named `<baseName>.<format>`
+async function sendExport(res, format, baseName, tables) {
+  const body = format === "xlsx" ? await toXlsx(tables) : toCsv(tables);
+  res.attachment(`${baseName}.${format}`);
+  res.set("Content-Type", CONTENT_TYPES[format]);
+  res.send(format === "xlsx" ? Buffer.from(body) : body);
+}
+
+module.exports = { parseFormat, orderTable, statsTables, sendExport, FORMATS };
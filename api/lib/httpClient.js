@@ -0,0 +1,65 @@
+// lib/httpClient.js — minimal outbound HTTP for integrations (no extra dependency)
+//
+// requestJson("POST", url, { body, headers, timeoutMs }) resolves to { status, body }
+// for any response (body parsed as JSON when possible) and rejects on network errors
+// and timeouts. Callers decide which statuses count as failures.
+const http = require("http");
+const https = require("https");
+
+const DEFAULT_TIMEOUT_MS = 10 * 1000;
+
+function requestJson(method, url, options = {}) {
+  const { headers = {}, timeoutMs = DEFAULT_TIMEOUT_MS } = options;
+  const payload =
+    options.body === undefined
+      ? null
+      : typeof options.body === "string"
+      ? options.body
+      : JSON.stringify(options.body);
+
+  return new Promise((resolve, reject) => {
+    let target;
+    try {
+      target = new URL(url);
+    } catch (err) {
+      return reject(new Error(`Invalid URL: ${url}`));
+    }
+    const client = target.protocol === "https:" ? https : http;
+    const req = client.request(
+      target,
+      {
+        method,
+        headers: {
+          Accept: "application/json",
+          ...(payload !== null && {
+            "Content-Type": "application/json",
+            "Content-Length": Buffer.byteLength(payload),
+          }),
+          ...headers,
+        },
+      },
+      (res) => {
+        const chunks = [];
+        res.on("data", (chunk) => chunks.push(chunk));
+        res.on("end", () => {
+          const text = Buffer.concat(chunks).toString("utf8");
+          let body = text;
+          try {
+            body = text ? JSON.parse(text) : null;
+          } catch (err) {
+            // not JSON, keep the text
+          }
+          resolve({ status: res.statusCode, body });
+        });
+      }
+    );
+    req.setTimeout(timeoutMs, () =>
+      req.destroy(new Error(`Timed out after ${timeoutMs} ms`))
+    );
+    req.on("error", reject);
+    if (payload !== null) req.write(payload);
+    req.end();
+  });
+}
+
+module.exports = { requestJson };
@@ -0,0 +1,423 @@
+// lib/integrations/index.js — deliver order events to per-company integrations
+//
+// Each company may have an "integrations" document:
+//   { integrations: [{ id: "sheet", type: "sheets" | "webhook" | "jsonl" | "telegram",
+//                      enabled: true, events: ["order-created", ...], ...settings }] }
+// (settings per type: see sheets.js, webhook.js, jsonl.js and telegram.js next to this
+// file; an adapter may handle only some event types, listed in its EVENTS).
+// Every order event published through lib/orderEvents.js goes to the company's enabled
+// integrations that subscribe to its type, one event at a time per company so a sheet or
+// a webhook receiver sees an order's updates in order.
+//
+// A failed delivery is kept in the company's "outbox" document and retried with backoff
+// (30 s, doubling up to an hour) every INTEGRATION_RETRY_SECONDS (default 30, 0
+// disables). While an integration has deliveries waiting, new events queue behind them.
+// After MAX_ATTEMPTS a delivery is parked as "dead" until an admin retries it.
+// The outbox also keeps per-integration counters for GET /api/integrations/status.
+//
+// Secret settings (an adapter's SECRETS: webhook secret, Sheets spreadsheetId, Telegram
+// botToken) can be given as "env:NAME"; the document then keeps only the reference and
+// the value is read from the environment when it is used, so it never sits in api/data.
+const crypto = require("crypto");
+const orderEvents = require("../orderEvents");
+const { withCompanyLock } = require("../writeQueue");
+
+const ADAPTERS = {
+  sheets: require("./sheets"),
+  webhook: require("./webhook"),
+  jsonl: require("./jsonl"),
+  telegram: require("./telegram"),
+};
+const EVENT_TYPES = [
+  "order-created",
+  "order-updated",
+  "order-deleted",
+  "rating",
+  "sla-breach",
+];
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,39}$/;
+const FIRST_RETRY_MS = 30 * 1000;
+const MAX_RETRY_MS = 60 * 60 * 1000;
+const MAX_ATTEMPTS = 12;
+const MAX_ENTRIES = 1000; // per company; the oldest are dropped past this
+const RECENT_FAILURES = 20;
+const ENV_REF = /^env:([A-Z][A-Z0-9_]*)$/;
+
+function envRef(value) {
+  const m = typeof value === "string" && value.match(ENV_REF);
+  return m ? m[1] : null;
+}
+
+/**
+ * A copy of `integration` with its "env:NAME" secrets replaced by their values; throws
+ * when a referenced variable isn't set.
+ */
+function withSecrets(integration) {
+  const adapter = ADAPTERS[integration.type] || {};
+  const resolved = { ...integration };
+  for (const field of adapter.SECRETS || []) {
+    const name = envRef(integration[field]);
+    if (!name) continue;
+    if (!process.env[name]) throw new Error(`${name} is not set`);
+    resolved[field] = process.env[name];
+  }
+  return resolved;
+}
+
+function retryEveryMs() {
+  const seconds = parseInt(process.env.INTEGRATION_RETRY_SECONDS, 10);
+  return (Number.isFinite(seconds) && seconds >= 0 ? seconds : 30) * 1000;
+}
+
+// Deliveries and outbox writes get their own queue so a slow webhook never holds up
+// order writes (which use the company's own key)
+const lockKey = (companyId) => `${companyId}:integrations`;
+
+/**
+ * Validate a company's integration list. `existing` is the saved list, so a webhook
+ * saved without its (write-only) secret keeps the old one.
+ * Returns { integrations } or { error } (message for a 400 response).
+ */
+function validateIntegrations(input = {}, { companyId, existing = [] } = {}) {
+  const list = input.integrations;
+  if (!Array.isArray(list)) return { error: '"integrations" must be an array' };
+
+  const integrations = [];
+  for (const raw of list) {
+    const item = raw || {};
+    const id = String(item.id || "").trim();
+    if (!ID_PATTERN.test(id)) {
+      return {
+        error: "Integration id must be lowercase letters, digits or dashes",
+      };
+    }
+    if (integrations.some((i) => i.id === id)) {
+      return { error: `Duplicate integration id "${id}"` };
+    }
+    const adapter = ADAPTERS[item.type];
+    if (!adapter) {
+      return {
+        error: `Integration "${id}": type must be one of ${Object.keys(
+          ADAPTERS
+        ).join(", ")}`,
+      };
+    }
+
+    const supported = adapter.EVENTS || EVENT_TYPES;
+    let events = supported;
+    if (item.events !== undefined) {
+      if (
+        !Array.isArray(item.events) ||
+        !item.events.length ||
+        item.events.some((t) => !supported.includes(t))
+      ) {
+        return {
+          error: `Integration "${id}": events must be a list of ${supported.join(
+            ", "
+          )}`,
+        };
+      }
+      events = supported.filter((t) => item.events.includes(t));
+    }
+
+    const saved = existing.find((i) => i.id === id && i.type === item.type);
+    let checked;
+    try {
+      // the adapter checks the values; references are put back into what is saved
+      checked = adapter.validate(
+        withSecrets(item),
+        companyId,
+        saved && withSecrets(saved)
+      );
+    } catch (err) {
+      checked = { error: err.message };
+    }
+    const { config, error } = checked;
+    if (error) return { error: `Integration "${id}": ${error}` };
+    for (const field of adapter.SECRETS || []) {
+      const ref =
+        item[field] !== undefined ? item[field] : saved && saved[field];
+      const name = envRef(ref);
+      if (name && config[field] === process.env[name]) config[field] = ref;
+    }
+    integrations.push({
+      id,
+      type: item.type,
+      enabled: item.enabled !== false,
+      events,
+      ...config,
+    });
+  }
+  return { integrations };
+}
+
+// What GET returns: secrets (an adapter's SECRETS) are write-only, shown as hasSecret,
+// hasBotToken, ...; "env:NAME" references are shown as they are
+function publicIntegration(integration) {
+  const adapter = ADAPTERS[integration.type] || {};
+  const shown = { ...integration };
+  for (const field of adapter.SECRETS || []) {
+    if (!shown[field] || envRef(shown[field])) continue;
+    delete shown[field];
+    shown[`has${field[0].toUpperCase()}${field.slice(1)}`] = true;
+  }
+  return shown;
+}
+
+async function readIntegrations(storage, companyId) {
+  const doc = await storage.getDoc(companyId, "integrations");
+  return (doc && Array.isArray(doc.integrations) && doc.integrations) || [];
+}
+
+async function readOutbox(storage, companyId) {
+  const doc = await storage.getDoc(companyId, "outbox");
+  return {
+    entries: (doc && Array.isArray(doc.entries) && doc.entries) || [],
+    status: (doc && doc.status) || {},
+  };
+}
+
+function statusFor(outbox, integrationId) {
+  if (!outbox.status[integrationId]) {
+    outbox.status[integrationId] = {
+      delivered: 0,
+      failed: 0,
+      lastDeliveredAt: null,
+      lastFailedAt: null,
+      lastError: null,
+    };
+  }
+  return outbox.status[integrationId];
+}
+
+// Deliver `event` once and count the outcome; resolves to null or the error message
+async function attempt(outbox, integration, event) {
+  const status = statusFor(outbox, integration.id);
+  try {
+    await ADAPTERS[integration.type].deliver(event, withSecrets(integration));
+    status.delivered += 1;
+    status.lastDeliveredAt = new Date().toISOString();
+    return null;
+  } catch (err) {
+    status.failed += 1;
+    status.lastFailedAt = new Date().toISOString();
+    status.lastError = String((err && err.message) || err).slice(0, 300);
+    console.error(
+      `Integration ${event.company}/${integration.id} failed for ${event.type}:`,
+      status.lastError
+    );
+    return status.lastError;
+  }
+}
+
+// 30 s after the first failure, doubling up to an hour
+function retryDelay(attempts) {
+  return attempts
+    ? Math.min(FIRST_RETRY_MS * 2 ** (attempts - 1), MAX_RETRY_MS)
+    : 0;
+}
+
+function enqueue(outbox, integration, event, { attempts, lastError, now }) {
+  outbox.entries.push({
+    id: `${event.id}/${integration.id}`,
+    integration: integration.id,
+    event,
+    state: "pending",
+    attempts,
+    nextAttemptAt: new Date(now + retryDelay(attempts)).toISOString(),
+    lastError,
+  });
+  const overflow = outbox.entries.length - MAX_ENTRIES;
+  if (overflow > 0) {
+    console.warn(
+      `Outbox full for company=${event.company}, dropping ${overflow} oldest deliveries`
+    );
+    outbox.entries.splice(0, overflow);
+  }
+}
+
+/**
+ * Send one order event to the company's integrations. Resolves once every integration
+ * has it delivered or queued; never rejects.
+ */
+function deliverEvent(storage, companyId, type, data = {}) {
+  if (!companyId || !EVENT_TYPES.includes(type) || !data.order) {
+    return Promise.resolve();
+  }
+  const event = {
+    id: crypto.randomBytes(12).toString("hex"),
+    type,
+    company: String(companyId),
+    at: new Date().toISOString(),
+    data: JSON.parse(JSON.stringify(data)), // as it was when published
+  };
+
+  return withCompanyLock(lockKey(companyId), async () => {
+    const targets = (await readIntegrations(storage, companyId)).filter(
+      (i) => i.enabled && i.events.includes(type)
+    );
+    if (!targets.length) return;
+
+    const outbox = await readOutbox(storage, companyId);
+    const now = Date.now();
+    for (const integration of targets) {
+      const waiting = outbox.entries.some(
+        (e) => e.integration === integration.id && e.state === "pending"
+      );
+      if (waiting) {
+        enqueue(outbox, integration, event, {
+          attempts: 0,
+          lastError: null,
+          now,
+        });
+        continue;
+      }
+      const lastError = await attempt(outbox, integration, event);
+      if (lastError) {
+        enqueue(outbox, integration, event, { attempts: 1, lastError, now });
+      }
+    }
+    await storage.putDoc(companyId, "outbox", outbox);
+  }).catch((err) =>
+    console.error(`Integration delivery failed for company=${companyId}:`, err)
+  );
+}
+
+// Retry the company's due deliveries, oldest first; an integration stops at its first
+// failure so its events stay in order. Resolves to the number delivered.
+function retryCompany(storage, companyId, now = Date.now()) {
+  return withCompanyLock(lockKey(companyId), async () => {
+    const outbox = await readOutbox(storage, companyId);
+    if (!outbox.entries.some((e) => e.state === "pending")) return 0;
+    const integrations = await readIntegrations(storage, companyId);
+
+    const blocked = new Set();
+    const keep = [];
+    let delivered = 0;
+    for (const entry of outbox.entries) {
+      const integration = integrations.find((i) => i.id === entry.integration);
+      if (!integration) continue; // integration removed: drop what it had queued
+      if (entry.state !== "pending") {
+        keep.push(entry);
+        continue;
+      }
+      if (
+        !integration.enabled ||
+        blocked.has(integration.id) ||
+        Date.parse(entry.nextAttemptAt) > now
+      ) {
+        blocked.add(integration.id);
+        keep.push(entry);
+        continue;
+      }
+
+      const lastError = await attempt(outbox, integration, entry.event);
+      if (!lastError) {
+        delivered += 1;
+        continue;
+      }
+      entry.attempts += 1;
+      entry.lastError = lastError;
+      if (entry.attempts >= MAX_ATTEMPTS) {
+        entry.state = "dead";
+        console.error(
+          `Giving up on ${entry.event.type} for ${companyId}/${integration.id} after ${entry.attempts} attempts`
+        );
+      } else {
+        entry.nextAttemptAt = new Date(
+          now + retryDelay(entry.attempts)
+        ).toISOString();
+        blocked.add(integration.id);
+      }
+      keep.push(entry);
+    }
+    outbox.entries = keep;
+    await storage.putDoc(companyId, "outbox", outbox);
+    return delivered;
+  });
+}
+
+// Admin "retry now": revive dead deliveries (optionally of one integration) and retry
+async function retryNow(storage, companyId, integrationId = null) {
+  await withCompanyLock(lockKey(companyId), async () => {
+    const outbox = await readOutbox(storage, companyId);
+    const now = new Date().toISOString();
+    for (const entry of outbox.entries) {
+      if (integrationId && entry.integration !== integrationId) continue;
+      if (entry.state === "dead") entry.attempts = 0;
+      entry.state = "pending";
+      entry.nextAttemptAt = now;
+    }
+    await storage.putDoc(companyId, "outbox", outbox);
+  });
+  return retryCompany(storage, companyId);
+}
+
+// Delivery status per integration, with the most recent failed deliveries
+async function integrationStatus(storage, companyId) {
+  const integrations = await readIntegrations(storage, companyId);
+  const outbox = await readOutbox(storage, companyId);
+  return integrations.map((integration) => {
+    const entries = outbox.entries.filter(
+      (e) => e.integration === integration.id
+    );
+    const pending = entries.filter((e) => e.state === "pending");
+    return {
+      id: integration.id,
+      type: integration.type,
+      enabled: integration.enabled,
+      ...statusFor(outbox, integration.id),
+      pending: pending.length,
+      dead: entries.length - pending.length,
+      nextAttemptAt: pending.length ? pending[0].nextAttemptAt : null,
+      recentFailures: entries.slice(-RECENT_FAILURES).map((e) => ({
+        id: e.id,
+        event: e.event.type,
+        orderId: e.event.data.order.id,
+        at: e.event.at,
+        state: e.state,
+        attempts: e.attempts,
+        nextAttemptAt: e.state === "pending" ? e.nextAttemptAt : null,
+        lastError: e.lastError,
+      })),
+    };
+  });
+}
+
+async function retryAllCompanies(storage) {
+  for (const companyId of await storage.listCompanies()) {
+    try {
+      const delivered = await retryCompany(storage, companyId);
+      if (delivered) {
+        console.log(
+          `📤 ${delivered} queued integration deliveries sent for company=${companyId}`
+        );
+      }
+    } catch (err) {
+      console.error(`Outbox retry failed for company=${companyId}:`, err);
+    }
+  }
+}
+
+// Subscribe to the order event bus and retry the outboxes every INTEGRATION_RETRY_SECONDS
+function startIntegrations(storage) {
+  orderEvents.onPublish((companyId, type, data) =>
+    deliverEvent(storage, companyId, type, data)
+  );
+  const every = retryEveryMs();
+  if (!every) return;
+  retryAllCompanies(storage);
+  setInterval(() => retryAllCompanies(storage), every).unref();
+}
+
+module.exports = {
+  EVENT_TYPES,
+  validateIntegrations,
+  publicIntegration,
+  withSecrets,
+  readIntegrations,
+  deliverEvent,
+  retryNow,
+  integrationStatus,
+  startIntegrations,
+};
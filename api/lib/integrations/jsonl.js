@@ -0,0 +1,28 @@
+// lib/integrations/jsonl.js — append every event as one JSON line to a local file
+//
+//   { type: "jsonl", file: "orders.jsonl" }
+// Files live in EVENT_LOG_DIR (default api/data/events)/<company>/, whichever storage
+// driver is in use, so they can be tailed or shipped by a log collector.
+const fs = require("fs").promises;
+const path = require("path");
+
+const EVENT_LOG_DIR =
+  process.env.EVENT_LOG_DIR ||
+  path.join(__dirname, "..", "..", "data", "events");
+const FILE_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}\.jsonl$/;
+
+function validate(input) {
+  const file = String(input.file || "orders.jsonl").trim();
+  if (!FILE_PATTERN.test(file)) {
+    return { error: 'file must be a plain file name ending in ".jsonl"' };
+  }
+  return { config: { file } };
+}
+
+async function deliver(event, { file }) {
+  const dir = path.join(EVENT_LOG_DIR, event.company);
+  await fs.mkdir(dir, { recursive: true });
+  await fs.appendFile(path.join(dir, file), `${JSON.stringify(event)}\n`);
+}
+
+module.exports = { validate, deliver };
@@ -0,0 +1,133 @@
+// lib/integrations/sheets.js — keep one Google Sheets row per order
+//
+//   { type: "sheets", spreadsheetId: "env:SHEETS_SPREADSHEET_ID", sheetName: "remat" }
+// The tab (default: the company id) and its header row are created on first use; rows
+// are matched on the order id in column A. Uses the service account in
+// GOOGLE_APPLICATION_CREDENTIALS (default api/credentials.json).
+const path = require("path");
+const { orderLines } = require("../analytics");
+const { describeLine } = require("../itemOptions");
+
+const GOOGLE_CREDS =
+  process.env.GOOGLE_APPLICATION_CREDENTIALS ||
+  path.join(__dirname, "..", "..", "credentials.json");
+
+const HEADERS = [
+  "Order ID",
+  "Created At",
+  "Last Updated",
+  "Status",
+  "Desk",
+  "Teaboy Name",
+  "Location",
+  "Items",
+  "Order Note",
+  "Stars",
+  "Review",
+];
+
+// Initialize auth client lazily (googleapis is only loaded when a sheet is configured)
+let sheetsApi = null;
+async function getSheetsApi() {
+  if (sheetsApi) return sheetsApi;
+  const { google } = require("googleapis");
+  const auth = new google.auth.GoogleAuth({
+    keyFile: GOOGLE_CREDS,
+    scopes: ["https://www.googleapis.com/auth/spreadsheets"],
+  });
+  const client = await auth.getClient();
+  sheetsApi = google.sheets({ version: "v4", auth: client });
+  return sheetsApi;
+}
+
+// anyone the sheet is shared by link with can open it with the id
+const SECRETS = ["spreadsheetId"];
+
+function validate(input, companyId, existing) {
+  const spreadsheetId = String(
+    input.spreadsheetId !== undefined
+      ? input.spreadsheetId
+      : (existing && existing.spreadsheetId) || ""
+  ).trim();
+  if (!/^[A-Za-z0-9_-]{20,}$/.test(spreadsheetId)) {
+    return { error: "spreadsheetId must be the long id from the sheet URL" };
+  }
+  const sheetName = String(input.sheetName || companyId || "").trim();
+  return { config: { spreadsheetId, sheetName } };
+}
+
+function rowFor(event) {
+  const order = event.data.order;
+  return [
+    order.id || "",
+    order.timestamp || "",
+    event.at,
+    event.type === "order-deleted" ? "deleted" : order.status || "",
+    order.desk || order.serviceArea || "",
+    order.teaboyName || "",
+    order.location || "",
+    orderLines(order).map(describeLine).join(" | "),
+    order.orderNote || "",
+    order.rating?.stars ?? "",
+    order.rating?.review ?? "",
+  ];
+}
+
+async function deliver(event, { spreadsheetId, sheetName }) {
+  const api = await getSheetsApi();
+
+  // 1. Ensure sheet/tab exists
+  try {
+    await api.spreadsheets.get({ spreadsheetId, ranges: [sheetName] });
+  } catch (err) {
+    console.log(`Sheet "${sheetName}" not found, creating...`);
+    await api.spreadsheets.batchUpdate({
+      spreadsheetId,
+      resource: {
+        requests: [{ addSheet: { properties: { title: sheetName } } }],
+      },
+    });
+  }
+
+  // 2. Ensure headers
+  const headerCheck = await api.spreadsheets.values.get({
+    spreadsheetId,
+    range: `${sheetName}!A1:K1`,
+  });
+  if (!headerCheck.data.values || headerCheck.data.values.length === 0) {
+    await api.spreadsheets.values.update({
+      spreadsheetId,
+      range: `${sheetName}!A1:K1`,
+      valueInputOption: "RAW",
+      resource: { values: [HEADERS] },
+    });
+  }
+
+  // 3. Update the order's row, or append one
+  const existing = await api.spreadsheets.values.get({
+    spreadsheetId,
+    range: `${sheetName}!A:A`,
+  });
+  const rows = existing.data.values || [];
+  const index = rows.findIndex(
+    (row, i) => i > 0 && row[0] === String(event.data.order.id)
+  );
+  const values = [rowFor(event)];
+  if (index > 0) {
+    await api.spreadsheets.values.update({
+      spreadsheetId,
+      range: `${sheetName}!A${index + 1}:K${index + 1}`,
+      valueInputOption: "RAW",
+      resource: { values },
+    });
+  } else {
+    await api.spreadsheets.values.append({
+      spreadsheetId,
+      range: `${sheetName}!A:A`,
+      valueInputOption: "RAW",
+      resource: { values },
+    });
+  }
+}
+
+module.exports = { SECRETS, validate, deliver };
@@ -0,0 +1,212 @@
+// lib/integrations/telegram.js — new orders to the tea boy's Telegram chat, with buttons
+//
+//   { type: "telegram", botToken: "123456:ABC…", chatId: "-100123…",
+//     chats: { "Julius": "111111", "Hisham": "222222" } }
+// A new order is sent to the chat of its tea boy (`chats`, by name; else `chatId`) with
+// inline "Start" / "Done" buttons. Telegram posts the button presses to
+// POST /api/telegram/<company>/<integration id> (registered with setWebhook, checked
+// against the generated `webhookSecret`); they move the order to in-progress / completed
+// like the dashboard does. An SLA reassignment or escalation (lib/sla.js) also messages
+// whoever the order went to, if they have a chat.
+const crypto = require("crypto");
+const { botApi } = require("../telegramBot");
+const orderEvents = require("../orderEvents");
+const { withCompanyLock } = require("../writeQueue");
+const { canTransition, applyTransition } = require("../orderStatus");
+const { deskNumberOf } = require("../scope");
+const { orderVersion } = require("../etag");
+const { orderLines } = require("../analytics");
+const { describeLine } = require("../itemOptions");
+
+const EVENTS = ["order-created", "sla-breach"];
+const SECRETS = ["botToken", "webhookSecret"];
+const TOKEN_PATTERN = /^\d+:[A-Za-z0-9_-]{20,}$/;
+const CHAT_PATTERN = /^(-?\d+|@[A-Za-z0-9_]{5,})$/;
+
+function validate(input, companyId, existing) {
+  const botToken =
+    input.botToken !== undefined
+      ? String(input.botToken).trim()
+      : (existing && existing.botToken) || "";
+  if (!TOKEN_PATTERN.test(botToken)) {
+    return { error: 'botToken must look like "123456:ABC…" (from @BotFather)' };
+  }
+  const chatId = String(input.chatId || "").trim();
+  if (chatId && !CHAT_PATTERN.test(chatId)) {
+    return { error: "chatId must be a numeric chat id or @channel" };
+  }
+  const chats = {};
+  for (const [name, id] of Object.entries(input.chats || {})) {
+    if (!CHAT_PATTERN.test(String(id).trim())) {
+      return { error: `Chat for "${name}" must be a numeric chat id` };
+    }
+    chats[name.trim()] = String(id).trim();
+  }
+  if (!chatId && !Object.keys(chats).length) {
+    return { error: "Give a chatId or chats for the tea boys" };
+  }
+  // keep the secret Telegram was registered with
+  const webhookSecret =
+    (existing && existing.webhookSecret) ||
+    crypto.randomBytes(24).toString("hex");
+  return { config: { botToken, chatId, chats, webhookSecret } };
+}
+
+function orderText(order, heading) {
+  const desk = deskNumberOf(order);
+  const lines = [
+    `${heading}: ${desk !== null ? `Desk #${desk}` : order.desk || "-"}`,
+  ];
+  if (order.location) lines.push(`📍 ${order.location}`);
+  // older orders list each cup separately; count repeats of the same plain item
+  const items = [];
+  for (const line of orderLines(order)) {
+    const same =
+      !line.options.length &&
+      items.find((i) => i.name === line.name && !i.options.length);
+    if (same) same.quantity += line.quantity;
+    else items.push({ ...line });
+  }
+  for (const item of items) lines.push(`• ${describeLine(item)}`);
+  if (order.orderNote) lines.push(`📝 ${order.orderNote}`);
+  return lines.join("\n");
+}
+
+const OPEN = ["pending", "accepted", "in-progress", "ready"];
+
+function buttonsFor(order) {
+  const row = [];
+  if (canTransition(order.status, "in-progress")) {
+    row.push({ text: "▶️ Start", callback_data: `start:${order.id}` });
+  }
+  if (OPEN.includes(order.status)) {
+    row.push({ text: "✅ Done", callback_data: `done:${order.id}` });
+  }
+  return { inline_keyboard: row.length ? [row] : [] };
+}
+
+async function deliver(event, integration) {
+  const { order, breach } = event.data;
+  let to = order.teaboyName;
+  let heading = "🆕 New order";
+  let withButtons = true;
+  if (event.type === "sla-breach") {
+    if (!breach.to) return;
+    to = breach.to;
+    heading =
+      breach.action === "reassign"
+        ? "⏰ Late order, now yours"
+        : "⏰ Late order, escalated to you";
+    withButtons = breach.action === "reassign";
+  }
+
+  const chatId = (to && integration.chats[to]) || integration.chatId;
+  if (!chatId) {
+    // nobody to tell; retrying wouldn't help
+    console.warn(
+      `Telegram: no chat for "${to || "-"}" (order ${order.id}, company=${
+        event.company
+      })`
+    );
+    return;
+  }
+  await botApi(integration.botToken).call("sendMessage", {
+    chat_id: chatId,
+    text: orderText(order, heading),
+    ...(withButtons && { reply_markup: buttonsFor(order) }),
+  });
+}
+
+// Point the bot's webhook at `url` (the public address of POST /api/telegram/...)
+function registerWebhook(integration, url) {
+  return botApi(integration.botToken).call("setWebhook", {
+    url,
+    secret_token: integration.webhookSecret,
+    allowed_updates: ["callback_query"],
+  });
+}
+
+function isFromTelegram(integration, secretHeader) {
+  const a = Buffer.from(String(secretHeader || ""));
+  const b = Buffer.from(integration.webhookSecret || "");
+  return a.length > 0 && a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// "start" moves the order to in-progress; "done" to completed (starting it first if the
+// tea boy never pressed Start). Resolves to { order, changed }, or null if there's no such order.
+function pressButton(storage, companyId, orderId, action, by) {
+  return withCompanyLock(companyId, async () => {
+    const order = await storage.getOrder(companyId, orderId);
+    if (!order) return null;
+    let steps = [];
+    if (action === "start") steps = ["in-progress"];
+    if (action === "done") {
+      steps = canTransition(order.status, "completed")
+        ? ["completed"]
+        : ["in-progress", "completed"];
+    }
+
+    const at = new Date().toISOString();
+    let changed = false;
+    for (const to of steps) {
+      if (!canTransition(order.status, to)) break;
+      applyTransition(order, to, by, at);
+      changed = true;
+    }
+    if (changed) {
+      order.version = orderVersion(order) + 1;
+      order.updatedAt = at;
+      await storage.updateOrder(companyId, order);
+    }
+    return { order, changed };
+  });
+}
+
+// Handle one update Telegram posted to the webhook (only button presses are used)
+async function handleUpdate(storage, companyId, integration, update) {
+  const query = update.callback_query;
+  if (!query) return;
+  const api = botApi(integration.botToken);
+  const data = String(query.data || "");
+  const split = data.indexOf(":");
+  const action = data.slice(0, split);
+  const orderId = data.slice(split + 1);
+  const from = query.from || {};
+  const by = `telegram:${from.username || from.first_name || from.id}`;
+
+  const result =
+    split > 0
+      ? await pressButton(storage, companyId, orderId, action, by)
+      : null;
+  let text = "Order not found";
+  if (result && result.changed) {
+    orderEvents.publish(companyId, "order-updated", { order: result.order });
+    text =
+      result.order.status === "completed" ? "Marked as delivered" : "Started";
+  } else if (result) {
+    text = `Order is already ${result.order.status}`;
+  }
+
+  await api.call("answerCallbackQuery", { callback_query_id: query.id, text });
+  if (result && query.message) {
+    try {
+      await api.call("editMessageReplyMarkup", {
+        chat_id: query.message.chat.id,
+        message_id: query.message.message_id,
+        reply_markup: buttonsFor(result.order),
+      });
+    } catch (err) {
+      console.warn("Telegram: could not update buttons:", err.message);
+    }
+  }
+}
+
+module.exports = {
+  EVENTS,
+  SECRETS,
+  validate,
+  deliver,
+  registerWebhook,
+  isFromTelegram,
+  handleUpdate,
+};
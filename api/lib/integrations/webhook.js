@@ -0,0 +1,59 @@
+// lib/integrations/webhook.js — POST every event to a URL, signed with HMAC-SHA256
+//
+//   { type: "webhook", url: "https://hooks.example.com/saf", secret: "…" }
+// The body is the event as JSON: { id, type, company, at, data: { order, ... } }.
+// Headers:
+//   X-SAF-Event       event type
+//   X-SAF-Delivery    event id (the same on every retry, for de-duplication)
+//   X-SAF-Timestamp   unix seconds
+//   X-SAF-Signature   "sha256=" + hex HMAC of "<timestamp>.<body>" with the secret
+// Any 2xx response counts as delivered; everything else is retried.
+const crypto = require("crypto");
+const { requestJson } = require("../httpClient");
+
+const SECRETS = ["secret"];
+const MIN_SECRET_LENGTH = 16;
+
+function validate(input, companyId, existing) {
+  const url = String(input.url || "").trim();
+  if (!/^https?:\/\/\S+$/i.test(url)) {
+    return { error: "url must be an http(s) URL" };
+  }
+  // the secret isn't sent back by GET, so an unchanged webhook keeps its old one
+  const secret =
+    input.secret !== undefined
+      ? String(input.secret)
+      : (existing && existing.secret) || "";
+  if (secret.length < MIN_SECRET_LENGTH) {
+    return {
+      error: `secret must be at least ${MIN_SECRET_LENGTH} characters`,
+    };
+  }
+  return { config: { url, secret } };
+}
+
+function sign(secret, timestamp, body) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+}
+
+async function deliver(event, { url, secret }) {
+  const body = JSON.stringify(event);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const res = await requestJson("POST", url, {
+    body,
+    headers: {
+      "X-SAF-Event": event.type,
+      "X-SAF-Delivery": event.id,
+      "X-SAF-Timestamp": String(timestamp),
+      "X-SAF-Signature": `sha256=${sign(secret, timestamp, body)}`,
+    },
+  });
+  if (res.status < 200 || res.status >= 300) {
+    throw new Error(`${url} responded ${res.status}`);
+  }
+}
+
+module.exports = { SECRETS, validate, deliver, sign };
@@ -0,0 +1,268 @@
+// lib/itemOptions.js — option groups on menu items (size, sugar level, milk type, …)
+//
+// A menu item may list option groups:
+//   options: [{ id: "sugar", name: "Sugar", required: true, multiple: false,
+//               choices: [{ id: "0", name: "No sugar" }, { id: "1", name: "1 spoon" }],
+//               default: "1" }]
+// Choices may be given as plain names and ids may be left out; they are derived from the
+// names when the menu is saved. Orders send the picks on each itemsDetailed line as
+// { "<group id>": "<choice id>" } (an array of choice ids for `multiple` groups), and
+// applyOrderOptions() checks them against the menu and stores them on the line as
+//   options: [{ group, groupName, choice, choiceName }]
+// so dashboards, exports and stats can show them without the menu.
+const { localeText } = require("./menuLocale");
+
+const slug = (value) =>
+  String(value)
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+const isNonEmptyString = (v) => typeof v === "string" && v.trim() !== "";
+
+function normalizeChoices(choices, label) {
+  if (!Array.isArray(choices) || !choices.length) {
+    return { error: `${label} needs at least one choice` };
+  }
+  const normalized = [];
+  for (const [i, raw] of choices.entries()) {
+    const choice = typeof raw === "string" ? { name: raw } : raw || {};
+    if (!isNonEmptyString(choice.name)) {
+      return { error: `${label}: every choice needs a name` };
+    }
+    const name = choice.name.trim();
+    const id =
+      (isNonEmptyString(choice.id) && choice.id.trim()) ||
+      slug(name) ||
+      String(i + 1);
+    if (normalized.some((c) => c.id === id)) {
+      return { error: `${label}: choice "${id}" is listed twice` };
+    }
+    normalized.push({ id, name });
+  }
+  return { choices: normalized };
+}
+
+// Check and normalize one item's option groups. Returns { groups } or { error }.
+function normalizeGroups(options, itemName) {
+  if (options === undefined || options === null) return { groups: [] };
+  if (!Array.isArray(options)) {
+    return { error: `Options of "${itemName}" must be a list of groups` };
+  }
+  const groups = [];
+  for (const [i, raw] of options.entries()) {
+    const group = raw || {};
+    if (!isNonEmptyString(group.name)) {
+      return { error: `Every option group of "${itemName}" needs a name` };
+    }
+    const name = group.name.trim();
+    const id =
+      (isNonEmptyString(group.id) && group.id.trim()) ||
+      slug(name) ||
+      `option-${i + 1}`;
+    const label = `"${itemName}" option "${name}"`;
+    if (groups.some((g) => g.id === id)) {
+      return { error: `"${itemName}" has two option groups "${id}"` };
+    }
+    const { choices, error } = normalizeChoices(group.choices, label);
+    if (error) return { error };
+
+    const normalized = {
+      id,
+      name,
+      required: group.required === true,
+      multiple: group.multiple === true,
+      choices,
+    };
+    if (group.default !== undefined && group.default !== null) {
+      const match = findChoice(choices, group.default);
+      if (!match) {
+        return { error: `${label}: default "${group.default}" isn't a choice` };
+      }
+      normalized.default = match.id;
+    }
+    groups.push(normalized);
+  }
+  return { groups };
+}
+
+function findChoice(choices, value) {
+  const v = String(value).trim();
+  return choices.find((c) => c.id === v) || choices.find((c) => c.name === v);
+}
+
+/**
+ * Normalize the option groups of every item in a menu ({ catKey: { items } }), in place.
+ * Returns { error } for the first invalid group, else {}.
+ */
+function checkMenuOptions(menu) {
+  for (const cat of Object.values(menu || {})) {
+    for (const item of (cat && cat.items) || []) {
+      if (!item || item.options === undefined) continue;
+      const { groups, error } = normalizeGroups(
+        item.options,
+        localeText(item.name) || item.id
+      );
+      if (error) return { error };
+      if (groups.length) item.options = groups;
+      else delete item.options;
+    }
+  }
+  return {};
+}
+
+function pickedValues(raw) {
+  if (raw === undefined || raw === null || raw === "") return [];
+  return (Array.isArray(raw) ? raw : [raw]).filter(
+    (v) => v !== null && v !== ""
+  );
+}
+
+// Resolve the picks of one order line against the item's groups
+function resolveLine(line, item) {
+  const groups = item.options || [];
+  const picks = line.options === undefined ? {} : line.options;
+  if (!picks || typeof picks !== "object" || Array.isArray(picks)) {
+    return {
+      error: `Options for "${localeText(item.name)}" must be an object`,
+    };
+  }
+  for (const key of Object.keys(picks)) {
+    if (!groups.some((g) => g.id === key)) {
+      return { error: `"${localeText(item.name)}" has no option "${key}"` };
+    }
+  }
+
+  const resolved = [];
+  for (const group of groups) {
+    let values = pickedValues(picks[group.id]);
+    if (!values.length && group.default !== undefined) values = [group.default];
+    if (!values.length && group.required) {
+      return { error: `Choose ${group.name} for "${localeText(item.name)}"` };
+    }
+    if (values.length > 1 && !group.multiple) {
+      return {
+        error: `Choose one ${group.name} for "${localeText(item.name)}"`,
+      };
+    }
+    for (const value of values) {
+      const choice = findChoice(group.choices, value);
+      if (!choice) {
+        return {
+          error: `"${value}" isn't a ${group.name} choice for "${localeText(
+            item.name
+          )}"`,
+        };
+      }
+      if (resolved.some((o) => o.group === group.id && o.choice === choice.id))
+        continue;
+      resolved.push({
+        group: group.id,
+        groupName: group.name,
+        choice: choice.id,
+        choiceName: choice.name,
+      });
+    }
+  }
+  return { options: resolved };
+}
+
+/**
+ * Check the options picked on each itemsDetailed line of a new order against the menu and
+ * replace them with the resolved [{ group, groupName, choice, choiceName }] (in place).
+ * Returns { error } (message for a 400 response) or {}.
+ */
+function applyOrderOptions(order, menu) {
+  if (!Array.isArray(order.itemsDetailed)) return {};
+  const items = {};
+  for (const cat of Object.values(menu || {})) {
+    for (const item of (cat && cat.items) || []) {
+      if (item && item.id) items[item.id] = item;
+    }
+  }
+
+  for (const line of order.itemsDetailed) {
+    if (!line || typeof line !== "object") continue;
+    const item = line.id !== undefined ? items[String(line.id)] : undefined;
+    if (line.id !== undefined && !item) {
+      return { error: `"${line.id}" is not on the menu` };
+    }
+    if (!item || !(item.options || []).length) {
+      const picks = line.options;
+      if (picks && typeof picks === "object" && Object.keys(picks).length) {
+        const name = (item && localeText(item.name)) || line.name || line.id;
+        return { error: `"${name}" has no options` };
+      }
+      delete line.options;
+      continue;
+    }
+    const { options, error } = resolveLine(line, item);
+    if (error) return { error };
+    line.options = options;
+  }
+  return {};
+}
+
+// "Sugar: 1 spoon, Extras: Honey + Lemon" for a line's resolved options
+function describeOptions(options) {
+  const byGroup = new Map();
+  for (const o of Array.isArray(options) ? options : []) {
+    if (!byGroup.has(o.groupName)) byGroup.set(o.groupName, []);
+    byGroup.get(o.groupName).push(o.choiceName);
+  }
+  return [...byGroup]
+    .map(([group, choices]) => `${group}: ${choices.join(" + ")}`)
+    .join(", ");
+}
+
+// "Espresso ×2 (Sugar: 1 spoon)" for an order line { name, quantity, options }
+function describeLine(line) {
+  const options = describeOptions(line.options);
+  return `${line.name}${line.quantity > 1 ? ` ×${line.quantity}` : ""}${
+    options ? ` (${options})` : ""
+  }`;
+}
+
+// Option groups as text, the way the menu editor and the menu CSV show them: one group
+// per line (or separated by ";") as "Name | required, multiple | choice, choice | default"
+function optionsToText(groups, separator = "\n") {
+  return (groups || [])
+    .map((g) => {
+      const flags = [g.required ? "required" : "optional"];
+      if (g.multiple) flags.push("multiple");
+      const choices = (g.choices || []).map((c) => c.name || c);
+      const fallback = (g.choices || []).find((c) => c.id === g.default);
+      return [g.name, flags.join(", "), choices.join(", ")]
+        .concat(fallback ? [fallback.name] : [])
+        .join(" | ");
+    })
+    .join(separator);
+}
+
+// The reverse of optionsToText(); the groups still go through checkMenuOptions()
+function optionsFromText(text) {
+  return String(text || "")
+    .split(/[;\n]/)
+    .map((line) => line.split("|").map((p) => p.trim()))
+    .filter(([name]) => name)
+    .map(([name, flags = "", choices = "", fallback]) => ({
+      name,
+      required: /required/i.test(flags),
+      multiple: /multiple/i.test(flags),
+      choices: choices
+        .split(",")
+        .map((c) => c.trim())
+        .filter(Boolean),
+      ...(fallback && { default: fallback }),
+    }));
+}
+
+module.exports = {
+  checkMenuOptions,
+  applyOrderOptions,
+  describeOptions,
+  describeLine,
+  optionsToText,
+  optionsFromText,
+};
@@ -0,0 +1,70 @@
+// lib/loginThrottle.js — slow down password guessing on POST /api/auth/login
+//
+// Failed logins are counted per account (company + username) and per client IP. After
+// LOGIN_MAX_ATTEMPTS failures for an account (default 5), or LOGIN_MAX_ATTEMPTS_PER_IP
+// from one address (default 20, higher since an office may share one), further attempts
+// are refused with a 429 for 30 s, doubling with every further failure up to 15 minutes.
+// A successful login clears the account's count; counts are forgotten 15 minutes after
+// the last failure. Kept in memory, so a restart starts over.
+const FIRST_LOCK_MS = 30 * 1000;
+const MAX_LOCK_MS = 15 * 60 * 1000;
+const FORGET_AFTER_MS = 15 * 60 * 1000;
+
+const failures = new Map(); // key -> { count, lastAt, lockedUntil }
+
+function limit(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+function keysFor(ip, company, username) {
+  return [
+    [`user:${company}/${username}`, limit("LOGIN_MAX_ATTEMPTS", 5)],
+    [`ip:${ip}`, limit("LOGIN_MAX_ATTEMPTS_PER_IP", 20)],
+  ];
+}
+
+function forgetOld(now) {
+  for (const [key, entry] of failures) {
+    if (now - entry.lastAt > FORGET_AFTER_MS && entry.lockedUntil <= now) {
+      failures.delete(key);
+    }
+  }
+}
+
+// Milliseconds until this client may try again for the account, or 0
+function retryAfterMs(ip, company, username, now = Date.now()) {
+  forgetOld(now);
+  let wait = 0;
+  for (const [key] of keysFor(ip, company, username)) {
+    const entry = failures.get(key);
+    if (entry) wait = Math.max(wait, entry.lockedUntil - now);
+  }
+  return wait;
+}
+
+function recordFailure(ip, company, username, now = Date.now()) {
+  for (const [key, max] of keysFor(ip, company, username)) {
+    const entry = failures.get(key) || {
+      count: 0,
+      lastAt: now,
+      lockedUntil: 0,
+    };
+    entry.count += 1;
+    entry.lastAt = now;
+    if (entry.count >= max) {
+      const lockMs = Math.min(
+        FIRST_LOCK_MS * 2 ** (entry.count - max),
+        MAX_LOCK_MS
+      );
+      entry.lockedUntil = now + lockMs;
+    }
+    failures.set(key, entry);
+  }
+}
+
+function recordSuccess(ip, company, username) {
+  failures.delete(keysFor(ip, company, username)[0][0]);
+}
+
+module.exports = { retryAfterMs, recordFailure, recordSuccess };
@@ -0,0 +1,206 @@
+// lib/menuImages.js — menu item images: checked, resized, thumbnailed, garbage-collected
+//
+// Uploads (POST /api/menu/images) are identified by their magic bytes (JPEG, PNG, WebP,
+// GIF; the declared MIME type isn't trusted), re-encoded as WebP with metadata stripped,
+// scaled down to MENU_IMAGE_MAX_SIDE px (default 1200) and given square thumbnails for the
+// menu grid:
+//   uploads/menus/<company>/<hash>.webp, <hash>-320.webp, <hash>-96.webp
+// The file name is a hash of the upload, so the same picture is only stored once.
+// Files that no menu version refers to any more (any company's, since menus may share
+// images) are removed by collectOrphanImages() once they are older than
+// MENU_IMAGE_GRACE_HOURS (default 24), so an image uploaded for a menu that hasn't been
+// saved yet survives. Only files named like the ones saved here are ever removed; images
+// put in uploads/menus by hand (the shipped company pictures) are left alone.
+const crypto = require("crypto");
+const fs = require("fs").promises;
+const path = require("path");
+const sharp = require("sharp");
+const { allMenus } = require("./menuRevisions");
+const { localeText } = require("./menuLocale");
+
+const MAX_UPLOAD_BYTES =
+  (parseFloat(process.env.MENU_IMAGE_MAX_MB) || 5) * 1024 * 1024;
+const MAX_SIDE = parseInt(process.env.MENU_IMAGE_MAX_SIDE, 10) || 1200;
+const THUMBNAIL_SIZES = [320, 96];
+const MAX_INPUT_PIXELS = 50 * 1000 * 1000;
+const GRACE_HOURS = parseFloat(process.env.MENU_IMAGE_GRACE_HOURS);
+const GRACE_MS =
+  (Number.isFinite(GRACE_HOURS) ? GRACE_HOURS : 24) * 60 * 60 * 1000;
+// <hash>.webp and its <hash>-<size>.webp thumbnails, as saveMenuImage() names them
+const GENERATED_FILE = /^[0-9a-f]{20}(-\d+)?\.webp$/;
+
+const SIGNATURES = [
+  { type: "jpeg", bytes: [0xff, 0xd8, 0xff] },
+  { type: "png", bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { type: "gif", bytes: [0x47, 0x49, 0x46, 0x38] }, // GIF8(7|9)a
+];
+
+// Image type from the first bytes of the file, or null
+function sniffImageType(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+  for (const { type, bytes } of SIGNATURES) {
+    if (bytes.every((b, i) => buffer[i] === b)) return type;
+  }
+  if (
+    buffer.toString("ascii", 0, 4) === "RIFF" &&
+    buffer.toString("ascii", 8, 12) === "WEBP"
+  ) {
+    return "webp";
+  }
+  return null;
+}
+
+const publicUrl = (companyId, file) =>
+  `/uploads/menus/${encodeURIComponent(companyId)}/${encodeURIComponent(file)}`;
+
+/**
+ * Check and store one uploaded image for `companyId`.
+ * Resolves to { image, thumbnails: { 320: url, 96: url }, width, height }, or { error }
+ * (message for a 400 response) when the file isn't a usable image.
+ */
+async function saveMenuImage(uploadsDir, companyId, buffer) {
+  if (!sniffImageType(buffer)) {
+    return { error: "Only JPEG, PNG, WebP or GIF images can be uploaded" };
+  }
+  if (buffer.length > MAX_UPLOAD_BYTES) {
+    return {
+      error: `Images can be at most ${MAX_UPLOAD_BYTES / 1024 / 1024} MB`,
+    };
+  }
+
+  let main;
+  try {
+    // rotate() applies the EXIF orientation before metadata is dropped
+    main = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+      .rotate()
+      .resize(MAX_SIDE, MAX_SIDE, { fit: "inside", withoutEnlargement: true })
+      .webp({ quality: 82 })
+      .toBuffer({ resolveWithObject: true });
+  } catch (err) {
+    return { error: `Could not read the image (${err.message})` };
+  }
+
+  const hash = crypto
+    .createHash("sha256")
+    .update(buffer)
+    .digest("hex")
+    .slice(0, 20);
+  const dir = path.join(uploadsDir, "menus", companyId);
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(path.join(dir, `${hash}.webp`), main.data);
+
+  const thumbnails = {};
+  for (const size of THUMBNAIL_SIZES) {
+    const file = `${hash}-${size}.webp`;
+    await sharp(main.data)
+      .resize(size, size, { fit: "cover" })
+      .webp({ quality: 78 })
+      .toFile(path.join(dir, file));
+    thumbnails[size] = publicUrl(companyId, file);
+  }
+
+  return {
+    image: publicUrl(companyId, `${hash}.webp`),
+    thumbnails,
+    width: main.info.width,
+    height: main.info.height,
+  };
+}
+
+/**
+ * Store the base64 `imageData` data URLs older editors put on menu items through the same
+ * checks, replacing them with `image` / `thumbnails` (mutates `menu`).
+ * Resolves to { error } for the first unusable image, else {}.
+ */
+async function importInlineImages(uploadsDir, companyId, menu) {
+  for (const cat of Object.values(menu || {})) {
+    for (const item of (cat && cat.items) || []) {
+      if (typeof item.imageData !== "string") continue;
+      const match = item.imageData.match(/^data:[^;,]*;base64,(.+)$/);
+      delete item.imageData;
+      if (!match) continue;
+      const saved = await saveMenuImage(
+        uploadsDir,
+        companyId,
+        Buffer.from(match[1], "base64")
+      );
+      if (saved.error) {
+        return {
+          error: `${localeText(item.name) || item.id}: ${saved.error}`,
+        };
+      }
+      item.image = saved.image;
+      item.thumbnails = saved.thumbnails;
+    }
+  }
+  return {};
+}
+
+// Every menu that may still point at an image: each company's live menu, its kept
+// revisions and its draft (lib/menuRevisions.js)
+async function menusInUse(storage) {
+  const ids = new Set(["default", ...(await storage.listCompanies())]);
+  const menus = [];
+  for (const id of ids) {
+    const menu = await storage.getDoc(id, "menu");
+    if (menu) menus.push(menu);
+    menus.push(...allMenus(await storage.getDoc(id, "menuRevisions")));
+  }
+  return menus;
+}
+
+// "/uploads/menus/<company>/<file>" strings anywhere in the menus, as "<company>/<file>"
+function referencedFiles(menus) {
+  const files = new Set();
+  const walk = (value) => {
+    if (typeof value === "string") {
+      const m = value.match(/^\/uploads\/menus\/([^/?#]+)\/([^/?#]+)/);
+      if (m) {
+        files.add(`${decodeURIComponent(m[1])}/${decodeURIComponent(m[2])}`);
+      }
+    } else if (value && typeof value === "object") {
+      Object.values(value).forEach(walk);
+    }
+  };
+  walk(menus);
+  return files;
+}
+
+/**
+ * Delete uploaded images under uploads/menus that no menu refers to and that are older
+ * than the grace period. Resolves to the removed "<company>/<file>" names (what would be removed,
+ * with `dryRun`).
+ */
+async function collectOrphanImages(
+  uploadsDir,
+  menus,
+  { dryRun = false, graceMs = GRACE_MS, now = Date.now() } = {}
+) {
+  const referenced = referencedFiles(menus);
+  const root = path.join(uploadsDir, "menus");
+  const removed = [];
+  const companies = await fs
+    .readdir(root, { withFileTypes: true })
+    .catch(() => []);
+  for (const dir of companies.filter((d) => d.isDirectory())) {
+    for (const file of await fs.readdir(path.join(root, dir.name))) {
+      const name = `${dir.name}/${file}`;
+      if (!GENERATED_FILE.test(file) || referenced.has(name)) continue;
+      const filePath = path.join(root, dir.name, file);
+      const stat = await fs.stat(filePath);
+      if (!stat.isFile() || now - stat.mtimeMs < graceMs) continue;
+      if (!dryRun) await fs.unlink(filePath);
+      removed.push(name);
+    }
+  }
+  return removed;
+}
+
+module.exports = {
+  MAX_UPLOAD_BYTES,
+  sniffImageType,
+  saveMenuImage,
+  importInlineImages,
+  menusInUse,
+  collectOrphanImages,
+};
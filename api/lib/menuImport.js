@@ -0,0 +1,292 @@
+// lib/menuImport.js — menus to and from spreadsheets, and what an import would change
+//
+// The CSV has one row per item:
+//   Category, Category Name (EN), Category Name (AR), Category Description (EN),
+//   Category Description (AR), Item ID, Name (EN), Name (AR), Value, Image, Options
+// Rows of the same Category key form one category, in the order they appear. Options use
+// the editor's text format (lib/itemOptions.js), groups separated by ";". Category icons
+// and image thumbnails aren't in the sheet; they are kept from the current menu.
+// Sheets from before locales (one Name / Category Name / Category Description column)
+// are still read; those cells are stored as they are.
+// diffMenus() compares two menus item by item for the import preview.
+const { optionsToText, optionsFromText } = require("./itemOptions");
+const { localeMap, localeText } = require("./menuLocale");
+
+const COLUMNS = [
+  ["Category", "category"],
+  ["Category Name (EN)", "categoryNameEn"],
+  ["Category Name (AR)", "categoryNameAr"],
+  ["Category Description (EN)", "categoryDescEn"],
+  ["Category Description (AR)", "categoryDescAr"],
+  ["Item ID", "id"],
+  ["Name (EN)", "nameEn"],
+  ["Name (AR)", "nameAr"],
+  ["Value", "value"],
+  ["Image", "image"],
+  ["Options", "options"],
+];
+const SINGLE_LANGUAGE_COLUMNS = [
+  ["Category Name", "categoryName"],
+  ["Category Description", "categoryDesc"],
+  ["Name", "name"],
+];
+const REQUIRED_COLUMNS = [["category"], ["id"], ["nameEn", "nameAr", "name"]];
+
+// The menu as an export table (see lib/export.js)
+function menuTable(menu) {
+  const rows = [];
+  for (const [key, cat] of Object.entries(menu || {})) {
+    const catName = localeMap(cat && cat.name);
+    const catDesc = localeMap(cat && cat.desc);
+    for (const item of (cat && cat.items) || []) {
+      const name = localeMap(item.name);
+      rows.push([
+        key,
+        catName.en || "",
+        catName.ar || "",
+        catDesc.en || "",
+        catDesc.ar || "",
+        item.id,
+        name.en || "",
+        name.ar || "",
+        item.value || "",
+        item.image || "",
+        optionsToText(item.options, "; "),
+      ]);
+    }
+  }
+  return { name: "Menu", columns: COLUMNS.map(([label]) => label), rows };
+}
+
+// RFC 4180 CSV (quoted cells, "" escapes, CRLF or LF) into rows of cells
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  const input = String(text).replace(/^\uFEFF/, "");
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && input[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== "" || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+}
+
+// Undo the ' that lib/export.js puts before cells starting with = + - @
+const cellText = (value) =>
+  (value || "").replace(/^'(?=[=+\-@\t\r])/, "").trim();
+
+const columnKey = (header) => {
+  const wanted = String(header)
+    .toLowerCase()
+    .replace(/[^a-z]/g, "");
+  const match = [...COLUMNS, ...SINGLE_LANGUAGE_COLUMNS].find(
+    ([label, key]) =>
+      label.toLowerCase().replace(/[^a-z]/g, "") === wanted ||
+      key.toLowerCase() === wanted
+  );
+  return match ? match[1] : null;
+};
+
+// { en, ar } from the "<key>En" / "<key>Ar" cells of a row, else the single-language
+// "<key>" cell (or undefined when all are empty)
+function rowText(row, key) {
+  const text = {};
+  if (row[`${key}En`]) text.en = row[`${key}En`];
+  if (row[`${key}Ar`]) text.ar = row[`${key}Ar`];
+  return Object.keys(text).length ? text : row[key] || undefined;
+}
+
+// The sheet only has names: reuse the ids the current item's groups and choices have, so
+// orders and stats keep matching them
+function keepOptionIds(groups, current) {
+  return groups.map((group) => {
+    const old = (current || []).find((g) => g.name === group.name);
+    if (!old) return group;
+    return {
+      ...group,
+      id: old.id,
+      choices: group.choices.map((name) => {
+        const choice = old.choices.find((c) => c.name === name);
+        return choice ? { id: choice.id, name } : name;
+      }),
+    };
+  });
+}
+
+/**
+ * Build a menu from CSV text. `current` (the live menu) supplies category icons and the
+ * thumbnails of unchanged images.
+ * Returns { menu, rows: { "<field path>": row number } } or { errors: [{ field, message }] }.
+ */
+function menuFromCsv(text, current = {}) {
+  const table = parseCsv(text);
+  const header = (table.shift() || []).map(columnKey);
+  const missing = REQUIRED_COLUMNS.filter(
+    (keys) => !keys.some((key) => header.includes(key))
+  );
+  if (missing.length) {
+    const labels = missing.map(
+      (keys) => COLUMNS.find((c) => c[1] === keys[0])[0]
+    );
+    return {
+      errors: [
+        { field: "", message: `Missing column(s): ${labels.join(", ")}` },
+      ],
+    };
+  }
+
+  const menu = {};
+  const rows = {};
+  const currentItems = {};
+  for (const cat of Object.values(current || {})) {
+    for (const item of (cat && cat.items) || []) currentItems[item.id] = item;
+  }
+
+  table.forEach((cells, i) => {
+    const row = {};
+    header.forEach((key, col) => {
+      if (key) row[key] = cellText(cells[col]);
+    });
+    if (!Object.values(row).some(Boolean)) return; // blank line
+    const rowNumber = i + 2; // 1-based, after the header
+
+    const key = row.category;
+    const known = (current && current[key]) || {};
+    const categoryName = rowText(row, "categoryName");
+    const categoryDesc = rowText(row, "categoryDesc");
+    if (!menu[key]) {
+      menu[key] = { name: categoryName || known.name || "", items: [] };
+      const desc = categoryDesc || known.desc;
+      if (desc) menu[key].desc = desc;
+      if (known.icon) menu[key].icon = known.icon;
+      rows[key] = rowNumber;
+    } else {
+      if (!menu[key].name && categoryName) menu[key].name = categoryName;
+      if (!menu[key].desc && categoryDesc) menu[key].desc = categoryDesc;
+    }
+
+    const item = { id: row.id, name: rowText(row, "name") || "" };
+    if (row.value) item.value = row.value;
+    if (row.image) {
+      item.image = row.image;
+      const before = currentItems[row.id];
+      if (before && before.image === row.image && before.thumbnails) {
+        item.thumbnails = before.thumbnails;
+      }
+    }
+    if (row.options) {
+      const before = currentItems[row.id];
+      item.options = keepOptionIds(
+        optionsFromText(row.options),
+        before && before.options
+      );
+    }
+    rows[`${key}.items[${menu[key].items.length}]`] = rowNumber;
+    menu[key].items.push(item);
+  });
+  return { menu, rows };
+}
+
+// Add the CSV row number to each { field } error, where the field came from a row
+function withRows(errors, rows) {
+  return errors.map((err) => {
+    const path = Object.keys(rows || {})
+      .filter((p) => err.field === p || err.field.startsWith(`${p}.`))
+      .sort((a, b) => b.length - a.length)[0];
+    return path ? { ...err, row: rows[path] } : err;
+  });
+}
+
+function itemsById(menu) {
+  const items = new Map();
+  for (const [category, cat] of Object.entries(menu || {})) {
+    for (const item of (cat && cat.items) || []) {
+      if (item && item.id) items.set(item.id, { category, item });
+    }
+  }
+  return items;
+}
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+// "Tea", { en: "Tea" } and "شاي | Tea" vs { en: "Tea", ar: "شاي" } are the same text
+const sameText = (a, b) => same(localeMap(a), localeMap(b));
+const ITEM_FIELDS_IGNORED = ["thumbnails", "available", "stock"];
+
+/**
+ * What changes when `after` replaces `before`:
+ * { categories: { added, removed, changed }, items: { added, removed, changed },
+ *   unchanged } — items as { id, name, category }, changed ones with `fields`.
+ */
+function diffMenus(before, after) {
+  const categories = { added: [], removed: [], changed: [] };
+  for (const [key, cat] of Object.entries(after || {})) {
+    const old = (before || {})[key];
+    const entry = { key, name: localeText(cat.name) };
+    if (!old) categories.added.push(entry);
+    else if (!sameText(old.name, cat.name) || !sameText(old.desc, cat.desc)) {
+      categories.changed.push(entry);
+    }
+  }
+  for (const [key, cat] of Object.entries(before || {})) {
+    if (!(after || {})[key]) {
+      categories.removed.push({ key, name: localeText(cat.name) });
+    }
+  }
+
+  const items = { added: [], removed: [], changed: [] };
+  let unchanged = 0;
+  const oldItems = itemsById(before);
+  const newItems = itemsById(after);
+  for (const [id, { category, item }] of newItems) {
+    const old = oldItems.get(id);
+    const entry = { id, name: localeText(item.name), category };
+    if (!old) {
+      items.added.push(entry);
+      continue;
+    }
+    const fields = [
+      ...new Set([...Object.keys(old.item), ...Object.keys(item)]),
+    ].filter(
+      (f) =>
+        !ITEM_FIELDS_IGNORED.includes(f) &&
+        !(f === "name" ? sameText : same)(old.item[f], item[f])
+    );
+    if (old.category !== category) fields.push("category");
+    if (fields.length) items.changed.push({ ...entry, fields });
+    else unchanged++;
+  }
+  for (const [id, { category, item }] of oldItems) {
+    if (!newItems.has(id))
+      items.removed.push({ id, name: localeText(item.name), category });
+  }
+  return { categories, items, unchanged };
+}
+
+module.exports = { menuTable, menuFromCsv, withRows, diffMenus };
@@ -0,0 +1,109 @@
+// lib/menuLocale.js — Arabic and English text on menus
+//
+// An item's or category's `name` (and a category's `desc`) is either one text or a text
+// per locale:
+//   { "id": "red-tea", "name": { "en": "Red Tea", "ar": "شاي أحمر" } }
+// Menus from before locales wrote both in one string, "شاي أحمر | Red Tea"; localeMap()
+// splits those by script, so they keep working until the menu is saved again.
+// GET /api/menu?lang=ar resolves every such field to one string for the page (falling back
+// to the other locale) and keeps the full map next to it as `names` / `descs`. Order lines
+// get the `names` of their menu item, so dashboards can show them in their own language.
+
+const LOCALES = ["en", "ar"];
+const DEFAULT_LOCALE = "en";
+const ARABIC = /[\u0600-\u06FF\u0750-\u077F\uFB50-\uFDFF\uFE70-\uFEFC]/;
+
+const isObject = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+
+/**
+ * { en, ar } for a menu text: a locale map as is (blank entries dropped), a legacy
+ * "عربي | English" string split in two, any other string under the locale of its script.
+ */
+function localeMap(value) {
+  if (isObject(value)) {
+    const out = {};
+    for (const lang of LOCALES) {
+      if (typeof value[lang] === "string" && value[lang].trim()) {
+        out[lang] = value[lang].trim();
+      }
+    }
+    return out;
+  }
+  if (typeof value !== "string" || !value.trim()) return {};
+  const parts = value.split(/\s+\|\s+/).map((p) => p.trim());
+  if (parts.length === 2) {
+    const ar = parts.findIndex((p) => ARABIC.test(p));
+    const en = parts.findIndex((p) => p && !ARABIC.test(p));
+    if (ar !== -1 && en !== -1) return { en: parts[en], ar: parts[ar] };
+  }
+  return ARABIC.test(value) ? { ar: value.trim() } : { en: value.trim() };
+}
+
+// The text of `value` in `lang`, else in the other locale, else ""
+function localeText(value, lang = DEFAULT_LOCALE) {
+  const map = localeMap(value);
+  return map[lang] || map[DEFAULT_LOCALE] || Object.values(map)[0] || "";
+}
+
+/**
+ * A copy of `menu` with category and item names (and category descriptions) as plain
+ * strings in `lang`, plus `names` / `descs` holding every locale.
+ */
+function localizeMenu(menu, lang = DEFAULT_LOCALE) {
+  const out = {};
+  for (const [key, cat] of Object.entries(menu || {})) {
+    if (!isObject(cat)) {
+      out[key] = cat;
+      continue;
+    }
+    const localized = {
+      ...cat,
+      name: localeText(cat.name, lang) || key,
+      names: localeMap(cat.name),
+    };
+    if (cat.desc !== undefined) {
+      localized.desc = localeText(cat.desc, lang);
+      localized.descs = localeMap(cat.desc);
+    }
+    localized.items = (Array.isArray(cat.items) ? cat.items : []).map((item) =>
+      isObject(item)
+        ? {
+            ...item,
+            name: localeText(item.name, lang) || item.id,
+            names: localeMap(item.name),
+          }
+        : item
+    );
+    out[key] = localized;
+  }
+  return out;
+}
+
+/**
+ * Give every itemsDetailed line of `order` the `names` of its menu item (mutates the
+ * order). The menu decides them, not the client.
+ */
+function nameOrderLines(order, menu) {
+  const items = {};
+  for (const cat of Object.values(menu || {})) {
+    for (const item of (cat && cat.items) || []) {
+      if (item && item.id !== undefined) items[String(item.id)] = item;
+    }
+  }
+  for (const line of order.itemsDetailed || []) {
+    if (!line || typeof line !== "object") continue;
+    const item = line.id !== undefined ? items[String(line.id)] : undefined;
+    const names = item ? localeMap(item.name) : {};
+    if (Object.keys(names).length) line.names = names;
+    else delete line.names;
+  }
+}
+
+module.exports = {
+  LOCALES,
+  DEFAULT_LOCALE,
+  localeMap,
+  localeText,
+  localizeMenu,
+  nameOrderLines,
+};
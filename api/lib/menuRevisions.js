@@ -0,0 +1,164 @@
+// lib/menuRevisions.js — menu history, a working draft and scheduled publishing
+//
+// The live menu stays in the "menu" document (what GET /api/menu and the ordering pages
+// read). Its history lives in the "menuRevisions" document:
+//   { live: 3,
+//     revisions: [{ id: 3, at, by, note, menu, publishedAt, publishAt }],
+//     draft: { menu, at, by } | null }
+// A revision is a frozen copy of a menu. Publishing the draft turns it into a new revision
+// and puts that live; a rollback puts an older revision live again. A revision with a
+// `publishAt` time waits for the scheduler (every MENU_SCHEDULE_SECONDS, default 60;
+// 0 disables). New orders record the live revision id as order.menuRevision.
+// The newest MAX_REVISIONS revisions are kept, plus the live and any scheduled one.
+const { withCompanyLock } = require("./writeQueue");
+
+const MAX_REVISIONS = 50;
+
+function checkEveryMs() {
+  const seconds = parseInt(process.env.MENU_SCHEDULE_SECONDS, 10);
+  return (Number.isFinite(seconds) && seconds >= 0 ? seconds : 60) * 1000;
+}
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+// The company's revisions doc. A menu saved before revisions were kept becomes revision 1.
+async function readRevisions(storage, companyId) {
+  const doc = await storage.getDoc(companyId, "menuRevisions");
+  if (doc && Array.isArray(doc.revisions)) {
+    return { live: null, draft: null, ...doc };
+  }
+  const menu = await storage.getDoc(companyId, "menu");
+  return {
+    live: menu ? 1 : null,
+    revisions: menu
+      ? [
+          {
+            id: 1,
+            at: null,
+            by: null,
+            note: "Menu before revisions were kept",
+            menu,
+            publishedAt: null,
+            publishAt: null,
+          },
+        ]
+      : [],
+    draft: null,
+  };
+}
+
+function saveRevisions(storage, companyId, doc) {
+  return storage.putDoc(companyId, "menuRevisions", doc);
+}
+
+const findRevision = (doc, id) =>
+  doc.revisions.find((r) => r.id === Number(id)) || null;
+
+// Every menu the doc holds (revisions and draft), e.g. to find images still in use
+function allMenus(doc) {
+  const menus = ((doc && doc.revisions) || []).map((r) => r.menu);
+  if (doc && doc.draft) menus.push(doc.draft.menu);
+  return menus;
+}
+
+// Freeze `menu` as a new revision (mutates `doc`)
+function addRevision(doc, menu, { by, note }) {
+  const revision = {
+    id: doc.revisions.reduce((max, r) => Math.max(max, r.id), 0) + 1,
+    at: new Date().toISOString(),
+    by: by || null,
+    note: note ? String(note).slice(0, 200) : "",
+    menu: clone(menu),
+    publishedAt: null,
+    publishAt: null,
+  };
+  doc.revisions.push(revision);
+
+  const keep = new Set(
+    doc.revisions
+      .slice(-MAX_REVISIONS)
+      .concat(doc.revisions.filter((r) => r.id === doc.live || r.publishAt))
+      .map((r) => r.id)
+  );
+  doc.revisions = doc.revisions.filter((r) => keep.has(r.id));
+  return revision;
+}
+
+// Put a revision live: the "menu" document and doc.live (mutates `doc`, saves the menu)
+async function publishRevision(storage, companyId, doc, revision) {
+  await storage.putDoc(companyId, "menu", clone(revision.menu));
+  doc.live = revision.id;
+  revision.publishedAt = new Date().toISOString();
+  revision.publishAt = null;
+}
+
+/**
+ * Parse a requested publish time. Returns { at: null } for "now" (missing, or not in the
+ * future), { at: ISO string } to schedule, or { error }.
+ */
+function parsePublishAt(value) {
+  if (value === undefined || value === null || value === "") {
+    return { at: null };
+  }
+  const t = new Date(value).getTime();
+  if (!Number.isFinite(t)) return { error: "publishAt must be a date/time" };
+  return { at: t > Date.now() ? new Date(t).toISOString() : null };
+}
+
+// Revision list for the settings page (without the menus), newest first
+function revisionSummaries(doc) {
+  return doc.revisions
+    .map(({ menu, ...rest }) => ({ ...rest, live: rest.id === doc.live }))
+    .reverse();
+}
+
+// Publish the revisions whose time has come, oldest first, so the latest one ends up live
+function publishDue(storage, companyId) {
+  return withCompanyLock(companyId, async () => {
+    const doc = await readRevisions(storage, companyId);
+    const now = Date.now();
+    const due = doc.revisions
+      .filter((r) => r.publishAt && new Date(r.publishAt).getTime() <= now)
+      .sort((a, b) => new Date(a.publishAt) - new Date(b.publishAt));
+    for (const revision of due) {
+      await publishRevision(storage, companyId, doc, revision);
+    }
+    if (due.length) await saveRevisions(storage, companyId, doc);
+    return due;
+  });
+}
+
+async function publishAllDue(storage) {
+  for (const companyId of await storage.listCompanies()) {
+    try {
+      const published = await publishDue(storage, companyId);
+      for (const revision of published) {
+        console.log(
+          `📋 Scheduled menu revision ${revision.id} published for company=${companyId}`
+        );
+      }
+    } catch (err) {
+      console.error(`Menu schedule failed for company=${companyId}:`, err);
+    }
+  }
+}
+
+// Check now and then every MENU_SCHEDULE_SECONDS; the timer doesn't keep the process alive
+function startMenuScheduler(storage) {
+  const every = checkEveryMs();
+  if (!every) return;
+  publishAllDue(storage);
+  setInterval(() => publishAllDue(storage), every).unref();
+}
+
+module.exports = {
+  readRevisions,
+  saveRevisions,
+  findRevision,
+  allMenus,
+  addRevision,
+  publishRevision,
+  parsePublishAt,
+  revisionSummaries,
+  startMenuScheduler,
+};
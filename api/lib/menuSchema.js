@@ -0,0 +1,168 @@
+// lib/menuSchema.js — what a saved menu must look like
+//
+// A menu is { "<category key>": { name, desc?, icon?, items: [item] } } with
+//   item = { id, name, value?, image?, thumbnails?, options? }
+// `name` and `desc` are text or { en, ar } (lib/menuLocale.js); a name needs at least one.
+// Category keys and item ids end up in element ids and stock/order records, so they are
+// limited to letters, digits, "_" and "-" (a category key starts with a letter), and an
+// item id may appear only once in the whole menu. validateMenu() lists every problem
+// with the path of the field, e.g. { field: "coffee.items[2].name", message }, so the
+// editor and the import preview can point at the exact cell (the same shape as the request
+// errors of lib/validate.js).
+// Option groups are checked separately by lib/itemOptions.js.
+const { LOCALES } = require("./menuLocale");
+
+const CATEGORY_KEY = /^[A-Za-z][A-Za-z0-9_-]{0,63}$/;
+const ITEM_ID = /^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$/;
+const MAX_NAME = 120;
+const MAX_CATEGORIES = 50;
+const MAX_ITEMS = 500;
+
+const isObject = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+const isText = (v) => typeof v === "string" && v.trim() !== "";
+
+function checkName(errors, field, value) {
+  if (isObject(value)) {
+    checkLocales(errors, field, value);
+    if (!LOCALES.some((lang) => isText(value[lang]))) {
+      errors.push({ field, message: "Name is required" });
+    }
+    for (const lang of LOCALES) {
+      if (typeof value[lang] === "string" && value[lang].length > MAX_NAME) {
+        errors.push({
+          field: `${field}.${lang}`,
+          message: `Name is longer than ${MAX_NAME} characters`,
+        });
+      }
+    }
+    return;
+  }
+  if (!isText(value)) errors.push({ field, message: "Name is required" });
+  else if (value.length > MAX_NAME) {
+    errors.push({
+      field,
+      message: `Name is longer than ${MAX_NAME} characters`,
+    });
+  }
+}
+
+// { en, ar }: only known locales, each one text
+function checkLocales(errors, field, value) {
+  for (const [lang, text] of Object.entries(value)) {
+    if (!LOCALES.includes(lang)) {
+      errors.push({
+        field: `${field}.${lang}`,
+        message: `Unknown language (use ${LOCALES.join(", ")})`,
+      });
+    } else if (
+      text !== undefined &&
+      text !== null &&
+      typeof text !== "string"
+    ) {
+      errors.push({ field: `${field}.${lang}`, message: "Must be text" });
+    }
+  }
+}
+
+function checkOptionalString(errors, field, value) {
+  if (value !== undefined && value !== null && typeof value !== "string") {
+    errors.push({ field, message: "Must be text" });
+  }
+}
+
+// A description: text or { en, ar }
+function checkOptionalText(errors, field, value) {
+  if (isObject(value)) checkLocales(errors, field, value);
+  else checkOptionalString(errors, field, value);
+}
+
+function checkItem(errors, path, item, seen) {
+  if (!isObject(item)) {
+    errors.push({ field: path, message: "Item must be an object" });
+    return;
+  }
+  if (!isText(item.id)) {
+    errors.push({ field: `${path}.id`, message: "Item id is required" });
+  } else if (!ITEM_ID.test(item.id)) {
+    errors.push({
+      field: `${path}.id`,
+      message: `"${item.id}" may only use letters, digits, _ and -`,
+    });
+  } else if (seen.has(item.id)) {
+    errors.push({
+      field: `${path}.id`,
+      message: `Item id "${item.id}" is already used by ${seen.get(item.id)}`,
+    });
+  } else {
+    seen.set(item.id, path);
+  }
+  checkName(errors, `${path}.name`, item.name);
+  checkOptionalString(errors, `${path}.value`, item.value);
+  if (item.image !== undefined && item.image !== null && item.image !== "") {
+    if (
+      typeof item.image !== "string" ||
+      !/^(\/|https?:\/\/)/.test(item.image)
+    ) {
+      errors.push({
+        field: `${path}.image`,
+        message: "Image must be an /uploads path or an http(s) URL",
+      });
+    }
+  }
+  if (item.thumbnails !== undefined && !isObject(item.thumbnails)) {
+    errors.push({ field: `${path}.thumbnails`, message: "Must be an object" });
+  }
+}
+
+/**
+ * Check a menu against the schema above.
+ * Returns [{ field, message }] (empty when the menu is fine).
+ */
+function validateMenu(menu) {
+  if (!isObject(menu)) {
+    return [{ field: "", message: "Menu must be an object of categories" }];
+  }
+  const errors = [];
+  const keys = Object.keys(menu);
+  if (keys.length > MAX_CATEGORIES) {
+    errors.push({
+      field: "",
+      message: `A menu can have at most ${MAX_CATEGORIES} categories`,
+    });
+  }
+  const seen = new Map();
+  let itemCount = 0;
+  for (const key of keys) {
+    const cat = menu[key];
+    if (!CATEGORY_KEY.test(key)) {
+      errors.push({
+        field: key,
+        message: `Category key "${key}" must start with a letter and only use letters, digits, _ and -`,
+      });
+    }
+    if (!isObject(cat)) {
+      errors.push({ field: key, message: "Category must be an object" });
+      continue;
+    }
+    checkName(errors, `${key}.name`, cat.name);
+    checkOptionalText(errors, `${key}.desc`, cat.desc);
+    checkOptionalString(errors, `${key}.icon`, cat.icon);
+    if (!Array.isArray(cat.items)) {
+      errors.push({ field: `${key}.items`, message: "Items must be a list" });
+      continue;
+    }
+    itemCount += cat.items.length;
+    cat.items.forEach((item, i) =>
+      checkItem(errors, `${key}.items[${i}]`, item, seen)
+    );
+  }
+  if (itemCount > MAX_ITEMS) {
+    errors.push({
+      field: "",
+      message: `A menu can have at most ${MAX_ITEMS} items`,
+    });
+  }
+  return errors;
+}
+
+module.exports = { validateMenu };
@@ -0,0 +1,70 @@
+// lib/orderArchive.js — move finished orders out of the live set into monthly archives
+//
+// Orders that are completed / cancelled / rejected and haven't changed for
+// ARCHIVE_AFTER_DAYS (default 30, 0 disables) are moved to an archive partition named
+// after the month they were placed in ("2025-01"). GET /api/orders?archived=include
+// still finds them.
+const { withCompanyLock } = require("./writeQueue");
+const { lastChangeOf } = require("./orderQuery");
+
+const FINISHED_STATUSES = ["completed", "cancelled", "rejected"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RUN_EVERY_MS = 60 * 60 * 1000; // hourly
+
+function archiveAfterDays() {
+  const days = parseInt(process.env.ARCHIVE_AFTER_DAYS, 10);
+  return Number.isFinite(days) && days >= 0 ? days : 30;
+}
+
+function archiveMonthOf(order) {
+  const t = new Date(order.timestamp);
+  return (isNaN(t) ? new Date() : t).toISOString().slice(0, 7);
+}
+
+// Archive one company's old finished orders; resolves to the number moved
+async function archiveCompany(storage, companyId, now = Date.now()) {
+  const days = archiveAfterDays();
+  if (!days) return 0;
+  const cutoff = now - days * DAY_MS;
+
+  return withCompanyLock(companyId, async () => {
+    const orders = await storage.listOrders(companyId);
+    const byMonth = {};
+    for (const order of orders) {
+      if (!FINISHED_STATUSES.includes(order.status)) continue;
+      if (lastChangeOf(order) > cutoff) continue;
+      const month = archiveMonthOf(order);
+      (byMonth[month] = byMonth[month] || []).push(order);
+    }
+
+    let moved = 0;
+    for (const [month, batch] of Object.entries(byMonth)) {
+      await storage.archiveOrders(companyId, month, batch);
+      moved += batch.length;
+    }
+    return moved;
+  });
+}
+
+async function archiveAllCompanies(storage) {
+  for (const companyId of await storage.listCompanies()) {
+    try {
+      const moved = await archiveCompany(storage, companyId);
+      if (moved) {
+        console.log(
+          `🗃️  Archived ${moved} old orders for company=${companyId}`
+        );
+      }
+    } catch (err) {
+      console.error(`Archiving failed for company=${companyId}:`, err);
+    }
+  }
+}
+
+// Run once now and then hourly; the timer doesn't keep the process alive
+function startArchiver(storage) {
+  archiveAllCompanies(storage);
+  setInterval(() => archiveAllCompanies(storage), RUN_EVERY_MS).unref();
+}
+
+module.exports = { archiveCompany, archiveAllCompanies, startArchiver };
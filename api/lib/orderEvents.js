@@ -0,0 +1,128 @@
+// lib/orderEvents.js — per-company order event stream (Server-Sent Events)
+//
+// Every order mutation is published here with an increasing id. Dashboards keep one
+// EventSource open per company; on reconnect the browser sends Last-Event-ID and we
+// replay what it missed from a small in-memory buffer, or ask it to resync when the
+// id is too old or comes from before a server restart.
+// Server-side subscribers (integrations, see lib/integrations) register with onPublish.
+// Orders go out without their customer token hashes (lib/orderTokens.js).
+const { withoutTokens } = require("./orderTokens");
+
+const BUFFER_SIZE = 500;
+const HEARTBEAT_MS = 25 * 1000;
+
+// Event ids look like "<boot>-<seq>" so ids from a previous process are never replayed
+const BOOT_ID = Date.now().toString(36);
+
+const channels = new Map(); // companyKey -> { seq, buffer: [], clients: Set }
+const listeners = [];
+
+function channelFor(companyId) {
+  const key = companyId ? String(companyId) : "_global";
+  let ch = channels.get(key);
+  if (!ch) {
+    ch = { seq: 0, buffer: [], clients: new Set() };
+    channels.set(key, ch);
+  }
+  return ch;
+}
+
+function writeEvent(res, event) {
+  res.write(`id: ${event.id}\n`);
+  res.write(`event: ${event.type}\n`);
+  res.write(`data: ${JSON.stringify(event.data)}\n\n`);
+}
+
+// Publish an event to every connected client of the company.
+// `data.order` (when present) is used to scope delivery per session user.
+function publish(companyId, type, data = {}) {
+  if (data.order) data = { ...data, order: withoutTokens(data.order) };
+  const ch = channelFor(companyId);
+  ch.seq += 1;
+  const event = { id: `${BOOT_ID}-${ch.seq}`, seq: ch.seq, type, data };
+
+  ch.buffer.push(event);
+  if (ch.buffer.length > BUFFER_SIZE) ch.buffer.shift();
+
+  for (const client of ch.clients) {
+    if (data.order && !client.canSee(data.order)) continue;
+    try {
+      writeEvent(client.res, event);
+    } catch (err) {
+      console.warn("SSE write failed, dropping client:", err.message || err);
+      ch.clients.delete(client);
+    }
+  }
+  for (const listener of listeners) {
+    try {
+      listener(companyId, type, data);
+    } catch (err) {
+      console.error(`Order event listener failed for ${type}:`, err);
+    }
+  }
+  return event;
+}
+
+// Call `listener(companyId, type, data)` after every publish
+function onPublish(listener) {
+  listeners.push(listener);
+}
+
+// Events after `lastEventId`, or null if the client has to reload everything
+function eventsSince(ch, lastEventId) {
+  const m = String(lastEventId).match(/^([a-z0-9]+)-(\d+)$/);
+  if (!m || m[1] !== BOOT_ID) return null;
+  const seq = parseInt(m[2], 10);
+  if (seq > ch.seq) return null;
+  const oldest = ch.buffer.length ? ch.buffer[0].seq : ch.seq + 1;
+  if (seq < oldest - 1) return null;
+  return ch.buffer.filter((e) => e.seq > seq);
+}
+
+// Start an SSE response with a heartbeat; `onClose` runs when the client goes away
+function openStream(req, res, onClose) {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // don't let nginx buffer the stream
+  });
+  res.flushHeaders();
+  res.write("retry: 3000\n\n");
+
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_MS);
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    if (onClose) onClose();
+  });
+}
+
+// Open an SSE response for `companyId`. `canSee(order)` filters events per user.
+function subscribe(req, res, companyId, canSee = () => true) {
+  const ch = channelFor(companyId);
+  const client = { res, canSee };
+  openStream(req, res, () => ch.clients.delete(client));
+
+  const lastEventId = req.get("Last-Event-ID") || req.query.lastEventId;
+  if (lastEventId) {
+    const missed = eventsSince(ch, lastEventId);
+    if (missed === null) {
+      writeEvent(res, {
+        id: `${BOOT_ID}-${ch.seq}`,
+        type: "resync",
+        data: {},
+      });
+    } else {
+      missed
+        .filter((e) => !e.data.order || canSee(e.data.order))
+        .forEach((e) => writeEvent(res, e));
+    }
+  } else {
+    // tell a fresh client where the stream currently is
+    res.write(`id: ${BOOT_ID}-${ch.seq}\n\n`);
+  }
+
+  ch.clients.add(client);
+}
+
+module.exports = { publish, subscribe, onPublish, openStream };
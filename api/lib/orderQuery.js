@@ -0,0 +1,166 @@
+// lib/orderQuery.js — filters + cursor pagination for GET /api/orders
+//
+//   ?status=pending,in-progress   one or more statuses ("delivered" = completed)
+//   ?desk=12 | 10-20 | 1-5,9       desk number or ranges (same rules as tea-boy scoping)
+//   ?teaboy=Ali                    tea boy name (case-insensitive)
+//   ?from=2025-01-01&to=2025-01-31 placed between (inclusive; a date-only `to` covers that day)
+//   ?tz=Asia/Riyadh                time zone for date-only from/to (default UTC)
+//   ?since=<ISO time>              changed after (status change, edit or rating)
+//   ?limit=50&cursor=<token>       page size (max 500) and the X-Next-Cursor of the previous page
+//   ?archived=include | only       also / only search the monthly archives
+//
+// Results are always newest first.
+const { parseDeskRanges, deskNumberOf, isDeskInRanges } = require("./scope");
+const { normalizeStatus } = require("./orderStatus");
+const { parseBound, isValidTimeZone } = require("./analytics");
+
+const MAX_LIMIT = 500;
+const ARCHIVED_MODES = ["exclude", "include", "only"];
+
+function encodeCursor(order) {
+  return Buffer.from(
+    JSON.stringify([order.timestamp || "", String(order.id)])
+  ).toString("base64url");
+}
+
+function decodeCursor(token) {
+  try {
+    const value = JSON.parse(Buffer.from(token, "base64url").toString("utf8"));
+    if (Array.isArray(value) && value.length === 2) return value.map(String);
+  } catch (_) {}
+  return null;
+}
+
+// Parse req.query; returns { filter } or { error } (message for a 400 response)
+function parseOrderQuery(query = {}) {
+  const filter = { archived: "exclude" };
+
+  if (query.status) {
+    const statuses = String(query.status).split(",").map(normalizeStatus);
+    if (statuses.includes(null)) return { error: "Unknown status filter" };
+    filter.statuses = statuses;
+  }
+  if (query.desk) {
+    const ranges = parseDeskRanges(query.desk);
+    if (!ranges || !ranges.length) return { error: "Invalid desk filter" };
+    filter.deskRanges = ranges;
+  }
+  if (query.teaboy) filter.teaboy = String(query.teaboy).trim().toLowerCase();
+
+  const tz = query.tz ? String(query.tz) : "UTC";
+  if (!isValidTimeZone(tz)) return { error: `Unknown time zone "${tz}"` };
+  for (const [key, endOfDay] of [
+    ["from", false],
+    ["to", true],
+    ["since", false],
+  ]) {
+    if (query[key] === undefined || query[key] === "") continue;
+    const t = parseBound(query[key], tz, endOfDay);
+    if (t === null) return { error: `Invalid date for "${key}"` };
+    filter[key] = t;
+  }
+
+  if (query.limit !== undefined) {
+    const limit = parseInt(query.limit, 10);
+    if (!Number.isFinite(limit) || limit < 1) {
+      return { error: "limit must be a positive number" };
+    }
+    filter.limit = Math.min(limit, MAX_LIMIT);
+  }
+  if (query.cursor) {
+    filter.cursor = decodeCursor(String(query.cursor));
+    if (!filter.cursor) return { error: "Invalid cursor" };
+    if (!filter.limit) filter.limit = MAX_LIMIT;
+  }
+
+  if (query.archived) {
+    if (!ARCHIVED_MODES.includes(query.archived)) {
+      return { error: `archived must be one of ${ARCHIVED_MODES.join(", ")}` };
+    }
+    filter.archived = query.archived;
+  }
+  return { filter };
+}
+
+// Latest change to an order: placed, updated or rated
+function lastChangeOf(order) {
+  return Math.max(
+    ...[
+      order.timestamp,
+      order.updatedAt,
+      order.rating && order.rating.timestamp,
+    ]
+      .map((v) => (v ? new Date(v).getTime() : NaN))
+      .filter(Number.isFinite),
+    0
+  );
+}
+
+function orderMatches(filter, order) {
+  if (filter.statuses && !filter.statuses.includes(order.status)) return false;
+  if (
+    filter.deskRanges &&
+    !isDeskInRanges(deskNumberOf(order), filter.deskRanges)
+  ) {
+    return false;
+  }
+  if (filter.teaboy) {
+    const name = String(order.teaboyName || "")
+      .trim()
+      .toLowerCase();
+    if (name !== filter.teaboy) return false;
+  }
+  if (filter.from !== undefined || filter.to !== undefined) {
+    const t = new Date(order.timestamp).getTime();
+    if (!Number.isFinite(t)) return false;
+    if (filter.from !== undefined && t < filter.from) return false;
+    if (filter.to !== undefined && t > filter.to) return false;
+  }
+  if (filter.since !== undefined && lastChangeOf(order) <= filter.since) {
+    return false;
+  }
+  return true;
+}
+
+// Newest first; ties broken by id so the cursor position is stable
+function compareNewestFirst(a, b) {
+  const ta = String(a.timestamp || "");
+  const tb = String(b.timestamp || "");
+  if (ta !== tb) return ta < tb ? 1 : -1;
+  const ia = String(a.id);
+  const ib = String(b.id);
+  return ia === ib ? 0 : ia < ib ? 1 : -1;
+}
+
+// Sort + apply cursor/limit; returns { orders, nextCursor }
+function paginate(orders, filter) {
+  let sorted = [...orders].sort(compareNewestFirst);
+  if (filter.cursor) {
+    const [timestamp, id] = filter.cursor;
+    sorted = sorted.filter((o) => compareNewestFirst(o, { timestamp, id }) > 0);
+  }
+  if (!filter.limit || sorted.length <= filter.limit) {
+    return { orders: sorted, nextCursor: null };
+  }
+  const page = sorted.slice(0, filter.limit);
+  return { orders: page, nextCursor: encodeCursor(page[page.length - 1]) };
+}
+
+// Archive months ("YYYY-MM") that can hold orders placed inside the filter's from/to
+function monthsInRange(months, filter) {
+  const toMonth = (t) => new Date(t).toISOString().slice(0, 7);
+  return months.filter(
+    (m) =>
+      (filter.from === undefined || m >= toMonth(filter.from)) &&
+      (filter.to === undefined || m <= toMonth(filter.to))
+  );
+}
+
+module.exports = {
+  ARCHIVED_MODES,
+  parseOrderQuery,
+  orderMatches,
+  paginate,
+  monthsInRange,
+  lastChangeOf,
+};
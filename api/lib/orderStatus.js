@@ -0,0 +1,99 @@
+// lib/orderStatus.js — order status state machine + per-order status history
+//
+//   pending → accepted → in-progress → ready → completed (delivered)
+//   pending / accepted → rejected · pending / accepted / in-progress → cancelled
+//
+// A tea boy may skip "accepted" (start straight away) and "ready" (deliver as soon as
+// it's made). "completed" is the stored name for delivered; "delivered" is accepted as input.
+
+const TRANSITIONS = {
+  pending: ["accepted", "in-progress", "cancelled", "rejected"],
+  accepted: ["in-progress", "cancelled", "rejected"],
+  "in-progress": ["ready", "completed", "cancelled"],
+  ready: ["completed"],
+  completed: [],
+  cancelled: [],
+  rejected: [],
+};
+
+const STATUSES = Object.keys(TRANSITIONS);
+
+const ALIASES = { delivered: "completed" };
+
+// Timestamp recorded on the order when it enters each status
+const TIMESTAMP_FIELDS = {
+  accepted: "acceptedAt",
+  "in-progress": "startedAt",
+  ready: "readyAt",
+  completed: "completedAt",
+  cancelled: "cancelledAt",
+  rejected: "rejectedAt",
+};
+
+// "Delivered" -> "completed"; unknown strings -> null
+function normalizeStatus(status) {
+  if (typeof status !== "string") return null;
+  const s = status.trim().toLowerCase();
+  const canonical = ALIASES[s] || s;
+  return STATUSES.includes(canonical) ? canonical : null;
+}
+
+function canTransition(from, to) {
+  const allowed = TRANSITIONS[normalizeStatus(from) || "pending"];
+  return Array.isArray(allowed) && allowed.includes(to);
+}
+
+// Start the history of a freshly created order
+function initHistory(order, by, at = new Date().toISOString()) {
+  order.status = "pending";
+  order.history = [{ status: "pending", at, by: by || null }];
+  return order;
+}
+
+// Move `order` to `to` (already normalized and checked with canTransition)
+function applyTransition(order, to, by, at = new Date().toISOString()) {
+  order.status = to;
+  const field = TIMESTAMP_FIELDS[to];
+  if (field) order[field] = at;
+  if (!Array.isArray(order.history)) order.history = [];
+  order.history.push({ status: to, at, by: by || null });
+  return order;
+}
+
+function minutesBetween(from, to) {
+  const a = from ? new Date(from).getTime() : NaN;
+  const b = to ? new Date(to).getTime() : NaN;
+  if (!Number.isFinite(a) || !Number.isFinite(b) || b < a) return null;
+  return (b - a) / 60000;
+}
+
+// Split an order's lifetime into phases (minutes, null when unknown):
+//   queue:    placed → accepted (or started, if it was never accepted)
+//   prep:     started → ready (or delivered, if it was never marked ready)
+//   delivery: ready → delivered
+// Orders saved before status history existed had startedAt = creation time,
+// so they only report prep (which then includes their queue time).
+function orderPhases(order) {
+  const tracked =
+    Array.isArray(order.history) &&
+    order.history.length > 0 &&
+    order.history[0].status === "pending";
+  return {
+    queue: tracked
+      ? minutesBetween(order.timestamp, order.acceptedAt || order.startedAt)
+      : null,
+    prep: minutesBetween(order.startedAt, order.readyAt || order.completedAt),
+    delivery: minutesBetween(order.readyAt, order.completedAt),
+  };
+}
+
+module.exports = {
+  STATUSES,
+  TRANSITIONS,
+  TIMESTAMP_FIELDS,
+  normalizeStatus,
+  canTransition,
+  initHistory,
+  applyTransition,
+  orderPhases,
+};
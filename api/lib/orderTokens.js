@@ -0,0 +1,36 @@
+// lib/orderTokens.js — secrets handed to the desk that placed an order
+//
+// POST /api/orders answers with a `customerToken` (tracking, cancelling and amending the
+// order: lib/orderTracking.js, lib/customerChanges.js) and a `ratingToken` (rating it once
+// it's delivered: lib/ratings.js). Orders only keep their sha256 hashes
+// (customerTokenHash, ratingTokenHash), so staff screens and exports never hold a usable
+// token; withoutTokens() keeps even those out of API responses and events.
+const crypto = require("crypto");
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
+
+// A fresh token: { token } goes to the desk, { hash } on the order
+function newOrderToken() {
+  const token = crypto.randomBytes(24).toString("hex");
+  return { token, hash: hashToken(token) };
+}
+
+// `order` without the token hashes, for whatever staff screens and other systems are sent
+function withoutTokens(order) {
+  if (!order) return order;
+  const { customerTokenHash, ratingTokenHash, ...rest } = order;
+  return rest;
+}
+
+// Whether `token` is the one `hash` was made from
+function tokenMatches(hash, token) {
+  if (!hash || !token) return false;
+  const given = Buffer.from(hashToken(token));
+  const stored = Buffer.from(String(hash));
+  return (
+    given.length === stored.length && crypto.timingSafeEqual(given, stored)
+  );
+}
+
+module.exports = { newOrderToken, tokenMatches, withoutTokens };
@@ -0,0 +1,185 @@
+// lib/orderTracking.js — what the customer who placed an order may see of it
+//
+// POST /api/orders answers with a `customerToken` (lib/orderTokens.js). The ordering page
+// follows its order with it:
+//   GET /api/orders/:id/track?company=&token=          one snapshot
+//   GET /api/orders/:id/track/stream?company=&token=   SSE, a "tracking" event per change
+// A snapshot has the status, who serves the order, its place among that tea boy's open
+// orders and an ETA from the prep times of recent orders, but nothing about other
+// customers' orders. Streams are refreshed after every order event of the company, from
+// one read of its orders shared by all of the company's streams.
+// `editableUntil` is set while the desk may still cancel or amend it (lib/customerChanges.js).
+const orderEvents = require("./orderEvents");
+const { orderPhases } = require("./orderStatus");
+const { canCustomerChange } = require("./customerChanges");
+const { tokenMatches } = require("./orderTokens");
+
+// waiting for the tea boy, oldest first; "ready" orders are made and only need carrying
+const QUEUED = ["pending", "accepted", "in-progress"];
+const RECENT_ORDERS = 20; // prep times the ETA is based on
+const REFRESH_DELAY_MS = 300; // one refresh for a burst of events
+
+const customerTokenMatches = (order, token) =>
+  !!order && tokenMatches(order.customerTokenHash, token);
+
+const teaBoyOf = (order) =>
+  (order.assignment && order.assignment.teaBoy) || order.teaboyName || null;
+
+const placedAt = (order) => new Date(order.timestamp).getTime() || 0;
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  if (!sorted.length) return null;
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Median prep minutes of the company's most recently made orders, and how many it used
+function recentPrep(orders) {
+  const made = orders
+    .map((o) => ({
+      at: new Date(o.readyAt || o.completedAt).getTime(),
+      prep: orderPhases(o).prep,
+    }))
+    .filter((o) => Number.isFinite(o.at) && o.prep !== null)
+    .sort((a, b) => b.at - a.at)
+    .slice(0, RECENT_ORDERS);
+  return { minutes: median(made.map((o) => o.prep)), basedOn: made.length };
+}
+
+/**
+ * The customer's view of `order`, given every live order of its company:
+ * { id, status, placedAt, updatedAt, teaBoy, queue: { position, ahead } | null,
+ *   eta: { at, minutes, basedOn } | null, items, orderNote, amendedAt, editableUntil, rated }
+ * `queue.position` is 1 when the tea boy is on it or it's next.
+ */
+function trackingView(order, orders, now = Date.now()) {
+  const teaBoy = teaBoyOf(order);
+  let queue = null;
+  let eta = null;
+
+  if (QUEUED.includes(order.status)) {
+    const line = orders
+      .filter((o) => QUEUED.includes(o.status) && teaBoyOf(o) === teaBoy)
+      .sort((a, b) => placedAt(a) - placedAt(b) || (a.id < b.id ? -1 : 1));
+    const index = line.findIndex((o) => String(o.id) === String(order.id));
+    const ahead = index === -1 ? [] : line.slice(0, index);
+    queue = { position: ahead.length + 1, ahead: ahead.length };
+
+    const prep = recentPrep(orders);
+    if (prep.minutes !== null) {
+      const prepMs = prep.minutes * 60000;
+      // what's left of an order already being made, a full prep for the others
+      const left = (o) =>
+        o.status === "in-progress" && o.startedAt
+          ? Math.max(0, new Date(o.startedAt).getTime() + prepMs - now)
+          : prepMs;
+      const ms = [...ahead, order].reduce((sum, o) => sum + left(o), 0);
+      eta = {
+        at: new Date(now + ms).toISOString(),
+        minutes: Math.ceil(ms / 60000),
+        basedOn: prep.basedOn,
+      };
+    }
+  } else if (order.status === "ready") {
+    eta = { at: order.readyAt || null, minutes: 0, basedOn: 0 };
+  }
+
+  return {
+    id: order.id,
+    status: order.status,
+    placedAt: order.timestamp,
+    updatedAt: order.updatedAt || order.timestamp,
+    teaBoy,
+    queue,
+    eta,
+    items: (order.itemsDetailed || []).map((line) => ({
+      id: line.id,
+      name: line.name || line.value || line.id,
+      ...(line.names && { names: line.names }),
+      quantity: line.quantity,
+      options: line.options || [],
+    })),
+    orderNote: order.orderNote || "",
+    amendedAt: order.amendedAt || null,
+    editableUntil: canCustomerChange(order, now)
+      ? order.customerEditUntil
+      : null,
+    rated: !!order.rating,
+  };
+}
+
+// --- live updates ---
+const watchers = new Map(); // companyKey -> { loadOrders, all: Set<{ res, view, last }> }
+const pending = new Map(); // companyKey -> refresh timer
+let listening = false;
+
+const keyOf = (companyId) => (companyId ? String(companyId) : "_global");
+
+function send(watcher, type, data) {
+  const text = JSON.stringify(data);
+  if (type === "tracking" && text === watcher.last) return;
+  watcher.last = text;
+  watcher.res.write(`event: ${type}\ndata: ${text}\n\n`);
+}
+
+async function refresh(key) {
+  pending.delete(key);
+  const company = watchers.get(key);
+  if (!company) return;
+  let orders;
+  try {
+    orders = await company.loadOrders();
+  } catch (err) {
+    console.warn("Order tracking refresh failed:", err.message || err);
+    return;
+  }
+  for (const watcher of company.all) {
+    try {
+      const view = watcher.view(orders);
+      if (view) send(watcher, "tracking", view);
+      else send(watcher, "gone", {});
+    } catch (err) {
+      console.warn("Order tracking refresh failed:", err.message || err);
+    }
+  }
+}
+
+function scheduleRefresh(companyId) {
+  const key = keyOf(companyId);
+  if (!watchers.has(key) || pending.has(key)) return;
+  pending.set(
+    key,
+    setTimeout(() => refresh(key), REFRESH_DELAY_MS)
+  );
+}
+
+/**
+ * Stream an order's tracking view to `res` (SSE): now and after each order event of
+ * `companyId`. `loadOrders()` resolves to the company's live orders; `view(orders)` is
+ * the order's view, or null once it's gone.
+ */
+async function watchOrder(req, res, companyId, { loadOrders, view }) {
+  if (!listening) {
+    orderEvents.onPublish((id) => scheduleRefresh(id));
+    listening = true;
+  }
+  const key = keyOf(companyId);
+  const watcher = { res, view, last: null };
+  orderEvents.openStream(req, res, () => {
+    const company = watchers.get(key);
+    if (!company) return;
+    company.all.delete(watcher);
+    if (!company.all.size) watchers.delete(key);
+  });
+  if (!watchers.has(key)) watchers.set(key, { loadOrders, all: new Set() });
+  watchers.get(key).all.add(watcher);
+  const current = view(await loadOrders());
+  send(watcher, current ? "tracking" : "gone", current || {});
+}
+
+module.exports = {
+  customerTokenMatches,
+  trackingView,
+  watchOrder,
+};
@@ -0,0 +1,68 @@
+// lib/ratings.js — the desk rating its delivered order
+//
+// POST /api/orders answers with a `ratingToken` (lib/orderTokens.js; the order keeps
+// ratingTokenHash). POST /api/orders/:id/rating?company=&token=<ratingToken> takes
+//   { rating: 1-5, review?, items?: [{ id, stars: 1-5 }] }
+// once the order is completed, and only once. `items` rate lines of the order on their own,
+// on top of the overall score. The stored rating is
+//   { stars, review, items?: [{ id, name, stars }], timestamp, alert? }
+// `alert` is set when the score is at or below the company's `ratingAlertThreshold`
+// (default 2, 0 = never); the server then also publishes a "rating-alert" event with the
+// review for the admin dashboards.
+const { localeText } = require("./menuLocale");
+
+const DEFAULT_ALERT_THRESHOLD = 2;
+
+function alertThreshold(company) {
+  const threshold = company && company.ratingAlertThreshold;
+  return Number.isInteger(threshold) ? threshold : DEFAULT_ALERT_THRESHOLD;
+}
+
+// Why `order` can't be rated (message for a 409), or null
+function ratingRefusal(order) {
+  if (order.rating) return "This order has already been rated";
+  if (order.status !== "completed") {
+    return "An order can be rated once it has been delivered";
+  }
+  return null;
+}
+
+/**
+ * The rating to store for `order` from a checked request body (lib/schemas.js `rating`).
+ * Returns { rating } or { error } (message for a 400 response).
+ */
+function buildRating(order, { rating, review, items }, company) {
+  const lines = new Map();
+  for (const line of order.itemsDetailed || []) {
+    if (line && line.id !== undefined) lines.set(String(line.id), line);
+  }
+  const rated = [];
+  for (const { id, stars } of items || []) {
+    const line = lines.get(String(id));
+    if (!line) return { error: `"${id}" is not an item of this order` };
+    if (rated.some((r) => r.id === String(id))) {
+      return { error: `"${id}" is rated twice` };
+    }
+    rated.push({
+      id: String(id),
+      name: localeText(line.names) || line.name || line.value || String(id),
+      stars,
+    });
+  }
+
+  const stored = {
+    stars: rating,
+    review: review || "",
+    ...(rated.length && { items: rated }),
+    timestamp: new Date().toISOString(),
+  };
+  const threshold = alertThreshold(company);
+  if (threshold > 0 && rating <= threshold) stored.alert = true;
+  return { rating: stored };
+}
+
+module.exports = {
+  DEFAULT_ALERT_THRESHOLD,
+  ratingRefusal,
+  buildRating,
+};
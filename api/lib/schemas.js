@@ -0,0 +1,443 @@
+// lib/schemas.js — request schemas for the routes in server.js (see lib/validate.js)
+//
+// Bodies only keep the fields listed here, so clients can't slip history, versions,
+// assignments or stock bookkeeping into an order. Menu bodies are checked by
+// lib/menuSchema.js when they are stored. Settings bodies (zones, SLA rules,
+// integrations, companies) are checked for shape here; what depends on the rest of the
+// list, like two zones sharing a desk, is left to their lib modules.
+const {
+  str,
+  int,
+  num,
+  bool,
+  date,
+  list,
+  obj,
+  map,
+  custom,
+  nullable,
+} = require("./validate");
+const { LOCALES } = require("./menuLocale");
+const { ROLES } = require("./auth");
+const { parseDeskRanges } = require("./scope");
+const { GRANULARITIES } = require("./analytics");
+const { ARCHIVED_MODES } = require("./orderQuery");
+
+const MAX_NOTE = 500;
+const MAX_REVIEW = 1000;
+const MAX_ORDER_LINES = 50;
+
+const companyIdRule = {
+  pattern: /^[a-z0-9_-]{1,64}$/i,
+  message: "Must be a company id (letters, digits, _ and -)",
+};
+const companyId = str(companyIdRule);
+const orderId = str({
+  numbers: true,
+  max: 64,
+  pattern: /^[A-Za-z0-9_.:-]+$/,
+  message: "May only use letters, digits and _ . : -",
+});
+const deskKey = /^[A-Za-z0-9_-]{1,32}$/;
+const name = str({ max: 120 });
+
+// ?company= on every company-aware route; other query parameters are left to the route
+const companyQuery = obj({ company: companyId }, { unknown: "keep" });
+
+// { "<option group id>": "<choice id>" | ["<choice id>", ...] } (lib/itemOptions.js)
+const optionPick = str({ numbers: true, max: 64 });
+const optionPicks = map(
+  custom((value, field, errors) =>
+    (Array.isArray(value) ? list(optionPick, { max: 20 }) : optionPick).check(
+      value,
+      field,
+      errors
+    )
+  ),
+  { max: 20 }
+);
+
+const orderLine = obj({
+  id: str({ numbers: true, max: 64 }),
+  name,
+  value: name,
+  quantity: int({ required: true, min: 1, max: 99 }),
+  options: optionPicks,
+});
+
+const orderFields = {
+  desk: str({ numbers: true, max: 32 }),
+  items: list(name, { max: 200 }),
+  itemsDetailed: list(orderLine, { max: MAX_ORDER_LINES }),
+  serviceArea: str({ max: 100 }),
+  serviceAreaName: str({ max: 100 }),
+  teaboyName: str({ max: 100 }),
+  location: str({ max: 200 }),
+  orderNote: str({ max: MAX_NOTE }),
+};
+
+const lang = str({ values: LOCALES });
+
+// POST /api/orders — status, history and timestamps are set by the server. `lang` is the
+// language the customer ordered in. An order needs at least one `items` or
+// `itemsDetailed` entry.
+const newOrderFields = obj({
+  ...orderFields,
+  id: orderId,
+  desk: str({ numbers: true, required: true, max: 32 }),
+  timestamp: date(),
+  lang,
+});
+const newOrder = custom((value, field, errors) => {
+  const order = newOrderFields.check(value, field, errors);
+  const entries = (key) =>
+    order && Array.isArray(order[key]) ? order[key].length : 0;
+  if (order && !entries("items") && !entries("itemsDetailed")) {
+    errors.push({ field: "itemsDetailed", message: "Add at least one item" });
+  }
+  return order;
+});
+
+// PUT /api/orders/:id — the fields staff may change; status goes through a transition.
+// `version` is the one the client based its change on (lib/etag.js), like If-Match.
+// Lines and the desk stay as placed: they decide the stock taken, the option prices and
+// the zone, so only the customer's amendment (checked like a new order) changes lines.
+const orderUpdate = obj({
+  teaboyName: orderFields.teaboyName,
+  serviceAreaName: orderFields.serviceAreaName,
+  location: orderFields.location,
+  orderNote: orderFields.orderNote,
+  status: str({ max: 20 }),
+  version: int({ min: 0 }),
+});
+
+// POST /api/orders/:id/amend — what the desk may change itself; lines replace the order's
+const orderAmendment = obj({
+  items: orderFields.items,
+  itemsDetailed: orderFields.itemsDetailed,
+  orderNote: orderFields.orderNote,
+});
+
+// PUT /api/orders/bulk — whole stored orders (a restore), so other fields are kept
+const bulkOrders = list(
+  obj(
+    {
+      ...orderFields,
+      id: orderId,
+      status: str({ max: 20 }),
+      timestamp: date(),
+    },
+    { unknown: "keep" }
+  ),
+  { required: true, max: 20000 }
+);
+
+const stars = int({ required: true, min: 1, max: 5 });
+
+// POST /api/orders/:id/rating — the overall score, optionally stars per order line
+// (lib/ratings.js)
+const rating = obj({
+  rating: stars,
+  review: str({ max: MAX_REVIEW }),
+  items: list(
+    obj({ id: str({ numbers: true, required: true, max: 64 }), stars }),
+    { max: MAX_ORDER_LINES }
+  ),
+});
+
+const desk = obj({
+  building: str({ max: 100 }),
+  floor: str({ max: 100 }),
+  teaBoy: str({ max: 100 }),
+});
+
+// POST /api/desks — the whole desks document
+const desks = obj({
+  numDesks: int({ required: true, min: 1, max: 1000 }),
+  desks: map(desk, { required: true, key: deskKey, max: 1000 }),
+});
+
+// GET /api/orders and /api/orders/export — the shape of the filters; lib/orderQuery.js
+// reads what they mean (known statuses, desk ranges, dates, the cursor)
+const dateBound = str({ max: 40 });
+const timeZone = str({ max: 64 });
+const orderQuery = obj(
+  {
+    company: companyId,
+    status: str({ max: 200 }),
+    desk: str({ max: 200 }),
+    teaboy: str({ max: 100 }),
+    from: dateBound,
+    to: dateBound,
+    since: dateBound,
+    tz: timeZone,
+    limit: int({ min: 1 }),
+    cursor: str({
+      max: 200,
+      pattern: /^[A-Za-z0-9_-]+$/,
+      message: "Invalid cursor",
+    }),
+    archived: str({ values: ARCHIVED_MODES }),
+  },
+  { unknown: "keep" }
+);
+
+// GET /api/stats and /api/stats/export (lib/analytics.js reads the dates and the zone;
+// the export also takes a status filter)
+const statsQuery = obj(
+  {
+    company: companyId,
+    from: dateBound,
+    to: dateBound,
+    tz: timeZone,
+    granularity: str({ values: GRANULARITIES }),
+    status: str({ max: 200 }),
+  },
+  { unknown: "keep" }
+);
+
+const orderParams = obj({ id: orderId });
+// ?token= is one of the tokens POST /api/orders answered with (lib/orderTokens.js): the
+// customerToken for tracking, cancelling and amending the order, the ratingToken for
+// rating it
+const tokenQuery = obj(
+  {
+    company: companyId,
+    token: str({ required: true, max: 128, pattern: /^[A-Za-z0-9_-]+$/ }),
+  },
+  { unknown: "keep" }
+);
+const deskParams = obj({
+  id: str({ required: true, pattern: deskKey, message: "Not a desk id" }),
+});
+const revisionParams = obj({ id: int({ required: true, min: 1 }) });
+
+const menuPublish = obj({
+  note: str({ max: 200 }),
+  publishAt: str({ max: 40 }),
+});
+const menuRollback = obj({ publishAt: str({ max: 40 }) });
+
+// GET /api/menu — ?lang= picks the language of names and descriptions (lib/menuLocale.js)
+const menuQuery = obj({ company: companyId, lang }, { unknown: "keep" });
+const menuExportQuery = obj(
+  {
+    company: companyId,
+    format: str({ values: ["csv", "xlsx", "json"] }),
+    draft: bool(),
+  },
+  { unknown: "keep" }
+);
+const menuImportQuery = obj(
+  {
+    company: companyId,
+    format: str({ values: ["csv", "json"] }),
+    dryRun: bool(),
+  },
+  { unknown: "keep" }
+);
+
+// --- accounts ---
+// POST /api/auth/login
+const login = obj({
+  company: str({ ...companyIdRule, required: true }),
+  username: str({ max: 64 }),
+  password: str({ required: true, trim: false, max: 200 }),
+});
+
+// "1-25, 103-107" or [[1, 25], [103, 107]], cleaned to the pairs
+const deskRanges = custom((value, field, errors) => {
+  const ranges = parseDeskRanges(value);
+  if (ranges === null) {
+    errors.push({ field, message: 'Expected desks like "1-25, 103-107"' });
+    return undefined;
+  }
+  return ranges;
+});
+
+// POST /api/users — a tea boy's `zone` is a zone id; `desks` apply without one
+const user = obj({
+  username: str({
+    required: true,
+    pattern: /^[\w.@-]{1,64}$/,
+    message: "May only use letters, digits and _ . @ -",
+  }),
+  password: str({ min: 6, max: 200, trim: false }),
+  role: str({ required: true, values: ROLES }),
+  zone: str({ max: 40 }),
+  desks: deskRanges,
+});
+const userParams = obj({ username: str({ required: true, max: 64 }) });
+
+// --- zones (lib/zones.js, shifts: lib/shifts.js) ---
+// ids of zones, SLA rules and integrations
+const slug = str({
+  required: true,
+  pattern: /^[a-z0-9][a-z0-9-]{0,39}$/,
+  message: "Must be 1-40 lowercase letters, digits or dashes",
+});
+const period = {
+  start: str({ required: true, max: 5 }),
+  end: str({ required: true, max: 5 }),
+};
+// [0, 4], "Sun-Thu" or "daily"
+const days = custom((value, field, errors) =>
+  (Array.isArray(value)
+    ? list(str({ numbers: true, max: 20 }), { max: 14 })
+    : str({ max: 60 })
+  ).check(value, field, errors)
+);
+const shiftFields = obj({
+  teaBoy: str({ required: true, max: 100 }),
+  days,
+  ...period,
+  breaks: list(obj(period), { max: 20 }),
+});
+// an object, or one line: "Julius | Sun-Thu | 07:00-15:00 | 11:00-11:30"
+const shift = custom((value, field, errors) =>
+  (typeof value === "string" ? str({ max: 300 }) : shiftFields).check(
+    value,
+    field,
+    errors
+  )
+);
+const zoneFields = {
+  name: str({ max: 100 }),
+  desks: deskRanges,
+  deskRanges,
+  teaBoy: str({ max: 100 }),
+  backup: str({ max: 100 }),
+  supervisor: str({ max: 100 }),
+  shifts: list(shift, { max: 50 }),
+};
+// POST /api/zones — every zone; PUT /api/zones/:id — one (the id is in the path)
+const zones = obj({
+  zones: list(obj({ id: slug, ...zoneFields }), { required: true, max: 200 }),
+});
+const zone = obj(zoneFields);
+const zoneParams = obj({ id: slug });
+
+// --- PUT /api/sla (lib/sla.js) ---
+const slaRules = obj({
+  rules: list(
+    obj({
+      id: slug,
+      until: str({ required: true, max: 20 }),
+      minutes: num({ required: true, min: 0, max: 24 * 60 }),
+      action: str({ max: 20 }),
+    }),
+    { required: true, max: 50 }
+  ),
+});
+
+// --- PUT /api/integrations (lib/integrations); each type's settings are checked there ---
+const integrations = obj({
+  integrations: list(
+    obj({
+      id: slug,
+      type: str({ required: true, max: 20 }),
+      enabled: bool(),
+      events: list(str({ max: 40 }), { max: 20 }),
+      url: str({ max: 2000 }),
+      secret: str({ max: 200, trim: false }),
+      spreadsheetId: str({ max: 200 }),
+      sheetName: str({ max: 100 }),
+      file: str({ max: 100 }),
+      botToken: str({ max: 200 }),
+      chatId: str({ numbers: true, max: 64 }),
+      chats: map(str({ numbers: true, max: 64 }), {
+        key: /^\S.{0,99}$/,
+        max: 200,
+      }),
+    }),
+    { required: true, max: 50 }
+  ),
+});
+const integrationParams = obj({ id: slug });
+const integrationRetryQuery = obj(
+  { company: companyId, integration: str({ max: 40 }) },
+  { unknown: "keep" }
+);
+// POST /api/telegram/:company/:integration (the body is Telegram's update)
+const telegramParams = obj({
+  company: str({ ...companyIdRule, required: true }),
+  integration: slug,
+});
+
+// --- companies (lib/companies.js) ---
+const companyFields = {
+  name: str({ max: 100 }),
+  title: str({ max: 200 }),
+  theme: str({ max: 60 }),
+  logo: nullable(str({ max: 500 })),
+  orderFlow: str({ max: 20 }),
+  ordering: str({ max: 20 }),
+  timeZone: str({ max: 64 }),
+  features: map(bool(), { max: 20 }),
+  orderEditMinutes: int({ min: 0 }),
+  ratingAlertThreshold: int({ min: 0 }),
+  enabled: bool(),
+};
+// PUT /api/companies/:id
+const company = obj(companyFields);
+// POST /api/companies — also the number of desks to create
+const newCompany = obj({
+  id: str({ ...companyIdRule, required: true }),
+  ...companyFields,
+  numDesks: int({ min: 1, max: 1000 }),
+});
+const companyParams = obj({ id: str({ ...companyIdRule, required: true }) });
+
+// --- stock (lib/stock.js); a count of null means the item isn't counted ---
+const stockParams = obj({
+  itemId: str({ numbers: true, required: true, max: 64 }),
+});
+const stockLevel = obj({
+  available: bool(),
+  count: nullable(int({ min: 0 })),
+  lowAt: nullable(int({ min: 0 })),
+  note: str({ max: 200 }),
+});
+const restock = obj({
+  quantity: int({ required: true, min: 1, max: 100000 }),
+  note: str({ max: 200 }),
+});
+
+module.exports = {
+  companyQuery,
+  newOrder,
+  orderUpdate,
+  bulkOrders,
+  rating,
+  desk,
+  desks,
+  orderParams,
+  orderQuery,
+  statsQuery,
+  tokenQuery,
+  orderAmendment,
+  deskParams,
+  revisionParams,
+  menuPublish,
+  menuRollback,
+  menuQuery,
+  menuExportQuery,
+  menuImportQuery,
+  login,
+  user,
+  userParams,
+  zones,
+  zone,
+  zoneParams,
+  slaRules,
+  integrations,
+  integrationParams,
+  integrationRetryQuery,
+  telegramParams,
+  company,
+  newCompany,
+  companyParams,
+  stockParams,
+  stockLevel,
+  restock,
+};
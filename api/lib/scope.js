@@ -0,0 +1,64 @@
+// lib/scope.js — desk-range scoping for tea-boy accounts
+
+// "1-25, 103-107, 120" -> [[1, 25], [103, 107], [120, 120]]
+// Also accepts an already-parsed array of [from, to] pairs. Returns null if anything is invalid.
+function parseDeskRanges(input) {
+  if (input == null || input === "") return [];
+  if (Array.isArray(input)) {
+    const ranges = input.map((r) =>
+      Array.isArray(r) ? r.map((n) => parseInt(n, 10)) : [NaN]
+    );
+    const ok = ranges.every(
+      (r) => r.length === 2 && r.every(Number.isFinite) && r[0] <= r[1]
+    );
+    return ok ? ranges : null;
+  }
+
+  const ranges = [];
+  for (const part of String(input).split(",")) {
+    const p = part.trim();
+    if (!p) continue;
+    const m = p.match(/^(\d+)\s*(?:-\s*(\d+))?$/);
+    if (!m) return null;
+    const from = parseInt(m[1], 10);
+    const to = m[2] !== undefined ? parseInt(m[2], 10) : from;
+    if (from > to) return null;
+    ranges.push([from, to]);
+  }
+  return ranges;
+}
+
+// Same rules the dashboards use: numeric order.desk, else "DESK12"-style serviceArea
+function deskNumberOf(order) {
+  const d = order && order.desk != null ? String(order.desk).trim() : "";
+  if (/^\d+$/.test(d)) return parseInt(d, 10);
+
+  const sa =
+    order && order.serviceArea != null ? String(order.serviceArea).trim() : "";
+  const m = sa.match(/desk\s*([0-9]+)/i);
+  if (m) return parseInt(m[1], 10);
+
+  return null;
+}
+
+function isDeskInRanges(deskNumber, ranges) {
+  if (deskNumber == null || !Array.isArray(ranges)) return false;
+  return ranges.some(([from, to]) => deskNumber >= from && deskNumber <= to);
+}
+
+// Whether a session user may see / act on an order
+function isOrderInScope(user, order) {
+  if (!user) return false;
+  if (user.role === "admin" || user.role === "viewer") return true;
+  if (user.role === "teaboy") {
+    return isDeskInRanges(deskNumberOf(order), user.deskRanges);
+  }
+  return false;
+}
+
+module.exports = {
+  parseDeskRanges,
+  deskNumberOf,
+  isDeskInRanges,
+  isOrderInScope,
+};
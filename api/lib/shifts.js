@@ -0,0 +1,166 @@
+// lib/shifts.js — tea-boy shifts per zone and who a new order goes to
+//
+// A zone (lib/zones.js) may carry
+//   shifts: [{ teaBoy: "Julius", days: [0, 1, 2, 3, 4], start: "07:00", end: "15:00",
+//              breaks: [{ start: "11:00", end: "11:30" }] }]
+//   backup: "Hisham"   // takes the zone's orders while nobody is on shift
+// Days are 0 = Sunday … 6 = Saturday, times are wall-clock in the company's time zone,
+// and a shift that ends before it starts runs past midnight into the next day.
+// A shift can also be written as one line: "Julius | Sun-Thu | 07:00-15:00 | 11:00-11:30".
+const { zonedParts } = require("./analytics");
+
+const DAY_NAMES = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+// "07:30" -> 450 (minutes after midnight), null if invalid
+function toMinutes(value) {
+  const m = String(value || "").match(/^([01]?\d|2[0-3]):([0-5]\d)$/);
+  return m ? parseInt(m[1], 10) * 60 + parseInt(m[2], 10) : null;
+}
+
+function dayIndex(value) {
+  if (typeof value === "number") return value >= 0 && value <= 6 ? value : -1;
+  const s = String(value).trim().toLowerCase();
+  if (/^[0-6]$/.test(s)) return parseInt(s, 10);
+  return DAY_NAMES.indexOf(s.slice(0, 3));
+}
+
+// [0, 4] / "Sun-Thu" / "Sun, Tue" / "daily" -> sorted day numbers, null if invalid
+function parseDays(input) {
+  if (input === undefined || input === "" || input === "daily") {
+    return [0, 1, 2, 3, 4, 5, 6];
+  }
+  const days = new Set();
+  const parts = Array.isArray(input) ? input : String(input).split(",");
+  for (const part of parts) {
+    const [from, to] =
+      typeof part === "number" ? [part, part] : String(part).split("-");
+    const a = dayIndex(from);
+    const b = to === undefined ? a : dayIndex(to);
+    if (a < 0 || b < 0) return null;
+    // "Thu-Sun" wraps around the week
+    for (let d = a; ; d = (d + 1) % 7) {
+      days.add(d);
+      if (d === b) break;
+    }
+  }
+  return [...days].sort((x, y) => x - y);
+}
+
+// "07:00-15:00" -> { start, end }
+function parsePeriod(text) {
+  const [start, end] = String(text)
+    .split("-")
+    .map((t) => t.trim());
+  return { start, end };
+}
+
+// "Julius | Sun-Thu | 07:00-15:00 | 11:00-11:30, 13:00-13:15" -> shift input object
+function parseShiftLine(line) {
+  const [teaBoy, days, hours, breaks] = String(line)
+    .split("|")
+    .map((p) => p.trim());
+  return {
+    teaBoy,
+    days,
+    ...parsePeriod(hours || ""),
+    breaks: (breaks || "")
+      .split(",")
+      .filter((b) => b.trim())
+      .map(parsePeriod),
+  };
+}
+
+function validatePeriod(period, label) {
+  const start = toMinutes(period && period.start);
+  const end = toMinutes(period && period.end);
+  if (start === null || end === null) {
+    return { error: `${label} needs start and end times like "07:00"` };
+  }
+  if (start === end)
+    return { error: `${label} starts and ends at the same time` };
+  return { period: { start: period.start, end: period.end } };
+}
+
+/**
+ * Validate a zone's shift list (objects or one-line strings, see above).
+ * Returns { shifts } or { error } (message for a 400 response).
+ */
+function validateShifts(list) {
+  if (list === undefined || list === null) return { shifts: [] };
+  if (!Array.isArray(list)) return { error: '"shifts" must be an array' };
+
+  const shifts = [];
+  for (const raw of list) {
+    const input = typeof raw === "string" ? parseShiftLine(raw) : raw || {};
+    const teaBoy = typeof input.teaBoy === "string" ? input.teaBoy.trim() : "";
+    if (!teaBoy) return { error: "Every shift needs a tea boy" };
+
+    const label = `${teaBoy}'s shift`;
+    const days = parseDays(input.days);
+    if (!days || !days.length) return { error: `${label} has invalid days` };
+    const { period, error } = validatePeriod(input, label);
+    if (error) return { error };
+
+    const breaks = [];
+    for (const b of Array.isArray(input.breaks) ? input.breaks : []) {
+      const checked = validatePeriod(b, `A break in ${label}`);
+      if (checked.error) return { error: checked.error };
+      breaks.push(checked.period);
+    }
+    shifts.push({ teaBoy, days, ...period, breaks });
+  }
+  return { shifts };
+}
+
+function isWithin(minute, start, end) {
+  return start < end
+    ? minute >= start && minute < end
+    : minute >= start || minute < end;
+}
+
+function isShiftActive(shift, day, minute) {
+  const start = toMinutes(shift.start);
+  const end = toMinutes(shift.end);
+  if (start < end) {
+    return shift.days.includes(day) && minute >= start && minute < end;
+  }
+  // overnight: the evening of a shift day, or the early hours of the day after
+  return (
+    (shift.days.includes(day) && minute >= start) ||
+    (shift.days.includes((day + 6) % 7) && minute < end)
+  );
+}
+
+// Who is working the zone at `time`: { onDuty: [names], onBreak: [names] }
+function dutyAt(zone, time, tz) {
+  const p = zonedParts(time, tz);
+  const minute = p.hour * 60 + p.minute;
+  const onDuty = [];
+  const onBreak = [];
+  for (const shift of (zone && zone.shifts) || []) {
+    if (!isShiftActive(shift, p.weekday, minute)) continue;
+    const resting = (shift.breaks || []).some((b) =>
+      isWithin(minute, toMinutes(b.start), toMinutes(b.end))
+    );
+    const list = resting ? onBreak : onDuty;
+    if (!list.includes(shift.teaBoy)) list.push(shift.teaBoy);
+  }
+  return { onDuty: onDuty.filter((name) => !onBreak.includes(name)), onBreak };
+}
+
+/**
+ * Tea boy for a new order in `zone` at `time`: the first one on shift (and not on a break),
+ * else the zone's backup, else its regular tea boy. Zones without shifts just use `teaBoy`.
+ * Returns { teaBoy, reason: "shift" | "backup" | "zone" } or null.
+ */
+function assignTeaBoy(zone, time, tz) {
+  if ((zone.shifts || []).length) {
+    const { onDuty } = dutyAt(zone, time, tz);
+    if (onDuty.length) return { teaBoy: onDuty[0], reason: "shift" };
+    if (zone.backup) return { teaBoy: zone.backup, reason: "backup" };
+  }
+  if (zone.teaBoy) return { teaBoy: zone.teaBoy, reason: "zone" };
+  return null;
+}
+
+module.exports = { validateShifts, dutyAt, assignTeaBoy };
@@ -0,0 +1,187 @@
+// lib/sla.js — service-level rules and the scheduler that enforces them
+//
+// Each company may have an "sla" document:
+//   { rules: [{ id: "accept", until: "accepted", minutes: 3, action: "reassign" },
+//             { id: "deliver", until: "completed", minutes: 15, action: "escalate" }] }
+// A rule is breached when an order is still short of `until` `minutes` after it was placed.
+// Every SLA_CHECK_SECONDS (default 30, 0 disables) open orders are checked; each breach is
+// recorded once per rule in order.slaBreaches and sent to the dashboards as "sla-breach".
+// Orders placed more than a day ago are left alone (long abandoned, not late).
+//   flag      record it only
+//   reassign  hand the order to another tea boy on shift, else the zone's backup
+//             (escalates when there is nobody else)
+//   escalate  notify the zone's supervisor
+const { withCompanyLock } = require("./writeQueue");
+const orderEvents = require("./orderEvents");
+const { normalizeStatus } = require("./orderStatus");
+const { zoneForOrder } = require("./zones");
+const { dutyAt } = require("./shifts");
+const { readCompany, companyTimeZone } = require("./companies");
+const { orderVersion } = require("./etag");
+
+const ACTIONS = ["flag", "reassign", "escalate"];
+// how far along an order is; a rule is met once the order reaches its `until`
+const PROGRESS = ["pending", "accepted", "in-progress", "ready", "completed"];
+const RULE_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,39}$/;
+const MAX_MINUTES = 24 * 60;
+const IGNORE_AFTER_MS = MAX_MINUTES * 60000;
+
+function checkEveryMs() {
+  const seconds = parseInt(process.env.SLA_CHECK_SECONDS, 10);
+  return (Number.isFinite(seconds) && seconds >= 0 ? seconds : 30) * 1000;
+}
+
+/**
+ * Validate a company's rule list.
+ * Returns { rules } or { error } (message for a 400 response).
+ */
+function validateSla(input = {}) {
+  const list = input.rules;
+  if (!Array.isArray(list)) return { error: '"rules" must be an array' };
+
+  const rules = [];
+  for (const raw of list) {
+    const rule = raw || {};
+    const id = String(rule.id || "").trim();
+    if (!RULE_ID_PATTERN.test(id)) {
+      return { error: "Rule id must be lowercase letters, digits or dashes" };
+    }
+    if (rules.some((r) => r.id === id)) {
+      return { error: `Duplicate rule id "${id}"` };
+    }
+    const until = normalizeStatus(rule.until);
+    if (!until || PROGRESS.indexOf(until) < 1) {
+      return {
+        error: `Rule "${id}": until must be one of ${PROGRESS.slice(1).join(
+          ", "
+        )}`,
+      };
+    }
+    const minutes = Number(rule.minutes);
+    if (!Number.isFinite(minutes) || minutes <= 0 || minutes > MAX_MINUTES) {
+      return { error: `Rule "${id}": minutes must be between 0 and 1440` };
+    }
+    const action = rule.action || "flag";
+    if (!ACTIONS.includes(action)) {
+      return {
+        error: `Rule "${id}": action must be one of ${ACTIONS.join(", ")}`,
+      };
+    }
+    rules.push({ id, until, minutes, action });
+  }
+  return { rules };
+}
+
+async function readSla(storage, companyId) {
+  const doc = await storage.getDoc(companyId, "sla");
+  return { rules: (doc && Array.isArray(doc.rules) && doc.rules) || [] };
+}
+
+function currentTeaBoy(order) {
+  return (
+    (order.assignment && order.assignment.teaBoy) || order.teaboyName || null
+  );
+}
+
+// Rules `order` has newly broken at `now`
+function dueBreaches(order, rules, now) {
+  const reached = PROGRESS.indexOf(order.status);
+  if (reached === -1) return []; // cancelled / rejected
+  const placed = new Date(order.timestamp).getTime();
+  if (!Number.isFinite(placed) || now - placed > IGNORE_AFTER_MS) return [];
+
+  const recorded = new Set((order.slaBreaches || []).map((b) => b.rule));
+  return rules.filter(
+    (rule) =>
+      !recorded.has(rule.id) &&
+      reached < PROGRESS.indexOf(rule.until) &&
+      now - placed > rule.minutes * 60000
+  );
+}
+
+// Apply `rule`'s action to `order` (mutates it) and return the breach record
+function applyBreach(order, rule, { zone, tz, now }) {
+  const at = new Date(now).toISOString();
+  const teaBoy = currentTeaBoy(order);
+  const breach = { rule: rule.id, at, teaBoy, action: rule.action, to: null };
+
+  if (rule.action === "reassign") {
+    const others = zone
+      ? dutyAt(zone, now, tz).onDuty.filter((n) => n !== teaBoy)
+      : [];
+    const backup = zone && zone.backup !== teaBoy ? zone.backup : null;
+    const to = others[0] || backup || null;
+    if (to) {
+      breach.to = to;
+      order.teaboyName = to;
+      order.assignment = { teaBoy: to, reason: "sla", at };
+    } else {
+      breach.action = "escalate";
+    }
+  }
+  if (breach.action === "escalate") {
+    breach.to = (zone && zone.supervisor) || null;
+  }
+
+  order.slaBreaches = [...(order.slaBreaches || []), breach];
+  return breach;
+}
+
+// Check one company's open orders; resolves to the breaches recorded
+async function checkCompany(storage, companyId, now = Date.now()) {
+  const { rules } = await readSla(storage, companyId);
+  if (!rules.length) return [];
+  const tz = companyTimeZone(await readCompany(storage, companyId));
+
+  return withCompanyLock(companyId, async () => {
+    const found = [];
+    for (const order of await storage.listOrders(companyId)) {
+      const due = dueBreaches(order, rules, now);
+      if (!due.length) continue;
+
+      const zone = zoneForOrder(companyId, order);
+      const breaches = due.map((rule) =>
+        applyBreach(order, rule, { zone, tz, now })
+      );
+      order.version = orderVersion(order) + 1;
+      order.updatedAt = new Date(now).toISOString();
+      await storage.updateOrder(companyId, order);
+
+      for (const breach of breaches) {
+        orderEvents.publish(companyId, "sla-breach", { order, breach });
+        found.push(breach);
+      }
+    }
+    return found;
+  });
+}
+
+async function checkAllCompanies(storage) {
+  for (const companyId of await storage.listCompanies()) {
+    try {
+      const breaches = await checkCompany(storage, companyId);
+      if (breaches.length) {
+        console.log(
+          `⏰ ${breaches.length} SLA breach(es) recorded for company=${companyId}`
+        );
+      }
+    } catch (err) {
+      console.error(`SLA check failed for company=${companyId}:`, err);
+    }
+  }
+}
+
+// Check now and then every SLA_CHECK_SECONDS; the timer doesn't keep the process alive
+function startSlaMonitor(storage) {
+  const every = checkEveryMs();
+  if (!every) return;
+  checkAllCompanies(storage);
+  setInterval(() => checkAllCompanies(storage), every).unref();
+}
+
+module.exports = {
+  validateSla,
+  readSla,
+  checkCompany,
+  startSlaMonitor,
+};
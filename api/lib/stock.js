@@ -0,0 +1,283 @@
+// lib/stock.js — menu item availability and stock counts
+//
+// Each company may have a "stock" document, kept apart from the menu so saving the menu
+// never resets the counts:
+//   { items: { "<menu item id>": { available: true, count: 12, lowAt: 5 } },
+//     log: [{ at, item, change, count, available, by, note }] }
+// `count: null` means the item isn't counted and only the `available` switch applies.
+// An item can't be ordered when it's switched off or its count is 0. New orders take
+// their quantities (from itemsDetailed, else matched on the item values) and remember
+// them as order.stockTaken; a cancelled, rejected or deleted (undelivered) order gives
+// them back. Restocks and manual changes are appended to `log` (the latest MAX_LOG
+// entries are kept).
+
+const { localeMap, localeText } = require("./menuLocale");
+
+const MAX_LOG = 500;
+
+// Every menu item with its category key; `name` in the default language, `names` in all
+function menuItems(menu) {
+  const items = [];
+  for (const [category, cat] of Object.entries(menu || {})) {
+    for (const item of (cat && cat.items) || []) {
+      if (item && item.id) {
+        items.push({
+          ...item,
+          category,
+          name: localeText(item.name) || item.id,
+          names: localeMap(item.name),
+        });
+      }
+    }
+  }
+  return items;
+}
+
+const hasName = (item, name) =>
+  item.value === name || Object.values(item.names).includes(name);
+
+// The menu item an itemsDetailed line stands for: by id, or by name for lines without one
+const lineItem = (items, line) =>
+  line && line.id !== undefined
+    ? items.find((i) => i.id === String(line.id))
+    : items.find((i) => hasName(i, line && line.name));
+
+/**
+ * The lines of `order` that aren't on `menu`, as { field, message } errors (the
+ * lib/validate.js shape): itemsDetailed lines by id (or name), else the plain `items`.
+ */
+function unknownItems(order, menu) {
+  const items = menuItems(menu);
+  const errors = [];
+  if (Array.isArray(order.itemsDetailed) && order.itemsDetailed.length) {
+    order.itemsDetailed.forEach((line, i) => {
+      if (lineItem(items, line)) return;
+      const byId = line && line.id !== undefined;
+      errors.push({
+        field: `itemsDetailed[${i}].${byId ? "id" : "name"}`,
+        message: `"${byId ? line.id : line && line.name}" is not on the menu`,
+      });
+    });
+  } else {
+    (order.items || []).forEach((value, i) => {
+      if (!items.some((item) => hasName(item, value))) {
+        errors.push({
+          field: `items[${i}]`,
+          message: `"${value}" is not on the menu`,
+        });
+      }
+    });
+  }
+  return errors;
+}
+
+async function readStock(storage, companyId) {
+  const doc = await storage.getDoc(companyId, "stock");
+  return {
+    items: (doc && doc.items) || {},
+    log: (doc && Array.isArray(doc.log) && doc.log) || [],
+  };
+}
+
+function levelOf(stock, itemId) {
+  const level = stock.items[itemId] || {};
+  return {
+    available: level.available !== false,
+    count: Number.isInteger(level.count) ? level.count : null,
+    lowAt: Number.isInteger(level.lowAt) ? level.lowAt : null,
+  };
+}
+
+const isAvailable = (level) => level.available && level.count !== 0;
+
+// Menu as the ordering page sees it: every item with `available` and `stock` (count or null)
+function withStock(menu, stock) {
+  const copy = JSON.parse(JSON.stringify(menu || {}));
+  for (const cat of Object.values(copy)) {
+    for (const item of (cat && cat.items) || []) {
+      const level = levelOf(stock, item.id);
+      item.available = isAvailable(level);
+      item.stock = level.count;
+    }
+  }
+  return copy;
+}
+
+// Drop what withStock added before a menu is saved
+function stripStock(menu) {
+  for (const cat of Object.values(menu || {})) {
+    for (const item of (cat && cat.items) || []) {
+      delete item.available;
+      delete item.stock;
+    }
+  }
+  return menu;
+}
+
+// { itemId: quantity } for an order, for the items that are on the menu
+function orderQuantities(order, menu) {
+  const items = menuItems(menu);
+  const quantities = {};
+  const add = (item, qty) => {
+    if (item && qty > 0) quantities[item.id] = (quantities[item.id] || 0) + qty;
+  };
+  if (Array.isArray(order.itemsDetailed) && order.itemsDetailed.length) {
+    for (const d of order.itemsDetailed) {
+      const qty = parseInt(d && d.quantity, 10) || 0;
+      add(lineItem(items, d), qty);
+    }
+  } else {
+    for (const value of order.items || []) {
+      add(
+        items.find((i) => hasName(i, value)),
+        1
+      );
+    }
+  }
+  return quantities;
+}
+
+/**
+ * Take `quantities` out of `stock` (mutates it).
+ * Returns { unavailable: [{ id, name, left }] } when any item can't be served (nothing is
+ * taken then), else { low: [{ id, name, count, lowAt }] } — counted items that reached
+ * their low-stock threshold (or 0) with this order.
+ */
+function takeStock(stock, quantities, menu) {
+  const items = menuItems(menu);
+  const nameOf = (id) => (items.find((i) => i.id === id) || {}).name || id;
+
+  const unavailable = [];
+  for (const [id, qty] of Object.entries(quantities)) {
+    const level = levelOf(stock, id);
+    if (!isAvailable(level) || (level.count !== null && level.count < qty)) {
+      unavailable.push({ id, name: nameOf(id), left: level.count });
+    }
+  }
+  if (unavailable.length) return { unavailable };
+
+  const low = [];
+  for (const [id, qty] of Object.entries(quantities)) {
+    const level = levelOf(stock, id);
+    if (level.count === null) continue;
+    const count = level.count - qty;
+    stock.items[id] = { ...stock.items[id], count };
+    // alert once when crossing the threshold, and again when it runs out
+    const threshold = level.lowAt !== null ? level.lowAt : 0;
+    if ((count <= threshold && level.count > threshold) || count === 0) {
+      low.push({ id, name: nameOf(id), count, lowAt: level.lowAt });
+    }
+  }
+  return { low };
+}
+
+// Give back what an order took (counted items only)
+function returnStock(stock, quantities) {
+  for (const [id, qty] of Object.entries(quantities || {})) {
+    const level = levelOf(stock, id);
+    if (level.count === null) continue;
+    stock.items[id] = { ...stock.items[id], count: level.count + qty };
+  }
+}
+
+function appendLog(stock, entry) {
+  stock.log.push({ at: new Date().toISOString(), ...entry });
+  if (stock.log.length > MAX_LOG)
+    stock.log.splice(0, stock.log.length - MAX_LOG);
+}
+
+const isCount = (v) => v === null || (Number.isInteger(v) && v >= 0);
+
+/**
+ * Apply a manual change { available, count, lowAt } to one item (mutates `stock`).
+ * Returns { level } or { error } (message for a 400 response).
+ */
+function setLevel(stock, itemId, input = {}, { by, note } = {}) {
+  const before = levelOf(stock, itemId);
+  const next = { ...before };
+  if (input.available !== undefined) {
+    if (typeof input.available !== "boolean") {
+      return { error: '"available" must be true or false' };
+    }
+    next.available = input.available;
+  }
+  for (const key of ["count", "lowAt"]) {
+    if (input[key] === undefined) continue;
+    if (!isCount(input[key])) {
+      return { error: `"${key}" must be a whole number ≥ 0 or null` };
+    }
+    next[key] = input[key];
+  }
+  stock.items[itemId] = next;
+  appendLog(stock, {
+    item: itemId,
+    change:
+      next.count !== null && before.count !== null
+        ? next.count - before.count
+        : null,
+    count: next.count,
+    available: next.available,
+    by: by || null,
+    note:
+      note ||
+      (input.available === undefined
+        ? "set"
+        : next.available
+        ? "switched on"
+        : "switched off"),
+  });
+  return { level: next };
+}
+
+/**
+ * Add `quantity` to a counted item (an uncounted item starts counting from 0).
+ * Returns { level } or { error }.
+ */
+function restock(stock, itemId, quantity, { by, note } = {}) {
+  if (!Number.isInteger(quantity) || quantity <= 0) {
+    return { error: '"quantity" must be a whole number > 0' };
+  }
+  const level = levelOf(stock, itemId);
+  const next = { ...level, count: (level.count || 0) + quantity };
+  stock.items[itemId] = next;
+  appendLog(stock, {
+    item: itemId,
+    change: quantity,
+    count: next.count,
+    available: next.available,
+    by: by || null,
+    note: note || "restock",
+  });
+  return { level: next };
+}
+
+// Stock view for the settings page: every menu item with its level
+function stockReport(menu, stock) {
+  return menuItems(menu).map((item) => {
+    const level = levelOf(stock, item.id);
+    return {
+      id: item.id,
+      name: item.name,
+      category: item.category,
+      ...level,
+      orderable: isAvailable(level),
+      low:
+        level.count !== null &&
+        level.lowAt !== null &&
+        level.count <= level.lowAt,
+    };
+  });
+}
+
+module.exports = {
+  readStock,
+  withStock,
+  stripStock,
+  unknownItems,
+  orderQuantities,
+  takeStock,
+  returnStock,
+  setLevel,
+  restock,
+  stockReport,
+};
@@ -0,0 +1,50 @@
+// lib/storage/index.js — pluggable storage for orders, ratings, desks, users and menus
+//
+// Pick the driver with STORAGE_DRIVER=json (default) or STORAGE_DRIVER=sqlite
+// (database file: SQLITE_FILE, default data/saf.sqlite). Both drivers expose the same
+// async interface:
+//
+//   init() / close() / listCompanies()
+//   listOrders(company) / getOrder(company, id)
+//   insertOrder(company, order) / updateOrder(company, order) / deleteOrder(company, id)
+//   replaceOrders(company, orders) / saveRating(company, id, rating)
+//   archiveOrders(company, month, orders) / listArchiveMonths(company)
+//   listArchivedOrders(company, month)                     — "YYYY-MM" partitions
+//   getDoc(company, name) / putDoc(company, name, value)   — desks, users, menu, ...
+//
+// `company` may be null for the legacy global data (requests without ?company=).
+// updateOrder/deleteOrder/saveRating resolve to null when the order doesn't exist.
+const path = require("path");
+const { createJsonStorage } = require("./json");
+const { createSqliteStorage } = require("./sqlite");
+
+const API_ROOT = path.join(__dirname, "..", "..");
+const DEFAULT_SQLITE_FILE = path.join(API_ROOT, "data", "saf.sqlite");
+
+function createStorage(driver = "json", options = {}) {
+  switch (driver) {
+    case "json":
+      return createJsonStorage({ rootDir: options.rootDir || API_ROOT });
+    case "sqlite":
+      return createSqliteStorage({
+        file: options.file || DEFAULT_SQLITE_FILE,
+      });
+    default:
+      throw new Error(`Unknown storage driver "${driver}"`);
+  }
+}
+
+let defaultStorage = null;
+
+// The driver configured through the environment (shared by the server and scripts)
+function getStorage() {
+  if (!defaultStorage) {
+    defaultStorage = createStorage(
+      (process.env.STORAGE_DRIVER || "json").toLowerCase(),
+      { file: process.env.SQLITE_FILE }
+    );
+  }
+  return defaultStorage;
+}
+
+module.exports = { createStorage, getStorage, API_ROOT, DEFAULT_SQLITE_FILE };
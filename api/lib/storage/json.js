@@ -0,0 +1,242 @@
+// lib/storage/json.js — JSON file driver (the original layout)
+//
+//   data/companies/<id>/orders.json   orders (ratings live inside each order)
+//   data/companies/<id>/<name>.json   desks, users, menu, ...
+//   data/companies/<id>/archive/orders-<YYYY-MM>.json   archived orders by month
+//   menus/<id>.json                   legacy copy of each company menu
+//   orders.json, desks.json           legacy global files (no ?company=)
+//
+// Every order change rewrites the company's whole orders.json; use the sqlite driver
+// once that gets slow.
+const fs = require("fs").promises;
+const path = require("path");
+
+// --- Generic JSON read / write (atomic) ---
+async function readJSON(filePath, fallback) {
+  try {
+    const raw = await fs.readFile(filePath, "utf8");
+    if (!raw || !raw.trim()) return fallback;
+    try {
+      return JSON.parse(raw);
+    } catch (parseErr) {
+      console.error(
+        `JSON parse error in ${filePath} — returning fallback`,
+        parseErr
+      );
+      return fallback;
+    }
+  } catch (err) {
+    if (err.code === "ENOENT") return fallback;
+    console.error(`Error reading ${filePath}:`, err);
+    return fallback;
+  }
+}
+
+async function writeJSONAtomic(obj, filePath, tmpPath) {
+  const json = JSON.stringify(obj, null, 2);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+  // write tmp
+  try {
+    await fs.writeFile(tmpPath, json, "utf8");
+  } catch (err) {
+    console.error(`Failed to write temp file ${tmpPath}:`, err);
+    try {
+      await fs.writeFile(filePath, json, "utf8");
+      console.warn(`Wrote directly to ${filePath} after tmp write failed.`);
+      return;
+    } catch (err2) {
+      console.error(`Direct write to ${filePath} also failed:`, err2);
+      throw err2;
+    }
+  }
+
+  // rename tmp -> final
+  try {
+    await fs.rename(tmpPath, filePath);
+    return;
+  } catch (renameErr) {
+    console.warn(`rename failed for ${tmpPath} -> ${filePath}:`, renameErr);
+    try {
+      await fs.unlink(filePath).catch(() => {});
+      await fs.rename(tmpPath, filePath);
+      return;
+    } catch (fallbackErr) {
+      console.warn(
+        `Fallback rename (unlink+rename) failed for ${tmpPath} -> ${filePath}:`,
+        fallbackErr
+      );
+      try {
+        await fs.writeFile(filePath, json, "utf8");
+        try {
+          await fs.unlink(tmpPath).catch(() => {});
+        } catch (_) {}
+        return;
+      } catch (finalErr) {
+        console.error(`Final write fallback failed for ${filePath}:`, finalErr);
+        try {
+          await fs.unlink(tmpPath).catch(() => {});
+        } catch (_) {}
+        throw finalErr;
+      }
+    }
+  }
+}
+
+function createJsonStorage({ rootDir }) {
+  const DATA_COMPANIES_DIR = path.join(rootDir, "data", "companies");
+  const MENUS_DIR = path.join(rootDir, "menus");
+
+  function docPath(companyId, name) {
+    if (!companyId) return path.join(rootDir, `${name}.json`);
+    return path.join(DATA_COMPANIES_DIR, String(companyId), `${name}.json`);
+  }
+  function archivePath(companyId, month) {
+    const dir = companyId
+      ? path.join(DATA_COMPANIES_DIR, String(companyId), "archive")
+      : path.join(rootDir, "archive");
+    return month ? path.join(dir, `orders-${month}.json`) : dir;
+  }
+  function legacyMenuPath(companyId) {
+    return path.join(MENUS_DIR, `${companyId || "default"}.json`);
+  }
+
+  async function writeDoc(companyId, name, value) {
+    const file = docPath(companyId, name);
+    await writeJSONAtomic(value, file, file + ".tmp");
+  }
+
+  async function listOrders(companyId) {
+    const orders = await readJSON(docPath(companyId, "orders"), []);
+    return Array.isArray(orders) ? orders : [];
+  }
+
+  // Read-modify-write of the company's orders.json; `fn` mutates the array
+  async function modifyOrders(companyId, fn) {
+    const orders = await listOrders(companyId);
+    const result = fn(orders);
+    await writeDoc(companyId, "orders", orders);
+    return result;
+  }
+
+  function indexOf(orders, id) {
+    return orders.findIndex((o) => String(o.id) === String(id));
+  }
+
+  return {
+    name: "json",
+
+    async init() {
+      await fs.mkdir(DATA_COMPANIES_DIR, { recursive: true });
+      await fs.mkdir(MENUS_DIR, { recursive: true });
+    },
+
+    async close() {},
+
+    async listCompanies() {
+      const ids = new Set();
+      const dirs = await fs
+        .readdir(DATA_COMPANIES_DIR, { withFileTypes: true })
+        .catch(() => []);
+      dirs.filter((d) => d.isDirectory()).forEach((d) => ids.add(d.name));
+      const menus = await fs.readdir(MENUS_DIR).catch(() => []);
+      menus
+        .filter((f) => f.endsWith(".json"))
+        .forEach((f) => ids.add(f.slice(0, -".json".length)));
+      return [...ids].sort();
+    },
+
+    listOrders,
+
+    async getOrder(companyId, id) {
+      const orders = await listOrders(companyId);
+      return orders.find((o) => String(o.id) === String(id)) || null;
+    },
+
+    async insertOrder(companyId, order) {
+      await modifyOrders(companyId, (orders) => orders.push(order));
+      return order;
+    },
+
+    // Replace the stored order with the same id; null if it doesn't exist
+    async updateOrder(companyId, order) {
+      return modifyOrders(companyId, (orders) => {
+        const idx = indexOf(orders, order.id);
+        if (idx === -1) return null;
+        orders[idx] = order;
+        return order;
+      });
+    },
+
+    // Remove an order; returns the removed order or null
+    async deleteOrder(companyId, id) {
+      return modifyOrders(companyId, (orders) => {
+        const idx = indexOf(orders, id);
+        return idx === -1 ? null : orders.splice(idx, 1)[0];
+      });
+    },
+
+    async replaceOrders(companyId, orders) {
+      await writeDoc(companyId, "orders", orders);
+    },
+
+    // Attach a rating to an order; returns the updated order or null
+    async saveRating(companyId, id, rating) {
+      return modifyOrders(companyId, (orders) => {
+        const idx = indexOf(orders, id);
+        if (idx === -1) return null;
+        orders[idx].rating = rating;
+        return orders[idx];
+      });
+    },
+
+    // Move orders into the `month` archive file and out of the live orders.json.
+    // The archive is written first, so a crash in between leaves a duplicate, not a loss.
+    async archiveOrders(companyId, month, orders) {
+      const file = archivePath(companyId, month);
+      const archived = await readJSON(file, []);
+      const ids = new Set(orders.map((o) => String(o.id)));
+      const merged = archived
+        .filter((o) => !ids.has(String(o.id)))
+        .concat(orders);
+      await writeJSONAtomic(merged, file, file + ".tmp");
+      await modifyOrders(companyId, (live) => {
+        const kept = live.filter((o) => !ids.has(String(o.id)));
+        live.splice(0, live.length, ...kept);
+      });
+    },
+
+    async listArchiveMonths(companyId) {
+      const files = await fs.readdir(archivePath(companyId)).catch(() => []);
+      return files
+        .map((f) => f.match(/^orders-(\d{4}-\d{2})\.json$/))
+        .filter(Boolean)
+        .map((m) => m[1])
+        .sort();
+    },
+
+    async listArchivedOrders(companyId, month) {
+      const orders = await readJSON(archivePath(companyId, month), []);
+      return Array.isArray(orders) ? orders : [];
+    },
+
+    // Whole-document values (desks, users, menu...); null when missing
+    async getDoc(companyId, name) {
+      const data = await readJSON(docPath(companyId, name), null);
+      if (data !== null || name !== "menu") return data;
+      return readJSON(legacyMenuPath(companyId), null);
+    },
+
+    async putDoc(companyId, name, value) {
+      if (name === "menu") {
+        // keep menus/<id>.json in sync for older tooling
+        const legacy = legacyMenuPath(companyId);
+        await writeJSONAtomic(value, legacy, legacy + ".tmp");
+        if (!companyId) return;
+      }
+      await writeDoc(companyId, name, value);
+    },
+  };
+}
+
+module.exports = { createJsonStorage, readJSON, writeJSONAtomic };
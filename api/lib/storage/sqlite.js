@@ -0,0 +1,301 @@
+// lib/storage/sqlite.js — embedded SQLite driver (better-sqlite3)
+//
+// One row per order, so creating or updating an order no longer rewrites the whole
+// company history. Ratings get their own table; archived orders (ratings included) live in
+// order_archive; desks, users and menus are stored as JSON documents keyed by (company, name).
+const fs = require("fs");
+const path = require("path");
+
+const GLOBAL_COMPANY = "_global"; // orders/desks posted without ?company=
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS orders (
+    seq INTEGER PRIMARY KEY AUTOINCREMENT,
+    company TEXT NOT NULL,
+    id TEXT NOT NULL,
+    timestamp TEXT,
+    status TEXT,
+    desk TEXT,
+    data TEXT NOT NULL,
+    UNIQUE (company, id)
+  );
+  CREATE INDEX IF NOT EXISTS orders_company_timestamp ON orders (company, timestamp);
+
+  CREATE TABLE IF NOT EXISTS ratings (
+    company TEXT NOT NULL,
+    order_id TEXT NOT NULL,
+    stars INTEGER,
+    review TEXT,
+    timestamp TEXT,
+    data TEXT NOT NULL,
+    PRIMARY KEY (company, order_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS order_archive (
+    company TEXT NOT NULL,
+    month TEXT NOT NULL,
+    id TEXT NOT NULL,
+    timestamp TEXT,
+    data TEXT NOT NULL,
+    PRIMARY KEY (company, id)
+  );
+  CREATE INDEX IF NOT EXISTS order_archive_month ON order_archive (company, month);
+
+  CREATE TABLE IF NOT EXISTS docs (
+    company TEXT NOT NULL,
+    name TEXT NOT NULL,
+    data TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    PRIMARY KEY (company, name)
+  );
+`;
+
+function companyKey(companyId) {
+  return companyId ? String(companyId) : GLOBAL_COMPANY;
+}
+
+function createSqliteStorage({ file }) {
+  // required lazily so the JSON driver works without the native module installed
+  const Database = require("better-sqlite3");
+  let db = null;
+  let stmts = null;
+
+  function open() {
+    if (db) return;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    db = new Database(file);
+    db.pragma("journal_mode = WAL");
+    db.exec(SCHEMA);
+
+    const orderColumns = `o.data AS data, r.data AS rating`;
+    const ratingJoin = `LEFT JOIN ratings r ON r.company = o.company AND r.order_id = o.id`;
+    stmts = {
+      listOrders: db.prepare(
+        `SELECT ${orderColumns} FROM orders o ${ratingJoin} WHERE o.company = ? ORDER BY o.seq`
+      ),
+      getOrder: db.prepare(
+        `SELECT ${orderColumns} FROM orders o ${ratingJoin} WHERE o.company = ? AND o.id = ?`
+      ),
+      insertOrder: db.prepare(
+        `INSERT INTO orders (company, id, timestamp, status, desk, data)
+         VALUES (@company, @id, @timestamp, @status, @desk, @data)`
+      ),
+      updateOrder: db.prepare(
+        `UPDATE orders SET timestamp = @timestamp, status = @status, desk = @desk, data = @data
+         WHERE company = @company AND id = @id`
+      ),
+      deleteOrder: db.prepare(
+        `DELETE FROM orders WHERE company = ? AND id = ?`
+      ),
+      deleteAllOrders: db.prepare(`DELETE FROM orders WHERE company = ?`),
+      upsertRating: db.prepare(
+        `INSERT INTO ratings (company, order_id, stars, review, timestamp, data)
+         VALUES (@company, @orderId, @stars, @review, @timestamp, @data)
+         ON CONFLICT (company, order_id) DO UPDATE SET
+           stars = excluded.stars, review = excluded.review,
+           timestamp = excluded.timestamp, data = excluded.data`
+      ),
+      deleteRating: db.prepare(
+        `DELETE FROM ratings WHERE company = ? AND order_id = ?`
+      ),
+      deleteAllRatings: db.prepare(`DELETE FROM ratings WHERE company = ?`),
+      archiveOrder: db.prepare(
+        `INSERT INTO order_archive (company, month, id, timestamp, data)
+         VALUES (@company, @month, @id, @timestamp, @data)
+         ON CONFLICT (company, id) DO UPDATE SET
+           month = excluded.month, timestamp = excluded.timestamp, data = excluded.data`
+      ),
+      listArchiveMonths: db.prepare(
+        `SELECT DISTINCT month FROM order_archive WHERE company = ? ORDER BY month`
+      ),
+      listArchivedOrders: db.prepare(
+        `SELECT data FROM order_archive WHERE company = ? AND month = ? ORDER BY timestamp`
+      ),
+      getDoc: db.prepare(
+        `SELECT data FROM docs WHERE company = ? AND name = ?`
+      ),
+      putDoc: db.prepare(
+        `INSERT INTO docs (company, name, data, updated_at) VALUES (?, ?, ?, ?)
+         ON CONFLICT (company, name) DO UPDATE SET
+           data = excluded.data, updated_at = excluded.updated_at`
+      ),
+      listCompanies: db.prepare(
+        `SELECT company FROM orders UNION SELECT company FROM docs`
+      ),
+    };
+  }
+
+  function rowToOrder(row) {
+    if (!row) return null;
+    const order = JSON.parse(row.data);
+    if (row.rating) order.rating = JSON.parse(row.rating);
+    return order;
+  }
+
+  function orderParams(company, order) {
+    const { rating, ...rest } = order;
+    return {
+      company,
+      id: String(order.id),
+      timestamp: order.timestamp || null,
+      status: order.status || null,
+      desk: order.desk != null ? String(order.desk) : null,
+      data: JSON.stringify(rest),
+    };
+  }
+
+  function writeRating(company, orderId, rating) {
+    if (!rating) return;
+    stmts.upsertRating.run({
+      company,
+      orderId: String(orderId),
+      stars: Number.isFinite(Number(rating.stars))
+        ? Number(rating.stars)
+        : null,
+      review: rating.review || null,
+      timestamp: rating.timestamp || null,
+      data: JSON.stringify(rating),
+    });
+  }
+
+  return {
+    name: "sqlite",
+    file,
+
+    async init() {
+      open();
+    },
+
+    async close() {
+      if (db) db.close();
+      db = null;
+      stmts = null;
+    },
+
+    async listCompanies() {
+      open();
+      return stmts.listCompanies
+        .all()
+        .map((r) => r.company)
+        .filter((c) => c !== GLOBAL_COMPANY)
+        .sort();
+    },
+
+    async listOrders(companyId) {
+      open();
+      return stmts.listOrders.all(companyKey(companyId)).map(rowToOrder);
+    },
+
+    async getOrder(companyId, id) {
+      open();
+      return rowToOrder(stmts.getOrder.get(companyKey(companyId), String(id)));
+    },
+
+    async insertOrder(companyId, order) {
+      open();
+      const company = companyKey(companyId);
+      db.transaction(() => {
+        stmts.insertOrder.run(orderParams(company, order));
+        writeRating(company, order.id, order.rating);
+      })();
+      return order;
+    },
+
+    async updateOrder(companyId, order) {
+      open();
+      const company = companyKey(companyId);
+      const changed = db.transaction(() => {
+        const info = stmts.updateOrder.run(orderParams(company, order));
+        if (info.changes) writeRating(company, order.id, order.rating);
+        return info.changes;
+      })();
+      return changed ? order : null;
+    },
+
+    async deleteOrder(companyId, id) {
+      open();
+      const company = companyKey(companyId);
+      return db.transaction(() => {
+        const existing = rowToOrder(stmts.getOrder.get(company, String(id)));
+        if (!existing) return null;
+        stmts.deleteOrder.run(company, String(id));
+        stmts.deleteRating.run(company, String(id));
+        return existing;
+      })();
+    },
+
+    async replaceOrders(companyId, orders) {
+      open();
+      const company = companyKey(companyId);
+      db.transaction(() => {
+        stmts.deleteAllOrders.run(company);
+        stmts.deleteAllRatings.run(company);
+        for (const order of orders) {
+          stmts.insertOrder.run(orderParams(company, order));
+          writeRating(company, order.id, order.rating);
+        }
+      })();
+    },
+
+    async saveRating(companyId, id, rating) {
+      open();
+      const company = companyKey(companyId);
+      return db.transaction(() => {
+        const existing = rowToOrder(stmts.getOrder.get(company, String(id)));
+        if (!existing) return null;
+        writeRating(company, id, rating);
+        return { ...existing, rating };
+      })();
+    },
+
+    async archiveOrders(companyId, month, orders) {
+      open();
+      const company = companyKey(companyId);
+      db.transaction(() => {
+        for (const order of orders) {
+          stmts.archiveOrder.run({
+            company,
+            month,
+            id: String(order.id),
+            timestamp: order.timestamp || null,
+            data: JSON.stringify(order),
+          });
+          stmts.deleteOrder.run(company, String(order.id));
+          stmts.deleteRating.run(company, String(order.id));
+        }
+      })();
+    },
+
+    async listArchiveMonths(companyId) {
+      open();
+      return stmts.listArchiveMonths
+        .all(companyKey(companyId))
+        .map((r) => r.month);
+    },
+
+    async listArchivedOrders(companyId, month) {
+      open();
+      return stmts.listArchivedOrders
+        .all(companyKey(companyId), month)
+        .map((r) => JSON.parse(r.data));
+    },
+
+    async getDoc(companyId, name) {
+      open();
+      const row = stmts.getDoc.get(companyKey(companyId), name);
+      return row ? JSON.parse(row.data) : null;
+    },
+
+    async putDoc(companyId, name, value) {
+      open();
+      stmts.putDoc.run(
+        companyKey(companyId),
+        name,
+        JSON.stringify(value),
+        new Date().toISOString()
+      );
+    },
+  };
+}
+
+module.exports = { createSqliteStorage };
@@ -0,0 +1,35 @@
+// lib/telegramBot.js — thin Telegram Bot API client
+//
+// botApi(token).call("sendMessage", { chat_id, text }) resolves to the method's `result`
+// and rejects when Telegram answers { ok: false }. TELEGRAM_API_URL points it somewhere
+// else than https://api.telegram.org, e.g. a local fake Bot API server during testing.
+const { requestJson } = require("./httpClient");
+
+const DEFAULT_API_URL = "https://api.telegram.org";
+
+function apiUrl() {
+  return (process.env.TELEGRAM_API_URL || DEFAULT_API_URL).replace(/\/+$/, "");
+}
+
+function botApi(token) {
+  return {
+    async call(method, params = {}) {
+      const res = await requestJson(
+        "POST",
+        `${apiUrl()}/bot${token}/${method}`,
+        { body: params }
+      );
+      const body = res.body || {};
+      if (!body.ok) {
+        throw new Error(
+          `Telegram ${method} failed: ${
+            body.description || `HTTP ${res.status}`
+          }`
+        );
+      }
+      return body.result;
+    },
+  };
+}
+
+module.exports = { botApi };
@@ -0,0 +1,270 @@
+// lib/validate.js — declarative checks for request bodies, queries and route params
+//
+// A schema describes one value and cleans it:
+//   str({ max: 500 })        text, trimmed ({ trim: false } keeps passwords as typed);
+//                            { numbers: true } also takes 12 and makes "12"
+//   int({ min: 1, max: 5 })  whole number ("3" from a query string becomes 3)
+//   num({ min: 0 })          any number ("2.5" becomes 2.5)
+//   bool()                   true / false ("1", "true", "0", "false" from a query string)
+//   date()                   anything Date understands, kept as given
+//   list(schema, { max })    array of values
+//   obj({ key: schema })     object; keys the schema doesn't list are dropped, unless
+//                            { unknown: "keep" } (queries keep theirs)
+//   map(schema, { key })     object with free-form keys (e.g. desk numbers) matching `key`
+//   custom(fn)               fn(value, field, errors) returns the cleaned value
+//   nullable(schema)         also takes null (kept, e.g. to clear a setting)
+// Values are optional unless { required: true }; null counts as missing, and so does empty
+// text for a required field.
+// validate({ params, query, body }) is route middleware: it replaces those parts of `req`
+// with the cleaned values, or answers 400 with
+//   { error: "Invalid request — desk: Required", errors: [{ field: "desk", message: "Required" }] }
+// Menus use the same shape (lib/menuSchema.js), so pages can show either the same way.
+// Query and param fields are reported as "query.<name>" / "params.<name>".
+
+const isObject = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+
+const fail = (errors, field, message) => {
+  errors.push({ field, message });
+  return undefined;
+};
+
+// Run `schema` on `value`; missing values are only an error when required
+function checkValue(schema, value, field, errors) {
+  if (value === null && schema.nullable) return null;
+  const blank = typeof value === "string" && value.trim() === "";
+  if (value === undefined || value === null || (blank && schema.required)) {
+    return schema.required ? fail(errors, field, "Required") : undefined;
+  }
+  return schema.check(value, field, errors);
+}
+
+const join = (parent, key) => (parent ? `${parent}.${key}` : String(key));
+
+function str({
+  required,
+  numbers = false,
+  min = 0,
+  max = 1000,
+  pattern,
+  message,
+  values,
+  trim = true,
+} = {}) {
+  return {
+    required,
+    check(value, field, errors) {
+      if (numbers && typeof value === "number" && Number.isFinite(value)) {
+        value = String(value);
+      }
+      if (typeof value !== "string") return fail(errors, field, "Must be text");
+      const s = trim ? value.trim() : value;
+      if (s.length < min) {
+        return fail(errors, field, `Must be at least ${min} characters`);
+      }
+      if (s.length > max) {
+        return fail(errors, field, `Must be at most ${max} characters`);
+      }
+      if (values && !values.includes(s)) {
+        return fail(errors, field, `Must be one of ${values.join(", ")}`);
+      }
+      if (pattern && s && !pattern.test(s)) {
+        return fail(errors, field, message || "Has an invalid format");
+      }
+      return s;
+    },
+  };
+}
+
+const rangeText = (min, max) =>
+  min > -Infinity && max < Infinity
+    ? ` between ${min} and ${max}`
+    : min > -Infinity
+    ? ` of at least ${min}`
+    : max < Infinity
+    ? ` of at most ${max}`
+    : "";
+
+function int({ required, min = -Infinity, max = Infinity } = {}) {
+  const range = rangeText(min, max);
+  return {
+    required,
+    check(value, field, errors) {
+      const n =
+        typeof value === "string" && /^-?\d+$/.test(value.trim())
+          ? Number(value)
+          : value;
+      if (!Number.isInteger(n) || n < min || n > max) {
+        return fail(errors, field, `Must be a whole number${range}`);
+      }
+      return n;
+    },
+  };
+}
+
+function num({ required, min = -Infinity, max = Infinity } = {}) {
+  const range = rangeText(min, max);
+  return {
+    required,
+    check(value, field, errors) {
+      const n =
+        typeof value === "string" && value.trim() !== ""
+          ? Number(value)
+          : value;
+      if (typeof n !== "number" || !Number.isFinite(n) || n < min || n > max) {
+        return fail(errors, field, `Must be a number${range}`);
+      }
+      return n;
+    },
+  };
+}
+
+function bool({ required } = {}) {
+  return {
+    required,
+    check(value, field, errors) {
+      if (typeof value === "boolean") return value;
+      if (["1", "true"].includes(value)) return true;
+      if (["0", "false"].includes(value)) return false;
+      return fail(errors, field, "Must be true or false");
+    },
+  };
+}
+
+function date({ required } = {}) {
+  return {
+    required,
+    check(value, field, errors) {
+      if (
+        (typeof value !== "string" && typeof value !== "number") ||
+        !Number.isFinite(new Date(value).getTime())
+      ) {
+        return fail(errors, field, "Must be a date/time");
+      }
+      return value;
+    },
+  };
+}
+
+function list(of, { required, max = 1000 } = {}) {
+  return {
+    required,
+    check(value, field, errors) {
+      if (!Array.isArray(value)) return fail(errors, field, "Must be a list");
+      if (value.length > max) {
+        return fail(errors, field, `Must have at most ${max} entries`);
+      }
+      return value.map((v, i) => checkValue(of, v, `${field}[${i}]`, errors));
+    },
+  };
+}
+
+function obj(shape, { required, unknown = "strip" } = {}) {
+  return {
+    required,
+    check(value, field, errors) {
+      if (!isObject(value)) return fail(errors, field, "Must be an object");
+      const out = unknown === "keep" ? { ...value } : {};
+      for (const [key, schema] of Object.entries(shape)) {
+        const cleaned = checkValue(
+          schema,
+          value[key],
+          join(field, key),
+          errors
+        );
+        if (cleaned === undefined) delete out[key];
+        else out[key] = cleaned;
+      }
+      return out;
+    },
+  };
+}
+
+function map(of, { required, key = /^[A-Za-z0-9_-]{1,64}$/, max = 1000 } = {}) {
+  return {
+    required,
+    check(value, field, errors) {
+      if (!isObject(value)) return fail(errors, field, "Must be an object");
+      const keys = Object.keys(value);
+      if (keys.length > max) {
+        return fail(errors, field, `Must have at most ${max} entries`);
+      }
+      const out = {};
+      for (const k of keys) {
+        if (!key.test(k)) {
+          fail(errors, join(field, k), "Has an invalid name");
+          continue;
+        }
+        const cleaned = checkValue(of, value[k], join(field, k), errors);
+        if (cleaned !== undefined) out[k] = cleaned;
+      }
+      return out;
+    },
+  };
+}
+
+function custom(fn, { required } = {}) {
+  return { required, check: fn };
+}
+
+function nullable(schema) {
+  return { ...schema, nullable: true };
+}
+
+// One-line summary of a list of { field, message } for the `error` message
+function describeErrors(errors, what = "request") {
+  const first = errors[0];
+  const where = first.field ? `${first.field}: ` : "";
+  const more = errors.length > 1 ? ` (and ${errors.length - 1} more)` : "";
+  return `Invalid ${what} — ${where}${first.message}${more}`;
+}
+
+// The 400 body for one problem found after the schema check (e.g. two zones sharing a
+// desk), in the same shape validate() answers with
+function invalidRequest(field, message) {
+  const errors = [{ field, message }];
+  return { error: describeErrors(errors), errors };
+}
+
+/**
+ * Route middleware checking `req.params`, `req.query` and `req.body` against the given
+ * schemas (see above). Cleaned values replace the originals.
+ */
+function validate(schemas) {
+  return (req, res, next) => {
+    const errors = [];
+    const cleaned = {};
+    for (const part of ["params", "query", "body"]) {
+      if (!schemas[part]) continue;
+      const value = req[part] === undefined ? {} : req[part];
+      cleaned[part] = checkValue(
+        schemas[part],
+        value,
+        part === "body" ? "" : part,
+        errors
+      );
+    }
+    if (errors.length) {
+      return res.status(400).json({ error: describeErrors(errors), errors });
+    }
+    for (const [part, value] of Object.entries(cleaned)) {
+      req[part] = value === undefined ? {} : value;
+    }
+    next();
+  };
+}
+
+module.exports = {
+  str,
+  int,
+  num,
+  bool,
+  date,
+  list,
+  obj,
+  map,
+  custom,
+  nullable,
+  describeErrors,
+  invalidRequest,
+  validate,
+};
@@ -0,0 +1,41 @@
+// lib/writeQueue.js — serialize mutations per company
+//
+// Order/desk/menu/user handlers read the current data, change it and write it back.
+// Two requests for the same company interleaving there would lose one of the writes,
+// so each company gets a promise chain and mutations run on it one at a time.
+// Different companies still proceed in parallel.
+
+const queues = new Map(); // companyKey -> tail promise
+
+// Run `fn` after every earlier task for the same company has settled
+function withCompanyLock(companyId, fn) {
+  const key = companyId ? String(companyId) : "_global";
+  const prev = queues.get(key) || Promise.resolve();
+
+  const result = prev.then(() => fn());
+  const tail = result.catch(() => {});
+  queues.set(key, tail);
+  tail.then(() => {
+    if (queues.get(key) === tail) queues.delete(key);
+  });
+  return result;
+}
+
+const READ_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+// Middleware: hold the company's lock until the response has been sent
+function serializeWrites(req, res, next) {
+  if (READ_METHODS.includes(req.method)) return next();
+
+  withCompanyLock(
+    req.query.company,
+    () =>
+      new Promise((resolve) => {
+        res.once("finish", resolve);
+        res.once("close", resolve); // client went away
+        next();
+      })
+  ).catch(next);
+}
+
+module.exports = { withCompanyLock, serializeWrites };
@@ -0,0 +1,148 @@
+// lib/zones.js — service zones: named desk ranges, each served by one tea boy
+//
+// Stored per company as the "zones" document:
+//   { zones: [{ id, name, deskRanges: [[1, 25], [103, 107]], teaBoy, shifts, backup,
+//               supervisor }] }
+// `supervisor` is who late orders are escalated to (lib/sla.js).
+// A tea-boy account whose `zone` is one of these ids is scoped to that zone's desks, and
+// new orders for those desks are stamped with the zone and the tea boy on duty (shifts and
+// backup: see lib/shifts.js; `teaBoy` covers zones without a schedule), so moving desks
+// between tea boys is a settings change. Zones are kept in memory (loaded at startup and
+// on every save) because scope checks, including the live-stream filter, are synchronous.
+const { parseDeskRanges, deskNumberOf, isDeskInRanges } = require("./scope");
+const { validateShifts } = require("./shifts");
+
+const ZONE_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,39}$/;
+
+const cache = new Map(); // companyId -> zones
+
+/**
+ * Merge `input` over `existing` and validate one zone.
+ * Desks may be given as `desks` ("1-25, 103-107") or `deskRanges` ([[1, 25], ...]).
+ * Returns { zone } or { error } (message for a 400 response).
+ */
+function validateZone(input = {}, existing = null) {
+  const zone = existing
+    ? { ...existing }
+    : {
+        id: "",
+        name: "",
+        deskRanges: [],
+        teaBoy: "",
+        shifts: [],
+        backup: "",
+        supervisor: "",
+      };
+
+  if (!existing) zone.id = String(input.id || "").trim();
+  if (!ZONE_ID_PATTERN.test(zone.id)) {
+    return {
+      error: "Zone id must be 1-40 lowercase letters, digits or dashes",
+    };
+  }
+  for (const key of ["name", "teaBoy", "backup", "supervisor"]) {
+    if (input[key] === undefined) continue;
+    if (typeof input[key] !== "string") {
+      return { error: `"${key}" must be a string` };
+    }
+    zone[key] = input[key].trim();
+  }
+  if (!zone.name) return { error: "Zone name is required" };
+
+  const desks = input.desks !== undefined ? input.desks : input.deskRanges;
+  if (desks !== undefined) {
+    const ranges = parseDeskRanges(desks);
+    if (ranges === null) {
+      return { error: 'Invalid desks, expected e.g. "1-25, 103-107"' };
+    }
+    zone.deskRanges = ranges;
+  }
+  if (!zone.deskRanges.length) {
+    return { error: `Zone "${zone.name}" needs at least one desk` };
+  }
+
+  if (input.shifts !== undefined) {
+    const { shifts, error } = validateShifts(input.shifts);
+    if (error) return { error: `Zone "${zone.name}": ${error}` };
+    zone.shifts = shifts;
+  }
+  return { zone };
+}
+
+// Validate a whole zone list: unique ids and no desk in two zones
+function validateZones(list) {
+  if (!Array.isArray(list)) return { error: '"zones" must be an array' };
+  const zones = [];
+  for (const input of list) {
+    const { zone, error } = validateZone(input || {});
+    if (error) return { error };
+    if (zones.some((z) => z.id === zone.id)) {
+      return { error: `Duplicate zone id "${zone.id}"` };
+    }
+    for (const other of zones) {
+      for (const [from, to] of zone.deskRanges) {
+        const clash = other.deskRanges.find(([a, b]) => from <= b && a <= to);
+        if (clash) {
+          const desk = Math.max(from, clash[0]);
+          return {
+            error: `Desk ${desk} is in both "${other.name}" and "${zone.name}"`,
+          };
+        }
+      }
+    }
+    zones.push(zone);
+  }
+  return { zones };
+}
+
+async function loadZones(storage, companyId) {
+  const doc = await storage.getDoc(companyId, "zones");
+  const zones = doc && Array.isArray(doc.zones) ? doc.zones : [];
+  cache.set(companyId, zones);
+  return zones;
+}
+
+async function saveZones(storage, companyId, zones) {
+  await storage.putDoc(companyId, "zones", { zones });
+  cache.set(companyId, zones);
+  return zones;
+}
+
+// Fill the cache for every company (called once at startup)
+async function preloadZones(storage) {
+  for (const companyId of await storage.listCompanies()) {
+    await loadZones(storage, companyId);
+  }
+}
+
+function cachedZones(companyId) {
+  return cache.get(companyId) || [];
+}
+
+function zoneForOrder(companyId, order) {
+  const desk = deskNumberOf(order);
+  if (desk === null) return null;
+  return (
+    cachedZones(companyId).find((z) => isDeskInRanges(desk, z.deskRanges)) ||
+    null
+  );
+}
+
+// Session user with the desks of their zone; accounts without a defined zone keep
+// the desk ranges stored on the account
+function withZoneScope(user) {
+  if (!user || user.role !== "teaboy" || !user.zone) return user;
+  const zone = cachedZones(user.company).find((z) => z.id === user.zone);
+  return zone ? { ...user, deskRanges: zone.deskRanges } : user;
+}
+
+module.exports = {
+  validateZone,
+  validateZones,
+  loadZones,
+  saveZones,
+  preloadZones,
+  cachedZones,
+  zoneForOrder,
+  withZoneScope,
+};
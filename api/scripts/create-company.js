@@ -0,0 +1,107 @@
+// scripts/create-company.js — register a company and create its data (desks, one zone, default menu)
+// Usage: node scripts/create-company.js <id> <name> [options]
+//   --desks <n>            number of desks to create (default 10)
+//   --flow <flow>          dashboard (default) | telegram
+//   --ordering <who>       public (default, the desks' QR codes) | kiosk (logged-in tablets)
+//   --theme <theme>        CSS theme class for the ordering page
+//   --logo <url>           logo URL or /path
+//   --title <text>         heading on the ordering page (default: the name)
+//   --time-zone <tz>       IANA time zone for tea-boy shifts (default: the server's)
+//   --disable <features>   comma-separated: ratings, orderNotes
+//   --admin-password <pw>  also create the "admin" login
+//   Uses the same STORAGE_DRIVER / SQLITE_FILE settings as the server.
+//   The pages are then served at /company_list/<id>/ (from COMPANY_TEMPLATE unless the
+//   company has its own folder).
+const { hashPassword } = require("../lib/auth");
+const { getStorage } = require("../lib/storage");
+const { provisionCompany, DEFAULT_FEATURES } = require("../lib/companies");
+
+const USAGE =
+  "Usage: node scripts/create-company.js <id> <name> [--desks n] [--flow dashboard|telegram] " +
+  "[--ordering public|kiosk] " +
+  "[--title text] [--time-zone tz] [--theme theme] [--logo url] [--disable features] [--admin-password pw]";
+
+function parseArgs(argv) {
+  const [id, name, ...rest] = argv;
+  const options = {};
+  for (let i = 0; i < rest.length; i += 2) {
+    const key = rest[i];
+    const value = rest[i + 1];
+    if (!key.startsWith("--") || value === undefined) return null;
+    options[key.slice(2)] = value;
+  }
+  return { id, name, options };
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args || !args.id || !args.name) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+  const { id, name, options } = args;
+
+  const features = {};
+  for (const feature of (options.disable || "").split(",").filter(Boolean)) {
+    if (!(feature in DEFAULT_FEATURES)) {
+      console.error(`Unknown feature "${feature}"`);
+      process.exit(1);
+    }
+    features[feature] = false;
+  }
+  const numDesks = parseInt(options.desks || "10", 10);
+  if (!Number.isFinite(numDesks) || numDesks < 1) {
+    console.error("--desks must be a positive number");
+    process.exit(1);
+  }
+
+  const storage = getStorage();
+  await storage.init();
+
+  const { company, error } = await provisionCompany(
+    storage,
+    {
+      id,
+      name,
+      title: options.title,
+      timeZone: options["time-zone"],
+      orderFlow: options.flow,
+      ordering: options.ordering,
+      theme: options.theme,
+      logo: options.logo,
+      features,
+    },
+    { numDesks }
+  );
+  if (error) {
+    await storage.close();
+    console.error(error);
+    process.exit(1);
+  }
+
+  if (options["admin-password"]) {
+    const data = (await storage.getDoc(id, "users")) || { users: [] };
+    data.users = (data.users || []).filter((u) => u.username !== "admin");
+    data.users.push({
+      username: "admin",
+      role: "admin",
+      passwordHash: hashPassword(options["admin-password"]),
+    });
+    await storage.putDoc(id, "users", data);
+  }
+
+  await storage.close();
+  console.log(`Created company=${company.id} (${company.name})`);
+  console.log(`  desks: ${numDesks}, order flow: ${company.orderFlow}`);
+  console.log(`  ordering page: /company_list/${company.id}/order_menu.html`);
+  if (!options["admin-password"]) {
+    console.log(
+      `  next: npm run set-password -- ${company.id} "<password>"  (admin login)`
+    );
+  }
+}
+
+main().catch((err) => {
+  console.error("create-company failed:", err);
+  process.exit(1);
+});
@@ -0,0 +1,42 @@
+// scripts/gc-menu-images.js — delete menu images that no company's menu uses any more
+// Usage: node scripts/gc-menu-images.js [--dry-run] [--all]
+//   --dry-run  only list what would be deleted
+//   --all      ignore MENU_IMAGE_GRACE_HOURS (also delete images uploaded moments ago)
+//   Uses the same STORAGE_DRIVER / SQLITE_FILE settings as the server.
+//   The server runs the same cleanup after every menu save.
+const path = require("path");
+const { getStorage } = require("../lib/storage");
+const { menusInUse, collectOrphanImages } = require("../lib/menuImages");
+
+const UPLOADS_DIR = path.join(__dirname, "..", "uploads");
+
+async function main() {
+  const args = process.argv.slice(2);
+  const unknown = args.filter((a) => !["--dry-run", "--all"].includes(a));
+  if (unknown.length) {
+    console.error("Usage: node scripts/gc-menu-images.js [--dry-run] [--all]");
+    process.exit(1);
+  }
+  const dryRun = args.includes("--dry-run");
+
+  const storage = getStorage();
+  await storage.init();
+  const removed = await collectOrphanImages(
+    UPLOADS_DIR,
+    await menusInUse(storage),
+    { dryRun, ...(args.includes("--all") && { graceMs: 0 }) }
+  );
+  await storage.close();
+
+  removed.forEach((name) =>
+    console.log(`${dryRun ? "Would delete" : "Deleted"} ${name}`)
+  );
+  console.log(
+    `${removed.length} unused image(s)${dryRun ? " found" : " deleted"}`
+  );
+}
+
+main().catch((err) => {
+  console.error("gc-menu-images failed:", err);
+  process.exit(1);
+});
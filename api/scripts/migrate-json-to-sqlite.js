@@ -0,0 +1,78 @@
+// scripts/migrate-json-to-sqlite.js — copy the JSON files into the SQLite database
+// Usage: node scripts/migrate-json-to-sqlite.js [sqlite-file]
+//   Imports every data/companies/<id>/ (orders + ratings, archives, company, desks, users, menu) and
+//   menus/<id>.json, plus the legacy global orders.json / desks.json.
+//   Safe to re-run: each company's orders and documents are replaced, not appended.
+//   Then start the server with STORAGE_DRIVER=sqlite.
+const { createStorage, DEFAULT_SQLITE_FILE } = require("../lib/storage");
+
+const DOCS = [
+  "company",
+  "desks",
+  "zones",
+  "sla",
+  "integrations",
+  "outbox",
+  "users",
+  "menu",
+  "menuRevisions",
+  "stock",
+];
+
+async function copyCompany(from, to, companyId) {
+  const orders = await from.listOrders(companyId);
+  await to.replaceOrders(companyId, orders);
+
+  let archived = 0;
+  for (const month of await from.listArchiveMonths(companyId)) {
+    const batch = await from.listArchivedOrders(companyId, month);
+    await to.archiveOrders(companyId, month, batch);
+    archived += batch.length;
+  }
+
+  const copied = [];
+  for (const name of DOCS) {
+    const value = await from.getDoc(companyId, name);
+    if (value === null) continue;
+    await to.putDoc(companyId, name, value);
+    copied.push(name);
+  }
+
+  const ratings = orders.filter((o) => o.rating).length;
+  console.log(
+    `  ${companyId || "(global)"}: ${
+      orders.length
+    } orders, ${ratings} ratings, ${archived} archived${
+      copied.length ? `, ${copied.join(", ")}` : ""
+    }`
+  );
+}
+
+// Copy every company (and the global data) from one storage to another
+async function migrate(from, to) {
+  const companies = await from.listCompanies();
+  console.log(`Migrating ${companies.length} companies`);
+  for (const companyId of [null, ...companies]) {
+    await copyCompany(from, to, companyId);
+  }
+}
+
+async function main() {
+  const file =
+    process.argv[2] || process.env.SQLITE_FILE || DEFAULT_SQLITE_FILE;
+  const to = createStorage("sqlite", { file });
+  await to.init();
+  console.log(`Writing to ${file}`);
+  await migrate(createStorage("json"), to);
+  await to.close();
+  console.log("Done. Start the server with STORAGE_DRIVER=sqlite");
+}
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error("Migration failed:", err);
+    process.exit(1);
+  });
+}
+
+module.exports = { migrate };
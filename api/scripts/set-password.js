@@ -0,0 +1,53 @@
+// scripts/set-password.js — create or update a login for a company
+// Usage: node scripts/set-password.js <company> <password> [username] [role] [desks]
+//   role:  admin (default) | teaboy | viewer | kiosk
+//   desks: tea-boy desk ranges, e.g. "1-25,103-107"
+//   Uses the same STORAGE_DRIVER / SQLITE_FILE settings as the server.
+const { hashPassword, ROLES } = require("../lib/auth");
+const { parseDeskRanges } = require("../lib/scope");
+const { getStorage } = require("../lib/storage");
+
+async function main() {
+  const [company, password, username = "admin", role, desks] =
+    process.argv.slice(2);
+  const deskRanges = parseDeskRanges(desks);
+  if (
+    !company ||
+    !password ||
+    !/^[a-z0-9_-]{1,64}$/i.test(company) ||
+    (role && !ROLES.includes(role)) ||
+    deskRanges === null
+  ) {
+    console.error(
+      "Usage: node scripts/set-password.js <company> <password> [username] [role] [desks]"
+    );
+    process.exit(1);
+  }
+
+  const storage = getStorage();
+  await storage.init();
+
+  const data = (await storage.getDoc(company, "users")) || { users: [] };
+  if (!Array.isArray(data.users)) data.users = [];
+
+  const existing = data.users.find((u) => u.username === username);
+  const user = existing || { username, role: "admin" };
+  user.passwordHash = hashPassword(password);
+  if (role) user.role = role;
+  if (user.role === "teaboy" && desks !== undefined)
+    user.deskRanges = deskRanges;
+  if (!existing) data.users.push(user);
+
+  await storage.putDoc(company, "users", data);
+  await storage.close();
+  console.log(
+    `${
+      existing ? "Updated" : "Created"
+    } login "${username}" for company=${company}`
+  );
+}
+
+main().catch((err) => {
+  console.error("set-password failed:", err);
+  process.exit(1);
+});
@@ -2,78 +2,187 @@
 const express = require("express");
 const cors = require("cors");
 const fs = require("fs").promises;
+const multer = require("multer");
 const path = require("path");
+const crypto = require("crypto");
 const basicAuth = require("express-basic-auth");
+const {
+  hashPassword,
+  verifyPassword,
+  needsRehash,
+  publicUser,
+  requireAuth,
+  requireRole,
+} = require("./lib/auth");
+const { isOrderInScope } = require("./lib/scope");
+const orderEvents = require("./lib/orderEvents");
+const {
+  normalizeStatus,
+  canTransition,
+  initHistory,
+  applyTransition,
+} = require("./lib/orderStatus");
+const { getStorage } = require("./lib/storage");
+const { serializeWrites } = require("./lib/writeQueue");
+const { orderVersion, orderEtag, isStale } = require("./lib/etag");
+const {
+  parseOrderQuery,
+  orderMatches,
+  paginate,
+  monthsInRange,
+} = require("./lib/orderQuery");
+const { startArchiver } = require("./lib/orderArchive");
+const { parseStatsQuery, buildStats } = require("./lib/analytics");
+const {
+  parseFormat,
+  orderTable,
+  statsTables,
+  sendExport,
+  FORMATS: EXPORT_FORMATS,
+} = require("./lib/export");
+const {
+  DEFAULT_MENU,
+  defaultDesks,
+  validateCompany,
+  publicCompany,
+  companyTimeZone,
+  readCompany,
+  listRegisteredCompanies,
+  provisionCompany,
+} = require("./lib/companies");
+const {
+  validateZone,
+  validateZones,
+  loadZones,
+  saveZones,
+  preloadZones,
+  cachedZones,
+  zoneForOrder,
+  withZoneScope,
+} = require("./lib/zones");
+const { dutyAt, assignTeaBoy } = require("./lib/shifts");
+const { validateSla, readSla, startSlaMonitor } = require("./lib/sla");
+const {
+  validateIntegrations,
+  publicIntegration,
+  withSecrets,
+  readIntegrations,
+  deliverEvent,
+  retryNow,
+  integrationStatus,
+  startIntegrations,
+} = require("./lib/integrations");
+const telegram = require("./lib/integrations/telegram");
+const {
+  readStock,
+  withStock,
+  stripStock,
+  unknownItems,
+  orderQuantities,
+  takeStock,
+  returnStock,
+  setLevel,
+  restock,
+  stockReport,
+} = require("./lib/stock");
+const { checkMenuOptions, applyOrderOptions } = require("./lib/itemOptions");
+const { validateMenu } = require("./lib/menuSchema");
+const {
+  newOrderToken,
+  tokenMatches,
+  withoutTokens,
+} = require("./lib/orderTokens");
+const {
+  customerTokenMatches,
+  trackingView,
+  watchOrder,
+} = require("./lib/orderTracking");
+const {
+  editDeadline,
+  changeRefusal,
+  recordAmendment,
+} = require("./lib/customerChanges");
+const { ratingRefusal, buildRating } = require("./lib/ratings");
+const {
+  DEFAULT_LOCALE,
+  localeText,
+  localizeMenu,
+  nameOrderLines,
+} = require("./lib/menuLocale");
+const { validate, describeErrors, invalidRequest } = require("./lib/validate");
+const {
+  retryAfterMs,
+  recordFailure,
+  recordSuccess,
+} = require("./lib/loginThrottle");
+const schemas = require("./lib/schemas");
+const {
+  menuTable,
+  menuFromCsv,
+  withRows,
+  diffMenus,
+} = require("./lib/menuImport");
+const {
+  readRevisions,
+  saveRevisions,
+  findRevision,
+  addRevision,
+  publishRevision,
+  parsePublishAt,
+  revisionSummaries,
+  startMenuScheduler,
+} = require("./lib/menuRevisions");
+const {
+  MAX_UPLOAD_BYTES,
+  saveMenuImage,
+  importInlineImages,
+  menusInUse,
+  collectOrphanImages,
+} = require("./lib/menuImages");
+
+const storage = getStorage();
+
+// ?company= checked on every route that takes it (lib/schemas.js)
+const companyQuery = validate({ query: schemas.companyQuery });
 
 const app = express();
 const PORT = process.env.PORT || 4000;
 
 // Middleware
-app.use(cors());
+app.use(cors({ exposedHeaders: ["ETag", "X-Next-Cursor"] }));
 // Optional: protect /api/orders with basic auth
 // app.use("/api/orders", basicAuth({ users: { admin: "Secret@123#" }, challenge: true }));
 app.use(express.json({ limit: "10mb" })); // increase a bit to allow base64 menu images
 
-// Legacy global file paths (kept for backward compatibility)
-// const ORDERS_FILE = path.join(__dirname, "orders.json");
-const ORDERS_FILE_TMP = path.join(__dirname, "orders.json.tmp");
-const DESKS_FILE = path.join(__dirname, "desks.json");
-const DESKS_FILE_TMP = path.join(__dirname, "desks.json.tmp");
-const MENU_FILE = path.join(__dirname, "menu.json");
-const MENU_FILE_TMP = path.join(__dirname, "menu.json.tmp");
-
-// Per-company storage roots
-const DATA_COMPANIES_DIR = path.join(__dirname, "data", "companies");
-const MENUS_DIR = path.join(__dirname, "menus"); // kept for compatibility with older code
-const UPLOADS_DIR = path.join(__dirname, "uploads"); // hold saved item images (public)
+// Item images saved from the menu editor (public)
+const UPLOADS_DIR = path.join(__dirname, "uploads");
 
 // Expose uploads directory
 app.use("/uploads", express.static(UPLOADS_DIR));
 
-// --- Helpers: file paths for company-scoped data ---
-function companyDir(companyId) {
-  const id = companyId ? String(companyId) : "default";
-  return path.join(DATA_COMPANIES_DIR, id);
-}
-function companyFilePath(companyId, filename) {
-  return path.join(companyDir(companyId), filename);
-}
-function companyOrdersPath(companyId) {
-  return companyFilePath(companyId, "orders.json");
-}
-function companyOrdersTmpPath(companyId) {
-  return companyFilePath(companyId, "orders.json.tmp");
-}
-function companyDesksPath(companyId) {
-  return companyFilePath(companyId, "desks.json");
-}
-function companyDesksTmpPath(companyId) {
-  return companyFilePath(companyId, "desks.json.tmp");
-}
-function companyMenuPath(companyId) {
-  // We'll still write menu files under the MENUS_DIR for backwards compatibility of earlier helper functions,
-  // but also ensure a copy exists in data/companies if desired.
-  return path.join(MENUS_DIR, `${companyId || "default"}.json`);
-}
-
 const session = require("express-session");
 
-// app.use(
-//   session({
-//     secret: "super-secret-key",
-//     resave: false,
-//     saveUninitialized: true,
-//     cookie: { maxAge: 24 * 60 * 60 * 1000 }, // default 1 day
-//   })
-// );
-
 app.set("trust proxy", 1); // important if behind proxy or using HTTPS
 
 const isProduction = process.env.NODE_ENV === "production";
 
+// Sessions are signed with SESSION_SECRET. Production refuses to start without one;
+// elsewhere a random secret is made at boot, so logins only last until a restart.
+if (!process.env.SESSION_SECRET && isProduction) {
+  console.error("SESSION_SECRET must be set when NODE_ENV=production");
+  process.exit(1);
+}
+const sessionSecret =
+  process.env.SESSION_SECRET || crypto.randomBytes(32).toString("hex");
+if (!process.env.SESSION_SECRET) {
+  console.warn(
+    "SESSION_SECRET is not set; using a random one (logins end on restart)"
+  );
+}
+
 app.use(
   session({
-    secret: "super-secret-key",
+    secret: sessionSecret,
     resave: false,
     saveUninitialized: false,
     cookie: {
@@ -154,21 +263,15 @@ app.post("/api/session/start", (req, res) => {
   }
 
   console.log(`Session started in ${mode} mode`);
-  res.json({ success: true, mode });
+  res.json({ success: true, mode, expiresAt: sessionExpiresAt(req.session) });
 });
 
-// app.get("/api/orders/status", async (req, res) => {
-//   const { id, company } = req.query;
-//   if (!id) return res.status(400).json({ error: "Missing order id" });
-
-//   const companyId = company || "default";
-//   const orders = await readOrders(companyId);
-//   const order = orders.find((o) => String(o.id) === String(id));
-
-//   if (!order) return res.status(404).json({ error: "Order not found" });
-
-//   res.json({ status: order.status });
-// });
+// When a QR session runs out (ms epoch), null for tablet sessions.
+// Returned to the page so it can schedule one expiry check instead of polling.
+function sessionExpiresAt(sess) {
+  if (sess.mode !== "qr" || !sess.qrStart) return null;
+  return sess.qrStart + sess.qrTTL;
+}
 
 // Check session
 app.get("/api/session/check", (req, res) => {
@@ -178,922 +281,1242 @@ app.get("/api/session/check", (req, res) => {
       return res.json({ expired: true });
     }
   }
-  res.json({ expired: false, mode: req.session.mode || "tablet" });
+  res.json({
+    expired: false,
+    mode: req.session.mode || "tablet",
+    expiresAt: sessionExpiresAt(req.session),
+  });
 });
 
-const { google } = require("googleapis");
-
-// Path to downloaded service account JSON (place credentials.json in project root)
-const GOOGLE_CREDS = path.join(__dirname, "credentials.json");
-// Put your sheet ID here (the long id from sheet URL)
-const SPREADSHEET_ID =
-  process.env.SPREADSHEET_ID || "1Ibcl0fUwWAde3mJsUJndRqAG6Y3Uq5AJnSxDmcb0Vy4";
-
-// Initialize auth client lazily
-let sheetsAuthClient = null;
-async function getSheetsClient() {
-  if (sheetsAuthClient) return sheetsAuthClient;
-  try {
-    const auth = new google.auth.GoogleAuth({
-      keyFile: GOOGLE_CREDS,
-      scopes: ["https://www.googleapis.com/auth/spreadsheets"],
-    });
-    sheetsAuthClient = await auth.getClient();
-    return sheetsAuthClient;
-  } catch (err) {
-    console.error("Google auth init error:", err);
-    throw err;
-  }
-}
-
-async function appendToSheetRow(
-  order,
-  action = "upsert",
-  companyId = "default"
-) {
-  if (!SPREADSHEET_ID) {
-    console.warn("SPREADSHEET_ID not set - skipping sheet append");
-    return;
-  }
-
-  const headers = [
-    "Order ID",
-    "Created At",
-    "Last Updated",
-    "Status",
-    "Desk",
-    "Teaboy Name",
-    "Location",
-    "Items",
-    "Order Note",
-    "Stars",
-    "Review",
-  ];
-
-  try {
-    const client = await getSheetsClient();
-    const sheetsApi = google.sheets({ version: "v4", auth: client });
-    const sheetName = companyId || "default";
-
-    // 1. Ensure sheet/tab exists
-    try {
-      await sheetsApi.spreadsheets.get({
-        spreadsheetId: SPREADSHEET_ID,
-        ranges: [sheetName],
-      });
-    } catch (err) {
-      console.log(`Sheet "${sheetName}" not found, creating...`);
-      await sheetsApi.spreadsheets.batchUpdate({
-        spreadsheetId: SPREADSHEET_ID,
-        resource: {
-          requests: [{ addSheet: { properties: { title: sheetName } } }],
-        },
+// --- AUTH endpoints (per-company admin login backed by express-session) ---
+// POST /api/auth/login  { company, username?, password }
+// Repeated failures get a 429 with Retry-After (lib/loginThrottle.js)
+app.post(
+  "/api/auth/login",
+  validate({ body: schemas.login }),
+  async (req, res) => {
+    const { company, password } = req.body;
+    const username = req.body.username || "admin";
+
+    const wait = retryAfterMs(req.ip, company, username);
+    if (wait > 0) {
+      const seconds = Math.ceil(wait / 1000);
+      console.warn(`Login throttled for ${username} company=${company}`);
+      res.set("Retry-After", String(seconds));
+      return res.status(429).json({
+        error: `Too many failed logins. Try again in ${seconds} seconds.`,
       });
     }
 
-    // 2. Ensure headers
-    const headerCheck = await sheetsApi.spreadsheets.values.get({
-      spreadsheetId: SPREADSHEET_ID,
-      range: `${sheetName}!A1:L1`,
-    });
-    if (!headerCheck.data.values || headerCheck.data.values.length === 0) {
-      console.log(`Adding headers to sheet "${sheetName}"...`);
-      await sheetsApi.spreadsheets.values.update({
-        spreadsheetId: SPREADSHEET_ID,
-        range: `${sheetName}!A1:L1`,
-        valueInputOption: "RAW",
-        resource: { values: [headers] },
-      });
-    }
+    try {
+      const data = await readUsers(company);
+      const user = data.users.find((u) => u.username === username);
+      if (!user || !verifyPassword(password, user.passwordHash)) {
+        console.warn(`Failed login for ${username} company=${company}`);
+        recordFailure(req.ip, company, username);
+        return res.status(401).json({ error: "Invalid credentials" });
+      }
+      recordSuccess(req.ip, company, username);
 
-    // 3. Check if this order already exists (by ID in col A)
-    const existing = await sheetsApi.spreadsheets.values.get({
-      spreadsheetId: SPREADSHEET_ID,
-      range: `${sheetName}!A:A`,
-    });
-    const rows = existing.data.values || [];
-    let rowIndex = -1;
-    for (let i = 1; i < rows.length; i++) {
-      if (rows[i][0] === String(order.id)) {
-        rowIndex = i + 1; // convert to 1-based row index
-        break;
+      // Upgrade legacy (unsalted sha256) hashes once we know the plain password
+      if (needsRehash(user.passwordHash)) {
+        user.passwordHash = hashPassword(password);
+        await writeUsers(data, company);
+        console.log(`Re-hashed password for ${username} company=${company}`);
       }
-    }
 
-    const rowData = [
-      order.id || "",
-      order.timestamp || "",
-      new Date().toISOString(), // last updated
-      order.status || "",
-      order.desk || order.serviceArea || "",
-      order.teaboyName || "",
-      order.location || "",
-      Array.isArray(order.items) ? order.items.join(" | ") : "",
-      order.orderNote || "",
-      order.rating?.stars ?? "",
-      order.rating?.review ?? "",
-    ];
-
-    if (rowIndex > 0) {
-      // 4. Update existing row
-      await sheetsApi.spreadsheets.values.update({
-        spreadsheetId: SPREADSHEET_ID,
-        range: `${sheetName}!A${rowIndex}:L${rowIndex}`,
-        valueInputOption: "RAW",
-        resource: { values: [rowData] },
-      });
-      console.log(
-        `🔄 Updated row ${rowIndex} for order ${order.id} in "${sheetName}"`
-      );
-    } else {
-      // 5. Append as new row
-      await sheetsApi.spreadsheets.values.append({
-        spreadsheetId: SPREADSHEET_ID,
-        range: `${sheetName}!A:A`,
-        valueInputOption: "RAW",
-        resource: { values: [rowData] },
+      // New session id on login (avoid session fixation)
+      req.session.regenerate((err) => {
+        if (err) {
+          console.error("Session regenerate error:", err);
+          return res.status(500).json({ error: "Failed to start session" });
+        }
+        req.session.user = publicUser(user, company);
+        console.log(`User ${username} logged in company=${company}`);
+        res.json({ success: true, user: req.session.user });
       });
-      console.log(
-        `✅ Appended new row for order ${order.id} in "${sheetName}"`
-      );
+    } catch (err) {
+      console.error("Login error:", err);
+      res.status(500).json({ error: "Failed to log in" });
     }
-  } catch (err) {
-    console.error(
-      "❌ Failed to append/update Google Sheet:",
-      err.message || err
-    );
   }
-}
-
-// =========================
-// 📊 Stats Endpoint (company-aware)
-// =========================
-app.get("/api/stats", async (req, res) => {
-  try {
-    const company = req.query.company || "default";
+);
 
-    // Use the per-company JSON file
-    const filePath = companyOrdersPath(company);
-    let orders = [];
-    try {
-      const raw = await fs.readFile(filePath, "utf-8");
-      orders = JSON.parse(raw) || [];
-    } catch (err) {
-      console.warn(
-        `No orders file found for company=${company}, returning empty stats`
-      );
-      return res.json({
-        totalOrders: 0,
-        completedOrders: 0,
-        avgPrepTime: 0,
-        avgRating: 0,
-        ordersByDate: {},
-        ordersByTeaboy: {},
-      });
+// POST /api/auth/logout
+app.post("/api/auth/logout", (req, res) => {
+  if (!req.session) return res.json({ success: true });
+  req.session.destroy((err) => {
+    if (err) {
+      console.error("Session destroy error:", err);
+      return res.status(500).json({ error: "Failed to log out" });
     }
+    res.clearCookie("connect.sid");
+    res.json({ success: true });
+  });
+});
 
-    const totalOrders = orders.length;
-    const completedOrders = orders.filter(
-      (o) => o.status === "completed"
-    ).length;
-
-    // ✅ Average preparation time
-    const prepTimes = orders
-      .filter((o) => o.status === "completed" && o.startedAt && o.completedAt)
-      .map(
-        (o) =>
-          (new Date(o.completedAt).getTime() -
-            new Date(o.startedAt).getTime()) /
-          60000
-      );
-
-    const avgPrepTime = prepTimes.length
-      ? prepTimes.reduce((a, b) => a + b, 0) / prepTimes.length
-      : 0;
-
-    // ✅ Average rating
-    const ratings = orders
-      .filter((o) => o.rating && o.rating.stars)
-      .map((o) => o.rating.stars);
-
-    const avgRating = ratings.length
-      ? ratings.reduce((a, b) => a + b, 0) / ratings.length
-      : 0;
+// GET /api/auth/me?company=... - current user (401 if not logged in for that company)
+// (tea boys get the desk ranges of their zone as it is configured now)
+app.get("/api/auth/me", requireAuth, (req, res) => {
+  res.json({ user: withZoneScope(req.session.user) });
+});
 
-    // ✅ Orders by date
-    const ordersByDate = {};
-    orders.forEach((o) => {
-      const d = new Date(o.timestamp).toLocaleDateString();
-      ordersByDate[d] = (ordersByDate[d] || 0) + 1;
-    });
+// --- USERS endpoints (admin only): accounts, roles and tea-boy desk ranges ---
+function userSummary(user) {
+  const { passwordHash, ...rest } = user;
+  return rest;
+}
 
-    // ✅ Orders by teaboy
-    const ordersByTeaboy = {};
-    orders.forEach((o) => {
-      const name = o.teaboyName || o.serviceAreaName || "Unknown";
-      ordersByTeaboy[name] = (ordersByTeaboy[name] || 0) + 1;
-    });
+// GET /api/users?company=...
+app.get("/api/users", requireRole("admin"), companyQuery, async (req, res) => {
+  try {
+    const data = await readUsers(req.query.company);
+    res.json(data.users.map(userSummary));
+  } catch (err) {
+    console.error("Error reading users:", err);
+    res.status(500).json({ error: "Failed to read users" });
+  }
+});
 
-    // ✅ Calculate average preparation time per teaboy correctly
-    const avgTimeByTeaboy = {};
-    const timeSums = {};
-    const timeCounts = {};
+// POST /api/users?company=... - create or update { username, password?, role, zone?, desks? }
+// A tea boy's `zone` is a zone id from /api/zones (its desks then apply); `desks` is a
+// range list such as "1-25, 103-107" for accounts without a zone
+app.post(
+  "/api/users",
+  requireRole("admin"),
+  validate({ query: schemas.companyQuery, body: schemas.user }),
+  async (req, res) => {
+    const companyId = req.query.company;
+    const { username, password, role, zone } = req.body;
+    const deskRanges = req.body.desks || [];
+    if (zone && !cachedZones(companyId).some((z) => z.id === zone)) {
+      return res
+        .status(400)
+        .json(invalidRequest("zone", `Unknown zone "${zone}"`));
+    }
 
-    orders.forEach((order) => {
-      if (
-        order.status === "completed" &&
-        order.startedAt &&
-        order.completedAt
-      ) {
-        const teaboy = order.teaboyName || order.serviceAreaName || "Unknown";
-        const start = new Date(order.startedAt);
-        const end = new Date(order.completedAt);
-        const diffMins = (end - start) / 60000; // convert ms to minutes
-
-        if (!timeSums[teaboy]) {
-          timeSums[teaboy] = 0;
-          timeCounts[teaboy] = 0;
+    try {
+      const data = await readUsers(companyId);
+      let user = data.users.find((u) => u.username === username);
+      if (!user) {
+        if (!password) {
+          return res
+            .status(400)
+            .json(invalidRequest("password", "Required for new users"));
         }
-
-        timeSums[teaboy] += diffMins;
-        timeCounts[teaboy] += 1;
+        user = { username };
+        data.users.push(user);
       }
-    });
 
-    Object.keys(timeSums).forEach((teaboy) => {
-      avgTimeByTeaboy[teaboy] = parseFloat(
-        (timeSums[teaboy] / timeCounts[teaboy]).toFixed(1)
-      );
-    });
+      user.role = role;
+      if (password) user.passwordHash = hashPassword(password);
+      if (role === "teaboy") {
+        user.zone = typeof zone === "string" ? zone : user.zone || "";
+        user.deskRanges = deskRanges;
+      } else {
+        delete user.zone;
+        delete user.deskRanges;
+      }
 
-    res.json({
-      totalOrders,
-      completedOrders,
-      avgPrepTime,
-      avgRating,
-      ordersByDate,
-      ordersByTeaboy,
-      avgTimeByTeaboy,
-    });
-  } catch (err) {
-    console.error("Stats endpoint error:", err);
-    res.status(500).json({ error: "Failed to calculate stats" });
+      await writeUsers(data, companyId);
+      console.log(`User saved: ${username} (${role}) company=${companyId}`);
+      res.json(userSummary(user));
+    } catch (err) {
+      console.error("Error saving user:", err);
+      res.status(500).json({ error: "Failed to save user" });
+    }
   }
-});
-
-// --- Safe read/write helpers for orders.json (per-company) ---
-const ORDERS_FILE = path.join(__dirname, "orders.json");
-let _ordersWriteLock = false;
+);
 
-async function safeReadOrdersFile() {
-  try {
-    const raw = await fs.readFile(ORDERS_FILE, "utf8");
-    return JSON.parse(raw || "{}");
-  } catch (err) {
-    if (err.code === "ENOENT") return {}; // file missing -> empty container
-    console.error("safeReadOrdersFile error:", err);
-    throw err;
-  }
-}
+// DELETE /api/users/:username?company=...
+app.delete(
+  "/api/users/:username",
+  requireRole("admin"),
+  validate({ params: schemas.userParams, query: schemas.companyQuery }),
+  async (req, res) => {
+    const companyId = req.query.company;
+    const username = req.params.username;
+    if (username === req.session.user.username) {
+      return res
+        .status(400)
+        .json(
+          invalidRequest(
+            "params.username",
+            "You cannot delete your own account"
+          )
+        );
+    }
 
-async function safeWriteOrdersFile(obj) {
-  // wait for existing write to complete
-  while (_ordersWriteLock) await new Promise((r) => setTimeout(r, 8));
-  _ordersWriteLock = true;
-  const tmp = ORDERS_FILE + ".tmp";
-  try {
-    await fs.writeFile(tmp, JSON.stringify(obj, null, 2), "utf8");
-    await fs.rename(tmp, ORDERS_FILE); // atomic on most OSes
-  } finally {
-    _ordersWriteLock = false;
+    try {
+      const data = await readUsers(companyId);
+      const idx = data.users.findIndex((u) => u.username === username);
+      if (idx === -1) return res.status(404).json({ error: "User not found" });
+      data.users.splice(idx, 1);
+      await writeUsers(data, companyId);
+      console.log(`User deleted: ${username} company=${companyId}`);
+      res.json({ success: true });
+    } catch (err) {
+      console.error("Error deleting user:", err);
+      res.status(500).json({ error: "Failed to delete user" });
+    }
   }
-}
-
-// Per-company convenience
-async function readOrders(companyId = null) {
-  const container = await safeReadOrdersFile();
-  if (!companyId) return container["_default"] || [];
-  return container[companyId] || [];
-}
+);
 
-async function writeOrders(ordersArray, companyId = null) {
-  // keep other companies intact
-  const container = await safeReadOrdersFile();
-  const key = companyId || "_default";
-  container[key] = ordersArray;
-  await safeWriteOrdersFile(container);
+// =========================
+// 📊 Stats Endpoint (company-aware)
+// =========================
+// Days and hours are counted in the company's time zone unless ?tz= asks for another
+async function parseCompanyStatsQuery(companyId, query) {
+  const company = await readCompany(storage, companyId);
+  return parseStatsQuery(query, companyTimeZone(company));
 }
 
-// --- Generic JSON read / write (atomic) ---
-async function readJSON(filePath, fallback) {
-  try {
-    const raw = await fs.readFile(filePath, "utf8");
-    if (!raw || !raw.trim()) return fallback;
+// GET /api/stats?company=...&from=&to=&granularity=&tz= — see lib/analytics.js
+app.get(
+  "/api/stats",
+  requireRole("admin", "viewer"),
+  validate({ query: schemas.statsQuery }),
+  async (req, res) => {
     try {
-      return JSON.parse(raw);
-    } catch (parseErr) {
-      console.error(
-        `JSON parse error in ${filePath} — returning fallback`,
-        parseErr
+      const company = req.query.company || "default";
+      const { options, error } = await parseCompanyStatsQuery(
+        company,
+        req.query
       );
-      return fallback;
+      if (error) return res.status(400).json({ error });
+      const [orders, desks, menu] = await Promise.all([
+        loadOrdersForQuery(company, { ...options, archived: "include" }),
+        readDesks(company),
+        readMenuCompany(company),
+      ]);
+      res.json(buildStats(orders, { ...options, desks, menu }));
+    } catch (err) {
+      console.error("Stats endpoint error:", err);
+      res.status(500).json({ error: "Failed to calculate stats" });
     }
-  } catch (err) {
-    if (err.code === "ENOENT") return fallback;
-    console.error(`Error reading ${filePath}:`, err);
-    return fallback;
   }
-}
-
-async function writeJSONAtomic(obj, filePath, tmpPath) {
-  const json = JSON.stringify(obj, null, 2);
-  await fs.mkdir(path.dirname(filePath), { recursive: true });
+);
 
-  // write tmp
-  try {
-    await fs.writeFile(tmpPath, json, "utf8");
-  } catch (err) {
-    console.error(`Failed to write temp file ${tmpPath}:`, err);
-    try {
-      await fs.writeFile(filePath, json, "utf8");
-      console.warn(`Wrote directly to ${filePath} after tmp write failed.`);
-      return;
-    } catch (err2) {
-      console.error(`Direct write to ${filePath} also failed:`, err2);
-      throw err2;
+// GET /api/stats/export?company=...&format=csv|xlsx — the same numbers as a download.
+// Takes the /api/stats parameters plus ?status= to count only some orders.
+app.get(
+  "/api/stats/export",
+  requireRole("admin", "viewer"),
+  validate({ query: schemas.statsQuery }),
+  async (req, res) => {
+    const format = parseFormat(req.query.format);
+    if (!format) {
+      return res
+        .status(400)
+        .json({ error: `format must be one of ${EXPORT_FORMATS.join(", ")}` });
+    }
+    const statusQuery = parseOrderQuery({ status: req.query.status });
+    if (statusQuery.error) {
+      return res.status(400).json({ error: statusQuery.error });
     }
-  }
 
-  // rename tmp -> final
-  try {
-    await fs.rename(tmpPath, filePath);
-    return;
-  } catch (renameErr) {
-    console.warn(`rename failed for ${tmpPath} -> ${filePath}:`, renameErr);
     try {
-      await fs.unlink(filePath).catch(() => {});
-      await fs.rename(tmpPath, filePath);
-      return;
-    } catch (fallbackErr) {
-      console.warn(
-        `Fallback rename (unlink+rename) failed for ${tmpPath} -> ${filePath}:`,
-        fallbackErr
+      const company = req.query.company || "default";
+      const { options, error } = await parseCompanyStatsQuery(
+        company,
+        req.query
       );
-      try {
-        await fs.writeFile(filePath, json, "utf8");
-        try {
-          await fs.unlink(tmpPath).catch(() => {});
-        } catch (_) {}
-        return;
-      } catch (finalErr) {
-        console.error(`Final write fallback failed for ${filePath}:`, finalErr);
-        try {
-          await fs.unlink(tmpPath).catch(() => {});
-        } catch (_) {}
-        throw finalErr;
-      }
+      if (error) return res.status(400).json({ error });
+      const [orders, desks, menu] = await Promise.all([
+        loadOrdersForQuery(company, { ...options, archived: "include" }),
+        readDesks(company),
+        readMenuCompany(company),
+      ]);
+      const stats = buildStats(
+        orders.filter((o) => orderMatches(statusQuery.filter, o)),
+        { ...options, desks, menu }
+      );
+      await sendExport(
+        res,
+        format,
+        exportFileName("stats", company, req.query),
+        statsTables(stats)
+      );
+    } catch (err) {
+      console.error("Stats export error:", err);
+      res.status(500).json({ error: "Failed to export stats" });
     }
   }
+);
+
+// "orders-remat-2025-01-01_2025-01-31" style download names
+function exportFileName(kind, companyId, query) {
+  const clean = (v) => String(v).replace(/[^0-9A-Za-z_-]+/g, "");
+  const parts = [kind, clean(companyId || "default")];
+  if (query.from || query.to) {
+    parts.push(`${clean(query.from || "start")}_${clean(query.to || "now")}`);
+  }
+  return parts.join("-");
 }
 
-// --- Backwards-compatible order read/write (company optional) ---
+// --- Storage wrappers (see lib/storage for the json / sqlite drivers) ---
 async function readOrders(companyId = null) {
-  if (companyId) {
-    const file = companyOrdersPath(companyId);
-    return readJSON(file, []);
-  }
-  return readJSON(ORDERS_FILE, []);
+  return storage.listOrders(companyId);
 }
 
 async function writeOrders(orders, companyId = null) {
-  if (companyId) {
-    const file = companyOrdersPath(companyId);
-    const tmp = companyOrdersTmpPath(companyId);
-    return writeJSONAtomic(orders, file, tmp);
-  }
-  return writeJSONAtomic(orders, ORDERS_FILE, ORDERS_FILE_TMP);
+  return storage.replaceOrders(companyId, orders);
 }
 
-// --- Backwards-compatible desks read/write (company optional) ---
 async function readDesks(companyId = null) {
-  if (companyId) {
-    const file = companyDesksPath(companyId);
-    // default structure
-    const fallback = { numDesks: 10, desks: {} };
-    // seed desks with empty objects up to 10 if missing
-    const data = await readJSON(file, fallback);
-    data.desks = data.desks || {};
-    return data;
-  }
-  return readJSON(DESKS_FILE, { numDesks: 10, desks: {} });
+  const data = (await storage.getDoc(companyId, "desks")) || {
+    numDesks: 10,
+    desks: {},
+  };
+  data.desks = data.desks || {};
+  return data;
 }
 
 async function writeDesks(data, companyId = null) {
-  if (companyId) {
-    const file = companyDesksPath(companyId);
-    const tmp = companyDesksTmpPath(companyId);
-    return writeJSONAtomic(data, file, tmp);
-  }
-  return writeJSONAtomic(data, DESKS_FILE, DESKS_FILE_TMP);
+  return storage.putDoc(companyId, "desks", data);
 }
 
-// --- Menu helpers: we already have writeMenuCompany earlier in your file, but we will use a company-aware approach ---
-// Reuse earlier writeMenuCompany but adapt to ensure saving both under MENUS_DIR and under data/companies for convenience
-
-// write menu for a company and save any base64 images to /uploads/menus/{companyId}/{itemId}.{ext}
-async function writeMenuCompany(companyId, menuObj) {
-  const id = companyId ? String(companyId) : "default";
-
-  // Ensure canonical directories
-  const canonicalMenuPath = path.join(MENUS_DIR, `${id}.json`);
-  await fs.mkdir(MENUS_DIR, { recursive: true });
-  await fs.mkdir(UPLOADS_DIR, { recursive: true });
+// --- Users (hashed credentials) per company ---
+async function readUsers(companyId) {
+  const data = (await storage.getDoc(companyId, "users")) || { users: [] };
+  data.users = Array.isArray(data.users) ? data.users : [];
+  return data;
+}
 
-  const menuUploadsDir = path.join(UPLOADS_DIR, "menus", String(id));
-  await fs.mkdir(menuUploadsDir, { recursive: true });
+async function writeUsers(data, companyId) {
+  return storage.putDoc(companyId, "users", data);
+}
 
-  // Walk categories/items and save any "imageData" (dataURL) fields to disk
-  for (const [catKey, cat] of Object.entries(menuObj || {})) {
-    if (!cat || !Array.isArray(cat.items)) continue;
-    for (const item of cat.items) {
-      if (
-        typeof item.imageData === "string" &&
-        item.imageData.startsWith("data:")
-      ) {
-        const m = item.imageData.match(
-          /^data:(image\/[a-zA-Z0-9.+-]+);base64,(.+)$/
-        );
-        if (m) {
-          const ext = m[1].split("/")[1].split("+")[0]; // e.g. png, jpeg
-          const filename = `${item.id || String(Date.now())}.${ext}`;
-          const savePath = path.join(menuUploadsDir, filename);
-          const buffer = Buffer.from(m[2], "base64");
-          try {
-            await fs.writeFile(savePath, buffer);
-            // public URL used by clients
-            item.image = `/uploads/menus/${encodeURIComponent(
-              String(id)
-            )}/${encodeURIComponent(filename)}`;
-          } catch (err) {
-            console.error("Failed to write menu image:", err);
-          }
-        }
-        delete item.imageData;
-      }
-    }
-  }
+// --- Menu helpers (company-aware) ---
 
-  // Save to canonical MENUS_DIR file (legacy compatibility)
-  await writeJSONAtomic(menuObj, canonicalMenuPath, canonicalMenuPath + ".tmp");
+// write menu for a company (images are stored beforehand, see lib/menuImages.js)
+async function writeMenuCompany(companyId, menuObj) {
+  const id = companyId ? String(companyId) : "default";
 
-  // Also save a copy under data/companies/{company}/menu.json for unified storage if desired
-  const companyMenuFile = path.join(companyDir(id), "menu.json");
-  await writeJSONAtomic(menuObj, companyMenuFile, companyMenuFile + ".tmp");
+  // availability comes from the stock document, not the menu
+  stripStock(menuObj);
 
+  await storage.putDoc(id, "menu", menuObj);
   return menuObj;
 }
 
 async function readMenuCompany(companyId) {
   const id = companyId ? String(companyId) : "default";
-  const canonicalMenuPath = path.join(MENUS_DIR, `${id}.json`);
-  const companyMenuFile = path.join(companyDir(id), "menu.json");
-
-  // Preference order: company-specific file in data/companies -> MENUS_DIR file -> default fallback
-  let data = await readJSON(companyMenuFile, null);
-  if (data && typeof data === "object") return data;
-
-  data = await readJSON(canonicalMenuPath, null);
+  const data = await storage.getDoc(id, "menu");
   if (data && typeof data === "object") return data;
 
   // fallback default
-  const defaultMenu = {
-    coffee: {
-      name: "Coffee",
-      desc: "Corporate coffee selections",
-      items: [
-        { id: "espresso", name: "Espresso", value: "Espresso" },
-        { id: "americano", name: "Americano", value: "Americano" },
-        { id: "cappuccino", name: "Cappuccino", value: "Cappuccino" },
-      ],
-    },
-  };
-  return defaultMenu;
+  return JSON.parse(JSON.stringify(DEFAULT_MENU));
 }
 
-// --- Ensure required directories / default files exist (merged and robust) ---
+// --- Ensure storage is ready and the "default" company has desks and a menu ---
 async function ensureFilesExist() {
-  // Ensure uploads & menus directory
-  await fs.mkdir(MENUS_DIR, { recursive: true });
   await fs.mkdir(UPLOADS_DIR, { recursive: true });
-  await fs.mkdir(DATA_COMPANIES_DIR, { recursive: true });
+  await storage.init();
+  console.log(`🗄️  Storage driver: ${storage.name}`);
 
-  // Ensure default company directory exists
-  const defaultCompanyDir = companyDir("default");
-  await fs.mkdir(defaultCompanyDir, { recursive: true });
-
-  // Ensure legacy global files exist (for backward compatibility)
-  try {
-    await fs.access(ORDERS_FILE);
-  } catch (err) {
-    if (err.code === "ENOENT") {
-      console.log("Creating legacy orders.json");
-      await writeOrders([], null);
+  for (const companyId of [null, "default"]) {
+    if (!(await storage.getDoc(companyId, "desks"))) {
+      await writeDesks(defaultDesks(), companyId);
     }
   }
+  if (!(await storage.getDoc("default", "menu"))) {
+    console.log("Creating default menu");
+    await writeMenuCompany("default", await readMenuCompany("default"));
+  }
+}
 
-  try {
-    await fs.access(DESKS_FILE);
-  } catch (err) {
-    if (err.code === "ENOENT") {
-      console.log("Creating legacy desks.json");
-      const defaultDesks = { numDesks: 10, desks: {} };
-      for (let i = 1; i <= 10; i++)
-        defaultDesks.desks[String(i)] = { building: "", floor: "", teaBoy: "" };
-      await writeDesks(defaultDesks, null);
-    }
+// Simple request logger
+app.use((req, res, next) => {
+  console.log(`${new Date().toISOString()} - ${req.method} ${req.originalUrl}`);
+  next();
+});
+
+// Mutations are applied one at a time per company (see lib/writeQueue.js)
+app.use(
+  [
+    "/api/orders",
+    "/api/desks",
+    "/api/zones",
+    "/api/sla",
+    "/api/integrations",
+    "/api/stock",
+    "/api/menu",
+    "/api/users",
+    "/api/companies",
+  ],
+  serializeWrites
+);
+
+// --- Routes: ORDERS (company-aware via ?company=) ---
+// Creating orders, rating them and reading a single order stay public (desk ordering pages);
+// everything that lists or mutates orders needs a session, and tea boys only see their desk ranges.
+const canReadOrders = requireRole("admin", "viewer", "teaboy");
+const canWorkOrders = requireRole("admin", "teaboy");
+
+// Live orders and/or archived months a query needs to look at
+async function loadOrdersForQuery(companyId, filter) {
+  const orders = filter.archived === "only" ? [] : await readOrders(companyId);
+  if (filter.archived === "exclude") return orders;
+
+  const months = monthsInRange(
+    await storage.listArchiveMonths(companyId),
+    filter
+  );
+  for (const month of months) {
+    orders.push(...(await storage.listArchivedOrders(companyId, month)));
   }
+  return orders;
+}
 
-  // Ensure default menu exists (both under MENUS_DIR and data/companies/default)
-  try {
-    await fs.access(path.join(MENUS_DIR, "default.json"));
-  } catch (err) {
-    if (err.code === "ENOENT") {
-      console.log("Creating default menu.json");
-      await writeMenuCompany("default", await readMenuCompany("default"));
+// GET /api/orders?company=... - list orders (requires a session for that company)
+// Filters / pagination: see lib/orderQuery.js. The next page's cursor is sent in X-Next-Cursor.
+app.get(
+  "/api/orders",
+  canReadOrders,
+  validate({ query: schemas.orderQuery }),
+  async (req, res) => {
+    const companyId = req.query.company || null;
+    const { filter, error } = parseOrderQuery(req.query);
+    if (error) return res.status(400).json({ error });
+
+    try {
+      const user = withZoneScope(req.session.user);
+      const matching = (await loadOrdersForQuery(companyId, filter)).filter(
+        (o) => isOrderInScope(user, o) && orderMatches(filter, o)
+      );
+      const { orders, nextCursor } = paginate(matching, filter);
+      if (nextCursor) res.set("X-Next-Cursor", nextCursor);
+      res.json(orders.map(withoutTokens));
+    } catch (error) {
+      console.error("Error reading orders:", error);
+      res.status(500).json({ error: "Failed to read orders" });
     }
   }
+);
 
-  // Ensure a default orders/desks/menu exists for the "default" company in data/companies
-  const defOrders = companyOrdersPath("default");
-  try {
-    await fs.access(defOrders);
-  } catch (err) {
-    if (err.code === "ENOENT") {
-      await writeOrders([], "default");
+// GET /api/orders/stream?company=... - live order events (SSE), scoped like GET /api/orders
+// Events: order-created, order-updated, order-deleted, rating, resync (reload everything)
+app.get("/api/orders/stream", canReadOrders, companyQuery, (req, res) => {
+  const user = req.session.user;
+  orderEvents.subscribe(req, res, req.query.company, (order) =>
+    isOrderInScope(withZoneScope(user), order)
+  );
+});
+
+// GET /api/orders/export?company=...&format=csv|xlsx - download orders, one row per item line
+// Same filters as GET /api/orders (archived orders are included unless ?archived= says otherwise)
+app.get(
+  "/api/orders/export",
+  canReadOrders,
+  validate({ query: schemas.orderQuery }),
+  async (req, res) => {
+    const companyId = req.query.company || null;
+    const format = parseFormat(req.query.format);
+    if (!format) {
+      return res
+        .status(400)
+        .json({ error: `format must be one of ${EXPORT_FORMATS.join(", ")}` });
     }
-  }
-  const defDesks = companyDesksPath("default");
-  try {
-    await fs.access(defDesks);
-  } catch (err) {
-    if (err.code === "ENOENT") {
-      const defaultDesks = { numDesks: 10, desks: {} };
-      for (let i = 1; i <= 10; i++)
-        defaultDesks.desks[String(i)] = { building: "", floor: "", teaBoy: "" };
-      await writeDesks(defaultDesks, "default");
+    const { filter, error } = parseOrderQuery({
+      archived: "include",
+      ...req.query,
+    });
+    if (error) return res.status(400).json({ error });
+
+    try {
+      const user = withZoneScope(req.session.user);
+      const matching = (await loadOrdersForQuery(companyId, filter)).filter(
+        (o) => isOrderInScope(user, o) && orderMatches(filter, o)
+      );
+      const { orders } = paginate(matching, {}); // newest first, no paging
+      await sendExport(
+        res,
+        format,
+        exportFileName("orders", companyId, req.query),
+        [orderTable(orders, await readDesks(companyId))]
+      );
+    } catch (error) {
+      console.error("Error exporting orders:", error);
+      res.status(500).json({ error: "Failed to export orders" });
     }
   }
-  const defMenu = companyMenuPath("default");
-  try {
-    await fs.access(defMenu);
-  } catch (err) {
-    if (err.code === "ENOENT") {
-      await writeMenuCompany("default", await readMenuCompany("default"));
+);
+
+// GET /api/orders/:id?company=... - fetch one order, scoped like GET /api/orders (the
+// customer who placed it follows it with /track instead)
+app.get(
+  "/api/orders/:id",
+  canReadOrders,
+  validate({ params: schemas.orderParams, query: schemas.companyQuery }),
+  async (req, res) => {
+    const companyId = req.query.company || null;
+    const id = String(req.params.id);
+    try {
+      const order = await storage.getOrder(companyId, id);
+      if (!order) return res.status(404).json({ error: "Order not found" });
+      if (!isOrderInScope(withZoneScope(req.session.user), order)) {
+        return res.status(403).json({ error: "Order is outside your desks" });
+      }
+      res.set("ETag", orderEtag(order));
+      res.json(withoutTokens(order));
+    } catch (error) {
+      console.error("Error reading order:", error);
+      res.status(500).json({ error: "Failed to read order" });
     }
   }
+);
+
+// --- Order tracking for the customer who placed it (lib/orderTracking.js) ---
+// Builds the view of order `id` from a list of orders: null when it's gone or `token`
+// isn't its customerToken
+function trackingFor(id, token) {
+  return (orders) => {
+    const order = orders.find((o) => String(o.id) === id);
+    if (!order || !customerTokenMatches(order, token)) return null;
+    return trackingView(order, orders);
+  };
 }
 
-// Simple request logger
-app.use((req, res, next) => {
-  console.log(`${new Date().toISOString()} - ${req.method} ${req.originalUrl}`);
-  next();
-});
+async function loadTracking(companyId, id, token) {
+  return trackingFor(id, token)(await readOrders(companyId));
+}
 
-// --- Routes: ORDERS (company-aware via ?company=) ---
+const customerRequest = validate({
+  params: schemas.orderParams,
+  query: schemas.tokenQuery,
+});
 
-// GET /api/orders?company=... - list orders (global if no company)
-app.get("/api/orders", async (req, res) => {
-  const companyId = req.query.company || null;
+// GET /api/orders/:id/track?company=...&token=... - status, tea boy, place in the queue and
+// ETA of the customer's own order (token: the customerToken from POST /api/orders)
+app.get("/api/orders/:id/track", customerRequest, async (req, res) => {
   try {
-    const orders = await readOrders(companyId);
-    res.json(orders);
-  } catch (error) {
-    console.error("Error reading orders:", error);
-    res.status(500).json({ error: "Failed to read orders" });
+    const view = await loadTracking(
+      req.query.company || null,
+      String(req.params.id),
+      req.query.token
+    );
+    if (!view) return res.status(404).json({ error: "Order not found" });
+    res.json(view);
+  } catch (err) {
+    console.error("Error tracking order:", err);
+    res.status(500).json({ error: "Failed to track order" });
   }
 });
 
-// GET /api/orders/:id?company=... - fetch specific order (try company if provided; otherwise search global)
-app.get("/api/orders/:id", async (req, res) => {
+// GET /api/orders/:id/track/stream?company=...&token=... - the same view live (SSE):
+// "tracking" whenever it changes, "gone" once the order no longer exists
+app.get("/api/orders/:id/track/stream", customerRequest, async (req, res) => {
   const companyId = req.query.company || null;
   const id = String(req.params.id);
+  const view = trackingFor(id, req.query.token);
+  const loadOrders = () => readOrders(companyId);
   try {
-    const orders = await readOrders(companyId);
-    const order = orders.find((o) => String(o.id) === id);
-    if (!order) return res.status(404).json({ error: "Order not found" });
-    res.json(order);
-  } catch (error) {
-    console.error("Error reading order:", error);
-    res.status(500).json({ error: "Failed to read order" });
+    if (!view(await loadOrders())) {
+      return res.status(404).json({ error: "Order not found" });
+    }
+    await watchOrder(req, res, companyId, { loadOrders, view });
+  } catch (err) {
+    console.error("Error streaming order tracking:", err);
+    if (!res.headersSent) {
+      res.status(500).json({ error: "Failed to track order" });
+    }
   }
 });
 
-// POST /api/orders?company=... - create new order for a company (or global if no company)
-// POST /api/orders?company=... - create new order for a company (or global if no company)
-app.post("/api/orders", async (req, res) => {
+// --- The desk cancelling or amending its own order (lib/customerChanges.js) ---
+
+// POST /api/orders/:id/cancel?company=...&token=... - the customer cancels their order while
+// it's pending and within the grace window; its stock is given back
+app.post("/api/orders/:id/cancel", customerRequest, async (req, res) => {
   const companyId = req.query.company || null;
+  const id = String(req.params.id);
   try {
-    let newOrder = req.body || {};
+    const current = await storage.getOrder(companyId, id);
+    if (!current || !customerTokenMatches(current, req.query.token)) {
+      return res.status(404).json({ error: "Order not found" });
+    }
+    const refusal = changeRefusal(current);
+    if (refusal) return res.status(409).json({ error: refusal });
+
+    const updated = { ...current };
+    applyTransition(updated, "cancelled", "customer");
+    updated.version = orderVersion(current) + 1;
+    updated.updatedAt = new Date().toISOString();
+    delete updated.stockTaken;
+
+    await storage.updateOrder(companyId, updated);
+    await giveBackStock(companyId, current.stockTaken);
+
     console.log(
-      "Incoming new order payload:",
-      JSON.stringify(newOrder).slice(0, 2000)
+      `Order cancelled by the customer: ${id} ${
+        companyId ? `company=${companyId}` : ""
+      }`
     );
+    res.json(await loadTracking(companyId, id, req.query.token));
+    orderEvents.publish(companyId, "order-updated", {
+      order: updated,
+      change: "cancelled",
+    });
+  } catch (error) {
+    console.error("Error cancelling order:", error);
+    res.status(500).json({ error: "Failed to cancel order" });
+  }
+});
 
-    if (
-      !Array.isArray(newOrder.items) &&
-      Array.isArray(newOrder.itemsDetailed)
-    ) {
-      const derived = [];
-      for (const d of newOrder.itemsDetailed) {
-        const name =
-          d && (d.name || d.value || d.id)
-            ? d.name || d.value || d.id
-            : undefined;
-        const qty = Number.isFinite(Number(d.quantity))
-          ? Math.max(0, parseInt(d.quantity, 10))
-          : 0;
-        if (name && qty > 0) {
-          for (let i = 0; i < qty; i++) derived.push(name);
-        }
+// POST /api/orders/:id/amend?company=...&token=... - the customer replaces the items (with
+// their quantities and options) and/or the note of their order, within the same window.
+// New lines are checked and taken from stock like a new order's.
+app.post(
+  "/api/orders/:id/amend",
+  validate({
+    params: schemas.orderParams,
+    query: schemas.tokenQuery,
+    body: schemas.orderAmendment,
+  }),
+  async (req, res) => {
+    const companyId = req.query.company || null;
+    const id = String(req.params.id);
+    try {
+      const current = await storage.getOrder(companyId, id);
+      if (!current || !customerTokenMatches(current, req.query.token)) {
+        return res.status(404).json({ error: "Order not found" });
       }
-      newOrder.items = derived;
-      console.log("Derived items from itemsDetailed:", newOrder.items);
-    }
-
-    if (newOrder.desk !== undefined && newOrder.desk !== null)
-      newOrder.desk = String(newOrder.desk);
-    if (!Array.isArray(newOrder.items)) newOrder.items = [];
-
-    if (!newOrder.id) {
-      const ordersExisting = await readOrders(companyId);
-      let candidate;
-      do {
-        candidate = `ORD-${Date.now()}-${Math.floor(Math.random() * 10000)}`;
-      } while (ordersExisting.some((o) => String(o.id) === candidate));
-      newOrder.id = candidate;
-      console.log("Generated id for incoming order:", newOrder.id);
-    } else {
-      newOrder.id = String(newOrder.id);
-    }
+      const refusal = changeRefusal(current);
+      if (refusal) return res.status(409).json({ error: refusal });
 
-    if (!newOrder.id || newOrder.desk === undefined || newOrder.desk === null) {
-      return res.status(400).json({
-        error:
-          "Missing required fields: id, desk (string|number). 'items' should be an array (can be empty).",
-      });
-    }
+      const { items, itemsDetailed, orderNote } = req.body;
+      const newLines = items !== undefined || itemsDetailed !== undefined;
+      if (!newLines && orderNote === undefined) {
+        return res.status(400).json({ error: "Nothing to change" });
+      }
 
-    const orders = await readOrders(companyId);
-    const idStr = String(newOrder.id);
-    if (orders.some((o) => String(o.id) === idStr)) {
-      return res
-        .status(409)
-        .json({ error: "Order with this ID already exists" });
-    }
-
-    if (!newOrder.timestamp) newOrder.timestamp = new Date().toISOString();
-    if (!newOrder.status) newOrder.status = "pending";
+      const updated = { ...current };
+      if (orderNote !== undefined) updated.orderNote = orderNote;
+      if (newLines) {
+        if (itemsDetailed !== undefined) updated.itemsDetailed = itemsDetailed;
+        else delete updated.itemsDetailed;
+        updated.items = Array.isArray(items)
+          ? items
+          : itemsFromLines(itemsDetailed);
+        if (!updated.items.length) {
+          return res.status(400).json({
+            error: "An order needs at least one item — cancel it instead",
+          });
+        }
+      }
 
-    // ensure prep time fields
-    if (!newOrder.startedAt) newOrder.startedAt = newOrder.timestamp;
-    if (newOrder.status === "completed" && !newOrder.completedAt) {
-      newOrder.completedAt = new Date().toISOString();
-    }
+      // the new lines against the live menu, and the stock they need instead of the old
+      let stock = null;
+      let lowStock = [];
+      if (newLines && companyId) {
+        const menu = await readMenuCompany(companyId);
+        const { live } = await readRevisions(storage, companyId);
+        if (live) updated.menuRevision = live;
+        const unknown = unknownItems(updated, menu);
+        if (unknown.length) {
+          return res
+            .status(400)
+            .json({ error: describeErrors(unknown), errors: unknown });
+        }
+        const options = applyOrderOptions(updated, menu);
+        if (options.error)
+          return res.status(400).json({ error: options.error });
+        nameOrderLines(updated, menu);
+        if (!Array.isArray(items)) {
+          updated.items = itemsFromLines(updated.itemsDetailed);
+        }
 
-    // Normalize teaboyName from serviceAreaName if needed
-    if (
-      (!newOrder.teaboyName || newOrder.teaboyName === "") &&
-      newOrder.serviceAreaName
-    ) {
-      newOrder.teaboyName = newOrder.serviceAreaName;
-    }
-    if (newOrder.serviceAreaName) delete newOrder.serviceAreaName;
+        stock = await readStock(storage, companyId);
+        if (current.stockTaken) returnStock(stock, current.stockTaken);
+        const quantities = orderQuantities(updated, menu);
+        const taken = takeStock(stock, quantities, menu);
+        if (taken.unavailable) {
+          return res.status(409).json({
+            error: `Not available right now: ${taken.unavailable
+              .map((i) => i.name)
+              .join(", ")}`,
+            unavailable: taken.unavailable,
+          });
+        }
+        updated.stockTaken = quantities;
+        lowStock = taken.low;
+      }
 
-    newOrder.id = idStr;
-    orders.push(newOrder);
+      const at = new Date().toISOString();
+      recordAmendment(updated, current, at);
+      updated.version = orderVersion(current) + 1;
+      updated.updatedAt = at;
 
-    await writeOrders(orders, companyId);
+      await storage.updateOrder(companyId, updated);
+      if (stock) await storage.putDoc(companyId, "stock", stock);
 
-    try {
-      const after = await readOrders(companyId);
       console.log(
-        `Order persisted. ${companyId ? `company=${companyId} ` : ""}entries=${
-          after.length
-        } (last id=${newOrder.id}).`
+        `Order amended by the customer: ${id} ${
+          companyId ? `company=${companyId}` : ""
+        }`
       );
-    } catch (rerr) {
-      console.warn("Saved order but failed to read back:", rerr);
+      res.json(await loadTracking(companyId, id, req.query.token));
+      orderEvents.publish(companyId, "order-updated", {
+        order: updated,
+        change: "amended",
+      });
+      for (const item of lowStock) {
+        orderEvents.publish(companyId, "stock-low", { item });
+      }
+    } catch (error) {
+      console.error("Error amending order:", error);
+      res.status(500).json({ error: "Failed to amend order" });
+    }
+  }
+);
+
+// "Espresso" once per unit of each itemsDetailed line (the plain `items` list of an order),
+// in the menu's default language when the line has the menu's names (nameOrderLines)
+function itemsFromLines(lines) {
+  const items = [];
+  for (const d of lines || []) {
+    const name =
+      (d && d.names && localeText(d.names)) ||
+      (d && (d.name || d.value || d.id)) ||
+      undefined;
+    const qty = Number.isFinite(Number(d && d.quantity))
+      ? Math.max(0, parseInt(d.quantity, 10))
+      : 0;
+    if (name && qty > 0) {
+      for (let i = 0; i < qty; i++) items.push(name);
     }
+  }
+  return items;
+}
 
-    console.log(
-      `New order created: ${newOrder.id} for Desk #${newOrder.desk} ${
-        companyId ? `company=${companyId}` : ""
-      }`
-    );
-    res.status(201).json(newOrder);
+// Put the stock a cancelled or rejected order took back on the shelf
+async function giveBackStock(companyId, stockTaken) {
+  if (!companyId || !stockTaken) return;
+  const stock = await readStock(storage, companyId);
+  returnStock(stock, stockTaken);
+  await storage.putDoc(companyId, "stock", stock);
+}
 
-    // Append to Google Sheet
-    try {
-      appendToSheetRow(newOrder, "create", companyId);
-    } catch (e) {
-      console.error("appendToSheetRow create error:", e);
+// Orders removed in bulk give back their stock the way DELETE /api/orders/:id does: those
+// that could still be cancelled; a delivered (or ready) one used it
+async function giveBackRemovedStock(companyId, removed) {
+  const open = removed.filter(
+    (o) => o.stockTaken && canTransition(o.status, "cancelled")
+  );
+  if (!companyId || !open.length) return;
+  const stock = await readStock(storage, companyId);
+  for (const order of open) returnStock(stock, order.stockTaken);
+  await storage.putDoc(companyId, "stock", stock);
+}
+
+// Companies with `ordering: "kiosk"` only take orders from a logged-in ordering tablet (or
+// an admin); the others from anyone with a desk's QR code (lib/companies.js)
+const placeOrderAsKiosk = requireRole("admin", "kiosk");
+async function canPlaceOrders(req, res, next) {
+  try {
+    const company = await readCompany(storage, req.query.company);
+    if (company && company.ordering === "kiosk") {
+      return placeOrderAsKiosk(req, res, next);
     }
-  } catch (error) {
-    console.error("Error creating order:", error);
+    next();
+  } catch (err) {
+    console.error("Error reading company:", err);
     res.status(500).json({ error: "Failed to create order" });
   }
-});
+}
 
-// PUT /api/orders/:id?company=... - update an order (company-aware)
-// PUT /api/orders/:id?company=... - update an order (company-aware)
-app.put("/api/orders/:id", async (req, res) => {
-  const companyId = req.query.company || null;
-  try {
-    const orders = await readOrders(companyId);
-    const id = String(req.params.id);
-    const idx = orders.findIndex((o) => String(o.id) === id);
+// POST /api/orders?company=... - create new order for a company (or global if no company)
+// The body is checked and trimmed to the order fields in lib/schemas.js (newOrder).
+app.post(
+  "/api/orders",
+  validate({ query: schemas.companyQuery, body: schemas.newOrder }),
+  canPlaceOrders,
+  async (req, res) => {
+    const companyId = req.query.company || null;
+    try {
+      let newOrder = req.body;
+
+      if (!newOrder.id) {
+        let candidate;
+        do {
+          candidate = `ORD-${Date.now()}-${Math.floor(Math.random() * 10000)}`;
+        } while (await storage.getOrder(companyId, candidate));
+        newOrder.id = candidate;
+      }
 
-    if (idx === -1) return res.status(404).json({ error: "Order not found" });
+      const idStr = String(newOrder.id);
+      if (await storage.getOrder(companyId, idStr)) {
+        return res
+          .status(409)
+          .json({ error: "Order with this ID already exists" });
+      }
 
-    const updated = { ...orders[idx], ...req.body, id: orders[idx].id };
-    if (updated.desk !== undefined && updated.desk !== null)
-      updated.desk = String(updated.desk);
+      // Items that are switched off or have run out can't be ordered; counted items are
+      // taken now and given back if the order is cancelled or rejected (lib/stock.js)
+      let stock = null;
+      let lowStock = [];
+      if (companyId) {
+        const menu = await readMenuCompany(companyId);
+        // which menu the order was placed against (lib/menuRevisions.js)
+        const { live } = await readRevisions(storage, companyId);
+        if (live) newOrder.menuRevision = live;
+        // only items on the menu, with its size / sugar / milk picks (lib/itemOptions.js)
+        const unknown = unknownItems(newOrder, menu);
+        if (unknown.length) {
+          return res
+            .status(400)
+            .json({ error: describeErrors(unknown), errors: unknown });
+        }
+        const options = applyOrderOptions(newOrder, menu);
+        if (options.error)
+          return res.status(400).json({ error: options.error });
+        // every language's item name, for dashboards that read another one (lib/menuLocale.js)
+        nameOrderLines(newOrder, menu);
+
+        stock = await readStock(storage, companyId);
+        const quantities = orderQuantities(newOrder, menu);
+        const taken = takeStock(stock, quantities, menu);
+        if (taken.unavailable) {
+          return res.status(409).json({
+            error: `Not available right now: ${taken.unavailable
+              .map((i) => i.name)
+              .join(", ")}`,
+            unavailable: taken.unavailable,
+          });
+        }
+        newOrder.stockTaken = quantities;
+        lowStock = taken.low;
+      }
 
-    // Normalize teaboyName
-    if (
-      (!updated.teaboyName || updated.teaboyName === "") &&
-      updated.serviceAreaName
-    ) {
-      updated.teaboyName = updated.serviceAreaName;
-    }
-    if (updated.serviceAreaName) delete updated.serviceAreaName;
+      // the plain list of item names, from the menu's names once the lines have them
+      if (
+        !Array.isArray(newOrder.items) &&
+        Array.isArray(newOrder.itemsDetailed)
+      ) {
+        newOrder.items = itemsFromLines(newOrder.itemsDetailed);
+      }
+      if (!Array.isArray(newOrder.items)) newOrder.items = [];
 
-    // ensure prep time fields
-    if (updated.status === "completed" && !updated.completedAt) {
-      updated.completedAt = new Date().toISOString();
-    }
-    if (!updated.startedAt) {
-      updated.startedAt = updated.timestamp || new Date().toISOString();
-    }
+      if (!newOrder.timestamp) newOrder.timestamp = new Date().toISOString();
 
-    orders[idx] = updated;
-    await writeOrders(orders, companyId);
+      // every order starts pending; later statuses only come through PUT transitions
+      const sessionUser = req.session && req.session.user;
+      initHistory(
+        newOrder,
+        sessionUser ? sessionUser.username : "customer",
+        newOrder.timestamp
+      );
+      newOrder.version = 1;
+      newOrder.updatedAt = newOrder.timestamp;
+      // the customer follows the order with one token and rates it with another; only
+      // their hashes are stored (lib/orderTokens.js)
+      const customerToken = newOrderToken();
+      const ratingToken = newOrderToken();
+      newOrder.customerTokenHash = customerToken.hash;
+      newOrder.ratingTokenHash = ratingToken.hash;
+      // ...and may cancel or amend it for a few minutes (lib/customerChanges.js)
+      const editUntil = editDeadline(await readCompany(storage, companyId));
+      if (editUntil) newOrder.customerEditUntil = editUntil;
+
+      // Normalize teaboyName from serviceAreaName if needed
+      if (
+        (!newOrder.teaboyName || newOrder.teaboyName === "") &&
+        newOrder.serviceAreaName
+      ) {
+        newOrder.teaboyName = newOrder.serviceAreaName;
+      }
+      if (newOrder.serviceAreaName) delete newOrder.serviceAreaName;
+
+      // The desk's service zone decides who serves it: whoever is on shift now, else the
+      // zone's backup (lib/shifts.js). The assignment is kept on the order for the stats.
+      const zone = zoneForOrder(companyId, newOrder);
+      if (zone) {
+        newOrder.zone = zone.id;
+        const company = await readCompany(storage, companyId);
+        const assigned = assignTeaBoy(
+          zone,
+          Date.now(),
+          companyTimeZone(company)
+        );
+        if (assigned) {
+          newOrder.teaboyName = assigned.teaBoy;
+          newOrder.assignment = { ...assigned, at: new Date().toISOString() };
+        }
+      }
 
-    console.log(
-      `Order updated: ${id} ${companyId ? `company=${companyId}` : ""}`
-    );
-    res.json(updated);
+      newOrder.id = idStr;
+      await storage.insertOrder(companyId, newOrder);
+      if (stock && Object.keys(newOrder.stockTaken).length) {
+        await storage.putDoc(companyId, "stock", stock);
+      }
 
-    // Append update to Google Sheet
-    try {
-      appendToSheetRow(updated, "update", companyId);
-    } catch (e) {
-      console.error("appendToSheetRow update error:", e);
+      console.log(
+        `New order created: ${newOrder.id} for Desk #${newOrder.desk} ${
+          companyId ? `company=${companyId}` : ""
+        }`
+      );
+      res.status(201).json({
+        ...withoutTokens(newOrder),
+        customerToken: customerToken.token,
+        ratingToken: ratingToken.token,
+      });
+      orderEvents.publish(companyId, "order-created", { order: newOrder });
+      for (const item of lowStock) {
+        orderEvents.publish(companyId, "stock-low", { item });
+      }
+    } catch (error) {
+      console.error("Error creating order:", error);
+      res.status(500).json({ error: "Failed to create order" });
     }
-  } catch (error) {
-    console.error("Error updating order:", error);
-    res.status(500).json({ error: "Failed to update order" });
   }
-});
+);
 
-// POST /api/orders/:id/rating?company=... - add rating & review
-app.post("/api/orders/:id/rating", async (req, res) => {
-  const companyId = req.query.company || null;
-  const id = String(req.params.id);
-  const { rating, review } = req.body;
+// Kept from the stored order by PUT /api/orders/bulk, never taken from the body
+const SERVER_ORDER_FIELDS = [
+  "history",
+  "version",
+  "customerTokenHash",
+  "ratingTokenHash",
+  "stockTaken",
+];
 
-  if (!rating || rating < 1 || rating > 5) {
-    return res.status(400).json({ error: "Rating must be between 1 and 5" });
+// PUT /api/orders/bulk?company=... - replace all orders for company or global
+// (declared before PUT /api/orders/:id, which would otherwise match "bulk" as an id).
+// Statuses go through the state machine like PUT /api/orders/:id: a stored order may take
+// one transition; a new one starts pending, with its history and tokens (returned in
+// `created`), and may take one from there.
+app.put(
+  "/api/orders/bulk",
+  requireRole("admin"),
+  validate({ query: schemas.companyQuery, body: schemas.bulkOrders }),
+  async (req, res) => {
+    const companyId = req.query.company || null;
+    try {
+      const by = req.session.user.username;
+      const stored = new Map(
+        (await readOrders(companyId)).map((o) => [String(o.id), o])
+      );
+      const errors = [];
+      const created = [];
+      const returned = [];
+      const normalized = req.body.map((o, i) => {
+        // what only the server writes comes from the stored order, or starts fresh
+        const copy = { ...o };
+        for (const field of SERVER_ORDER_FIELDS) delete copy[field];
+        if (copy.id !== undefined) copy.id = String(copy.id);
+        else copy.id = `ORD-${Date.now()}-${Math.floor(Math.random() * 10000)}`;
+        if (copy.desk !== undefined && copy.desk !== null)
+          copy.desk = String(copy.desk);
+        if (!copy.timestamp) copy.timestamp = new Date().toISOString();
+        if (!Array.isArray(copy.items) && Array.isArray(copy.itemsDetailed)) {
+          copy.items = itemsFromLines(copy.itemsDetailed);
+        }
+        if (!Array.isArray(copy.items)) copy.items = [];
+
+        const requested = copy.status === undefined ? "pending" : copy.status;
+        const status = normalizeStatus(requested);
+        if (!status) {
+          errors.push({
+            field: `[${i}].status`,
+            message: `Unknown status "${requested}"`,
+          });
+          return copy;
+        }
+
+        const current = stored.get(copy.id);
+        const order = current
+          ? {
+              ...copy,
+              status: current.status,
+              history: current.history,
+              version: orderVersion(current) + 1,
+              customerTokenHash: current.customerTokenHash,
+              ratingTokenHash: current.ratingTokenHash,
+              stockTaken: current.stockTaken,
+            }
+          : initHistory({ ...copy, version: 1 }, by, copy.timestamp);
+        if (status !== order.status) {
+          if (!canTransition(order.status, status)) {
+            errors.push({
+              field: `[${i}].status`,
+              message: `Cannot change status from "${order.status}" to "${status}"`,
+            });
+            return order;
+          }
+          applyTransition(order, status, by);
+          // cancelling or rejecting gives the stock back, as PUT /api/orders/:id does
+          if (["cancelled", "rejected"].includes(status) && order.stockTaken) {
+            returned.push(current);
+            delete order.stockTaken;
+          }
+        }
+        if (!current) {
+          const customerToken = newOrderToken();
+          const ratingToken = newOrderToken();
+          order.customerTokenHash = customerToken.hash;
+          order.ratingTokenHash = ratingToken.hash;
+          created.push({
+            id: order.id,
+            customerToken: customerToken.token,
+            ratingToken: ratingToken.token,
+          });
+        }
+        order.updatedAt = new Date().toISOString();
+        // orders placed before tokens or stock existed have none
+        for (const field of SERVER_ORDER_FIELDS) {
+          if (order[field] === undefined) delete order[field];
+        }
+        return order;
+      });
+      if (errors.length) {
+        return res.status(400).json({ error: describeErrors(errors), errors });
+      }
+
+      await writeOrders(normalized, companyId);
+      const kept = new Set(normalized.map((o) => o.id));
+      await giveBackRemovedStock(companyId, [
+        ...returned,
+        ...[...stored.values()].filter((o) => !kept.has(String(o.id))),
+      ]);
+
+      console.log(
+        `Bulk update: ${normalized.length} orders ${
+          companyId ? `company=${companyId}` : ""
+        }`
+      );
+      res.json({
+        message: "Orders updated successfully",
+        count: normalized.length,
+        created,
+      });
+      orderEvents.publish(companyId, "resync");
+      // dashboards just reload; integrations still get every order
+      for (const order of normalized) {
+        deliverEvent(storage, companyId, "order-updated", {
+          order: withoutTokens(order),
+        });
+      }
+    } catch (error) {
+      console.error("Error bulk updating orders:", error);
+      res.status(500).json({ error: "Failed to update orders" });
+    }
   }
+);
 
-  try {
-    const orders = await readOrders(companyId);
-    const idx = orders.findIndex((o) => String(o.id) === id);
-    if (idx === -1) return res.status(404).json({ error: "Order not found" });
-
-    orders[idx].rating = {
-      stars: rating,
-      review: review || "",
-      timestamp: new Date().toISOString(),
-    };
+// PUT /api/orders/:id?company=... - update an order (company-aware); the fields staff may
+// change are listed in lib/schemas.js (orderUpdate)
+app.put(
+  "/api/orders/:id",
+  canWorkOrders,
+  validate({
+    params: schemas.orderParams,
+    query: schemas.companyQuery,
+    body: schemas.orderUpdate,
+  }),
+  async (req, res) => {
+    const companyId = req.query.company || null;
+    try {
+      const id = String(req.params.id);
+      const current = await storage.getOrder(companyId, id);
 
-    await writeOrders(orders, companyId);
+      if (!current) return res.status(404).json({ error: "Order not found" });
+      if (!isOrderInScope(withZoneScope(req.session.user), current)) {
+        return res.status(403).json({ error: "Order is outside your desks" });
+      }
 
-    console.log(
-      `Rating saved for order ${id} (${rating}★${
-        review ? `: "${review}"` : ""
-      }) ${companyId ? `company=${companyId}` : ""}`
-    );
+      // someone else changed the order since this client loaded it
+      if (isStale(req, current)) {
+        res.set("ETag", orderEtag(current));
+        return res.status(409).json({
+          error: "Order was changed by someone else — reload and try again",
+          order: withoutTokens(current),
+        });
+      }
 
-    res.json({ success: true, rating: orders[idx].rating });
-  } catch (err) {
-    console.error("Error saving rating:", err);
-    res.status(500).json({ error: "Failed to save rating" });
-  }
-});
+      // status, its timestamps and the history only change through a transition
+      const { status: requested, ...changes } = req.body;
 
-// PUT /api/orders/bulk?company=... - replace all orders for company or global
-app.put("/api/orders/bulk", async (req, res) => {
-  const companyId = req.query.company || null;
-  try {
-    const incoming = req.body;
-    if (!Array.isArray(incoming))
-      return res
-        .status(400)
-        .json({ error: "Request body must be an array of orders" });
-
-    const normalized = incoming.map((o) => {
-      const copy = { ...(o || {}) };
-      if (copy.id !== undefined) copy.id = String(copy.id);
-      else copy.id = `ORD-${Date.now()}-${Math.floor(Math.random() * 10000)}`;
-      if (copy.desk !== undefined && copy.desk !== null)
-        copy.desk = String(copy.desk);
-      if (!copy.timestamp) copy.timestamp = new Date().toISOString();
-      if (!copy.status) copy.status = "pending";
-      if (!Array.isArray(copy.items) && Array.isArray(copy.itemsDetailed)) {
-        const derived = [];
-        for (const d of copy.itemsDetailed || []) {
-          const name =
-            d && (d.name || d.value || d.id)
-              ? d.name || d.value || d.id
-              : undefined;
-          const qty = Number.isFinite(Number(d.quantity))
-            ? Math.max(0, parseInt(d.quantity, 10))
-            : 0;
-          if (name && qty > 0) {
-            for (let i = 0; i < qty; i++) derived.push(name);
-          }
+      let nextStatus = null;
+      if (requested !== undefined) {
+        nextStatus = normalizeStatus(requested);
+        if (!nextStatus) {
+          return res
+            .status(400)
+            .json({ error: `Unknown status "${requested}"` });
+        }
+        if (nextStatus === current.status) nextStatus = null;
+        else if (!canTransition(current.status, nextStatus)) {
+          return res.status(409).json({
+            error: `Cannot change status from "${current.status}" to "${nextStatus}"`,
+          });
         }
-        copy.items = derived;
       }
-      if (!Array.isArray(copy.items)) copy.items = [];
-      return copy;
-    });
 
-    await writeOrders(normalized, companyId);
+      const updated = { ...current, ...changes, id: current.id };
+
+      // Normalize teaboyName
+      if (
+        (!updated.teaboyName || updated.teaboyName === "") &&
+        updated.serviceAreaName
+      ) {
+        updated.teaboyName = updated.serviceAreaName;
+      }
+      if (updated.serviceAreaName) delete updated.serviceAreaName;
+
+      // handing the order to another tea boy is recorded like the automatic assignment
+      if (updated.teaboyName && updated.teaboyName !== current.teaboyName) {
+        updated.assignment = {
+          teaBoy: updated.teaboyName,
+          reason: "manual",
+          by: req.session.user.username,
+          at: new Date().toISOString(),
+        };
+      }
+
+      if (nextStatus) {
+        applyTransition(updated, nextStatus, req.session.user.username);
+      }
+      updated.version = orderVersion(current) + 1;
+      updated.updatedAt = new Date().toISOString();
+
+      // a cancelled or rejected order gives back the stock it took
+      const giveBack =
+        ["cancelled", "rejected"].includes(nextStatus) && current.stockTaken;
+      if (giveBack) delete updated.stockTaken;
+
+      await storage.updateOrder(companyId, updated);
+      if (giveBack) await giveBackStock(companyId, current.stockTaken);
+
+      console.log(
+        `Order updated: ${id} ${companyId ? `company=${companyId}` : ""}`
+      );
+      res.set("ETag", orderEtag(updated));
+      res.json(withoutTokens(updated));
+      orderEvents.publish(companyId, "order-updated", { order: updated });
+    } catch (error) {
+      console.error("Error updating order:", error);
+      res.status(500).json({ error: "Failed to update order" });
+    }
+  }
+);
+
+// POST /api/orders/:id/rating?company=...&token=... - the customer rates their delivered
+// order once: 1-5 overall, a review and optional stars per item (lib/ratings.js).
+// token: the ratingToken from POST /api/orders
+app.post(
+  "/api/orders/:id/rating",
+  validate({
+    params: schemas.orderParams,
+    query: schemas.tokenQuery,
+    body: schemas.rating,
+  }),
+  async (req, res) => {
+    const companyId = req.query.company || null;
+    const id = String(req.params.id);
 
-    console.log(
-      `Bulk update: ${normalized.length} orders ${
-        companyId ? `company=${companyId}` : ""
-      }`
-    );
-    res.json({
-      message: "Orders updated successfully",
-      count: normalized.length,
-    });
-    // after writeOrders(...) resolved
     try {
-      for (const order of normalized) {
-        appendToSheetRow(order, "create");
+      const company = companyId && (await readCompany(storage, companyId));
+      if (company && company.features && company.features.ratings === false) {
+        return res
+          .status(403)
+          .json({ error: "Ratings are turned off for this company" });
+      }
+
+      const current = await storage.getOrder(companyId, id);
+      if (!current || !tokenMatches(current.ratingTokenHash, req.query.token)) {
+        return res.status(404).json({ error: "Order not found" });
+      }
+      const refusal = ratingRefusal(current);
+      if (refusal) return res.status(409).json({ error: refusal });
+      const { rating, error } = buildRating(current, req.body, company);
+      if (error) return res.status(400).json({ error });
+
+      const order = await storage.saveRating(companyId, id, rating);
+      if (!order) return res.status(404).json({ error: "Order not found" });
+
+      console.log(
+        `Rating saved for order ${id} (${rating.stars}★${
+          rating.review ? `: "${rating.review}"` : ""
+        }) ${companyId ? `company=${companyId}` : ""}`
+      );
+
+      res.json({ success: true, rating: order.rating });
+      orderEvents.publish(companyId, "rating", { order });
+      // a low score goes to the admin dashboards with its review
+      if (rating.alert) {
+        orderEvents.publish(companyId, "rating-alert", {
+          order,
+          rating: order.rating,
+        });
       }
-    } catch (e) {
-      console.error("appendToSheetRow create error:", e);
+    } catch (err) {
+      console.error("Error saving rating:", err);
+      res.status(500).json({ error: "Failed to save rating" });
     }
-  } catch (error) {
-    console.error("Error bulk updating orders:", error);
-    res.status(500).json({ error: "Failed to update orders" });
   }
-});
+);
 
 // DELETE /api/orders/:id?company=... - delete single order
-app.delete("/api/orders/:id", async (req, res) => {
-  const companyId = req.query.company || null;
-  try {
-    const orders = await readOrders(companyId);
-    const id = String(req.params.id);
-    const idx = orders.findIndex((o) => String(o.id) === id);
-    if (idx === -1) return res.status(404).json({ error: "Order not found" });
-    const deleted = orders.splice(idx, 1)[0];
-    await writeOrders(orders, companyId);
-    console.log(
-      `Order deleted: ${id} ${companyId ? `company=${companyId}` : ""}`
-    );
-    res.json(deleted);
-  } catch (error) {
-    console.error("Error deleting order:", error);
-    res.status(500).json({ error: "Failed to delete order" });
+app.delete(
+  "/api/orders/:id",
+  canWorkOrders,
+  validate({ params: schemas.orderParams, query: schemas.companyQuery }),
+  async (req, res) => {
+    const companyId = req.query.company || null;
+    try {
+      const id = String(req.params.id);
+      const existing = await storage.getOrder(companyId, id);
+      if (!existing) return res.status(404).json({ error: "Order not found" });
+      if (!isOrderInScope(withZoneScope(req.session.user), existing)) {
+        return res.status(403).json({ error: "Order is outside your desks" });
+      }
+      const deleted = await storage.deleteOrder(companyId, id);
+      if (!deleted) return res.status(404).json({ error: "Order not found" });
+      // an order that could still be cancelled gives its stock back like a cancel would;
+      // a delivered one used it
+      if (canTransition(existing.status, "cancelled")) {
+        await giveBackStock(companyId, existing.stockTaken);
+      }
+      console.log(
+        `Order deleted: ${id} ${companyId ? `company=${companyId}` : ""}`
+      );
+      res.json(withoutTokens(deleted));
+      orderEvents.publish(companyId, "order-deleted", { order: deleted });
+    } catch (error) {
+      console.error("Error deleting order:", error);
+      res.status(500).json({ error: "Failed to delete order" });
+    }
   }
-});
+);
 
-// DELETE /api/orders?company=... - clear all orders (company-aware)
-app.delete("/api/orders", async (req, res) => {
-  const companyId = req.query.company || null;
-  try {
-    await writeOrders([], companyId);
-    console.log(
-      `All orders deleted ${companyId ? `company=${companyId}` : "global"}`
-    );
-    res.json({ message: "All orders deleted successfully" });
-    await appendToSheet(order);
-  } catch (error) {
-    console.error("Error deleting all orders:", error);
-    res.status(500).json({ error: "Failed to delete all orders" });
+// DELETE /api/orders?company=... - clear all orders (company-aware); open orders give
+// back their stock
+app.delete(
+  "/api/orders",
+  requireRole("admin"),
+  companyQuery,
+  async (req, res) => {
+    const companyId = req.query.company || null;
+    try {
+      const removed = await readOrders(companyId);
+      await writeOrders([], companyId);
+      await giveBackRemovedStock(companyId, removed);
+      console.log(
+        `All orders deleted ${companyId ? `company=${companyId}` : "global"}`
+      );
+      res.json({ message: "All orders deleted successfully" });
+      orderEvents.publish(companyId, "resync");
+    } catch (error) {
+      console.error("Error deleting all orders:", error);
+      res.status(500).json({ error: "Failed to delete all orders" });
+    }
   }
-});
+);
 
 // --- DESKS endpoints (company-aware) ---
 // GET /api/desks?company=...
-app.get("/api/desks", async (req, res) => {
+app.get("/api/desks", companyQuery, async (req, res) => {
   const companyId = req.query.company || null;
   try {
     const desks = await readDesks(companyId);
@@ -1105,87 +1528,1034 @@ app.get("/api/desks", async (req, res) => {
 });
 
 // POST /api/desks?company=...
-app.post("/api/desks", async (req, res) => {
+app.post(
+  "/api/desks",
+  requireRole("admin"),
+  validate({ query: schemas.companyQuery, body: schemas.desks }),
+  async (req, res) => {
+    const companyId = req.query.company || null;
+    try {
+      const payload = req.body;
+      await writeDesks(payload, companyId);
+      res.json(payload);
+    } catch (err) {
+      console.error("Error saving desks:", err);
+      res.status(500).json({ error: "Failed to save desks" });
+    }
+  }
+);
+
+// GET /api/desks/:id?company=...
+app.get(
+  "/api/desks/:id",
+  validate({ params: schemas.deskParams, query: schemas.companyQuery }),
+  async (req, res) => {
+    const companyId = req.query.company || null;
+    try {
+      const id = String(req.params.id);
+      const data = await readDesks(companyId);
+      const desk = data.desks?.[id];
+      if (!desk) return res.status(404).json({ error: "Desk not found" });
+      res.json(desk);
+    } catch (err) {
+      console.error("Error getting desk:", err);
+      res.status(500).json({ error: "Failed to get desk" });
+    }
+  }
+);
+
+// PUT /api/desks/:id?company=...
+app.put(
+  "/api/desks/:id",
+  requireRole("admin"),
+  validate({
+    params: schemas.deskParams,
+    query: schemas.companyQuery,
+    body: schemas.desk,
+  }),
+  async (req, res) => {
+    const companyId = req.query.company || null;
+    try {
+      const id = String(req.params.id);
+      const body = req.body;
+      const data = await readDesks(companyId);
+      data.desks = data.desks || {};
+      data.desks[id] = body;
+      const asNum = parseInt(id, 10);
+      if (!isNaN(asNum) && (!data.numDesks || data.numDesks < asNum))
+        data.numDesks = asNum;
+      await writeDesks(data, companyId);
+      res.json(data.desks[id]);
+    } catch (err) {
+      console.error("Error updating desk:", err);
+      res.status(500).json({ error: "Failed to update desk" });
+    }
+  }
+);
+
+// --- ZONES endpoints (service zones, see lib/zones.js) ---
+// GET /api/zones?company=... - { zones: [{ id, name, deskRanges, teaBoy }] }
+app.get("/api/zones", requireAuth, companyQuery, async (req, res) => {
   const companyId = req.query.company || null;
   try {
-    const payload = req.body;
-    if (
-      !payload ||
-      typeof payload !== "object" ||
-      typeof payload.numDesks !== "number" ||
-      typeof payload.desks !== "object"
-    ) {
-      return res.status(400).json({ error: "Invalid desks payload" });
-    }
-    await writeDesks(payload, companyId);
-    res.json(payload);
+    res.json({ zones: await loadZones(storage, companyId) });
   } catch (err) {
-    console.error("Error saving desks:", err);
-    res.status(500).json({ error: "Failed to save desks" });
+    console.error("Error reading zones:", err);
+    res.status(500).json({ error: "Failed to read zones" });
   }
 });
 
-// GET /api/desks/:id?company=...
-app.get("/api/desks/:id", async (req, res) => {
+// POST /api/zones?company=... - replace every zone { zones: [...] }
+app.post(
+  "/api/zones",
+  requireRole("admin"),
+  validate({ query: schemas.companyQuery, body: schemas.zones }),
+  async (req, res) => {
+    const companyId = req.query.company || null;
+    const { zones, error } = validateZones(req.body.zones);
+    if (error) return res.status(400).json(invalidRequest("zones", error));
+    try {
+      await saveZones(storage, companyId, zones);
+      console.log(`Zones saved (${zones.length}) company=${companyId}`);
+      res.json({ zones });
+    } catch (err) {
+      console.error("Error saving zones:", err);
+      res.status(500).json({ error: "Failed to save zones" });
+    }
+  }
+);
+
+const zoneRequest = validate({
+  params: schemas.zoneParams,
+  query: schemas.companyQuery,
+});
+
+// GET /api/zones/:id?company=...
+app.get("/api/zones/:id", requireAuth, zoneRequest, async (req, res) => {
   const companyId = req.query.company || null;
   try {
-    const id = String(req.params.id);
-    const data = await readDesks(companyId);
-    const desk = data.desks?.[id];
-    if (!desk) return res.status(404).json({ error: "Desk not found" });
-    res.json(desk);
+    const zones = await loadZones(storage, companyId);
+    const zone = zones.find((z) => z.id === String(req.params.id));
+    if (!zone) return res.status(404).json({ error: "Zone not found" });
+    res.json(zone);
   } catch (err) {
-    console.error("Error getting desk:", err);
-    res.status(500).json({ error: "Failed to get desk" });
+    console.error("Error getting zone:", err);
+    res.status(500).json({ error: "Failed to get zone" });
   }
 });
 
-// PUT /api/desks/:id?company=...
-app.put("/api/desks/:id", async (req, res) => {
+// GET /api/zones/:id/duty?company=... - who is on shift / on a break now, and who a new
+// order would go to
+app.get("/api/zones/:id/duty", requireAuth, zoneRequest, async (req, res) => {
   const companyId = req.query.company || null;
   try {
-    const id = String(req.params.id);
-    const body = req.body || {};
-    const data = await readDesks(companyId);
-    data.desks = data.desks || {};
-    data.desks[id] = body;
-    const asNum = parseInt(id, 10);
-    if (!isNaN(asNum) && (!data.numDesks || data.numDesks < asNum))
-      data.numDesks = asNum;
-    await writeDesks(data, companyId);
-    res.json(data.desks[id]);
+    const zones = await loadZones(storage, companyId);
+    const zone = zones.find((z) => z.id === String(req.params.id));
+    if (!zone) return res.status(404).json({ error: "Zone not found" });
+    const tz = companyTimeZone(await readCompany(storage, companyId));
+    const now = Date.now();
+    res.json({
+      zone: zone.id,
+      timeZone: tz,
+      ...dutyAt(zone, now, tz),
+      assignee: assignTeaBoy(zone, now, tz),
+    });
   } catch (err) {
-    console.error("Error updating desk:", err);
-    res.status(500).json({ error: "Failed to update desk" });
+    console.error("Error reading zone duty:", err);
+    res.status(500).json({ error: "Failed to read zone duty" });
   }
 });
 
-// --- MENU endpoints (already company-aware) ---
-// GET /api/menu?company=...
-app.get("/api/menu", async (req, res) => {
-  const companyId = req.query.company || "default";
+// PUT /api/zones/:id?company=... - create or update one zone
+// { name, desks, teaBoy, shifts, backup } (shifts: see lib/shifts.js)
+app.put(
+  "/api/zones/:id",
+  requireRole("admin"),
+  validate({
+    params: schemas.zoneParams,
+    query: schemas.companyQuery,
+    body: schemas.zone,
+  }),
+  async (req, res) => {
+    const companyId = req.query.company || null;
+    const id = req.params.id;
+    try {
+      const zones = await loadZones(storage, companyId);
+      const existing = zones.find((z) => z.id === id) || null;
+      const { zone, error } = validateZone({ ...req.body, id }, existing);
+      if (error) return res.status(400).json(invalidRequest("", error));
+
+      const next = existing
+        ? zones.map((z) => (z.id === id ? zone : z))
+        : [...zones, zone];
+      const checked = validateZones(next);
+      if (checked.error) {
+        return res.status(400).json(invalidRequest("", checked.error));
+      }
+
+      await saveZones(storage, companyId, checked.zones);
+      res.status(existing ? 200 : 201).json(zone);
+    } catch (err) {
+      console.error("Error updating zone:", err);
+      res.status(500).json({ error: "Failed to update zone" });
+    }
+  }
+);
+
+// DELETE /api/zones/:id?company=... - tea boys of a removed zone fall back to their own desk ranges
+app.delete(
+  "/api/zones/:id",
+  requireRole("admin"),
+  zoneRequest,
+  async (req, res) => {
+    const companyId = req.query.company || null;
+    const id = req.params.id;
+    try {
+      const zones = await loadZones(storage, companyId);
+      if (!zones.some((z) => z.id === id)) {
+        return res.status(404).json({ error: "Zone not found" });
+      }
+      await saveZones(
+        storage,
+        companyId,
+        zones.filter((z) => z.id !== id)
+      );
+      res.json({ success: true });
+    } catch (err) {
+      console.error("Error deleting zone:", err);
+      res.status(500).json({ error: "Failed to delete zone" });
+    }
+  }
+);
+
+// --- SLA endpoints (rules checked by the scheduler in lib/sla.js) ---
+// GET /api/sla?company=... - { rules: [{ id, until, minutes, action }] }
+app.get("/api/sla", canReadOrders, companyQuery, async (req, res) => {
   try {
-    const menu = await readMenuCompany(companyId);
-    res.json(menu);
+    res.json(await readSla(storage, req.query.company));
+  } catch (err) {
+    console.error("Error reading SLA rules:", err);
+    res.status(500).json({ error: "Failed to read SLA rules" });
+  }
+});
+
+// PUT /api/sla?company=... - replace the rules (an empty list turns SLAs off)
+app.put(
+  "/api/sla",
+  requireRole("admin"),
+  validate({ query: schemas.companyQuery, body: schemas.slaRules }),
+  async (req, res) => {
+    const companyId = req.query.company;
+    const { rules, error } = validateSla(req.body);
+    if (error) return res.status(400).json(invalidRequest("rules", error));
+    try {
+      await storage.putDoc(companyId, "sla", { rules });
+      console.log(`SLA rules saved (${rules.length}) company=${companyId}`);
+      res.json({ rules });
+    } catch (err) {
+      console.error("Error saving SLA rules:", err);
+      res.status(500).json({ error: "Failed to save SLA rules" });
+    }
+  }
+);
+
+// --- Integrations (order events to Sheets / webhooks / JSONL / Telegram, see lib/integrations) ---
+// GET /api/integrations?company=... - { integrations: [...] } (secrets omitted)
+app.get(
+  "/api/integrations",
+  requireRole("admin"),
+  companyQuery,
+  async (req, res) => {
+    try {
+      const integrations = await readIntegrations(storage, req.query.company);
+      res.json({ integrations: integrations.map(publicIntegration) });
+    } catch (err) {
+      console.error("Error reading integrations:", err);
+      res.status(500).json({ error: "Failed to read integrations" });
+    }
+  }
+);
+
+// PUT /api/integrations?company=... - replace the list
+app.put(
+  "/api/integrations",
+  requireRole("admin"),
+  validate({ query: schemas.companyQuery, body: schemas.integrations }),
+  async (req, res) => {
+    const companyId = req.query.company;
+    try {
+      const existing = await readIntegrations(storage, companyId);
+      const { integrations, error } = validateIntegrations(req.body, {
+        companyId,
+        existing,
+      });
+      if (error) {
+        return res.status(400).json(invalidRequest("integrations", error));
+      }
+      await storage.putDoc(companyId, "integrations", { integrations });
+      console.log(
+        `Integrations saved (${integrations.length}) company=${companyId}`
+      );
+      res.json({ integrations: integrations.map(publicIntegration) });
+    } catch (err) {
+      console.error("Error saving integrations:", err);
+      res.status(500).json({ error: "Failed to save integrations" });
+    }
+  }
+);
+
+// GET /api/integrations/status?company=... - delivery counters and queued/failed deliveries
+app.get(
+  "/api/integrations/status",
+  requireRole("admin"),
+  companyQuery,
+  async (req, res) => {
+    try {
+      res.json({
+        integrations: await integrationStatus(storage, req.query.company),
+      });
+    } catch (err) {
+      console.error("Error reading integration status:", err);
+      res.status(500).json({ error: "Failed to read integration status" });
+    }
+  }
+);
+
+// POST /api/integrations/retry?company=...[&integration=id] - retry queued and dead deliveries now
+app.post(
+  "/api/integrations/retry",
+  requireRole("admin"),
+  validate({ query: schemas.integrationRetryQuery }),
+  async (req, res) => {
+    const companyId = req.query.company;
+    try {
+      const delivered = await retryNow(
+        storage,
+        companyId,
+        req.query.integration || null
+      );
+      res.json({
+        delivered,
+        integrations: await integrationStatus(storage, companyId),
+      });
+    } catch (err) {
+      console.error("Error retrying integrations:", err);
+      res.status(500).json({ error: "Failed to retry deliveries" });
+    }
+  }
+);
+
+// POST /api/integrations/:id/telegram-webhook?company=... - point a telegram integration's
+// bot at POST /api/telegram/<company>/<id> on this server (PUBLIC_URL, else the request's host)
+app.post(
+  "/api/integrations/:id/telegram-webhook",
+  requireRole("admin"),
+  validate({
+    params: schemas.integrationParams,
+    query: schemas.companyQuery,
+  }),
+  async (req, res) => {
+    const companyId = req.query.company;
+    try {
+      const integration = (await readIntegrations(storage, companyId)).find(
+        (i) => i.id === req.params.id && i.type === "telegram"
+      );
+      if (!integration) {
+        return res
+          .status(404)
+          .json({ error: "Telegram integration not found" });
+      }
+      const base =
+        process.env.PUBLIC_URL || `${req.protocol}://${req.get("host")}`;
+      const url = `${base.replace(
+        /\/+$/,
+        ""
+      )}/api/telegram/${encodeURIComponent(companyId)}/${encodeURIComponent(
+        integration.id
+      )}`;
+      await telegram.registerWebhook(withSecrets(integration), url);
+      console.log(`Telegram webhook set to ${url}`);
+      res.json({ url });
+    } catch (err) {
+      console.error("Error setting Telegram webhook:", err);
+      res
+        .status(500)
+        .json({ error: `Failed to set Telegram webhook: ${err.message}` });
+    }
+  }
+);
+
+// POST /api/telegram/:company/:integration - updates from the Telegram Bot API (button
+// presses); authenticated by the secret token registered with setWebhook
+app.post(
+  "/api/telegram/:company/:integration",
+  validate({ params: schemas.telegramParams }),
+  async (req, res) => {
+    const companyId = req.params.company;
+    try {
+      const saved = (await readIntegrations(storage, companyId)).find(
+        (i) => i.id === req.params.integration && i.type === "telegram"
+      );
+      const integration = saved && withSecrets(saved);
+      if (
+        !integration ||
+        !telegram.isFromTelegram(
+          integration,
+          req.get("X-Telegram-Bot-Api-Secret-Token")
+        )
+      ) {
+        return res.status(404).json({ error: "Not found" });
+      }
+      await telegram.handleUpdate(
+        storage,
+        companyId,
+        integration,
+        req.body || {}
+      );
+      res.json({ ok: true });
+    } catch (err) {
+      console.error("Error handling Telegram update:", err);
+      res.status(500).json({ error: "Failed to handle update" });
+    }
+  }
+);
+
+// --- Routes: COMPANIES (registry, see lib/companies.js) ---
+// GET /api/companies - enabled companies (public: id, name, theme, logo)
+app.get("/api/companies", async (req, res) => {
+  try {
+    const companies = await listRegisteredCompanies(storage);
+    res.json(
+      companies
+        .filter((c) => c.enabled !== false)
+        .map(({ id, name, theme, logo }) => ({ id, name, theme, logo }))
+    );
   } catch (err) {
-    console.error("Error reading menu:", err);
-    res.status(500).json({ error: "Failed to read menu" });
+    console.error("Error listing companies:", err);
+    res.status(500).json({ error: "Failed to list companies" });
   }
 });
 
-// POST /api/menu?company=...
-app.post("/api/menu", async (req, res) => {
+// GET /api/companies/:id - config for the ordering page (public)
+app.get(
+  "/api/companies/:id",
+  validate({ params: schemas.companyParams }),
+  async (req, res) => {
+    try {
+      const company = await readCompany(storage, req.params.id);
+      if (!company || company.enabled === false) {
+        return res.status(404).json({ error: "Company not found" });
+      }
+      res.json(publicCompany(company));
+    } catch (err) {
+      console.error("Error reading company:", err);
+      res.status(500).json({ error: "Failed to read company" });
+    }
+  }
+);
+
+// PUT /api/companies/:id?company=:id - update branding / order flow / features (that company's admin)
+app.put(
+  "/api/companies/:id",
+  requireRole("admin"),
+  validate({
+    params: schemas.companyParams,
+    query: schemas.companyQuery,
+    body: schemas.company,
+  }),
+  async (req, res) => {
+    const companyId = req.params.id;
+    if (companyId !== req.query.company) {
+      return res.status(403).json({ error: "Not authorized for this company" });
+    }
+    try {
+      const existing = await readCompany(storage, companyId);
+      if (!existing)
+        return res.status(404).json({ error: "Company not found" });
+
+      const { company, error } = validateCompany(req.body, existing);
+      if (error) return res.status(400).json(invalidRequest("", error));
+
+      company.updatedAt = new Date().toISOString();
+      await storage.putDoc(companyId, "company", company);
+      res.json(company);
+    } catch (err) {
+      console.error("Error updating company:", err);
+      res.status(500).json({ error: "Failed to update company" });
+    }
+  }
+);
+
+// POST /api/companies - provision a company over HTTP. Disabled unless PROVISIONING_TOKEN is set;
+// the caller sends it as "Authorization: Bearer <token>". Body: company fields + optional numDesks.
+function requireProvisioningToken(req, res, next) {
+  const token = process.env.PROVISIONING_TOKEN;
+  const given = (req.get("Authorization") || "").replace(/^Bearer\s+/i, "");
+  if (!token || !safeEqual(given, token)) {
+    return res.status(403).json({ error: "Provisioning is not allowed" });
+  }
+  next();
+}
+
+app.post(
+  "/api/companies",
+  requireProvisioningToken,
+  validate({ body: schemas.newCompany }),
+  async (req, res) => {
+    try {
+      const { numDesks, ...input } = req.body;
+      const { company, error, status } = await provisionCompany(
+        storage,
+        input,
+        {
+          numDesks: numDesks || 10,
+        }
+      );
+      if (error) {
+        return res
+          .status(status)
+          .json(status === 400 ? invalidRequest("", error) : { error });
+      }
+      await loadZones(storage, company.id);
+      console.log(`🏢 Provisioned company ${company.id}`);
+      res.status(201).json(company);
+    } catch (err) {
+      console.error("Error provisioning company:", err);
+      res.status(500).json({ error: "Failed to provision company" });
+    }
+  }
+);
+
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a));
+  const y = Buffer.from(String(b));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+// --- MENU endpoints (already company-aware) ---
+// GET /api/menu?company=...&lang=en|ar - items carry `available` and `stock` (count or null);
+// names and descriptions are text in `lang`, with every language in `names` / `descs`
+app.get(
+  "/api/menu",
+  validate({ query: schemas.menuQuery }),
+  async (req, res) => {
+    const companyId = req.query.company || "default";
+    const lang = req.query.lang || DEFAULT_LOCALE;
+    try {
+      const menu = await readMenuCompany(companyId);
+      res.set("Content-Language", lang);
+      res.json(
+        localizeMenu(withStock(menu, await readStock(storage, companyId)), lang)
+      );
+    } catch (err) {
+      console.error("Error reading menu:", err);
+      res.status(500).json({ error: "Failed to read menu" });
+    }
+  }
+);
+
+// Checks shared by everything that stores a menu (publish, draft, import). Mutates `menu`;
+// resolves to { error, errors? } (for a 400 response; `errors` lists { field, message }
+// from lib/menuSchema.js) or {}.
+async function prepareMenu(companyId, menu) {
+  const errors = validateMenu(menu);
+  if (errors.length) return { error: describeErrors(errors, "menu"), errors };
+  const options = checkMenuOptions(menu);
+  if (options.error) return options;
+  // base64 `imageData` from older editors goes through the upload checks too
+  const images = await importInlineImages(UPLOADS_DIR, companyId, menu);
+  if (images.error) return images;
+  // availability comes from the stock document, not the menu
+  stripStock(menu);
+  return {};
+}
+
+// POST /api/menu?company=... - save and publish right away (kept as a new revision).
+// The settings page edits a draft instead (see below).
+app.post("/api/menu", requireRole("admin"), companyQuery, async (req, res) => {
   const companyId = req.query.company || "default";
   try {
-    await writeMenuCompany(companyId, req.body);
+    const { error, errors } = await prepareMenu(companyId, req.body);
+    if (error) return res.status(400).json({ error, errors });
+    const doc = await readRevisions(storage, companyId);
+    const revision = addRevision(doc, req.body, {
+      by: req.session.user.username,
+    });
+    await publishRevision(storage, companyId, doc, revision);
+    await saveRevisions(storage, companyId, doc);
+    console.log(`Menu revision ${revision.id} published company=${companyId}`);
     const saved = await readMenuCompany(companyId);
     res.json(saved);
+    sweepMenuImages();
   } catch (err) {
     console.error("Error saving menu:", err);
     res.status(500).json({ error: "Failed to save menu" });
   }
 });
 
+// --- Menu drafts and revisions (lib/menuRevisions.js) ---
+// GET /api/menu/draft?company=... - { menu, draft: true|false, at, by, live } — the draft,
+// or the live menu when there is none
+app.get(
+  "/api/menu/draft",
+  requireRole("admin"),
+  companyQuery,
+  async (req, res) => {
+    const companyId = req.query.company || "default";
+    try {
+      const doc = await readRevisions(storage, companyId);
+      if (doc.draft) {
+        return res.json({ ...doc.draft, draft: true, live: doc.live });
+      }
+      res.json({
+        menu: await readMenuCompany(companyId),
+        draft: false,
+        at: null,
+        by: null,
+        live: doc.live,
+      });
+    } catch (err) {
+      console.error("Error reading menu draft:", err);
+      res.status(500).json({ error: "Failed to read menu draft" });
+    }
+  }
+);
+
+// PUT /api/menu/draft?company=... - body: the menu; nothing changes for customers
+app.put(
+  "/api/menu/draft",
+  requireRole("admin"),
+  companyQuery,
+  async (req, res) => {
+    const companyId = req.query.company || "default";
+    try {
+      const { error, errors } = await prepareMenu(companyId, req.body);
+      if (error) return res.status(400).json({ error, errors });
+      const doc = await readRevisions(storage, companyId);
+      doc.draft = {
+        menu: req.body,
+        at: new Date().toISOString(),
+        by: req.session.user.username,
+      };
+      await saveRevisions(storage, companyId, doc);
+      res.json({ ...doc.draft, draft: true, live: doc.live });
+    } catch (err) {
+      console.error("Error saving menu draft:", err);
+      res.status(500).json({ error: "Failed to save menu draft" });
+    }
+  }
+);
+
+// DELETE /api/menu/draft?company=... - throw the draft away
+app.delete(
+  "/api/menu/draft",
+  requireRole("admin"),
+  companyQuery,
+  async (req, res) => {
+    const companyId = req.query.company || "default";
+    try {
+      const doc = await readRevisions(storage, companyId);
+      doc.draft = null;
+      await saveRevisions(storage, companyId, doc);
+      res.json({ message: "Draft discarded" });
+      sweepMenuImages();
+    } catch (err) {
+      console.error("Error discarding menu draft:", err);
+      res.status(500).json({ error: "Failed to discard menu draft" });
+    }
+  }
+);
+
+// Publish `revision` now, or schedule it when `publishAt` is in the future
+async function publishOrSchedule(companyId, doc, revision, publishAt) {
+  if (publishAt) {
+    revision.publishAt = publishAt;
+  } else {
+    await publishRevision(storage, companyId, doc, revision);
+  }
+  await saveRevisions(storage, companyId, doc);
+  console.log(
+    `Menu revision ${revision.id} ${
+      publishAt ? `scheduled for ${publishAt}` : "published"
+    } company=${companyId}`
+  );
+}
+
+// POST /api/menu/publish?company=... - { note?, publishAt? } turn the draft into a revision
+// and publish it (now, or at publishAt)
+app.post(
+  "/api/menu/publish",
+  requireRole("admin"),
+  validate({ query: schemas.companyQuery, body: schemas.menuPublish }),
+  async (req, res) => {
+    const companyId = req.query.company || "default";
+    const { note, publishAt } = req.body || {};
+    const when = parsePublishAt(publishAt);
+    if (when.error) return res.status(400).json({ error: when.error });
+    try {
+      const doc = await readRevisions(storage, companyId);
+      if (!doc.draft) {
+        return res.status(400).json({ error: "There is no draft to publish" });
+      }
+      const revision = addRevision(doc, doc.draft.menu, {
+        by: req.session.user.username,
+        note,
+      });
+      doc.draft = null;
+      await publishOrSchedule(companyId, doc, revision, when.at);
+      res.status(201).json(revisionSummaries(doc)[0]);
+      sweepMenuImages();
+    } catch (err) {
+      console.error("Error publishing menu:", err);
+      res.status(500).json({ error: "Failed to publish menu" });
+    }
+  }
+);
+
+// GET /api/menu/revisions?company=... - { live, draft: { at, by } | null, revisions: [...] }
+// (newest first, without the menus)
+app.get(
+  "/api/menu/revisions",
+  requireRole("admin"),
+  companyQuery,
+  async (req, res) => {
+    const companyId = req.query.company || "default";
+    try {
+      const doc = await readRevisions(storage, companyId);
+      res.json({
+        live: doc.live,
+        draft: doc.draft ? { at: doc.draft.at, by: doc.draft.by } : null,
+        revisions: revisionSummaries(doc),
+      });
+    } catch (err) {
+      console.error("Error reading menu revisions:", err);
+      res.status(500).json({ error: "Failed to read menu revisions" });
+    }
+  }
+);
+
+// GET /api/menu/revisions/:id?company=... - one revision with its menu
+app.get(
+  "/api/menu/revisions/:id",
+  requireRole("admin"),
+  validate({ params: schemas.revisionParams, query: schemas.companyQuery }),
+  async (req, res) => {
+    const companyId = req.query.company || "default";
+    try {
+      const doc = await readRevisions(storage, companyId);
+      const revision = findRevision(doc, req.params.id);
+      if (!revision) return res.status(404).json({ error: "No such revision" });
+      res.json({ ...revision, live: revision.id === doc.live });
+    } catch (err) {
+      console.error("Error reading menu revision:", err);
+      res.status(500).json({ error: "Failed to read menu revision" });
+    }
+  }
+);
+
+// POST /api/menu/revisions/:id/publish?company=... - { publishAt? } put an earlier
+// revision back live (rollback), now or at publishAt
+app.post(
+  "/api/menu/revisions/:id/publish",
+  requireRole("admin"),
+  validate({
+    params: schemas.revisionParams,
+    query: schemas.companyQuery,
+    body: schemas.menuRollback,
+  }),
+  async (req, res) => {
+    const companyId = req.query.company || "default";
+    const when = parsePublishAt((req.body || {}).publishAt);
+    if (when.error) return res.status(400).json({ error: when.error });
+    try {
+      const doc = await readRevisions(storage, companyId);
+      const revision = findRevision(doc, req.params.id);
+      if (!revision) return res.status(404).json({ error: "No such revision" });
+      await publishOrSchedule(companyId, doc, revision, when.at);
+      res.json(revisionSummaries(doc).find((r) => r.id === revision.id));
+    } catch (err) {
+      console.error("Error publishing menu revision:", err);
+      res.status(500).json({ error: "Failed to publish menu revision" });
+    }
+  }
+);
+
+// DELETE /api/menu/revisions/:id/schedule?company=... - cancel a scheduled publish
+app.delete(
+  "/api/menu/revisions/:id/schedule",
+  requireRole("admin"),
+  validate({ params: schemas.revisionParams, query: schemas.companyQuery }),
+  async (req, res) => {
+    const companyId = req.query.company || "default";
+    try {
+      const doc = await readRevisions(storage, companyId);
+      const revision = findRevision(doc, req.params.id);
+      if (!revision || !revision.publishAt) {
+        return res.status(404).json({ error: "Nothing scheduled for it" });
+      }
+      revision.publishAt = null;
+      await saveRevisions(storage, companyId, doc);
+      res.json({ message: "Schedule cancelled" });
+    } catch (err) {
+      console.error("Error cancelling menu schedule:", err);
+      res.status(500).json({ error: "Failed to cancel the schedule" });
+    }
+  }
+);
+
+// --- Menu import / export (lib/menuImport.js) ---
+const MAX_MENU_FILE_BYTES = 1024 * 1024;
+const menuFileUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_MENU_FILE_BYTES, files: 1 },
+}).single("file");
+
+// GET /api/menu/export?company=...&format=csv|xlsx|json[&draft=1] - the live menu (or the
+// draft) as a sheet with one row per item, or as menu JSON
+app.get(
+  "/api/menu/export",
+  requireRole("admin"),
+  validate({ query: schemas.menuExportQuery }),
+  async (req, res) => {
+    const companyId = req.query.company || "default";
+    const format = req.query.format || "csv";
+    try {
+      let menu = await readMenuCompany(companyId);
+      const fromDraft = req.query.draft === true;
+      if (fromDraft) {
+        const doc = await readRevisions(storage, companyId);
+        if (doc.draft) menu = doc.draft.menu;
+      }
+      const baseName = `menu-${companyId}${fromDraft ? "-draft" : ""}`;
+      if (format === "json") {
+        res.attachment(`${baseName}.json`);
+        return res.send(JSON.stringify(menu, null, 2));
+      }
+      await sendExport(res, format, baseName, [menuTable(menu)]);
+    } catch (err) {
+      console.error("Menu export error:", err);
+      res.status(500).json({ error: "Failed to export menu" });
+    }
+  }
+);
+
+// Menu from an import request: an uploaded .csv / .json file (field "file", ?format=
+// overrides the extension) or a JSON menu as the body. Resolves to { menu, rows } or
+// { error, errors? }.
+async function readMenuImport(req, live) {
+  if (!req.file) {
+    return req.is("application/json")
+      ? { menu: req.body }
+      : { error: 'Send the menu file as field "file"' };
+  }
+  const format = (
+    req.query.format ||
+    path.extname(req.file.originalname || "").slice(1) ||
+    "csv"
+  ).toLowerCase();
+  const text = req.file.buffer.toString("utf8");
+  if (format === "json") {
+    try {
+      return { menu: JSON.parse(text.replace(/^\uFEFF/, "")) };
+    } catch (err) {
+      return { error: `The file isn't valid JSON (${err.message})` };
+    }
+  }
+  if (format !== "csv") return { error: "Import a .csv or .json file" };
+  const parsed = menuFromCsv(text, live);
+  if (parsed.errors) {
+    return {
+      error: describeErrors(parsed.errors, "menu"),
+      errors: parsed.errors,
+    };
+  }
+  return parsed;
+}
+
+// POST /api/menu/import?company=...[&dryRun=1] - replace the draft with an imported menu.
+// Responds with { dryRun, diff } (changes against the live menu, see diffMenus()); a dry
+// run saves nothing and also returns the menu, for a preview. Invalid menus get a 400 with
+// { error, errors: [{ field, message, row? }] } (row: CSV line number).
+app.post(
+  "/api/menu/import",
+  requireRole("admin"),
+  validate({ query: schemas.menuImportQuery }),
+  (req, res) => {
+    menuFileUpload(req, res, async (uploadErr) => {
+      if (uploadErr) {
+        const tooLarge = uploadErr.code === "LIMIT_FILE_SIZE";
+        return res.status(tooLarge ? 413 : 400).json({
+          error: tooLarge
+            ? `Menu files can be at most ${MAX_MENU_FILE_BYTES / 1024} KB`
+            : uploadErr.message,
+        });
+      }
+      const companyId = req.query.company || "default";
+      const dryRun = req.query.dryRun === true;
+      try {
+        const live = await readMenuCompany(companyId);
+        const imported = await readMenuImport(req, live);
+        if (imported.error) {
+          return res
+            .status(400)
+            .json({ error: imported.error, errors: imported.errors });
+        }
+        const { menu, rows } = imported;
+        const { error, errors } = await prepareMenu(companyId, menu);
+        if (error) {
+          return res
+            .status(400)
+            .json({ error, errors: errors && withRows(errors, rows) });
+        }
+        const diff = diffMenus(live, menu);
+        if (dryRun) return res.json({ dryRun: true, diff, menu });
+
+        const doc = await readRevisions(storage, companyId);
+        doc.draft = {
+          menu,
+          at: new Date().toISOString(),
+          by: req.session.user.username,
+        };
+        await saveRevisions(storage, companyId, doc);
+        console.log(`Menu imported as draft company=${companyId}`);
+        res.json({
+          dryRun: false,
+          diff,
+          draft: { at: doc.draft.at, by: doc.draft.by },
+        });
+      } catch (err) {
+        console.error("Menu import error:", err);
+        res.status(500).json({ error: "Failed to import menu" });
+      }
+    });
+  }
+);
+
+// Remove menu images nothing refers to any more (in the background, after a menu save)
+function sweepMenuImages() {
+  menusInUse(storage)
+    .then((menus) => collectOrphanImages(UPLOADS_DIR, menus))
+    .then((removed) => {
+      if (removed.length) {
+        console.log(`Removed ${removed.length} unused menu image(s)`);
+      }
+    })
+    .catch((err) => console.error("Menu image cleanup failed:", err));
+}
+
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 },
+}).single("image");
+
+// POST /api/menu/images?company=... - multipart field "image"; responds 201 with
+// { image, thumbnails: { 320, 96 }, width, height } to put on a menu item
+app.post("/api/menu/images", requireRole("admin"), companyQuery, (req, res) => {
+  const companyId = req.query.company || "default";
+  imageUpload(req, res, async (uploadErr) => {
+    if (uploadErr) {
+      const tooLarge = uploadErr.code === "LIMIT_FILE_SIZE";
+      return res.status(tooLarge ? 413 : 400).json({
+        error: tooLarge
+          ? `Images can be at most ${MAX_UPLOAD_BYTES / 1024 / 1024} MB`
+          : uploadErr.message,
+      });
+    }
+    if (!req.file) {
+      return res.status(400).json({ error: 'Send the file as field "image"' });
+    }
+    try {
+      const saved = await saveMenuImage(
+        UPLOADS_DIR,
+        companyId,
+        req.file.buffer
+      );
+      if (saved.error) return res.status(400).json({ error: saved.error });
+      console.log(`Menu image saved: ${saved.image}`);
+      res.status(201).json(saved);
+    } catch (err) {
+      console.error("Error saving menu image:", err);
+      res.status(500).json({ error: "Failed to save image" });
+    }
+  });
+});
+
+// --- STOCK endpoints (availability and counts per menu item, see lib/stock.js) ---
+// GET /api/stock?company=... - { items: [{ id, name, category, available, count, lowAt,
+// orderable, low }], log: newest first }
+app.get("/api/stock", canReadOrders, companyQuery, async (req, res) => {
+  const companyId = req.query.company;
+  try {
+    const menu = await readMenuCompany(companyId);
+    const stock = await readStock(storage, companyId);
+    res.json({
+      items: stockReport(menu, stock),
+      log: stock.log.slice(-100).reverse(),
+    });
+  } catch (err) {
+    console.error("Error reading stock:", err);
+    res.status(500).json({ error: "Failed to read stock" });
+  }
+});
+
+// Shared by PUT /api/stock/:itemId and POST /api/stock/:itemId/restock
+async function changeStock(req, res, change) {
+  const companyId = req.query.company;
+  const itemId = req.params.itemId;
+  try {
+    const menu = await readMenuCompany(companyId);
+    const item = stockReport(menu, { items: {} }).find((i) => i.id === itemId);
+    if (!item) return res.status(404).json({ error: "Item not on the menu" });
+
+    const stock = await readStock(storage, companyId);
+    const { level, error } = change(stock, itemId, {
+      by: req.session.user.username,
+      note: req.body.note || "",
+    });
+    if (error) return res.status(400).json(invalidRequest("", error));
+    await storage.putDoc(companyId, "stock", stock);
+    console.log(
+      `Stock for ${itemId}: ${level.available ? "on" : "off"}, count=${
+        level.count
+      } company=${companyId}`
+    );
+    res.json({ id: itemId, ...level });
+  } catch (err) {
+    console.error("Error updating stock:", err);
+    res.status(500).json({ error: "Failed to update stock" });
+  }
+}
+
+// PUT /api/stock/:itemId?company=... - { available?, count? (null = not counted), lowAt? }
+app.put(
+  "/api/stock/:itemId",
+  canWorkOrders,
+  validate({
+    params: schemas.stockParams,
+    query: schemas.companyQuery,
+    body: schemas.stockLevel,
+  }),
+  (req, res) =>
+    changeStock(req, res, (stock, itemId, meta) =>
+      setLevel(stock, itemId, req.body, meta)
+    )
+);
+
+// POST /api/stock/:itemId/restock?company=... - { quantity, note? }
+app.post(
+  "/api/stock/:itemId/restock",
+  canWorkOrders,
+  validate({
+    params: schemas.stockParams,
+    query: schemas.companyQuery,
+    body: schemas.restock,
+  }),
+  (req, res) =>
+    changeStock(req, res, (stock, itemId, meta) =>
+      restock(stock, itemId, req.body.quantity, meta)
+    )
+);
+
 // Health check
 app.get("/health", (req, res) => {
   res.json({
@@ -1198,8 +2568,41 @@ app.get("/health", (req, res) => {
 // Serve static dashboard (if present)
 app.use("/dashboard", express.static(path.join(__dirname, "dashboard")));
 
-// Serve static files (index.html and assets in project root)
-app.use(express.static(path.join(__dirname, "..")));
+// Only the pages and the few sounds and images they load from the site root are served;
+// the rest of the repository (api/data holds password hashes and integration settings)
+// never is.
+const COMPANY_LIST_DIR = path.join(__dirname, "..", "company_list");
+const ROOT_ASSETS = [
+  "ding.mp3",
+  "noti_saf.mp3",
+  "blur.png",
+  "logo_ai.png",
+  "tb_dashboard1.html",
+];
+app.use("/company_list", express.static(COMPANY_LIST_DIR));
+app.get(
+  ROOT_ASSETS.map((file) => `/${file}`),
+  (req, res, next) =>
+    res.sendFile(path.join(__dirname, "..", req.path), (err) => err && next())
+);
+
+// Pages a registered company has no copy of under company_list/<id>/ (a new company has
+// no folder at all, tb_dashboard.html is shared by everyone) come from COMPANY_TEMPLATE
+// (default "remat"); the pages read their company from the URL.
+app.get("/company_list/:company/*", async (req, res, next) => {
+  try {
+    if (!(await readCompany(storage, req.params.company))) return next();
+    const templateDir = path.join(
+      COMPANY_LIST_DIR,
+      process.env.COMPANY_TEMPLATE || "remat"
+    );
+    const file = path.resolve(templateDir, req.params[0]);
+    if (!file.startsWith(templateDir + path.sep)) return next();
+    res.sendFile(file, (err) => err && next());
+  } catch (err) {
+    next(err);
+  }
+});
 
 // SPA fallback: non-API routes return index.html
 app.get(/^\/(?!api).*/, (req, res) => {
@@ -1211,6 +2614,22 @@ app.use("*", (req, res) => {
   res.status(404).json({ error: "Endpoint not found" });
 });
 
+// Bodies express.json() can't read get the same error shape as lib/validate.js
+app.use((err, req, res, next) => {
+  const status = { "entity.parse.failed": 400, "entity.too.large": 413 }[
+    err.type
+  ];
+  if (!status) return next(err);
+  const message =
+    status === 413
+      ? "The request body is too large"
+      : "The body isn't valid JSON";
+  res.status(status).json({
+    error: `Invalid request — ${message}`,
+    errors: [{ field: "", message }],
+  });
+});
+
 // Graceful shutdown
 process.on("SIGTERM", () => {
   console.log("SIGTERM received; shutting down...");
@@ -1229,6 +2648,17 @@ process.on("SIGINT", () => {
     console.error("Initialization error:", err);
   }
 
+  try {
+    await preloadZones(storage);
+  } catch (err) {
+    console.error("Failed to load zones:", err);
+  }
+
+  startArchiver(storage);
+  startSlaMonitor(storage);
+  startIntegrations(storage);
+  startMenuScheduler(storage);
+
   app.listen(PORT, () => {
     console.log(
       `🚀 Beverage Orders API Server running on http://localhost:${PORT}`
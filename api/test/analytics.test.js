@@ -0,0 +1,68 @@
+// test/analytics.test.js — stats periods in the company's time zone (lib/analytics.js)
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseStatsQuery, buildStats } = require("../lib/analytics");
+
+const statsFor = (timestamps, query, defaultTz) => {
+  const { options } = parseStatsQuery(query, defaultTz);
+  return buildStats(
+    timestamps.map((timestamp, i) => ({ id: String(i), timestamp })),
+    options
+  );
+};
+
+test("the company's time zone is used unless ?tz= asks for another", () => {
+  assert.equal(parseStatsQuery({}, "Asia/Riyadh").options.tz, "Asia/Riyadh");
+  assert.equal(
+    parseStatsQuery({ tz: "Europe/London" }, "Asia/Riyadh").options.tz,
+    "Europe/London"
+  );
+  assert.equal(
+    parseStatsQuery({ tz: "Mars/Olympus" }, "Asia/Riyadh").error,
+    'Unknown time zone "Mars/Olympus"'
+  );
+});
+
+test("days start at the company's midnight, not UTC's", () => {
+  const { ordersByPeriod } = statsFor(
+    ["2025-01-01T20:59:00Z", "2025-01-01T21:00:00Z", "2025-01-01T23:30:00Z"],
+    {},
+    "Asia/Riyadh" // UTC+3
+  );
+  assert.deepEqual(ordersByPeriod, { "2025-01-01": 1, "2025-01-02": 2 });
+
+  const { options } = parseStatsQuery(
+    { from: "2025-01-02", to: "2025-01-02" },
+    "Asia/Riyadh"
+  );
+  assert.equal(
+    new Date(options.from).toISOString(),
+    "2025-01-01T21:00:00.000Z"
+  );
+  assert.equal(new Date(options.to).toISOString(), "2025-01-02T20:59:59.999Z");
+});
+
+test("hours follow the clock across a DST change", () => {
+  // New York springs forward at 2025-03-09 02:00 local (07:00 UTC)
+  const query = { from: "2025-03-09", to: "2025-03-09", granularity: "hour" };
+  const { options } = parseStatsQuery(query, "America/New_York");
+  assert.equal(
+    new Date(options.from).toISOString(),
+    "2025-03-09T05:00:00.000Z"
+  );
+  assert.equal(new Date(options.to).toISOString(), "2025-03-10T03:59:59.999Z");
+
+  const stats = statsFor(
+    ["2025-03-09T06:30:00Z", "2025-03-09T07:30:00Z"],
+    query,
+    "America/New_York"
+  );
+  const hours = Object.keys(stats.ordersByPeriod);
+  assert.equal(hours.length, 23); // there is no 02:00 that day
+  assert.ok(!hours.includes("2025-03-09T02:00"));
+  assert.equal(stats.ordersByPeriod["2025-03-09T01:00"], 1);
+  assert.equal(stats.ordersByPeriod["2025-03-09T03:00"], 1);
+  // both on Sunday, an hour of wall clock apart
+  assert.equal(stats.heatmap.counts[0][1], 1);
+  assert.equal(stats.heatmap.counts[0][3], 1);
+});
@@ -0,0 +1,112 @@
+// test/concurrency.test.js — the per-company write queue and If-Match versions
+// (lib/writeQueue.js, lib/etag.js)
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { withCompanyLock } = require("../lib/writeQueue");
+const { orderEtag, isStale } = require("../lib/etag");
+const { startServer } = require("./helpers/server");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test("one company's writes run one at a time, other companies' alongside", async () => {
+  const log = [];
+  const task = (company, name, ms) =>
+    withCompanyLock(company, async () => {
+      log.push(`${name} start`);
+      await sleep(ms);
+      log.push(`${name} end`);
+      return name;
+    });
+
+  const results = await Promise.all([
+    task("acme", "a1", 30),
+    task("acme", "a2", 0),
+    task("other", "o1", 10),
+  ]);
+  assert.deepEqual(results, ["a1", "a2", "o1"]);
+  assert.deepEqual(log, [
+    "a1 start",
+    "o1 start",
+    "o1 end",
+    "a1 end",
+    "a2 start",
+    "a2 end",
+  ]);
+});
+
+test("a failed write doesn't hold up the next one", async () => {
+  const failed = withCompanyLock("acme", async () => {
+    throw new Error("disk full");
+  });
+  const next = withCompanyLock("acme", async () => "written");
+  await assert.rejects(failed, /disk full/);
+  assert.equal(await next, "written");
+});
+
+test("If-Match and a body version are compared with the order's version", () => {
+  const order = { version: 3 };
+  const req = (header, body = {}) => ({ get: () => header, body });
+  assert.equal(orderEtag(order), '"3"');
+  assert.equal(orderEtag({}), '"0"'); // saved before versioning
+  assert.ok(!isStale(req('"3"'), order));
+  assert.ok(!isStale(req('W/"3"'), order));
+  assert.ok(isStale(req('"2"'), order));
+  assert.ok(isStale(req("garbage"), order));
+  assert.ok(!isStale(req("*"), order));
+  assert.ok(!isStale(req(undefined), order)); // didn't say: last write wins
+  assert.ok(isStale(req(undefined, { version: 2 }), order));
+  assert.ok(!isStale(req(undefined, { version: "3" }), order));
+});
+
+test("a stale update gets 409 with the current order; one of two racing wins", async () => {
+  const api = await startServer();
+  try {
+    await api.login();
+    const placed = await api.request("POST", "/api/orders?company=acme", {
+      desk: "3",
+      itemsDetailed: [{ id: "espresso", quantity: 1 }],
+    });
+    const id = placed.body.id;
+    const read = await api.request("GET", `/api/orders/${id}?company=acme`);
+    assert.equal(read.headers.get("etag"), '"1"');
+
+    // two screens accept and reject the same order at once, both based on version 1
+    const [accept, reject] = await Promise.all(
+      ["accepted", "rejected"].map((status) =>
+        api.request(
+          "PUT",
+          `/api/orders/${id}?company=acme`,
+          { status },
+          {
+            "If-Match": '"1"',
+          }
+        )
+      )
+    );
+    assert.deepEqual([accept.status, reject.status].sort(), [200, 409]);
+    const [won, lost] =
+      accept.status === 200 ? [accept, reject] : [reject, accept];
+    assert.equal(won.headers.get("etag"), '"2"');
+    assert.equal(lost.headers.get("etag"), '"2"');
+    assert.equal(lost.body.order.status, won.body.status);
+    assert.equal(lost.body.order.customerTokenHash, undefined);
+
+    // many orders placed at once are all kept
+    await Promise.all(
+      Array.from({ length: 10 }, (_, i) =>
+        api.request("POST", "/api/orders?company=acme", {
+          id: `burst-${i}`,
+          desk: String(i + 1),
+          itemsDetailed: [{ id: "americano", quantity: 1 }],
+        })
+      )
+    );
+    const { body: orders } = await api.request(
+      "GET",
+      "/api/orders?company=acme"
+    );
+    assert.equal(orders.filter((o) => o.id.startsWith("burst-")).length, 10);
+  } finally {
+    await api.stop();
+  }
+});
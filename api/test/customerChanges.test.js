@@ -0,0 +1,81 @@
+// test/customerChanges.test.js — the desk cancelling or amending its own order
+// (lib/customerChanges.js)
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  DEFAULT_EDIT_MINUTES,
+  editDeadline,
+  canCustomerChange,
+  changeRefusal,
+  recordAmendment,
+} = require("../lib/customerChanges");
+
+const NOW = Date.parse("2025-01-01T09:00:00.000Z");
+const inMinutes = (n) => new Date(NOW + n * 60000).toISOString();
+
+test("the grace window is fixed from the company setting when the order is placed", () => {
+  assert.equal(editDeadline({}, NOW), inMinutes(DEFAULT_EDIT_MINUTES));
+  assert.equal(editDeadline({ orderEditMinutes: 10 }, NOW), inMinutes(10));
+  assert.equal(editDeadline({ orderEditMinutes: 0 }, NOW), null);
+  assert.equal(editDeadline(null, NOW), inMinutes(DEFAULT_EDIT_MINUTES));
+});
+
+test("a pending order may be changed until its window closes", () => {
+  const order = { status: "pending", customerEditUntil: inMinutes(1) };
+  assert.ok(canCustomerChange(order, NOW));
+  assert.equal(changeRefusal(order, NOW), null);
+  assert.ok(!canCustomerChange(order, NOW + 60000));
+  assert.equal(
+    changeRefusal(order, NOW + 60000),
+    "The time to change this order has passed"
+  );
+});
+
+test("an order the tea boy has taken can't be changed", () => {
+  const order = { status: "accepted", customerEditUntil: inMinutes(1) };
+  assert.ok(!canCustomerChange(order, NOW));
+  assert.equal(
+    changeRefusal(order, NOW),
+    "The order is already accepted and can no longer be changed"
+  );
+});
+
+test("orders placed with the window off can't be changed", () => {
+  const order = { status: "pending", customerEditUntil: null };
+  assert.ok(!canCustomerChange(order, NOW));
+  assert.ok(changeRefusal(order, NOW));
+});
+
+test("an amendment keeps what it replaced", () => {
+  const previous = {
+    items: ["Tea"],
+    itemsDetailed: [{ id: "tea", quantity: 1 }],
+    orderNote: "no sugar",
+  };
+  const order = {
+    ...previous,
+    itemsDetailed: [{ id: "tea", quantity: 2 }],
+    orderNote: "",
+  };
+  recordAmendment(order, previous, inMinutes(0));
+  assert.equal(order.amendedAt, inMinutes(0));
+  assert.deepEqual(order.amendments, [
+    {
+      at: inMinutes(0),
+      by: "customer",
+      before: {
+        items: ["Tea"],
+        itemsDetailed: [{ id: "tea", quantity: 1 }],
+        orderNote: "no sugar",
+      },
+    },
+  ]);
+
+  // a later amendment adds to the list, which keeps the latest ten
+  let current = order;
+  for (let i = 1; i <= 12; i++) {
+    current = recordAmendment({ ...current }, current, inMinutes(i));
+  }
+  assert.equal(current.amendments.length, 10);
+  assert.equal(current.amendments[9].at, inMinutes(12));
+});
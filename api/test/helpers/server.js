@@ -0,0 +1,159 @@
+// test/helpers/server.js — runs server.js on a free port against a scratch sqlite database
+//
+//   const api = await startServer({ seed: async (storage) => { ... } });
+//   await api.login();                       // admin of company "acme"
+//   const { status, body } = await api.request("GET", "/api/orders?company=acme");
+//   await api.stop();
+//
+// Company "acme" is provisioned with 20 desks, the default menu and an "admin" login
+// (password ADMIN_PASSWORD); `seed(storage)` can add to it before the server starts.
+const { spawn } = require("node:child_process");
+const fs = require("node:fs/promises");
+const net = require("node:net");
+const os = require("node:os");
+const path = require("node:path");
+const { createStorage } = require("../../lib/storage");
+const { provisionCompany } = require("../../lib/companies");
+const { hashPassword } = require("../../lib/auth");
+
+const API_DIR = path.join(__dirname, "..", "..");
+const ADMIN_PASSWORD = "admin-password";
+const START_TIMEOUT_MS = 15000;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.unref();
+    probe.on("error", reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+async function seedDatabase(file, seed) {
+  const storage = createStorage("sqlite", { file });
+  await storage.init();
+  await provisionCompany(
+    storage,
+    { id: "acme", name: "Acme" },
+    { numDesks: 20 }
+  );
+  await storage.putDoc("acme", "users", {
+    users: [
+      {
+        username: "admin",
+        role: "admin",
+        passwordHash: hashPassword(ADMIN_PASSWORD),
+      },
+    ],
+  });
+  if (seed) await seed(storage);
+  await storage.close();
+}
+
+async function startServer({ env = {}, seed } = {}) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "saf-api-test-"));
+  const file = path.join(dir, "test.sqlite");
+  await seedDatabase(file, seed);
+
+  const port = await freePort();
+  const url = `http://127.0.0.1:${port}`;
+  const child = spawn(process.execPath, ["server.js"], {
+    cwd: API_DIR,
+    env: {
+      ...process.env,
+      NODE_ENV: "test",
+      PORT: String(port),
+      STORAGE_DRIVER: "sqlite",
+      SQLITE_FILE: file,
+      SESSION_SECRET: "test-session-secret",
+      ...env,
+    },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  let output = "";
+  child.stdout.on("data", (chunk) => (output += chunk));
+  child.stderr.on("data", (chunk) => (output += chunk));
+  const exited = new Promise((resolve) => child.on("exit", resolve));
+
+  let cookie = "";
+  async function request(method, route, body, headers = {}) {
+    const res = await fetch(url + route, {
+      method,
+      headers: {
+        ...(body !== undefined && { "Content-Type": "application/json" }),
+        ...(cookie && { Cookie: cookie }),
+        ...headers,
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const setCookie = res.headers.get("set-cookie");
+    if (setCookie) cookie = setCookie.split(";")[0];
+    const text = await res.text();
+    let json = null;
+    try {
+      json = JSON.parse(text);
+    } catch (err) {
+      // not JSON (static files, HTML errors)
+    }
+    return { status: res.status, headers: res.headers, body: json, text };
+  }
+
+  async function stop() {
+    if (child.exitCode === null) child.kill();
+    await exited;
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+
+  const deadline = Date.now() + START_TIMEOUT_MS;
+  for (;;) {
+    if (child.exitCode !== null) {
+      await stop();
+      throw new Error(`server.js exited during startup:\n${output}`);
+    }
+    try {
+      if ((await fetch(`${url}/health`)).ok) break;
+    } catch (err) {
+      // not listening yet
+    }
+    if (Date.now() > deadline) {
+      await stop();
+      throw new Error(`server.js did not start:\n${output}`);
+    }
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+
+  return {
+    url,
+    request,
+    stop,
+    output: () => output,
+    login: (username = "admin", password = ADMIN_PASSWORD) =>
+      request("POST", "/api/auth/login", {
+        company: "acme",
+        username,
+        password,
+      }),
+  };
+}
+
+// Run server.js with `env` until it exits by itself (startup checks); killed after
+// `timeoutMs` otherwise. Resolves to { code, output }.
+async function runServer(env, timeoutMs = START_TIMEOUT_MS) {
+  const child = spawn(process.execPath, ["server.js"], {
+    cwd: API_DIR,
+    env: { ...process.env, PORT: String(await freePort()), ...env },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  let output = "";
+  child.stdout.on("data", (chunk) => (output += chunk));
+  child.stderr.on("data", (chunk) => (output += chunk));
+  const timer = setTimeout(() => child.kill(), timeoutMs);
+  const code = await new Promise((resolve) => child.on("exit", resolve));
+  clearTimeout(timer);
+  return { code, output };
+}
+
+module.exports = { ADMIN_PASSWORD, startServer, runServer };
@@ -0,0 +1,227 @@
+// test/integrations.test.js — integration settings and their secrets, the outbox and
+// signed webhooks (lib/integrations)
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs/promises");
+const http = require("node:http");
+const os = require("node:os");
+const path = require("node:path");
+const {
+  validateIntegrations,
+  publicIntegration,
+  withSecrets,
+  deliverEvent,
+  retryNow,
+  integrationStatus,
+} = require("../lib/integrations");
+const { sign } = require("../lib/integrations/webhook");
+const { createStorage } = require("../lib/storage");
+
+const SECRET = "0123456789abcdef-secret";
+const webhook = (settings) => ({
+  integrations: [
+    { id: "erp", type: "webhook", url: "https://erp.example.com", ...settings },
+  ],
+});
+
+test("env references are saved as references and read when used", () => {
+  process.env.TEST_WEBHOOK_SECRET = SECRET;
+  const { integrations } = validateIntegrations(
+    webhook({ secret: "env:TEST_WEBHOOK_SECRET" }),
+    { companyId: "acme" }
+  );
+  assert.equal(integrations[0].secret, "env:TEST_WEBHOOK_SECRET");
+  assert.equal(withSecrets(integrations[0]).secret, SECRET);
+  assert.equal(
+    publicIntegration(integrations[0]).secret,
+    "env:TEST_WEBHOOK_SECRET"
+  );
+
+  // saving again without the secret keeps the reference, not its value
+  const again = validateIntegrations(webhook({}), {
+    companyId: "acme",
+    existing: integrations,
+  });
+  assert.equal(again.integrations[0].secret, "env:TEST_WEBHOOK_SECRET");
+
+  delete process.env.TEST_WEBHOOK_SECRET;
+  assert.throws(
+    () => withSecrets(integrations[0]),
+    /TEST_WEBHOOK_SECRET is not set/
+  );
+  assert.equal(
+    validateIntegrations(webhook({ secret: "env:TEST_WEBHOOK_SECRET" }), {
+      companyId: "acme",
+    }).error,
+    'Integration "erp": TEST_WEBHOOK_SECRET is not set'
+  );
+});
+
+test("secret values are never shown, and references are still checked", () => {
+  const { integrations } = validateIntegrations(webhook({ secret: SECRET }), {
+    companyId: "acme",
+  });
+  const shown = publicIntegration(integrations[0]);
+  assert.equal(shown.secret, undefined);
+  assert.equal(shown.hasSecret, true);
+
+  process.env.TEST_WEBHOOK_SECRET = "short";
+  assert.match(
+    validateIntegrations(webhook({ secret: "env:TEST_WEBHOOK_SECRET" }), {
+      companyId: "acme",
+    }).error,
+    /at least 16 characters/
+  );
+  delete process.env.TEST_WEBHOOK_SECRET;
+});
+
+test("the spreadsheet id is write-only too", () => {
+  const spreadsheetId = "abcdefghijklmnopqrstuvwxyz0123";
+  const { integrations } = validateIntegrations(
+    { integrations: [{ id: "sheet", type: "sheets", spreadsheetId }] },
+    { companyId: "acme" }
+  );
+  assert.deepEqual(publicIntegration(integrations[0]), {
+    id: "sheet",
+    type: "sheets",
+    enabled: true,
+    events: integrations[0].events,
+    sheetName: "acme",
+    hasSpreadsheetId: true,
+  });
+  const kept = validateIntegrations(
+    { integrations: [{ id: "sheet", type: "sheets" }] },
+    { companyId: "acme", existing: integrations }
+  );
+  assert.equal(kept.integrations[0].spreadsheetId, spreadsheetId);
+});
+
+// A webhook receiver that answers `failWith` (or 204) and keeps what it was sent
+let received = [];
+let failWith = null;
+let receiver;
+let dir;
+let storage;
+test.before(async () => {
+  receiver = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      received.push({ headers: req.headers, body });
+      res.statusCode = failWith || 204;
+      res.end();
+    });
+  });
+  await new Promise((resolve) => receiver.listen(0, "127.0.0.1", resolve));
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), "saf-outbox-test-"));
+  storage = createStorage("json", { rootDir: dir });
+  await storage.init();
+});
+test.after(async () => {
+  receiver.close();
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+async function useWebhook(companyId) {
+  const { integrations } = validateIntegrations(
+    webhook({
+      url: `http://127.0.0.1:${receiver.address().port}/hook`,
+      secret: SECRET,
+    }),
+    { companyId }
+  );
+  await storage.putDoc(companyId, "integrations", { integrations });
+}
+const outboxOf = async (companyId) =>
+  (await storage.getDoc(companyId, "outbox")).entries;
+const quietly = async (fn) => {
+  const error = console.error;
+  console.error = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.error = error;
+  }
+};
+
+test("webhooks are signed over the timestamp and body", async () => {
+  received = [];
+  failWith = null;
+  await useWebhook("signed");
+  await deliverEvent(storage, "signed", "order-created", {
+    order: { id: "1", status: "pending" },
+  });
+
+  assert.equal(received.length, 1);
+  const { headers, body } = received[0];
+  const event = JSON.parse(body);
+  assert.equal(headers["x-saf-event"], "order-created");
+  assert.equal(headers["x-saf-delivery"], event.id);
+  assert.equal(
+    headers["x-saf-signature"],
+    `sha256=${sign(SECRET, headers["x-saf-timestamp"], body)}`
+  );
+  assert.notEqual(
+    headers["x-saf-signature"],
+    `sha256=${sign("another-secret-value", headers["x-saf-timestamp"], body)}`
+  );
+  assert.deepEqual(event.data.order, { id: "1", status: "pending" });
+  assert.deepEqual(await outboxOf("signed"), []);
+});
+
+test("failed deliveries back off, keep their order and are parked when dead", async () => {
+  received = [];
+  failWith = 503;
+  await useWebhook("outbox");
+  const placed = (id) =>
+    deliverEvent(storage, "outbox", "order-created", {
+      order: { id, status: "pending" },
+    });
+
+  await quietly(() => placed("1"));
+  await placed("2"); // waits behind order 1 without being tried
+  assert.equal(received.length, 1);
+  let [first, second] = await outboxOf("outbox");
+  assert.deepEqual(
+    [first.event.data.order.id, first.attempts, first.lastError],
+    ["1", 1, `http://127.0.0.1:${receiver.address().port}/hook responded 503`]
+  );
+  assert.deepEqual([second.event.data.order.id, second.attempts], ["2", 0]);
+  assert.equal(
+    Math.round((Date.parse(first.nextAttemptAt) - Date.now()) / 1000),
+    30
+  );
+
+  // 30 s after the first failure, then doubling up to an hour
+  const delays = [];
+  for (let attempt = 2; attempt <= 11; attempt++) {
+    const before = Date.now();
+    await quietly(() => retryNow(storage, "outbox"));
+    [first] = await outboxOf("outbox");
+    assert.equal(first.attempts, attempt);
+    delays.push(Math.round((Date.parse(first.nextAttemptAt) - before) / 1000));
+  }
+  assert.deepEqual(
+    delays,
+    [60, 120, 240, 480, 960, 1920, 3600, 3600, 3600, 3600]
+  );
+  await quietly(() => retryNow(storage, "outbox"));
+  [first] = await outboxOf("outbox");
+  assert.equal(first.state, "dead");
+  assert.equal(first.attempts, 12);
+
+  let [status] = await integrationStatus(storage, "outbox");
+  assert.deepEqual([status.pending, status.dead, status.delivered], [1, 1, 0]);
+
+  // an admin retry revives it, and both go out oldest first
+  received = [];
+  failWith = null;
+  assert.equal(await retryNow(storage, "outbox"), 2);
+  assert.deepEqual(
+    received.map((r) => JSON.parse(r.body).data.order.id),
+    ["1", "2"]
+  );
+  assert.deepEqual(await outboxOf("outbox"), []);
+  [status] = await integrationStatus(storage, "outbox");
+  assert.deepEqual([status.pending, status.dead, status.delivered], [0, 0, 2]);
+});
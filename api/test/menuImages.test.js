@@ -0,0 +1,99 @@
+// test/menuImages.test.js — uploaded menu images and their cleanup (lib/menuImages.js)
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs/promises");
+const os = require("node:os");
+const path = require("node:path");
+const sharp = require("sharp");
+const {
+  sniffImageType,
+  saveMenuImage,
+  collectOrphanImages,
+} = require("../lib/menuImages");
+
+let uploadsDir;
+test.before(async () => {
+  uploadsDir = await fs.mkdtemp(path.join(os.tmpdir(), "saf-images-test-"));
+});
+test.after(() => fs.rm(uploadsDir, { recursive: true, force: true }));
+
+const png = (r) =>
+  sharp({
+    create: {
+      width: 40,
+      height: 20,
+      channels: 3,
+      background: { r, g: 0, b: 0 },
+    },
+  })
+    .png()
+    .toBuffer();
+const fileName = (url) => url.split("/").slice(-2).join("/");
+
+test("uploads are checked by their bytes and stored as WebP with thumbnails", async () => {
+  assert.equal(sniffImageType(await png(1)), "png");
+  assert.equal(sniffImageType(Buffer.from("<svg></svg>, not a picture")), null);
+  assert.equal(
+    (
+      await saveMenuImage(
+        uploadsDir,
+        "acme",
+        Buffer.from("%PDF-1.7 a document")
+      )
+    ).error,
+    "Only JPEG, PNG, WebP or GIF images can be uploaded"
+  );
+
+  const saved = await saveMenuImage(uploadsDir, "acme", await png(1));
+  assert.match(saved.image, /^\/uploads\/menus\/acme\/[0-9a-f]{20}\.webp$/);
+  assert.deepEqual(Object.keys(saved.thumbnails), ["96", "320"]);
+  assert.deepEqual([saved.width, saved.height], [40, 20]);
+  const stored = await fs.readFile(
+    path.join(uploadsDir, "menus", fileName(saved.image))
+  );
+  assert.equal(sniffImageType(stored), "webp");
+});
+
+test("cleanup removes unused uploads only, never pictures put there by hand", async () => {
+  const gcDir = path.join(uploadsDir, "gc");
+  const used = await saveMenuImage(gcDir, "acme", await png(2));
+  const unused = await saveMenuImage(gcDir, "acme", await png(3));
+  // shipped with the repo and referenced from no menu
+  const handPlaced = path.join(gcDir, "menus", "maaden", "lemonMintWater.png");
+  await fs.mkdir(path.dirname(handPlaced), { recursive: true });
+  await fs.writeFile(handPlaced, await png(4));
+
+  const menus = [
+    {
+      coffee: {
+        items: [
+          { id: "latte", image: used.image, thumbnails: used.thumbnails },
+        ],
+      },
+    },
+  ];
+  const unusedFiles = [unused.image, ...Object.values(unused.thumbnails)]
+    .map(fileName)
+    .sort();
+
+  // within the grace period nothing goes
+  assert.deepEqual(await collectOrphanImages(gcDir, menus), []);
+
+  const later = { now: Date.now() + 25 * 60 * 60 * 1000 };
+  const dryRun = await collectOrphanImages(gcDir, menus, {
+    ...later,
+    dryRun: true,
+  });
+  assert.deepEqual(dryRun.sort(), unusedFiles);
+  const removed = await collectOrphanImages(gcDir, menus, later);
+  assert.deepEqual(removed.sort(), unusedFiles);
+
+  const left = await fs.readdir(path.join(gcDir, "menus", "acme"));
+  assert.deepEqual(
+    left.sort(),
+    [used.image, ...Object.values(used.thumbnails)]
+      .map((u) => u.split("/").pop())
+      .sort()
+  );
+  await fs.access(handPlaced);
+});
@@ -0,0 +1,203 @@
+// test/menuImport.test.js — the menu schema and CSV / JSON import
+// (lib/menuSchema.js, lib/menuImport.js, POST /api/menu/import)
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { validateMenu } = require("../lib/menuSchema");
+const {
+  menuTable,
+  menuFromCsv,
+  withRows,
+  diffMenus,
+} = require("../lib/menuImport");
+const { startServer } = require("./helpers/server");
+
+// Names are kept per language, the way the editor saves them
+const MENU = {
+  tea: {
+    name: { en: "Tea", ar: "شاي" },
+    desc: { en: "Hot, with refills" },
+    icon: "🍵",
+    items: [
+      {
+        id: "karak",
+        name: { en: "Karak, sweet", ar: "كرك" },
+        value: "Karak",
+        image: "/uploads/menus/acme/0123456789abcdef0123.webp",
+        thumbnails: { 96: "/uploads/menus/acme/0123456789abcdef0123-96.webp" },
+      },
+      { id: "green", name: { en: 'Green "sencha"' } },
+    ],
+  },
+  water: {
+    name: { en: "Water" },
+    items: [{ id: "still", name: { en: "Still" } }],
+  },
+};
+
+// The export table as CSV, quoted the way lib/export.js does
+const toCsv = ({ columns, rows }) =>
+  [columns, ...rows]
+    .map((row) =>
+      row.map((cell) => `"${String(cell).replace(/"/g, '""')}"`).join(",")
+    )
+    .join("\r\n");
+
+test("the schema names every bad field by its path", () => {
+  assert.deepEqual(validateMenu(MENU), []);
+  assert.deepEqual(validateMenu([]), [
+    { field: "", message: "Menu must be an object of categories" },
+  ]);
+  assert.deepEqual(
+    validateMenu({
+      "1st": { name: "First", items: [] },
+      tea: {
+        name: { en: "", fr: "Thé" },
+        items: [
+          { id: "karak", name: "Karak", image: "javascript:alert(1)" },
+          { id: "karak", name: "Karak again" },
+          { id: "chai latte", name: "x".repeat(121) },
+          "milk",
+        ],
+      },
+      water: { name: "Water", items: {} },
+    }),
+    [
+      {
+        field: "1st",
+        message:
+          'Category key "1st" must start with a letter and only use letters, digits, _ and -',
+      },
+      { field: "tea.name.fr", message: "Unknown language (use en, ar)" },
+      { field: "tea.name", message: "Name is required" },
+      {
+        field: "tea.items[0].image",
+        message: "Image must be an /uploads path or an http(s) URL",
+      },
+      {
+        field: "tea.items[1].id",
+        message: 'Item id "karak" is already used by tea.items[0]',
+      },
+      {
+        field: "tea.items[2].id",
+        message: '"chai latte" may only use letters, digits, _ and -',
+      },
+      {
+        field: "tea.items[2].name",
+        message: "Name is longer than 120 characters",
+      },
+      { field: "tea.items[3]", message: "Item must be an object" },
+      { field: "water.items", message: "Items must be a list" },
+    ]
+  );
+});
+
+test("a menu exported as CSV imports back the same", () => {
+  const csv = toCsv(menuTable(MENU));
+  const { menu, rows } = menuFromCsv(`﻿${csv}\r\n\r\n`, MENU);
+  // icons and thumbnails aren't in the sheet; they come from the current menu
+  assert.deepEqual(menu, MENU);
+  assert.deepEqual(rows, {
+    tea: 2,
+    "tea.items[0]": 2,
+    "tea.items[1]": 3,
+    water: 4,
+    "water.items[0]": 4,
+  });
+  assert.deepEqual(diffMenus(MENU, menu), {
+    categories: { added: [], removed: [], changed: [] },
+    items: { added: [], removed: [], changed: [] },
+    unchanged: 3,
+  });
+});
+
+test("older single-language sheets still import, and problems point at their row", () => {
+  const { menu, rows } = menuFromCsv(
+    [
+      "Category,Category Name,Item ID,Name,Value",
+      "tea,Tea,karak,Karak,Karak",
+      "tea,,bad id,Chai,",
+      "juice,Juice,orange,Orange,",
+    ].join("\n")
+  );
+  assert.deepEqual(menu.tea.items[0], {
+    id: "karak",
+    name: "Karak",
+    value: "Karak",
+  });
+  assert.deepEqual(withRows(validateMenu(menu), rows), [
+    {
+      field: "tea.items[1].id",
+      message: '"bad id" may only use letters, digits, _ and -',
+      row: 3,
+    },
+  ]);
+
+  const diff = diffMenus(MENU, menu);
+  assert.deepEqual(
+    diff.categories.added.map((c) => c.key),
+    ["juice"]
+  );
+  assert.deepEqual(
+    diff.categories.removed.map((c) => c.key),
+    ["water"]
+  );
+  assert.deepEqual(
+    diff.items.changed.map((i) => [i.id, i.fields]),
+    [["karak", ["name", "image"]]]
+  );
+  assert.deepEqual(
+    diff.items.removed.map((i) => i.id),
+    ["green", "still"]
+  );
+
+  assert.deepEqual(menuFromCsv("Category,Name\ntea,Tea").errors, [
+    { field: "", message: "Missing column(s): Item ID" },
+  ]);
+});
+
+test("POST /api/menu/import previews and saves a JSON menu as the draft", async () => {
+  const api = await startServer();
+  try {
+    await api.login();
+    const invalid = await api.request(
+      "POST",
+      "/api/menu/import?company=acme&dryRun=1",
+      { tea: { name: "Tea", items: [{ id: "", name: "Karak" }] } }
+    );
+    assert.equal(invalid.status, 400);
+    assert.deepEqual(invalid.body.errors, [
+      { field: "tea.items[0].id", message: "Item id is required" },
+    ]);
+
+    const menu = {
+      tea: { name: "Tea", items: [{ id: "karak", name: "Karak" }] },
+    };
+    const preview = await api.request(
+      "POST",
+      "/api/menu/import?company=acme&dryRun=1",
+      menu
+    );
+    assert.equal(preview.status, 200);
+    assert.equal(preview.body.dryRun, true);
+    assert.deepEqual(
+      preview.body.diff.items.added.map((i) => i.id),
+      ["karak"]
+    );
+    assert.equal(preview.body.diff.items.removed.length, 3);
+    const draft = () => api.request("GET", "/api/menu/draft?company=acme");
+    assert.equal((await draft()).body.draft, false);
+
+    const saved = await api.request(
+      "POST",
+      "/api/menu/import?company=acme",
+      menu
+    );
+    assert.equal(saved.body.dryRun, false);
+    assert.deepEqual((await draft()).body.menu, menu);
+    // the live menu waits for publishing
+    const live = await api.request("GET", "/api/menu?company=acme");
+    assert.equal(live.body.tea, undefined);
+  } finally {
+    await api.stop();
+  }
+});
@@ -0,0 +1,145 @@
+// test/menuRevisions.test.js — menu drafts, revisions, rollback and scheduled publishing
+// (lib/menuRevisions.js and the /api/menu/* routes)
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { addRevision } = require("../lib/menuRevisions");
+const { DEFAULT_MENU } = require("../lib/companies");
+const { startServer } = require("./helpers/server");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const withTea = (name = "Tea") => ({
+  ...DEFAULT_MENU,
+  tea: {
+    name: "Tea",
+    desc: "",
+    items: [{ id: "tea", name, value: name }],
+  },
+});
+
+let api;
+test.before(async () => {
+  api = await startServer({ env: { MENU_SCHEDULE_SECONDS: "1" } });
+  await api.login();
+});
+test.after(() => api.stop());
+
+const liveMenu = async () =>
+  (await api.request("GET", "/api/menu?company=acme")).body;
+const revisions = async () =>
+  (await api.request("GET", "/api/menu/revisions?company=acme")).body;
+
+test("a draft stays private until it is published, and can be rolled back", async () => {
+  assert.deepEqual(
+    (await revisions()).revisions.map((r) => [r.id, r.note, r.live]),
+    [[1, "Menu before revisions were kept", true]]
+  );
+
+  const saved = await api.request(
+    "PUT",
+    "/api/menu/draft?company=acme",
+    withTea()
+  );
+  assert.equal(saved.status, 200);
+  assert.equal((await liveMenu()).tea, undefined);
+  const draft = await api.request("GET", "/api/menu/draft?company=acme");
+  assert.equal(draft.body.draft, true);
+  assert.ok(draft.body.menu.tea);
+
+  const published = await api.request(
+    "POST",
+    "/api/menu/publish?company=acme",
+    { note: "Add tea" }
+  );
+  assert.equal(published.status, 201);
+  assert.deepEqual(
+    [published.body.id, published.body.note, published.body.live],
+    [2, "Add tea", true]
+  );
+  assert.ok((await liveMenu()).tea);
+  assert.equal((await revisions()).draft, null);
+
+  const order = await api.request("POST", "/api/orders?company=acme", {
+    desk: "1",
+    itemsDetailed: [{ id: "tea", quantity: 1 }],
+  });
+  assert.equal(order.status, 201);
+  assert.equal(order.body.menuRevision, 2);
+
+  const rollback = await api.request(
+    "POST",
+    "/api/menu/revisions/1/publish?company=acme",
+    {}
+  );
+  assert.equal(rollback.status, 200);
+  assert.equal((await revisions()).live, 1);
+  assert.equal((await liveMenu()).tea, undefined);
+  const old = await api.request("GET", "/api/menu/revisions/2?company=acme");
+  assert.equal(old.body.menu.tea.items[0].id, "tea");
+  assert.equal(old.body.live, false);
+
+  const nothing = await api.request(
+    "POST",
+    "/api/menu/publish?company=acme",
+    {}
+  );
+  assert.equal(nothing.status, 400);
+  assert.equal(nothing.body.error, "There is no draft to publish");
+});
+
+test("a scheduled revision goes live at its time, unless cancelled", async () => {
+  const bad = await api.request(
+    "POST",
+    "/api/menu/revisions/2/publish?company=acme",
+    { publishAt: "next tuesday" }
+  );
+  assert.equal(bad.status, 400);
+
+  // cancelled before its time: nothing changes
+  const later = new Date(Date.now() + 60 * 60000).toISOString();
+  const scheduled = await api.request(
+    "POST",
+    "/api/menu/revisions/2/publish?company=acme",
+    { publishAt: later }
+  );
+  assert.equal(scheduled.body.publishAt, later);
+  assert.equal(scheduled.body.live, false);
+  const cancel = () =>
+    api.request("DELETE", "/api/menu/revisions/2/schedule?company=acme");
+  assert.equal((await cancel()).status, 200);
+  assert.equal((await cancel()).status, 404);
+
+  // due in a moment: the scheduler (every second here) puts it live
+  await api.request("PUT", "/api/menu/draft?company=acme", withTea("Karak"));
+  const soon = await api.request("POST", "/api/menu/publish?company=acme", {
+    publishAt: new Date(Date.now() + 1500).toISOString(),
+  });
+  assert.equal(soon.status, 201);
+  assert.equal(soon.body.id, 3);
+  assert.equal((await liveMenu()).tea, undefined);
+
+  let menu;
+  for (let tries = 0; tries < 20; tries++) {
+    await sleep(250);
+    menu = await liveMenu();
+    if (menu.tea) break;
+  }
+  assert.equal(menu.tea.items[0].name, "Karak");
+  const after = await revisions();
+  assert.equal(after.live, 3);
+  const three = after.revisions.find((r) => r.id === 3);
+  assert.equal(three.publishAt, null);
+  assert.ok(three.publishedAt);
+});
+
+test("old revisions are dropped, but never the live or a scheduled one", () => {
+  const doc = { live: 1, revisions: [], draft: null };
+  for (let i = 0; i < 3; i++) addRevision(doc, DEFAULT_MENU, { by: "admin" });
+  doc.revisions[1].publishAt = "2030-01-01T00:00:00.000Z";
+  for (let i = 0; i < 60; i++) addRevision(doc, DEFAULT_MENU, { by: "admin" });
+
+  const ids = doc.revisions.map((r) => r.id);
+  assert.equal(ids.length, 52);
+  assert.deepEqual(ids.slice(0, 3), [1, 2, 14]);
+  assert.equal(ids.at(-1), 63);
+});
@@ -0,0 +1,186 @@
+// test/orderQuery.test.js — order filters, cursor pages and the monthly archive
+// (lib/orderQuery.js, lib/orderArchive.js)
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs/promises");
+const os = require("node:os");
+const path = require("node:path");
+const {
+  parseOrderQuery,
+  orderMatches,
+  paginate,
+  monthsInRange,
+} = require("../lib/orderQuery");
+const { archiveCompany } = require("../lib/orderArchive");
+const { createStorage } = require("../lib/storage");
+const { startServer } = require("./helpers/server");
+
+const order = (id, timestamp, extra = {}) => ({
+  id,
+  timestamp,
+  status: "pending",
+  desk: "4",
+  ...extra,
+});
+
+// Walks every page of `orders` at `limit` per page; resolves to the ids of each page
+function pages(orders, limit) {
+  const seen = [];
+  let cursor;
+  do {
+    const { filter } = parseOrderQuery({ limit, cursor });
+    const page = paginate(orders, filter);
+    seen.push(page.orders.map((o) => o.id));
+    cursor = page.nextCursor;
+  } while (cursor);
+  return seen;
+}
+
+test("pages are newest first and never skip or repeat an order", () => {
+  const orders = [
+    order("a", "2025-01-01T09:00:00Z"),
+    order("b", "2025-01-02T09:00:00Z"),
+    order("c", "2025-01-02T09:00:00Z"), // same time as b: ordered by id
+    order("d", "2025-01-03T09:00:00Z"),
+    order("e", "2025-01-01T08:00:00Z"),
+  ];
+  assert.deepEqual(pages(orders, 2), [["d", "c"], ["b", "a"], ["e"]]);
+  assert.deepEqual(pages(orders, 5), [["d", "c", "b", "a", "e"]]);
+
+  // an order placed while paging lands on the first page, not in the middle
+  const { filter } = parseOrderQuery({ limit: 2 });
+  const { nextCursor } = paginate(orders, filter);
+  const later = [...orders, order("f", "2025-01-04T09:00:00Z")];
+  const { filter: next } = parseOrderQuery({ limit: 2, cursor: nextCursor });
+  assert.deepEqual(
+    paginate(later, next).orders.map((o) => o.id),
+    ["b", "a"]
+  );
+});
+
+test("filters are parsed once and checked against each order", () => {
+  assert.equal(parseOrderQuery({ cursor: "nope" }).error, "Invalid cursor");
+  assert.equal(
+    parseOrderQuery({ status: "lost" }).error,
+    "Unknown status filter"
+  );
+  assert.equal(parseOrderQuery({ limit: 9999 }).filter.limit, 500);
+
+  const { filter } = parseOrderQuery({
+    status: "pending,delivered",
+    desk: "1-5",
+    teaboy: " Ali ",
+    from: "2025-01-02",
+    to: "2025-01-02",
+    tz: "Asia/Riyadh",
+  });
+  const match = (extra) =>
+    orderMatches(
+      filter,
+      order("1", "2025-01-02T05:00:00Z", { teaboyName: "ali", ...extra })
+    );
+  assert.ok(match({}));
+  assert.ok(match({ status: "completed" }));
+  assert.ok(match({ timestamp: "2025-01-01T21:00:00Z" })); // midnight in Riyadh
+  assert.ok(!match({ timestamp: "2025-01-01T20:59:00Z" }));
+  assert.ok(!match({ status: "cancelled" }));
+  assert.ok(!match({ desk: "6" }));
+  assert.ok(!match({ teaboyName: "Sam" }));
+
+  const since = parseOrderQuery({ since: "2025-01-02T06:00:00Z" }).filter;
+  const placed = order("1", "2025-01-02T05:00:00Z");
+  assert.ok(!orderMatches(since, placed));
+  assert.ok(
+    orderMatches(since, { ...placed, updatedAt: "2025-01-02T07:00:00Z" })
+  );
+  assert.ok(
+    orderMatches(since, {
+      ...placed,
+      rating: { stars: 5, timestamp: "2025-01-02T07:00:00Z" },
+    })
+  );
+
+  assert.deepEqual(
+    monthsInRange(
+      ["2024-12", "2025-01", "2025-02"],
+      parseOrderQuery({ from: "2025-01-15" }).filter
+    ),
+    ["2025-01", "2025-02"]
+  );
+});
+
+test("finished orders untouched for ARCHIVE_AFTER_DAYS move to their month", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "saf-archive-test-"));
+  const storage = createStorage("json", { rootDir: dir });
+  await storage.init();
+  const now = Date.parse("2025-03-15T12:00:00Z");
+  process.env.ARCHIVE_AFTER_DAYS = "30";
+  try {
+    await storage.replaceOrders("acme", [
+      order("old-done", "2025-01-10T09:00:00Z", { status: "completed" }),
+      order("old-rejected", "2025-02-01T09:00:00Z", { status: "rejected" }),
+      order("old-open", "2025-01-10T09:00:00Z"),
+      order("recent-done", "2025-03-01T09:00:00Z", { status: "completed" }),
+      // placed long ago but rated last week
+      order("rated", "2025-01-10T09:00:00Z", {
+        status: "completed",
+        rating: { stars: 4, timestamp: "2025-03-10T09:00:00Z" },
+      }),
+    ]);
+
+    assert.equal(await archiveCompany(storage, "acme", now), 2);
+    assert.deepEqual(
+      (await storage.listOrders("acme")).map((o) => o.id).sort(),
+      ["old-open", "rated", "recent-done"]
+    );
+    assert.deepEqual(await storage.listArchiveMonths("acme"), [
+      "2025-01",
+      "2025-02",
+    ]);
+    assert.deepEqual(
+      (await storage.listArchivedOrders("acme", "2025-01")).map((o) => o.id),
+      ["old-done"]
+    );
+    assert.equal(await archiveCompany(storage, "acme", now), 0);
+
+    process.env.ARCHIVE_AFTER_DAYS = "0"; // turned off
+    assert.equal(await archiveCompany(storage, "acme", now + 365 * 864e5), 0);
+  } finally {
+    delete process.env.ARCHIVE_AFTER_DAYS;
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test("GET /api/orders sends the next page's cursor in X-Next-Cursor", async () => {
+  const api = await startServer();
+  try {
+    await api.login();
+    for (let i = 1; i <= 3; i++) {
+      await api.request("POST", "/api/orders?company=acme", {
+        id: `p${i}`,
+        desk: String(i),
+        itemsDetailed: [{ id: "espresso", quantity: 1 }],
+      });
+    }
+    const first = await api.request("GET", "/api/orders?company=acme&limit=2");
+    assert.equal(first.body.length, 2);
+    const cursor = first.headers.get("x-next-cursor");
+    assert.ok(cursor);
+    const second = await api.request(
+      "GET",
+      `/api/orders?company=acme&limit=2&cursor=${cursor}`
+    );
+    assert.equal(second.body.length, 1);
+    assert.equal(second.headers.get("x-next-cursor"), null);
+    assert.deepEqual([...first.body, ...second.body].map((o) => o.id).sort(), [
+      "p1",
+      "p2",
+      "p3",
+    ]);
+
+    const bad = await api.request("GET", "/api/orders?company=acme&cursor=%25");
+    assert.equal(bad.status, 400);
+  } finally {
+    await api.stop();
+  }
+});
@@ -0,0 +1,163 @@
+// test/orderRoutes.test.js — the admin order routes, run against server.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers/server");
+
+let api;
+test.before(async () => {
+  api = await startServer();
+  await api.login();
+});
+test.after(() => api.stop());
+
+const bulk = (orders) =>
+  api.request("PUT", "/api/orders/bulk?company=acme", orders);
+const orderById = async (id) =>
+  (await api.request("GET", `/api/orders/${id}?company=acme`)).body;
+
+test("bulk orders start pending with history, version and tokens", async () => {
+  const { status, body } = await bulk([
+    {
+      id: "b1",
+      desk: 3,
+      itemsDetailed: [{ id: "espresso", name: "Espresso", quantity: 2 }],
+    },
+    { id: "b2", desk: "4", items: ["Americano"], status: "accepted" },
+  ]);
+  assert.equal(status, 200);
+  assert.deepEqual(
+    body.created.map((c) => c.id),
+    ["b1", "b2"]
+  );
+  assert.ok(body.created.every((c) => c.customerToken && c.ratingToken));
+
+  const b1 = await orderById("b1");
+  assert.equal(b1.status, "pending");
+  assert.equal(b1.version, 1);
+  assert.deepEqual(b1.items, ["Espresso", "Espresso"]);
+  assert.deepEqual(
+    b1.history.map((h) => [h.status, h.by]),
+    [["pending", "admin"]]
+  );
+  const b2 = await orderById("b2");
+  assert.equal(b2.status, "accepted");
+  assert.ok(b2.acceptedAt);
+  assert.deepEqual(
+    b2.history.map((h) => h.status),
+    ["pending", "accepted"]
+  );
+
+  const track = await api.request(
+    "GET",
+    `/api/orders/b1/track?company=acme&token=${body.created[0].customerToken}`
+  );
+  assert.equal(track.status, 200);
+});
+
+test("bulk statuses follow the state machine", async () => {
+  const unknown = await bulk([{ id: "b1", desk: "3", status: "lost" }]);
+  assert.equal(unknown.status, 400);
+  assert.deepEqual(unknown.body.errors, [
+    { field: "[0].status", message: 'Unknown status "lost"' },
+  ]);
+
+  const skipped = await bulk([
+    { id: "b1", desk: "3", status: "completed", items: ["Espresso"] },
+  ]);
+  assert.equal(skipped.status, 400);
+  assert.equal(
+    skipped.body.errors[0].message,
+    'Cannot change status from "pending" to "completed"'
+  );
+  assert.equal((await orderById("b1")).status, "pending");
+
+  // a stored order keeps its history and tokens, whatever the body brings
+  const before = await orderById("b2");
+  const moved = await bulk([
+    {
+      ...before,
+      status: "In-Progress",
+      history: [],
+      version: 99,
+      customerTokenHash: "x",
+    },
+  ]);
+  assert.equal(moved.status, 200);
+  assert.deepEqual(moved.body.created, []);
+  const b2 = await orderById("b2");
+  assert.equal(b2.status, "in-progress");
+  assert.equal(b2.version, before.version + 1);
+  assert.deepEqual(
+    b2.history.map((h) => h.status),
+    ["pending", "accepted", "in-progress"]
+  );
+});
+
+const espressoCount = async () =>
+  (await api.request("GET", "/api/stock?company=acme")).body.items.find(
+    (i) => i.id === "espresso"
+  ).count;
+const placeEspressos = async (quantity) =>
+  (
+    await api.request("POST", "/api/orders?company=acme", {
+      desk: "5",
+      itemsDetailed: [{ id: "espresso", quantity }],
+    })
+  ).body;
+
+test("orders removed in bulk give back the stock they took", async () => {
+  await api.request("PUT", "/api/stock/espresso?company=acme", { count: 10 });
+  const open = await placeEspressos(2);
+  const cancelled = await placeEspressos(1);
+  const delivered = await placeEspressos(3);
+  assert.equal(await espressoCount(), 4);
+  for (const status of ["in-progress", "completed"]) {
+    await api.request("PUT", `/api/orders/${delivered.id}?company=acme`, {
+      status,
+    });
+  }
+
+  // one is cancelled through the bulk body, one left out, the delivered one kept
+  const { status } = await bulk([
+    { ...(await orderById(cancelled.id)), status: "cancelled" },
+    await orderById(delivered.id),
+  ]);
+  assert.equal(status, 200);
+  assert.equal(await espressoCount(), 7);
+  assert.equal((await orderById(cancelled.id)).stockTaken, undefined);
+  const gone = await api.request("GET", `/api/orders/${open.id}?company=acme`);
+  assert.equal(gone.status, 404);
+});
+
+test("clearing all orders gives back the stock of open ones", async () => {
+  await placeEspressos(2);
+  assert.equal(await espressoCount(), 5);
+  const { status } = await api.request("DELETE", "/api/orders?company=acme");
+  assert.equal(status, 200);
+  // the delivered order's three espressos were used
+  assert.equal(await espressoCount(), 7);
+});
+
+test("orders list their items by the menu's name", async () => {
+  const { status, body } = await api.request(
+    "POST",
+    "/api/orders?company=acme",
+    {
+      desk: "2",
+      itemsDetailed: [
+        { id: "americano", quantity: 2 },
+        { id: "espresso", name: "my usual", quantity: 1 },
+      ],
+    }
+  );
+  assert.equal(status, 201);
+  assert.deepEqual(body.items, ["Americano", "Americano", "Espresso"]);
+
+  const amended = await api.request(
+    "POST",
+    `/api/orders/${body.id}/amend?company=acme&token=${body.customerToken}`,
+    { itemsDetailed: [{ id: "cappuccino", quantity: 1 }] }
+  );
+  assert.equal(amended.status, 200);
+  assert.deepEqual((await orderById(body.id)).items, ["Cappuccino"]);
+});
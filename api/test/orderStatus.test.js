@@ -0,0 +1,94 @@
+// test/orderStatus.test.js — the order status state machine (lib/orderStatus.js)
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  STATUSES,
+  normalizeStatus,
+  canTransition,
+  initHistory,
+  applyTransition,
+  orderPhases,
+} = require("../lib/orderStatus");
+
+test("normalizeStatus takes aliases and any case, and refuses the rest", () => {
+  assert.equal(normalizeStatus("Delivered"), "completed");
+  assert.equal(normalizeStatus(" In-Progress "), "in-progress");
+  assert.equal(normalizeStatus("shipped"), null);
+  assert.equal(normalizeStatus(3), null);
+});
+
+test("an order moves forward and may skip accepted and ready", () => {
+  assert.ok(canTransition("pending", "accepted"));
+  assert.ok(canTransition("pending", "in-progress"));
+  assert.ok(canTransition("accepted", "in-progress"));
+  assert.ok(canTransition("in-progress", "ready"));
+  assert.ok(canTransition("in-progress", "completed"));
+  assert.ok(canTransition("ready", "completed"));
+});
+
+test("an order never moves backwards or out of a final status", () => {
+  assert.ok(!canTransition("accepted", "pending"));
+  assert.ok(!canTransition("ready", "in-progress"));
+  assert.ok(!canTransition("pending", "ready"));
+  for (const final of ["completed", "cancelled", "rejected"]) {
+    for (const to of STATUSES) assert.ok(!canTransition(final, to));
+  }
+});
+
+test("only orders nobody has finished can be cancelled or rejected", () => {
+  assert.ok(canTransition("pending", "cancelled"));
+  assert.ok(canTransition("in-progress", "cancelled"));
+  assert.ok(!canTransition("ready", "cancelled"));
+  assert.ok(canTransition("accepted", "rejected"));
+  assert.ok(!canTransition("in-progress", "rejected"));
+});
+
+test("the current status is read like any other status input", () => {
+  assert.ok(canTransition(undefined, "accepted")); // saved without one: pending
+  assert.ok(canTransition("Pending", "accepted"));
+  assert.ok(!canTransition("delivered", "cancelled"));
+});
+
+test("transitions stamp the order and add to its history", () => {
+  const order = initHistory({ id: "1" }, "desk", "2025-01-01T08:00:00.000Z");
+  assert.deepEqual(order.history, [
+    { status: "pending", at: "2025-01-01T08:00:00.000Z", by: "desk" },
+  ]);
+  applyTransition(order, "in-progress", "ali", "2025-01-01T08:02:00.000Z");
+  applyTransition(order, "completed", null, "2025-01-01T08:07:00.000Z");
+
+  assert.equal(order.status, "completed");
+  assert.equal(order.startedAt, "2025-01-01T08:02:00.000Z");
+  assert.equal(order.completedAt, "2025-01-01T08:07:00.000Z");
+  assert.deepEqual(
+    order.history.map((h) => [h.status, h.by]),
+    [
+      ["pending", "desk"],
+      ["in-progress", "ali"],
+      ["completed", null],
+    ]
+  );
+});
+
+test("orderPhases splits the time between the stamps", () => {
+  const order = initHistory(
+    { timestamp: "2025-01-01T08:00:00.000Z" },
+    null,
+    "2025-01-01T08:00:00.000Z"
+  );
+  applyTransition(order, "accepted", null, "2025-01-01T08:01:00.000Z");
+  applyTransition(order, "in-progress", null, "2025-01-01T08:03:00.000Z");
+  applyTransition(order, "ready", null, "2025-01-01T08:08:00.000Z");
+  applyTransition(order, "completed", null, "2025-01-01T08:10:00.000Z");
+  assert.deepEqual(orderPhases(order), { queue: 1, prep: 5, delivery: 2 });
+
+  // saved before history existed: only prep is known
+  assert.deepEqual(
+    orderPhases({
+      timestamp: "2025-01-01T08:00:00.000Z",
+      startedAt: "2025-01-01T08:00:00.000Z",
+      completedAt: "2025-01-01T08:04:00.000Z",
+    }),
+    { queue: null, prep: 4, delivery: null }
+  );
+});
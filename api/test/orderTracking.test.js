@@ -0,0 +1,179 @@
+// test/orderTracking.test.js — customer tokens and the tracking view (lib/orderTokens.js,
+// lib/orderTracking.js)
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { EventEmitter } = require("node:events");
+const orderEvents = require("../lib/orderEvents");
+const {
+  newOrderToken,
+  tokenMatches,
+  withoutTokens,
+} = require("../lib/orderTokens");
+const {
+  customerTokenMatches,
+  trackingView,
+  watchOrder,
+} = require("../lib/orderTracking");
+
+const NOW = Date.parse("2025-01-01T09:00:00.000Z");
+const minutesAgo = (n) => new Date(NOW - n * 60000).toISOString();
+
+test("orders keep only the token hash, and only the token matches it", () => {
+  const { token, hash } = newOrderToken();
+  assert.notEqual(token, hash);
+  assert.ok(tokenMatches(hash, token));
+  assert.ok(!tokenMatches(hash, newOrderToken().token));
+  assert.ok(!tokenMatches(hash, ""));
+  assert.ok(!tokenMatches(undefined, token));
+
+  const order = { id: "1", customerTokenHash: hash, ratingTokenHash: "x" };
+  assert.ok(customerTokenMatches(order, token));
+  assert.ok(!customerTokenMatches(null, token));
+  assert.deepEqual(withoutTokens(order), { id: "1" });
+});
+
+test("the view shows the order's place in its tea boy's queue", () => {
+  const orders = [
+    {
+      id: "a",
+      status: "in-progress",
+      teaboyName: "ali",
+      timestamp: minutesAgo(9),
+    },
+    { id: "b", status: "pending", teaboyName: "sam", timestamp: minutesAgo(8) },
+    {
+      id: "c",
+      status: "accepted",
+      teaboyName: "ali",
+      timestamp: minutesAgo(7),
+    },
+    { id: "d", status: "ready", teaboyName: "ali", timestamp: minutesAgo(6) },
+    { id: "e", status: "pending", teaboyName: "ali", timestamp: minutesAgo(5) },
+  ];
+  const view = trackingView(orders[4], orders, NOW);
+  assert.equal(view.teaBoy, "ali");
+  assert.deepEqual(view.queue, { position: 3, ahead: 2 });
+  assert.equal(view.eta, null); // nothing made yet to base it on
+  assert.equal(trackingView(orders[0], orders, NOW).queue.position, 1);
+  assert.equal(trackingView(orders[3], orders, NOW).queue, null);
+});
+
+test("the ETA comes from the prep time of recently made orders", () => {
+  const made = (id, prep) => ({
+    id,
+    status: "completed",
+    timestamp: minutesAgo(60),
+    startedAt: minutesAgo(30),
+    completedAt: minutesAgo(30 - prep),
+  });
+  const current = {
+    id: "now",
+    status: "in-progress",
+    timestamp: minutesAgo(3),
+    startedAt: minutesAgo(1),
+  };
+  const mine = { id: "mine", status: "pending", timestamp: minutesAgo(2) };
+  const orders = [made("x", 4), made("y", 5), made("z", 6), current, mine];
+
+  // 4 minutes left on the current one, then 5 for this one
+  assert.deepEqual(trackingView(mine, orders, NOW).eta, {
+    at: new Date(NOW + 9 * 60000).toISOString(),
+    minutes: 9,
+    basedOn: 3,
+  });
+});
+
+test("the view tells the customer nothing about other orders", () => {
+  const order = {
+    id: "1",
+    status: "pending",
+    desk: "4",
+    timestamp: minutesAgo(1),
+    customerTokenHash: "h",
+    ratingTokenHash: "r",
+    history: [{ status: "pending" }],
+    itemsDetailed: [{ id: "tea", name: "Tea", quantity: 2 }],
+    customerEditUntil: new Date(NOW + 60000).toISOString(),
+  };
+  const other = { id: "2", status: "pending", desk: "9", orderNote: "secret" };
+  const view = trackingView(order, [other, order], NOW);
+  assert.deepEqual(Object.keys(view).sort(), [
+    "amendedAt",
+    "editableUntil",
+    "eta",
+    "id",
+    "items",
+    "orderNote",
+    "placedAt",
+    "queue",
+    "rated",
+    "status",
+    "teaBoy",
+    "updatedAt",
+  ]);
+  assert.deepEqual(view.items, [
+    { id: "tea", name: "Tea", quantity: 2, options: [] },
+  ]);
+  assert.equal(view.editableUntil, order.customerEditUntil);
+  assert.ok(!JSON.stringify(view).includes("secret"));
+});
+
+// An SSE response that keeps what was written
+function fakeStream() {
+  const req = new EventEmitter();
+  const res = {
+    events: [],
+    set() {},
+    flushHeaders() {},
+    write(text) {
+      const m = text.match(/^event: (\w+)\ndata: (.*)\n\n$/);
+      if (m) this.events.push([m[1], JSON.parse(m[2])]);
+    },
+  };
+  return { req, res };
+}
+
+test("one read of the orders refreshes every stream of the company", async () => {
+  let orders = [
+    { id: "1", status: "pending", timestamp: minutesAgo(2) },
+    { id: "2", status: "pending", timestamp: minutesAgo(1) },
+  ];
+  let reads = 0;
+  const loadOrders = async () => {
+    reads += 1;
+    return orders;
+  };
+  const viewOf = (id) => (list) => {
+    const order = list.find((o) => o.id === id);
+    return order ? { id, status: order.status } : null;
+  };
+
+  const first = fakeStream();
+  const second = fakeStream();
+  await watchOrder(first.req, first.res, "tracking-test", {
+    loadOrders,
+    view: viewOf("1"),
+  });
+  await watchOrder(second.req, second.res, "tracking-test", {
+    loadOrders,
+    view: viewOf("2"),
+  });
+  assert.equal(reads, 2);
+
+  orders = [{ ...orders[0], status: "accepted" }];
+  orderEvents.publish("tracking-test", "order-updated", {});
+  orderEvents.publish("tracking-test", "order-deleted", {});
+  await new Promise((resolve) => setTimeout(resolve, 400));
+
+  assert.equal(reads, 3);
+  assert.deepEqual(first.res.events, [
+    ["tracking", { id: "1", status: "pending" }],
+    ["tracking", { id: "1", status: "accepted" }],
+  ]);
+  assert.deepEqual(second.res.events, [
+    ["tracking", { id: "2", status: "pending" }],
+    ["gone", {}],
+  ]);
+  first.req.emit("close");
+  second.req.emit("close");
+});
@@ -0,0 +1,77 @@
+// test/ratings.test.js — the desk rating its delivered order (lib/ratings.js)
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { newOrderToken, tokenMatches } = require("../lib/orderTokens");
+const { ratingRefusal, buildRating } = require("../lib/ratings");
+
+const order = {
+  id: "1",
+  status: "completed",
+  itemsDetailed: [
+    { id: "tea", names: { en: "Tea", ar: "شاي" }, quantity: 1 },
+    { id: "latte", name: "Latte", quantity: 2 },
+  ],
+};
+
+test("only a delivered order that has no rating yet can be rated", () => {
+  assert.equal(ratingRefusal(order), null);
+  assert.equal(
+    ratingRefusal({ ...order, status: "ready" }),
+    "An order can be rated once it has been delivered"
+  );
+  assert.equal(
+    ratingRefusal({ ...order, rating: { stars: 5 } }),
+    "This order has already been rated"
+  );
+});
+
+test("the rating token is separate from the customer token", () => {
+  const customer = newOrderToken();
+  const rating = newOrderToken();
+  const rated = { ...order, ratingTokenHash: rating.hash };
+  assert.ok(tokenMatches(rated.ratingTokenHash, rating.token));
+  assert.ok(!tokenMatches(rated.ratingTokenHash, customer.token));
+});
+
+test("the stored rating has the score, review and rated lines", () => {
+  const { rating } = buildRating(
+    order,
+    { rating: 4, review: "Good", items: [{ id: "tea", stars: 5 }] },
+    {}
+  );
+  assert.equal(rating.stars, 4);
+  assert.equal(rating.review, "Good");
+  assert.deepEqual(rating.items, [{ id: "tea", name: "Tea", stars: 5 }]);
+  assert.ok(!rating.alert);
+  assert.ok(!isNaN(Date.parse(rating.timestamp)));
+
+  const plain = buildRating(order, { rating: 5 }, {}).rating;
+  assert.equal(plain.review, "");
+  assert.equal(plain.items, undefined);
+});
+
+test("lines must be on the order and rated once", () => {
+  assert.equal(
+    buildRating(order, { rating: 3, items: [{ id: "mocha", stars: 2 }] }).error,
+    '"mocha" is not an item of this order'
+  );
+  assert.equal(
+    buildRating(order, {
+      rating: 3,
+      items: [
+        { id: "latte", stars: 2 },
+        { id: "latte", stars: 4 },
+      ],
+    }).error,
+    '"latte" is rated twice'
+  );
+});
+
+test("low scores raise an alert at the company's threshold", () => {
+  assert.ok(buildRating(order, { rating: 2 }, {}).rating.alert);
+  assert.ok(!buildRating(order, { rating: 3 }, {}).rating.alert);
+  const strict = { ratingAlertThreshold: 3 };
+  assert.ok(buildRating(order, { rating: 3 }, strict).rating.alert);
+  const never = { ratingAlertThreshold: 0 };
+  assert.ok(!buildRating(order, { rating: 1 }, never).rating.alert);
+});
@@ -0,0 +1,226 @@
+// test/schemas.test.js — request schemas (lib/schemas.js) run through validate() (lib/validate.js)
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { validate, invalidRequest } = require("../lib/validate");
+const schemas = require("../lib/schemas");
+
+// Run validate(parts) on a fake request: { req, next } when it passes, { status, body } when not
+function run(parts, req) {
+  let answer = null;
+  const res = {
+    status(code) {
+      answer = { status: code };
+      return this;
+    },
+    json(body) {
+      answer.body = body;
+      return this;
+    },
+  };
+  let passed = false;
+  validate(parts)(req, res, () => (passed = true));
+  return passed ? { req } : answer;
+}
+
+const fieldsOf = (answer) => answer.body.errors.map((e) => e.field);
+
+test("a new order is cleaned of everything the server sets itself", () => {
+  const { req } = run(
+    { body: schemas.newOrder },
+    {
+      body: {
+        desk: 12,
+        itemsDetailed: [{ id: "tea", name: " Tea ", quantity: "2" }],
+        status: "completed",
+        history: [],
+        stockTaken: { tea: 99 },
+        version: 7,
+      },
+    }
+  );
+  assert.deepEqual(req.body, {
+    desk: "12",
+    itemsDetailed: [{ id: "tea", name: "Tea", quantity: 2 }],
+  });
+});
+
+test("a new order needs a desk and at least one item", () => {
+  const answer = run({ body: schemas.newOrder }, { body: { items: [] } });
+  assert.equal(answer.status, 400);
+  assert.deepEqual(fieldsOf(answer), ["desk", "itemsDetailed"]);
+  assert.equal(
+    answer.body.error,
+    "Invalid request — desk: Required (and 1 more)"
+  );
+});
+
+test("order lines report their index", () => {
+  const answer = run(
+    { body: schemas.newOrder },
+    {
+      body: {
+        desk: "1",
+        itemsDetailed: [
+          { id: "tea", quantity: 1 },
+          { id: "coffee", quantity: 0 },
+        ],
+      },
+    }
+  );
+  assert.deepEqual(fieldsOf(answer), ["itemsDetailed[1].quantity"]);
+});
+
+test("order updates keep the version the client based them on", () => {
+  const { req } = run(
+    { body: schemas.orderUpdate },
+    { body: { status: "accepted", version: "3", history: [] } }
+  );
+  assert.deepEqual(req.body, { status: "accepted", version: 3 });
+  const answer = run({ body: schemas.orderUpdate }, { body: { version: -1 } });
+  assert.deepEqual(fieldsOf(answer), ["version"]);
+});
+
+test("order updates can't change the lines or the desk", () => {
+  const { req } = run(
+    { body: schemas.orderUpdate },
+    {
+      body: {
+        orderNote: "no sugar",
+        desk: "9",
+        items: ["Latte"],
+        itemsDetailed: [{ id: "latte", quantity: 5 }],
+      },
+    }
+  );
+  assert.deepEqual(req.body, { orderNote: "no sugar" });
+});
+
+test("?company= follows one rule on every route", () => {
+  for (const query of [
+    schemas.companyQuery,
+    schemas.tokenQuery,
+    schemas.orderQuery,
+    schemas.statsQuery,
+  ]) {
+    const answer = run({ query }, { query: { company: "../x", token: "a" } });
+    assert.equal(answer.status, 400);
+    assert.deepEqual(fieldsOf(answer), ["query.company"]);
+  }
+  const { req } = run(
+    { query: schemas.companyQuery },
+    { query: { company: "acme", status: "pending" } }
+  );
+  assert.deepEqual(req.query, { company: "acme", status: "pending" });
+});
+
+test("order and stats filters are checked before they are read", () => {
+  const answer = run(
+    { query: schemas.orderQuery },
+    {
+      query: {
+        limit: "ten",
+        archived: "all",
+        cursor: "a/b",
+        tz: "x".repeat(80),
+      },
+    }
+  );
+  assert.deepEqual(fieldsOf(answer), [
+    "query.tz",
+    "query.limit",
+    "query.cursor",
+    "query.archived",
+  ]);
+  const { req } = run(
+    { query: schemas.orderQuery },
+    { query: { company: "acme", from: "", limit: "20", desk: "1-5" } }
+  );
+  assert.deepEqual(req.query, {
+    company: "acme",
+    from: "",
+    limit: 20,
+    desk: "1-5",
+  });
+
+  assert.deepEqual(
+    fieldsOf(
+      run({ query: schemas.statsQuery }, { query: { granularity: "year" } })
+    ),
+    ["query.granularity"]
+  );
+});
+
+test("ratings are whole stars from 1 to 5", () => {
+  assert.deepEqual(
+    fieldsOf(
+      run(
+        { body: schemas.rating },
+        { body: { rating: 6, items: [{ id: "tea", stars: 0 }] } }
+      )
+    ),
+    ["rating", "items[0].stars"]
+  );
+  const { req } = run({ body: schemas.rating }, { body: { rating: "4" } });
+  assert.deepEqual(req.body, { rating: 4 });
+});
+
+test("zone lists check each zone and parse its desks", () => {
+  const answer = run(
+    { body: schemas.zones },
+    { body: { zones: [{ id: "North", name: "N", desks: "1-x" }] } }
+  );
+  assert.deepEqual(fieldsOf(answer), ["zones[0].id", "zones[0].desks"]);
+  const { req } = run(
+    { body: schemas.zones },
+    { body: { zones: [{ id: "north", name: "North", desks: "1-5, 9" }] } }
+  );
+  assert.deepEqual(req.body.zones[0].desks, [
+    [1, 5],
+    [9, 9],
+  ]);
+});
+
+test("users get a known role and passwords are kept as typed", () => {
+  const answer = run(
+    { body: schemas.user },
+    { body: { username: "ali", role: "boss", password: "123" } }
+  );
+  assert.deepEqual(fieldsOf(answer), ["password", "role"]);
+  const { req } = run(
+    { body: schemas.user },
+    { body: { username: "ali", role: "teaboy", password: " secret " } }
+  );
+  assert.equal(req.body.password, " secret ");
+});
+
+test("null clears a setting where the schema allows it", () => {
+  const { req } = run(
+    { body: schemas.stockLevel },
+    { body: { count: null, lowAt: 3 } }
+  );
+  assert.deepEqual(req.body, { count: null, lowAt: 3 });
+  assert.equal(
+    run({ body: schemas.company }, { body: { logo: null } }).req.body.logo,
+    null
+  );
+  assert.deepEqual(
+    fieldsOf(run({ body: schemas.restock }, { body: { quantity: null } })),
+    ["quantity"]
+  );
+});
+
+test("route params are checked and reported as params.<name>", () => {
+  const answer = run(
+    { params: schemas.stockParams },
+    { params: { itemId: "" } }
+  );
+  assert.deepEqual(fieldsOf(answer), ["params.itemId"]);
+});
+
+test("invalidRequest answers in the same shape", () => {
+  assert.deepEqual(invalidRequest("zone", 'Unknown zone "x"'), {
+    error: 'Invalid request — zone: Unknown zone "x"',
+    errors: [{ field: "zone", message: 'Unknown zone "x"' }],
+  });
+  assert.equal(invalidRequest("", "Nope").error, "Invalid request — Nope");
+});
@@ -0,0 +1,63 @@
+// test/scope.test.js — desk-range scoping of tea-boy accounts (lib/scope.js)
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  parseDeskRanges,
+  deskNumberOf,
+  isDeskInRanges,
+  isOrderInScope,
+} = require("../lib/scope");
+
+test("parseDeskRanges reads range lists", () => {
+  assert.deepEqual(parseDeskRanges("1-25, 103-107, 120"), [
+    [1, 25],
+    [103, 107],
+    [120, 120],
+  ]);
+  assert.deepEqual(parseDeskRanges([["1", 5]]), [[1, 5]]);
+  assert.deepEqual(parseDeskRanges(""), []);
+  assert.deepEqual(parseDeskRanges(null), []);
+});
+
+test("parseDeskRanges refuses anything it can't read", () => {
+  assert.equal(parseDeskRanges("5-1"), null);
+  assert.equal(parseDeskRanges("1-5, desk 7"), null);
+  assert.equal(parseDeskRanges([[1, 2, 3]]), null);
+  assert.equal(parseDeskRanges([5]), null);
+});
+
+test("deskNumberOf uses the desk, else a DESK12-style service area", () => {
+  assert.equal(deskNumberOf({ desk: "12" }), 12);
+  assert.equal(deskNumberOf({ desk: 7 }), 7);
+  assert.equal(deskNumberOf({ desk: "lobby", serviceArea: "Desk 40" }), 40);
+  assert.equal(deskNumberOf({ desk: "lobby" }), null);
+  assert.equal(deskNumberOf(null), null);
+});
+
+test("isDeskInRanges includes both ends", () => {
+  const ranges = [
+    [1, 25],
+    [103, 107],
+  ];
+  assert.ok(isDeskInRanges(1, ranges));
+  assert.ok(isDeskInRanges(107, ranges));
+  assert.ok(!isDeskInRanges(26, ranges));
+  assert.ok(!isDeskInRanges(null, ranges));
+  assert.ok(!isDeskInRanges(3, undefined));
+});
+
+test("admins and viewers see every order, tea boys only their desks", () => {
+  const order = { desk: "30" };
+  assert.ok(isOrderInScope({ role: "admin" }, order));
+  assert.ok(isOrderInScope({ role: "viewer" }, order));
+  assert.ok(isOrderInScope({ role: "teaboy", deskRanges: [[25, 35]] }, order));
+  assert.ok(!isOrderInScope({ role: "teaboy", deskRanges: [[1, 25]] }, order));
+  assert.ok(!isOrderInScope({ role: "teaboy" }, order));
+});
+
+test("kiosk logins and missing sessions see no orders", () => {
+  assert.ok(!isOrderInScope({ role: "kiosk" }, { desk: "1" }));
+  assert.ok(!isOrderInScope(null, { desk: "1" }));
+  // an order without a desk number is nobody's desk
+  assert.ok(!isOrderInScope({ role: "teaboy", deskRanges: [[1, 99]] }, {}));
+});
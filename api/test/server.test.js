@@ -0,0 +1,91 @@
+// test/server.test.js — what server.js serves without a session, how it starts and how
+// it guards logins
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, runServer } = require("./helpers/server");
+const { hashPassword } = require("../lib/auth");
+
+test("only the pages and their assets are served as files", async (t) => {
+  const api = await startServer();
+  t.after(() => api.stop());
+
+  for (const route of [
+    "/api/data/companies/acme/users.json",
+    "/api/data/companies/remat/integrations.json",
+    "/api/server.js",
+    "/api/package.json",
+    "/requests.jsonl",
+    "/setup_guide.md",
+  ]) {
+    const res = await api.request("GET", route);
+    assert.equal(res.status, 404, route);
+    assert.ok(!res.text.includes("passwordHash"), route);
+  }
+
+  assert.equal((await api.request("GET", "/ding.mp3")).status, 200);
+  const page = await api.request("GET", "/company_list/remat/login.html");
+  assert.equal(page.status, 200);
+  assert.match(page.text, /<html/i);
+  // a company without a folder of its own gets the template's pages
+  const shared = await api.request(
+    "GET",
+    "/company_list/acme/tb_dashboard.html"
+  );
+  assert.equal(shared.status, 200);
+});
+
+test("production refuses to start without SESSION_SECRET", async () => {
+  const { code, output } = await runServer({
+    NODE_ENV: "production",
+    SESSION_SECRET: "",
+  });
+  assert.equal(code, 1);
+  assert.match(output, /SESSION_SECRET must be set/);
+});
+
+test("without SESSION_SECRET elsewhere, sessions use a random secret", async (t) => {
+  const api = await startServer({ env: { SESSION_SECRET: "" } });
+  t.after(() => api.stop());
+  assert.match(api.output(), /using a random one/);
+  assert.equal((await api.login()).status, 200);
+  const me = await api.request("GET", "/api/auth/me?company=acme");
+  assert.equal(me.body.user.username, "admin");
+});
+
+test("repeated failed logins are refused for a while", async (t) => {
+  const api = await startServer({
+    env: { LOGIN_MAX_ATTEMPTS: "3", LOGIN_MAX_ATTEMPTS_PER_IP: "5" },
+    seed: async (storage) => {
+      const users = await storage.getDoc("acme", "users");
+      users.users.push({
+        username: "ali",
+        role: "viewer",
+        passwordHash: hashPassword("ali-password"),
+      });
+      await storage.putDoc("acme", "users", users);
+    },
+  });
+  t.after(() => api.stop());
+  const attempt = (username, password) =>
+    api.request("POST", "/api/auth/login", {
+      company: "acme",
+      username,
+      password,
+    });
+
+  for (let i = 0; i < 3; i++) {
+    assert.equal((await attempt("admin", "guess")).status, 401);
+  }
+  // locked now, even with the right password
+  const locked = await api.login();
+  assert.equal(locked.status, 429);
+  assert.equal(locked.headers.get("retry-after"), "30");
+  assert.match(locked.body.error, /Try again in 30 seconds/);
+
+  // other accounts still work, and a success clears their count
+  assert.equal((await attempt("ali", "wrong")).status, 401);
+  assert.equal((await attempt("ali", "ali-password")).status, 200);
+  // the address has now failed five times, so everything from it waits
+  assert.equal((await attempt("ali", "wrong")).status, 401);
+  assert.equal((await attempt("ali", "ali-password")).status, 429);
+});
@@ -0,0 +1,130 @@
+// test/shifts.test.js — who is on shift and who a new order goes to (lib/shifts.js)
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { validateShifts, dutyAt, assignTeaBoy } = require("../lib/shifts");
+
+const TZ = "Asia/Riyadh"; // UTC+3, no DST
+// 2025-01-05 is a Sunday; `at("Sun", "08:00")` is that wall-clock time in Riyadh
+const DAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const at = (day, time) =>
+  new Date(
+    `2025-01-${String(5 + DAYS.indexOf(day)).padStart(2, "0")}T${time}:00+03:00`
+  );
+
+const zoneWith = (lines, extra = {}) => {
+  const { shifts, error } = validateShifts(lines);
+  assert.equal(error, undefined);
+  return { name: "Floor 1", teaBoy: "Regular", shifts, ...extra };
+};
+
+test("shift lines and objects are validated into one form", () => {
+  assert.deepEqual(
+    validateShifts([
+      "Julius | Sun-Thu | 07:00-15:00 | 11:00-11:30",
+      { teaBoy: " Hisham ", days: "Thu-Sun", start: "22:00", end: "06:00" },
+    ]).shifts,
+    [
+      {
+        teaBoy: "Julius",
+        days: [0, 1, 2, 3, 4],
+        start: "07:00",
+        end: "15:00",
+        breaks: [{ start: "11:00", end: "11:30" }],
+      },
+      {
+        teaBoy: "Hisham",
+        days: [0, 4, 5, 6],
+        start: "22:00",
+        end: "06:00",
+        breaks: [],
+      },
+    ]
+  );
+  assert.deepEqual(
+    validateShifts(["Ali | daily | 09:00-10:00"]).shifts[0].days,
+    [0, 1, 2, 3, 4, 5, 6]
+  );
+
+  assert.deepEqual(validateShifts(undefined), { shifts: [] });
+  assert.equal(validateShifts({}).error, '"shifts" must be an array');
+  assert.equal(
+    validateShifts(["| Sun | 07:00-15:00"]).error,
+    "Every shift needs a tea boy"
+  );
+  assert.equal(
+    validateShifts(["Ali | Someday | 07:00-15:00"]).error,
+    "Ali's shift has invalid days"
+  );
+  assert.equal(
+    validateShifts(["Ali | Sun | 7am-3pm"]).error,
+    `Ali's shift needs start and end times like "07:00"`
+  );
+  assert.equal(
+    validateShifts(["Ali | Sun | 07:00-15:00 | 11:00-11:00"]).error,
+    "A break in Ali's shift starts and ends at the same time"
+  );
+});
+
+test("duty follows the company's clock, breaks and overnight shifts", () => {
+  const zone = zoneWith([
+    "Julius | Sun-Thu | 07:00-15:00 | 11:00-11:30",
+    "Hisham | Thu | 22:00-06:00",
+  ]);
+  const duty = (day, time) => dutyAt(zone, at(day, time), TZ);
+
+  assert.deepEqual(duty("Sun", "07:00"), { onDuty: ["Julius"], onBreak: [] });
+  assert.deepEqual(duty("Sun", "06:59"), { onDuty: [], onBreak: [] });
+  assert.deepEqual(duty("Sun", "11:15"), { onDuty: [], onBreak: ["Julius"] });
+  assert.deepEqual(duty("Sun", "15:00"), { onDuty: [], onBreak: [] });
+  assert.deepEqual(duty("Fri", "08:00"), { onDuty: [], onBreak: [] });
+
+  // Thursday night runs into Friday morning, but not Thursday's early hours
+  assert.deepEqual(duty("Thu", "23:00").onDuty, ["Hisham"]);
+  assert.deepEqual(duty("Fri", "05:59").onDuty, ["Hisham"]);
+  assert.deepEqual(duty("Fri", "06:00").onDuty, []);
+  assert.deepEqual(duty("Thu", "03:00").onDuty, []);
+
+  // 04:00 UTC is 07:00 in Riyadh
+  assert.deepEqual(dutyAt(zone, new Date("2025-01-05T04:00:00Z"), TZ).onDuty, [
+    "Julius",
+  ]);
+  assert.deepEqual(dutyAt(zone, new Date("2025-01-05T04:00:00Z"), "UTC"), {
+    onDuty: [],
+    onBreak: [],
+  });
+});
+
+test("orders go to whoever is on shift, then the backup, then the zone's tea boy", () => {
+  const zone = zoneWith(
+    ["Julius | Sun-Thu | 07:00-15:00 | 11:00-11:30", "Ali | Sun | 11:00-12:00"],
+    { backup: "Hisham" }
+  );
+  const assign = (day, time, z = zone) => assignTeaBoy(z, at(day, time), TZ);
+
+  assert.deepEqual(assign("Sun", "08:00"), {
+    teaBoy: "Julius",
+    reason: "shift",
+  });
+  // Julius is on a break, Ali covers it
+  assert.deepEqual(assign("Sun", "11:10"), { teaBoy: "Ali", reason: "shift" });
+  assert.deepEqual(assign("Mon", "11:10"), {
+    teaBoy: "Hisham",
+    reason: "backup",
+  });
+  assert.deepEqual(assign("Sun", "20:00"), {
+    teaBoy: "Hisham",
+    reason: "backup",
+  });
+
+  const { backup, ...noBackup } = zone;
+  assert.ok(backup);
+  assert.deepEqual(assign("Sun", "20:00", noBackup), {
+    teaBoy: "Regular",
+    reason: "zone",
+  });
+  assert.deepEqual(assign("Sun", "20:00", { name: "Lobby", teaBoy: "Sam" }), {
+    teaBoy: "Sam",
+    reason: "zone",
+  });
+  assert.equal(assign("Sun", "20:00", { name: "Lobby" }), null);
+});
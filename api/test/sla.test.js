@@ -0,0 +1,205 @@
+// test/sla.test.js — SLA rules and the breach monitor (lib/sla.js)
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs/promises");
+const os = require("node:os");
+const path = require("node:path");
+const { validateSla, checkCompany } = require("../lib/sla");
+const { saveZones } = require("../lib/zones");
+const { createStorage } = require("../lib/storage");
+const orderEvents = require("../lib/orderEvents");
+
+const published = [];
+orderEvents.onPublish((companyId, type, data) =>
+  published.push({ companyId, type, data })
+);
+
+let dir;
+let storage;
+test.before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), "saf-sla-test-"));
+  storage = createStorage("json", { rootDir: dir });
+  await storage.init();
+  await storage.putDoc("acme", "company", {
+    id: "acme",
+    name: "Acme",
+    timeZone: "Asia/Riyadh",
+  });
+  await storage.putDoc("acme", "sla", {
+    rules: validateSla({
+      rules: [
+        { id: "accept", until: "accepted", minutes: 3, action: "reassign" },
+        { id: "deliver", until: "delivered", minutes: 15, action: "escalate" },
+        { id: "late", until: "completed", minutes: 60 },
+      ],
+    }).rules,
+  });
+  await saveZones(storage, "acme", [
+    {
+      id: "floor-1",
+      name: "Floor 1",
+      deskRanges: [[1, 10]],
+      teaBoy: "Julius",
+      shifts: [
+        {
+          teaBoy: "Julius",
+          days: [0],
+          start: "07:00",
+          end: "15:00",
+          breaks: [],
+        },
+        { teaBoy: "Ali", days: [0], start: "07:00", end: "15:00", breaks: [] },
+      ],
+      backup: "Hisham",
+      supervisor: "Maha",
+    },
+    { id: "floor-2", name: "Floor 2", deskRanges: [[11, 20]], teaBoy: "Sam" },
+  ]);
+});
+test.after(() => fs.rm(dir, { recursive: true, force: true }));
+test.beforeEach(() => {
+  published.length = 0;
+});
+
+// Sunday 2025-01-05, 09:00 in Riyadh: Julius and Ali are both on shift
+const NOW = Date.parse("2025-01-05T06:00:00Z");
+const minutesAgo = (m) => new Date(NOW - m * 60000).toISOString();
+const order = (id, desk, placedMinutesAgo, extra = {}) => ({
+  id,
+  desk,
+  status: "pending",
+  teaboyName: "Julius",
+  timestamp: minutesAgo(placedMinutesAgo),
+  version: 1,
+  ...extra,
+});
+const breachesOf = async (id) =>
+  ((await storage.getOrder("acme", id)).slaBreaches || []).map((b) => [
+    b.rule,
+    b.action,
+    b.to,
+  ]);
+
+test("rules are validated", () => {
+  assert.equal(validateSla({}).error, '"rules" must be an array');
+  assert.equal(
+    validateSla({ rules: [{ id: "A b", until: "accepted", minutes: 1 }] })
+      .error,
+    "Rule id must be lowercase letters, digits or dashes"
+  );
+  assert.equal(
+    validateSla({
+      rules: [
+        { id: "a", until: "accepted", minutes: 1 },
+        { id: "a", until: "completed", minutes: 2 },
+      ],
+    }).error,
+    'Duplicate rule id "a"'
+  );
+  assert.match(
+    validateSla({ rules: [{ id: "a", until: "pending", minutes: 1 }] }).error,
+    /until must be one of accepted, in-progress, ready, completed/
+  );
+  assert.equal(
+    validateSla({ rules: [{ id: "a", until: "accepted", minutes: 0 }] }).error,
+    'Rule "a": minutes must be between 0 and 1440'
+  );
+  assert.equal(
+    validateSla({
+      rules: [{ id: "a", until: "accepted", minutes: 1, action: "fire" }],
+    }).error,
+    'Rule "a": action must be one of flag, reassign, escalate'
+  );
+  assert.deepEqual(
+    validateSla({ rules: [{ id: "a", until: "Delivered", minutes: "5" }] })
+      .rules,
+    [{ id: "a", until: "completed", minutes: 5, action: "flag" }]
+  );
+});
+
+test("late orders are reassigned, escalated or flagged once per rule", async () => {
+  await storage.replaceOrders("acme", [
+    order("on-time", "2", 2),
+    order("slow-accept", "3", 5),
+    order("slow-deliver", "4", 20, { status: "in-progress" }),
+    order("very-late", "5", 90, { status: "ready", teaboyName: "Ali" }),
+    order("cancelled", "6", 90, { status: "cancelled" }),
+    order("abandoned", "7", 2 * 24 * 60),
+  ]);
+
+  const found = await checkCompany(storage, "acme", NOW);
+  assert.deepEqual(
+    found.map((b) => [b.rule, b.teaBoy, b.action, b.to]),
+    [
+      ["accept", "Julius", "reassign", "Ali"],
+      ["deliver", "Julius", "escalate", "Maha"],
+      ["deliver", "Ali", "escalate", "Maha"],
+      ["late", "Ali", "flag", null],
+    ]
+  );
+  const moved = await storage.getOrder("acme", "slow-accept");
+  assert.equal(moved.teaboyName, "Ali");
+  assert.deepEqual(moved.assignment, {
+    teaBoy: "Ali",
+    reason: "sla",
+    at: new Date(NOW).toISOString(),
+  });
+  assert.equal(moved.version, 2);
+  assert.deepEqual(await breachesOf("on-time"), []);
+  assert.deepEqual(await breachesOf("cancelled"), []);
+  assert.deepEqual(await breachesOf("abandoned"), []);
+  assert.deepEqual(
+    published.map((e) => [e.type, e.data.order.id, e.data.breach.rule]),
+    [
+      ["sla-breach", "slow-accept", "accept"],
+      ["sla-breach", "slow-deliver", "deliver"],
+      ["sla-breach", "very-late", "deliver"],
+      ["sla-breach", "very-late", "late"],
+    ]
+  );
+
+  // nothing new half a minute later; the next rules once they are due
+  assert.deepEqual(await checkCompany(storage, "acme", NOW + 30000), []);
+  const later = await checkCompany(storage, "acme", NOW + 11 * 60000);
+  assert.deepEqual(
+    later.map((b) => [b.rule, b.teaBoy, b.action, b.to]),
+    [
+      ["accept", "Julius", "reassign", "Ali"], // on-time, 13 minutes in
+      ["deliver", "Ali", "escalate", "Maha"], // slow-accept, now with Ali
+    ]
+  );
+  assert.deepEqual(await breachesOf("slow-accept"), [
+    ["accept", "reassign", "Ali"],
+    ["deliver", "escalate", "Maha"],
+  ]);
+});
+
+test("with nobody else to take it, a reassignment goes to the backup or escalates", async () => {
+  // Sunday 20:00 in Riyadh: nobody on shift
+  const evening = Date.parse("2025-01-05T17:00:00Z");
+  const placed = new Date(evening - 5 * 60000).toISOString();
+  await storage.replaceOrders("acme", [
+    order("to-backup", "3", 0, { teaboyName: "Ali", timestamp: placed }),
+    order("no-zone-help", "12", 0, { teaboyName: "Sam", timestamp: placed }),
+  ]);
+
+  const found = await checkCompany(storage, "acme", evening);
+  assert.deepEqual(
+    found.map((b) => [b.rule, b.teaBoy, b.action, b.to]),
+    [
+      ["accept", "Ali", "reassign", "Hisham"],
+      // floor 2 has no shifts, backup or supervisor
+      ["accept", "Sam", "escalate", null],
+    ]
+  );
+  assert.equal(
+    (await storage.getOrder("acme", "no-zone-help")).teaboyName,
+    "Sam"
+  );
+});
+
+test("companies without rules are skipped", async () => {
+  await storage.replaceOrders("other", [order("1", "3", 500)]);
+  assert.deepEqual(await checkCompany(storage, "other", NOW), []);
+  assert.equal((await storage.getOrder("other", "1")).slaBreaches, undefined);
+});
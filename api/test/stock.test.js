@@ -0,0 +1,163 @@
+// test/stock.test.js — stock taken by orders and given back (lib/stock.js)
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  withStock,
+  unknownItems,
+  orderQuantities,
+  takeStock,
+  returnStock,
+  setLevel,
+  restock,
+  stockReport,
+} = require("../lib/stock");
+
+const menu = {
+  coffee: {
+    items: [
+      {
+        id: "espresso",
+        name: { en: "Espresso", ar: "إسبريسو" },
+        value: "Espresso",
+      },
+      { id: "latte", name: "Latte", value: "Latte" },
+    ],
+  },
+  tea: { items: [{ id: "mint", name: "Mint Tea", value: "Mint Tea" }] },
+};
+
+const stockOf = (items) => ({ items, log: [] });
+
+test("orderQuantities adds up lines by id, name or plain item values", () => {
+  assert.deepEqual(
+    orderQuantities(
+      {
+        itemsDetailed: [
+          { id: "espresso", quantity: 2 },
+          { name: "إسبريسو", quantity: 1 },
+          { id: "latte", quantity: "3" },
+        ],
+      },
+      menu
+    ),
+    { espresso: 3, latte: 3 }
+  );
+  assert.deepEqual(
+    orderQuantities({ items: ["Mint Tea", "Mint Tea", "Water"] }, menu),
+    { mint: 2 }
+  );
+});
+
+test("unknownItems names the lines that aren't on the menu", () => {
+  assert.deepEqual(
+    unknownItems(
+      { itemsDetailed: [{ id: "espresso" }, { id: "mocha" }, { name: "?" }] },
+      menu
+    ).map((e) => e.field),
+    ["itemsDetailed[1].id", "itemsDetailed[2].name"]
+  );
+  assert.deepEqual(unknownItems({ items: ["Latte", "Water"] }, menu), [
+    { field: "items[1]", message: '"Water" is not on the menu' },
+  ]);
+});
+
+test("takeStock takes counted items and leaves uncounted ones alone", () => {
+  const stock = stockOf({ espresso: { count: 5 } });
+  assert.deepEqual(takeStock(stock, { espresso: 2, latte: 4 }, menu), {
+    low: [],
+  });
+  assert.equal(stock.items.espresso.count, 3);
+  assert.equal(stock.items.latte, undefined);
+});
+
+test("takeStock takes nothing when any item can't be served", () => {
+  const stock = stockOf({
+    espresso: { count: 5 },
+    latte: { count: 1 },
+    mint: { available: false },
+  });
+  const { unavailable } = takeStock(
+    stock,
+    { espresso: 1, latte: 2, mint: 1 },
+    menu
+  );
+  assert.deepEqual(unavailable, [
+    { id: "latte", name: "Latte", left: 1 },
+    { id: "mint", name: "Mint Tea", left: null },
+  ]);
+  assert.equal(stock.items.espresso.count, 5);
+});
+
+test("takeStock reports crossing the low mark once, and running out", () => {
+  const stock = stockOf({ espresso: { count: 6, lowAt: 4 } });
+  assert.deepEqual(takeStock(stock, { espresso: 2 }, menu).low, [
+    { id: "espresso", name: "Espresso", count: 4, lowAt: 4 },
+  ]);
+  assert.deepEqual(takeStock(stock, { espresso: 1 }, menu).low, []);
+  assert.equal(takeStock(stock, { espresso: 3 }, menu).low[0].count, 0);
+  assert.equal(withStock(menu, stock).coffee.items[0].available, false);
+});
+
+test("returnStock gives back exactly what takeStock took", () => {
+  const stock = stockOf({ espresso: { count: 4 }, mint: { count: 1 } });
+  const taken = orderQuantities(
+    {
+      itemsDetailed: [
+        { id: "espresso", quantity: 3 },
+        { id: "latte", quantity: 1 },
+        { id: "mint", quantity: 1 },
+      ],
+    },
+    menu
+  );
+  takeStock(stock, taken, menu);
+  assert.deepEqual(
+    [stock.items.espresso.count, stock.items.mint.count],
+    [1, 0]
+  );
+  returnStock(stock, taken);
+  assert.deepEqual(
+    [stock.items.espresso.count, stock.items.mint.count],
+    [4, 1]
+  );
+  assert.equal(stock.items.latte, undefined);
+  returnStock(stock, undefined); // orders placed before stock existed
+  assert.equal(stock.items.espresso.count, 4);
+});
+
+test("setLevel and restock change one item and log it", () => {
+  const stock = stockOf({});
+  assert.deepEqual(
+    setLevel(stock, "latte", { available: false }, { by: "ali" }).level,
+    { available: false, count: null, lowAt: null }
+  );
+  assert.deepEqual(restock(stock, "latte", 10).level, {
+    available: false,
+    count: 10,
+    lowAt: null,
+  });
+  assert.match(restock(stock, "latte", 0).error, /quantity/);
+  assert.match(setLevel(stock, "latte", { count: -1 }).error, /count/);
+  assert.deepEqual(
+    stock.log.map((e) => [e.item, e.change, e.note, e.by]),
+    [
+      ["latte", null, "switched off", "ali"],
+      ["latte", 10, "restock", null],
+    ]
+  );
+});
+
+test("stockReport lists every menu item with its level", () => {
+  const report = stockReport(
+    menu,
+    stockOf({ espresso: { count: 2, lowAt: 3 } })
+  );
+  assert.deepEqual(
+    report.map((r) => [r.id, r.category, r.count, r.orderable, r.low]),
+    [
+      ["espresso", "coffee", 2, true, true],
+      ["latte", "coffee", null, true, false],
+      ["mint", "tea", null, true, false],
+    ]
+  );
+});
@@ -0,0 +1,171 @@
+// test/storage.test.js — the JSON and SQLite drivers behave the same, and the migration
+// copies one into the other (lib/storage, scripts/migrate-json-to-sqlite.js)
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs/promises");
+const os = require("node:os");
+const path = require("node:path");
+const { createStorage } = require("../lib/storage");
+const { migrate } = require("../scripts/migrate-json-to-sqlite");
+
+let dir;
+test.before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), "saf-storage-test-"));
+});
+test.after(() => fs.rm(dir, { recursive: true, force: true }));
+
+async function openDriver(driver, name) {
+  const storage =
+    driver === "json"
+      ? createStorage("json", { rootDir: path.join(dir, name) })
+      : createStorage("sqlite", { file: path.join(dir, `${name}.sqlite`) });
+  await storage.init();
+  return storage;
+}
+
+const order = (id, timestamp, extra = {}) => ({
+  id,
+  timestamp,
+  status: "pending",
+  desk: "4",
+  items: ["Tea"],
+  ...extra,
+});
+
+// The same calls on a driver; resolves to everything they returned, in order
+async function scenario(storage) {
+  const seen = [];
+  const note = async (value) => seen.push(await value);
+
+  await note(storage.insertOrder("acme", order("1", "2025-01-05T09:00:00Z")));
+  await note(storage.insertOrder("acme", order("2", "2025-02-01T09:00:00Z")));
+  await note(storage.insertOrder(null, order("g1", "2025-02-01T10:00:00Z")));
+  await note(storage.getOrder("acme", "1"));
+  await note(storage.getOrder("acme", "missing"));
+  await note(
+    storage.updateOrder(
+      "acme",
+      order("2", "2025-02-01T09:00:00Z", { status: "accepted" })
+    )
+  );
+  await note(
+    storage.updateOrder("acme", order("missing", "2025-02-01T09:00:00Z"))
+  );
+  await note(
+    storage.saveRating("acme", "2", {
+      stars: 4,
+      review: "ok",
+      timestamp: "2025-02-01T10:00:00Z",
+    })
+  );
+  await note(storage.saveRating("acme", "missing", { stars: 1 }));
+  await note(storage.listOrders("acme"));
+  await note(storage.listOrders(null));
+
+  await note(
+    storage.archiveOrders("acme", "2025-01", [
+      order("1", "2025-01-05T09:00:00Z"),
+    ])
+  );
+  await note(storage.listOrders("acme"));
+  await note(storage.listArchiveMonths("acme"));
+  await note(storage.listArchivedOrders("acme", "2025-01"));
+  await note(storage.listArchivedOrders("acme", "2024-12"));
+
+  await note(storage.deleteOrder("acme", "2"));
+  await note(storage.deleteOrder("acme", "2"));
+  await note(
+    storage.replaceOrders("acme", [
+      order("3", "2025-03-01T09:00:00Z", { rating: { stars: 5 } }),
+      order("4", "2025-03-02T09:00:00Z"),
+    ])
+  );
+  await note(storage.listOrders("acme"));
+
+  await note(storage.getDoc("acme", "desks"));
+  await note(
+    storage.putDoc("acme", "desks", { numDesks: 2, desks: { 1: {}, 2: {} } })
+  );
+  await note(storage.putDoc("acme", "menu", { tea: { items: [] } }));
+  await note(storage.getDoc("acme", "desks"));
+  await note(storage.getDoc("acme", "menu"));
+  await note(storage.putDoc("other", "company", { name: "Other" }));
+  await note(storage.listCompanies());
+  return seen;
+}
+
+test("both drivers answer every call the same way", async () => {
+  const json = await openDriver("json", "parity");
+  const sqlite = await openDriver("sqlite", "parity");
+  try {
+    const fromJson = await scenario(json);
+    assert.deepEqual(await scenario(sqlite), fromJson);
+
+    // spot checks on what they agree on
+    const byStep = (i) => fromJson[i];
+    assert.equal(byStep(4), null); // getOrder of a missing order
+    assert.equal(byStep(6), null); // updateOrder of a missing order
+    assert.equal(byStep(8), null); // saveRating of a missing order
+    assert.deepEqual(
+      byStep(9).map((o) => [o.id, o.status, o.rating && o.rating.stars]),
+      [
+        ["1", "pending", undefined],
+        ["2", "accepted", 4],
+      ]
+    );
+    assert.deepEqual(byStep(13), ["2025-01"]);
+    assert.equal(byStep(17), null); // deleting twice
+    assert.deepEqual(byStep(26), ["acme", "other"]);
+  } finally {
+    await sqlite.close();
+  }
+});
+
+test("the migration copies orders, ratings, archives and documents", async () => {
+  const json = await openDriver("json", "migrate");
+  await json.replaceOrders("acme", [
+    order("1", "2025-01-01T09:00:00Z", {
+      rating: { stars: 3, review: "slow" },
+    }),
+    order("2", "2025-03-01T09:00:00Z"),
+  ]);
+  await json.archiveOrders("acme", "2024-12", [
+    order("0", "2024-12-30T09:00:00Z"),
+  ]);
+  await json.putDoc("acme", "users", { users: [{ username: "admin" }] });
+  await json.putDoc("acme", "menu", { tea: { items: [{ id: "tea" }] } });
+  await json.putDoc("acme", "stock", { items: { tea: { count: 3 } }, log: [] });
+  await json.insertOrder(null, order("g1", "2025-01-01T09:00:00Z"));
+
+  const sqlite = await openDriver("sqlite", "migrate");
+  const log = console.log;
+  console.log = () => {};
+  try {
+    await migrate(json, sqlite);
+    await migrate(json, sqlite); // re-running replaces, never appends
+  } finally {
+    console.log = log;
+  }
+
+  try {
+    for (const companyId of [null, "acme"]) {
+      assert.deepEqual(
+        await sqlite.listOrders(companyId),
+        await json.listOrders(companyId)
+      );
+    }
+    assert.equal((await sqlite.getOrder("acme", "1")).rating.review, "slow");
+    assert.deepEqual(await sqlite.listArchivedOrders("acme", "2024-12"), [
+      order("0", "2024-12-30T09:00:00Z"),
+    ]);
+    for (const name of ["users", "menu", "stock"]) {
+      assert.deepEqual(
+        await sqlite.getDoc("acme", name),
+        await json.getDoc("acme", name)
+      );
+    }
+    assert.deepEqual(await sqlite.listCompanies(), ["acme"]);
+  } finally {
+    await sqlite.close();
+  }
+});
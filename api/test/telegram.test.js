@@ -0,0 +1,164 @@
+// test/telegram.test.js — the Telegram adapter against a fake Bot API
+// (lib/integrations/telegram.js, lib/telegramBot.js)
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("node:http");
+const telegram = require("../lib/integrations/telegram");
+
+const TOKEN = "123456:ABCDEFGHIJKLMNOPQRSTUVWXYZ";
+const REVOKED_TOKEN = "123456:REVOKEDREVOKEDREVOKEDREVOKED";
+
+// Answers every method with { ok: true } (REVOKED_TOKEN: { ok: false }) and keeps what was
+// called
+let calls = [];
+let bot;
+test.before(async () => {
+  bot = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      const [, token, method] = req.url.match(/^\/bot([^/]+)\/(\w+)$/) || [];
+      calls.push({ token, method, params: JSON.parse(body || "{}") });
+      res.setHeader("Content-Type", "application/json");
+      res.end(
+        JSON.stringify(
+          token === REVOKED_TOKEN
+            ? { ok: false, description: "Unauthorized" }
+            : { ok: true, result: { message_id: 1 } }
+        )
+      );
+    });
+  });
+  await new Promise((resolve) => bot.listen(0, "127.0.0.1", resolve));
+  process.env.TELEGRAM_API_URL = `http://127.0.0.1:${bot.address().port}/`;
+});
+test.after(() => {
+  delete process.env.TELEGRAM_API_URL;
+  bot.close();
+});
+test.beforeEach(() => {
+  calls = [];
+});
+
+const { config: integration } = telegram.validate(
+  { botToken: TOKEN, chatId: "-100222", chats: { ali: "111" } },
+  "acme"
+);
+
+// Just the order calls the button presses make
+function memoryStorage(orders) {
+  return {
+    async getOrder(companyId, id) {
+      const order = orders.find((o) => o.id === id);
+      return order ? JSON.parse(JSON.stringify(order)) : null;
+    },
+    async updateOrder(companyId, order) {
+      orders[orders.findIndex((o) => o.id === order.id)] = order;
+    },
+  };
+}
+
+test("a new order goes to its tea boy's chat with Start and Done", async () => {
+  const order = {
+    id: "7",
+    status: "pending",
+    desk: "4",
+    teaboyName: "ali",
+    itemsDetailed: [{ id: "tea", name: "Tea", quantity: 2 }],
+  };
+  await telegram.deliver(
+    { type: "order-created", company: "acme", data: { order } },
+    integration
+  );
+  await telegram.deliver(
+    {
+      type: "order-created",
+      company: "acme",
+      data: { order: { ...order, teaboyName: "sam" } },
+    },
+    integration
+  );
+
+  assert.deepEqual(
+    calls.map((c) => [c.token, c.method, c.params.chat_id]),
+    [
+      [TOKEN, "sendMessage", "111"],
+      [TOKEN, "sendMessage", "-100222"],
+    ]
+  );
+  assert.match(calls[0].params.text, /Desk #4/);
+  assert.match(calls[0].params.text, /Tea/);
+  assert.deepEqual(
+    calls[0].params.reply_markup.inline_keyboard[0].map((b) => b.callback_data),
+    ["start:7", "done:7"]
+  );
+});
+
+test("button presses move the order and are answered", async () => {
+  const orders = [{ id: "7", status: "pending", version: 1 }];
+  const storage = memoryStorage(orders);
+  const press = (data) =>
+    telegram.handleUpdate(storage, "telegram-test", integration, {
+      callback_query: {
+        id: `q-${data}`,
+        data,
+        from: { username: "ali" },
+        message: { chat: { id: 111 }, message_id: 5 },
+      },
+    });
+
+  await press("start:7");
+  assert.equal(orders[0].status, "in-progress");
+  assert.equal(orders[0].version, 2);
+  assert.equal(orders[0].history.at(-1).by, "telegram:ali");
+  assert.deepEqual(
+    calls.map((c) => c.method),
+    ["answerCallbackQuery", "editMessageReplyMarkup"]
+  );
+  assert.deepEqual(calls[0].params, {
+    callback_query_id: "q-start:7",
+    text: "Started",
+  });
+  assert.deepEqual(
+    calls[1].params.reply_markup.inline_keyboard[0].map((b) => b.callback_data),
+    ["done:7"]
+  );
+
+  calls = [];
+  await press("done:7");
+  assert.equal(orders[0].status, "completed");
+  assert.equal(calls[0].params.text, "Marked as delivered");
+
+  calls = [];
+  await press("done:7");
+  assert.equal(calls[0].params.text, "Order is already completed");
+  calls = [];
+  await press("done:8");
+  assert.deepEqual(
+    calls.map((c) => [c.method, c.params.text]),
+    [["answerCallbackQuery", "Order not found"]]
+  );
+});
+
+test("updates are only taken with the registered secret token", async () => {
+  await telegram.registerWebhook(integration, "https://saf.example.com/hook");
+  assert.equal(calls[0].method, "setWebhook");
+  const secret = calls[0].params.secret_token;
+  assert.ok(telegram.isFromTelegram(integration, secret));
+  assert.ok(!telegram.isFromTelegram(integration, `${secret}x`));
+  assert.ok(!telegram.isFromTelegram(integration, undefined));
+});
+
+test("a Bot API error fails the delivery so it is retried", async () => {
+  await assert.rejects(
+    telegram.deliver(
+      {
+        type: "order-created",
+        company: "acme",
+        data: { order: { id: "1", status: "pending", teaboyName: "ali" } },
+      },
+      { ...integration, botToken: REVOKED_TOKEN }
+    ),
+    /Telegram sendMessage failed: Unauthorized/
+  );
+});
@@ -0,0 +1,103 @@
+// test/zones.test.js — service zones and the desks they give tea boys (lib/zones.js)
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  validateZone,
+  validateZones,
+  loadZones,
+  saveZones,
+  zoneForOrder,
+  withZoneScope,
+} = require("../lib/zones");
+const { isOrderInScope } = require("../lib/scope");
+
+// Just the document calls lib/zones.js makes
+function memoryStorage(docs = {}) {
+  return {
+    async getDoc(companyId, name) {
+      return docs[`${companyId}/${name}`] || null;
+    },
+    async putDoc(companyId, name, doc) {
+      docs[`${companyId}/${name}`] = doc;
+    },
+  };
+}
+
+test("validateZone reads desks and fills the defaults", () => {
+  const { zone } = validateZone({ id: "north", name: " North ", desks: "1-5" });
+  assert.deepEqual(zone, {
+    id: "north",
+    name: "North",
+    deskRanges: [[1, 5]],
+    teaBoy: "",
+    shifts: [],
+    backup: "",
+    supervisor: "",
+  });
+  assert.match(validateZone({ id: "North", name: "N" }).error, /Zone id/);
+  assert.match(validateZone({ id: "n", name: "N" }).error, /at least one desk/);
+});
+
+test("validateZone keeps what an update leaves out", () => {
+  const existing = validateZone({
+    id: "north",
+    name: "North",
+    desks: "1-5",
+    teaBoy: "ali",
+  }).zone;
+  const { zone } = validateZone({ id: "other", desks: "1-9" }, existing);
+  assert.equal(zone.id, "north");
+  assert.equal(zone.teaBoy, "ali");
+  assert.deepEqual(zone.deskRanges, [[1, 9]]);
+});
+
+test("validateZones refuses duplicate ids and shared desks", () => {
+  const north = { id: "north", name: "North", desks: "1-10" };
+  assert.match(validateZones([north, north]).error, /Duplicate zone id/);
+  assert.equal(
+    validateZones([north, { id: "south", name: "South", desks: "8-20" }]).error,
+    'Desk 8 is in both "North" and "South"'
+  );
+  assert.equal(
+    validateZones([north, { id: "south", name: "South", desks: "11-20" }]).zones
+      .length,
+    2
+  );
+});
+
+test("tea boys with a zone are scoped to the zone's current desks", async () => {
+  const storage = memoryStorage();
+  const { zones } = validateZones([
+    { id: "north", name: "North", desks: "1-10", teaBoy: "ali" },
+    { id: "south", name: "South", desks: "11-20" },
+  ]);
+  await saveZones(storage, "acme", zones);
+
+  const ali = { company: "acme", role: "teaboy", zone: "north" };
+  assert.deepEqual(withZoneScope(ali).deskRanges, [[1, 10]]);
+  assert.ok(isOrderInScope(withZoneScope(ali), { desk: "4" }));
+  assert.ok(!isOrderInScope(withZoneScope(ali), { desk: "14" }));
+  assert.equal(zoneForOrder("acme", { desk: "14" }).id, "south");
+  assert.equal(zoneForOrder("acme", { desk: "40" }), null);
+
+  // moving desks between zones moves them between tea boys
+  await saveZones(
+    storage,
+    "acme",
+    validateZones([{ id: "north", name: "North", desks: "1-20" }]).zones
+  );
+  assert.ok(isOrderInScope(withZoneScope(ali), { desk: "14" }));
+});
+
+test("accounts without a known zone keep their own desk ranges", async () => {
+  await loadZones(memoryStorage(), "empty");
+  const user = {
+    company: "empty",
+    role: "teaboy",
+    zone: "gone",
+    deskRanges: [[3, 4]],
+  };
+  assert.equal(withZoneScope(user), user);
+  const admin = { company: "empty", role: "admin", zone: "gone" };
+  assert.equal(withZoneScope(admin), admin);
+});